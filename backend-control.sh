@@ -11,6 +11,7 @@ BLUE='\033[0;34m'
 NC='\033[0m' # No Color
 
 SERVICE_NAME="teamsite-backend"
+BACKEND_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/backend"
 
 show_help() {
     echo -e "${BLUE}TeamSite Backend Control Script${NC}"
@@ -25,6 +26,12 @@ show_help() {
     echo "  status    - Show backend server status"
     echo "  logs      - Show backend server logs"
     echo "  test      - Test backend API endpoints"
+    echo "  migrate   - Apply pending database migrations"
+    echo "              migrate status        - List applied and pending migrations"
+    echo "              migrate rollback [N]  - Revert the last N migrations (default 1)"
+    echo "  backup [file]    - Write a backup archive of the database and uploads"
+    echo "  restore <file>   - Preview, then restore a backup archive (replaces all data)"
+    echo "  gc        - Preview, then remove uploaded files no player refers to"
     echo "  help      - Show this help message"
     echo ""
 }
@@ -108,6 +115,102 @@ test_api() {
     echo -e "${BLUE}API Test Complete!${NC}"
 }
 
+run_migrations() {
+    local action="${1:-up}"
+    case "$action" in
+        up|status|rollback)
+            ;;
+        *)
+            echo -e "${RED}❌ Unknown migrate command: $action${NC}"
+            echo "Usage: $0 migrate [status|rollback [N]]"
+            exit 1
+            ;;
+    esac
+
+    if [ "$action" = "rollback" ]; then
+        echo -e "${YELLOW}⚠️  Rolling back migrations can drop tables and data.${NC}"
+        read -p "Continue? (y/N): " confirm
+        if [ "$confirm" != "y" ] && [ "$confirm" != "Y" ]; then
+            echo "Cancelled."
+            exit 0
+        fi
+    fi
+
+    echo -e "${BLUE}Database migrations ($action):${NC}"
+    if (cd "$BACKEND_DIR" && node migrate.js "$action" $2); then
+        echo -e "${GREEN}✅ Migration command completed${NC}"
+    else
+        echo -e "${RED}❌ Migration command failed${NC}"
+        exit 1
+    fi
+}
+
+create_backup() {
+    local target="$1"
+    if [ -n "$target" ]; then
+        target="$(cd "$(dirname "$target")" && pwd)/$(basename "$target")"
+    fi
+
+    echo -e "${BLUE}Creating backup...${NC}"
+    if (cd "$BACKEND_DIR" && node backup.js create $target); then
+        echo -e "${GREEN}✅ Backup created${NC}"
+    else
+        echo -e "${RED}❌ Backup failed${NC}"
+        exit 1
+    fi
+}
+
+restore_backup() {
+    local file="$1"
+    if [ -z "$file" ] || [ ! -f "$file" ]; then
+        echo -e "${RED}❌ Backup file not found: $file${NC}"
+        echo "Usage: $0 restore <file>"
+        exit 1
+    fi
+    file="$(cd "$(dirname "$file")" && pwd)/$(basename "$file")"
+
+    echo -e "${BLUE}Checking backup...${NC}"
+    if ! (cd "$BACKEND_DIR" && node backup.js restore "$file" --dry-run); then
+        echo -e "${RED}❌ Backup cannot be restored${NC}"
+        exit 1
+    fi
+
+    echo -e "${YELLOW}⚠️  Restoring replaces ALL data and uploaded images.${NC}"
+    read -p "Continue? (y/N): " confirm
+    if [ "$confirm" != "y" ] && [ "$confirm" != "Y" ]; then
+        echo "Cancelled."
+        exit 0
+    fi
+
+    if (cd "$BACKEND_DIR" && node backup.js restore "$file"); then
+        echo -e "${GREEN}✅ Backup restored${NC}"
+    else
+        echo -e "${RED}❌ Restore failed${NC}"
+        exit 1
+    fi
+}
+
+collect_garbage() {
+    echo -e "${BLUE}Checking uploads...${NC}"
+    if ! (cd "$BACKEND_DIR" && node gc.js --dry-run); then
+        echo -e "${RED}❌ Upload check failed${NC}"
+        exit 1
+    fi
+
+    read -p "Remove these files? (y/N): " confirm
+    if [ "$confirm" != "y" ] && [ "$confirm" != "Y" ]; then
+        echo "Cancelled."
+        exit 0
+    fi
+
+    if (cd "$BACKEND_DIR" && node gc.js); then
+        echo -e "${GREEN}✅ Unreferenced uploads removed${NC}"
+    else
+        echo -e "${RED}❌ Cleanup failed${NC}"
+        exit 1
+    fi
+}
+
 # Main script logic
 case "$1" in
     start)
@@ -128,6 +231,18 @@ case "$1" in
     test)
         test_api
         ;;
+    migrate)
+        run_migrations "$2" "$3"
+        ;;
+    backup)
+        create_backup "$2"
+        ;;
+    restore)
+        restore_backup "$2"
+        ;;
+    gc)
+        collect_garbage
+        ;;
     help|--help|-h)
         show_help
         ;;
@@ -0,0 +1,212 @@
+/**
+ * Backup archives for TeamSite
+ * An archive is gzipped JSON holding every table's rows plus the files under uploads/.
+ * Restores must match the database's schema version and replace everything at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isSearchIndexTable } = require('./search');
+
+const ARCHIVE_FORMAT = 'teamsite-backup';
+const ARCHIVE_VERSION = 1;
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// Bookkeeping tables that belong to this server, not to the site's data
+const EXCLUDED_TABLES = ['schema_migrations', 'sessions', 'audit_log'];
+
+// Errors about the archive itself carry a 400 status and an API error code
+function archiveError(message, code = 'INVALID_BACKUP') {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    return error;
+}
+
+async function schemaVersion(db) {
+    const row = await db.get('SELECT MAX(version) as version FROM schema_migrations');
+    return row.version || 0;
+}
+
+async function dataTables(db) {
+    const rows = await db.all(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+        ORDER BY name
+    `);
+    // Search indexes are rebuilt from the restored rows by their triggers
+    return rows.map(r => r.name).filter(name => !EXCLUDED_TABLES.includes(name) && !isSearchIndexTable(name));
+}
+
+async function tableColumns(db, table) {
+    const rows = await db.all(`PRAGMA table_info("${table}")`);
+    return rows.map(r => r.name);
+}
+
+// Files below dir as paths relative to it, always with forward slashes
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+        return entry.isFile() ? [relative] : [];
+    });
+}
+
+/**
+ * Build an archive object from the database and uploads directory
+ */
+async function createArchive(db, uploadsDir = UPLOADS_DIR) {
+    const tables = {};
+    for (const table of await dataTables(db)) {
+        tables[table] = await db.all(`SELECT * FROM "${table}"`);
+    }
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        createdAt: new Date().toISOString(),
+        schemaVersion: await schemaVersion(db),
+        tables,
+        uploads: listFiles(uploadsDir).map(file => ({
+            path: file,
+            mode: fs.statSync(path.join(uploadsDir, file)).mode & 0o777,
+            data: fs.readFileSync(path.join(uploadsDir, file)).toString('base64')
+        }))
+    };
+}
+
+function encodeArchive(archive) {
+    return zlib.gzipSync(JSON.stringify(archive));
+}
+
+/**
+ * Parse an archive from gzipped or plain JSON bytes
+ */
+function decodeArchive(buffer) {
+    try {
+        const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+        return JSON.parse((gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf8'));
+    } catch (error) {
+        throw archiveError(`Backup could not be read: ${error.message}`);
+    }
+}
+
+// Archive paths are relative and must stay inside the uploads directory
+function isSafeUploadPath(file) {
+    if (typeof file !== 'string' || !file || file.includes('\\') || path.isAbsolute(file)) return false;
+    return file.split('/').every(part => part && part !== '.' && part !== '..');
+}
+
+/**
+ * Check an archive against the database; returns what a restore would change.
+ * Throws an archive error (status 400) when the archive cannot be restored here.
+ */
+async function previewArchive(db, archive, uploadsDir = UPLOADS_DIR) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw archiveError('Not a TeamSite backup');
+    }
+    if (archive.version !== ARCHIVE_VERSION) {
+        throw archiveError(`Unsupported backup version ${archive.version}`);
+    }
+    const currentVersion = await schemaVersion(db);
+    if (archive.schemaVersion !== currentVersion) {
+        throw archiveError(
+            `Backup is from schema version ${archive.schemaVersion} but the database is at ${currentVersion}`,
+            'BACKUP_SCHEMA_MISMATCH'
+        );
+    }
+    if (!archive.tables || typeof archive.tables !== 'object' || !Array.isArray(archive.uploads)) {
+        throw archiveError('Backup is missing its tables or uploads');
+    }
+
+    const tables = [];
+    for (const table of await dataTables(db)) {
+        const rows = archive.tables[table];
+        if (!Array.isArray(rows)) {
+            throw archiveError(`Backup is missing table ${table}`);
+        }
+        const columns = new Set(await tableColumns(db, table));
+        rows.forEach((row, index) => {
+            const unknown = Object.keys(row || {}).filter(column => !columns.has(column));
+            if (!row || typeof row !== 'object' || unknown.length > 0) {
+                throw archiveError(`Row ${index + 1} of ${table} does not match the table: ${unknown.join(', ')}`);
+            }
+        });
+        const current = await db.get(`SELECT COUNT(*) as count FROM "${table}"`);
+        tables.push({ table, current: current.count, incoming: rows.length });
+    }
+    const unknownTables = Object.keys(archive.tables).filter(table => !tables.some(t => t.table === table));
+    if (unknownTables.length > 0) {
+        throw archiveError(`Backup has unknown tables: ${unknownTables.join(', ')}`);
+    }
+
+    const badPath = archive.uploads.find(file => !file || !isSafeUploadPath(file.path) || typeof file.data !== 'string');
+    if (badPath) {
+        throw archiveError(`Backup has an invalid upload entry: ${badPath && badPath.path}`);
+    }
+
+    return {
+        createdAt: archive.createdAt,
+        schemaVersion: archive.schemaVersion,
+        tables,
+        uploads: { current: listFiles(uploadsDir).length, incoming: archive.uploads.length }
+    };
+}
+
+/**
+ * Replace the database contents and uploads with an archive.
+ * Uploads are staged first, the tables are replaced in one transaction, and the
+ * staged uploads are swapped in only once that transaction has committed.
+ */
+async function restoreArchive(db, archive, uploadsDir = UPLOADS_DIR) {
+    const summary = await previewArchive(db, archive, uploadsDir);
+
+    const stamp = Date.now();
+    const stagingDir = `${uploadsDir}.restore-${stamp}`;
+    const previousDir = `${uploadsDir}.previous-${stamp}`;
+    try {
+        fs.mkdirSync(stagingDir, { recursive: true });
+        for (const file of archive.uploads) {
+            const target = path.join(stagingDir, ...file.path.split('/'));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, Buffer.from(file.data, 'base64'));
+            if (Number.isInteger(file.mode)) fs.chmodSync(target, file.mode);
+        }
+
+        await db.transaction(async () => {
+            for (const { table } of summary.tables) {
+                await db.run(`DELETE FROM "${table}"`);
+                for (const row of archive.tables[table]) {
+                    const columns = Object.keys(row);
+                    if (columns.length === 0) continue;
+                    await db.run(
+                        `INSERT INTO "${table}" (${columns.map(c => `"${c}"`).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        columns.map(c => row[c])
+                    );
+                }
+            }
+        });
+    } catch (error) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    if (fs.existsSync(uploadsDir)) fs.renameSync(uploadsDir, previousDir);
+    fs.renameSync(stagingDir, uploadsDir);
+    fs.rmSync(previousDir, { recursive: true, force: true });
+
+    return summary;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    createArchive,
+    encodeArchive,
+    decodeArchive,
+    previewArchive,
+    restoreArchive,
+    listFiles
+};
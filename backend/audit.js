@@ -0,0 +1,88 @@
+/**
+ * Audit log for TeamSite
+ * Mutating routes record who did what to which entity; each entry keeps a field-by-field
+ * diff ({ field: { from, to } }) of the entity's API shape before and after the change.
+ */
+
+// delete moves a player or team to the trash (a game is deleted outright); purge removes it for good
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'import', 'upload'];
+
+// The fields diffed for each kind of entity; nested values use dotted paths
+const AUDITED_FIELDS = {
+    player: ['name', 'number', 'teamId', 'position', 'secondaryPositions', 'image', 'bio'],
+    team: ['name', 'color', 'description', 'sport'],
+    game: ['date', 'teamId', 'opponent', 'opponentTeamId', 'isHome', 'teamScore', 'opponentScore', 'eventId', 'notes', 'boxScore'],
+    config: [
+        'title', 'description',
+        'theme.primary', 'theme.secondary', 'theme.accent',
+        'season.year', 'season.startDate', 'season.endDate', 'season.allStarWeekend'
+    ],
+    image: ['path', 'playerId', 'width', 'height', 'size', 'mimetype'],
+    media: ['ownerType', 'ownerId', 'kind', 'path', 'caption', 'isPrimary', 'sortOrder']
+};
+
+const AUDIT_ENTITY_TYPES = Object.keys(AUDITED_FIELDS);
+
+function valueAt(entity, field) {
+    const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), entity);
+    return value === undefined ? null : value;
+}
+
+/**
+ * The audited fields that differ between two versions of an entity; either side may be
+ * null (a creation or a deletion)
+ */
+function diff(entityType, before, after) {
+    const changes = {};
+    AUDITED_FIELDS[entityType].forEach(field => {
+        const from = before ? valueAt(before, field) : null;
+        const to = after ? valueAt(after, field) : null;
+        // Lists (secondary positions) compare by their contents
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    });
+    return changes;
+}
+
+/**
+ * Record a change made by the request's user. before and after are the entity's API
+ * shape (or null); entityName defaults to the name in either of them.
+ */
+async function recordAudit(db, req, { action, entityType, entityId = null, entityName, before = null, after = null }) {
+    const id = `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const name = entityName ?? (after && (after.name || after.title)) ?? (before && (before.name || before.title)) ?? null;
+    await db.run(`
+        INSERT INTO audit_log (id, actor_id, actor_name, action, entity_type, entity_id, entity_name, changes, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        id,
+        req.user ? req.user.id : null,
+        req.user ? req.user.username : null,
+        action,
+        entityType,
+        entityId,
+        name,
+        JSON.stringify(diff(entityType, before, after)),
+        req.ip || null
+    ]);
+    return id;
+}
+
+// Map DB shape -> API shape
+function formatAuditEntry(r) {
+    return {
+        id: r.id,
+        actor: { id: r.actor_id, username: r.actor_name },
+        action: r.action,
+        entityType: r.entity_type,
+        entityId: r.entity_id,
+        entityName: r.entity_name,
+        changes: JSON.parse(r.changes || '{}'),
+        ip: r.ip,
+        // SQLite's CURRENT_TIMESTAMP is UTC without a zone
+        createdAt: r.created_at ? `${r.created_at.replace(' ', 'T')}Z` : null
+    };
+}
+
+module.exports = { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, AUDITED_FIELDS, diff, recordAudit, formatAuditEntry };
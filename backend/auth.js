@@ -1,41 +1,369 @@
 const express = require('express');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
+const { LoginThrottle, sendRateLimited } = require('./rate-limit');
+
+const scrypt = promisify(crypto.scrypt);
 
-// Simple in-memory token store
-const activeTokens = new Map(); // token -> { issuedAt, expiresAt }
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin';
-const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Sessions slide forward on use; idle ones expire, and none outlive the absolute cap
+const SESSION_IDLE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const SESSION_MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // avoid a write on every request
+
+// Roles, lowest to highest privilege
+const ROLES = ['viewer', 'team_manager', 'league_admin', 'owner'];
+// Roles allowed to change players/teams at all (team managers are further scoped)
+const EDITOR_ROLES = ['owner', 'league_admin', 'team_manager'];
+const ADMIN_ROLES = ['owner', 'league_admin'];
+
+// Failed logins are throttled per client IP and per account
+const ipThrottle = new LoginThrottle({ freeAttempts: 5, lockoutAfter: 20 });
+const accountThrottle = new LoginThrottle({ freeAttempts: 3, lockoutAfter: 10 });
 
 const router = express.Router();
 
-router.post('/login', (req, res) => {
+/**
+ * Hash a password with scrypt and a per-user random salt
+ */
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const derived = await scrypt(password, salt, 64);
+    return { hash: derived.toString('hex'), salt };
+}
+
+/**
+ * Constant-time comparison of a password against a stored user row
+ */
+async function verifyPassword(password, userRow) {
+    if (!userRow || !userRow.password_hash || !userRow.password_salt) return false;
+    const { hash } = await hashPassword(password, userRow.password_salt);
+    const a = Buffer.from(hash, 'hex');
+    const b = Buffer.from(userRow.password_hash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function generateTemporaryPassword() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * Load a user with their team assignments in API shape
+ */
+async function loadUser(db, userId) {
+    const row = await db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!row) return null;
+    const teams = await db.all('SELECT team_id FROM user_teams WHERE user_id = ? ORDER BY team_id', [userId]);
+    return formatUser(row, teams.map(t => t.team_id));
+}
+
+// Map DB shape -> API shape (never exposes password fields)
+function formatUser(row, teamIds = []) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        email: row.email,
+        role: row.role,
+        teamIds,
+        disabled: !!row.disabled,
+        mustChangePassword: !!row.must_change_password,
+        lastLoginAt: row.last_login_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Create the initial owner account on a fresh database.
+ * Uses ADMIN_PASSWORD so existing single-password deployments keep working.
+ */
+async function ensureOwnerAccount(db) {
+    const row = await db.get('SELECT COUNT(*) as count FROM users');
+    if (row.count > 0) return;
+
+    const { hash, salt } = await hashPassword(ADMIN_PASSWORD);
+    await db.run(`
+        INSERT INTO users (id, username, display_name, role, password_hash, password_salt, must_change_password)
+        VALUES (?, 'admin', 'Administrator', 'owner', ?, ?, ?)
+    `, [`user_${uuidv4()}`, hash, salt, process.env.ADMIN_PASSWORD ? 0 : 1]);
+    console.log('Created initial owner account "admin"');
+    if (!process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️  Owner account uses the default password; it must be changed at first login');
+    }
+}
+
+// Only a hash of each token is stored, so a copied database cannot be used to log in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Start a session for a user and return the bearer token
+ */
+async function createSession(db, userId, req) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    await db.run(`
+        INSERT INTO sessions (id, token_hash, user_id, ip, user_agent, last_seen_at, expires_at, absolute_expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        `session_${uuidv4()}`, hashToken(token), userId, req.ip || null, req.headers['user-agent'] || null,
+        now, now + SESSION_IDLE_TTL_MS, now + SESSION_MAX_TTL_MS
+    ]);
+    return token;
+}
+
+/**
+ * Revoke every session belonging to a user (disable, password reset), optionally
+ * keeping one (the session that changed its own password)
+ */
+async function revokeUserSessions(db, userId, keepSessionId = null) {
+    await db.run(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?',
+        [userId, keepSessionId]
+    );
+}
+
+// Drop sessions that can no longer be used
+async function pruneSessions(db) {
+    await db.run(`
+        DELETE FROM sessions
+        WHERE expires_at < ? OR (revoked_at IS NOT NULL AND revoked_at < datetime('now', '-7 days'))
+    `, [Date.now()]);
+}
+
+// Map DB shape -> API shape
+function formatSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        createdAt: row.created_at,
+        lastSeenAt: new Date(row.last_seen_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString(),
+        current: row.id === currentSessionId
+    };
+}
+
+router.post('/login', async (req, res) => {
     try {
-        const { password } = req.body || {};
-        if (!password || password !== ADMIN_PASSWORD) {
+        // Older clients only send a password; treat those as the bootstrap owner
+        const { username = 'admin', password } = req.body || {};
+        const ipKey = req.ip;
+        // Usernames are matched ignoring case, so the throttle counts them the same way
+        const accountKey = String(username).trim().toLowerCase();
+        const retryAfterMs = Math.max(ipThrottle.retryAfter(ipKey), accountThrottle.retryAfter(accountKey));
+        if (retryAfterMs > 0) {
+            return sendRateLimited(res, retryAfterMs, 'Too many failed login attempts. Please wait before trying again.');
+        }
+
+        const db = req.app.locals.db;
+        const user = password ? await db.get('SELECT * FROM users WHERE lower(username) = ?', [accountKey]) : null;
+        if (!user || !(await verifyPassword(password, user))) {
+            ipThrottle.recordFailure(ipKey);
+            accountThrottle.recordFailure(accountKey);
             return res.status(401).json({ error: true, message: 'Invalid credentials', code: 'UNAUTHORIZED' });
         }
-        const token = uuidv4();
-        const now = Date.now();
-        activeTokens.set(token, { issuedAt: now, expiresAt: now + TOKEN_TTL_MS });
-        return res.json({ success: true, data: { token, expiresInMs: TOKEN_TTL_MS } });
+        ipThrottle.reset(ipKey);
+        accountThrottle.reset(accountKey);
+        if (user.disabled) {
+            return res.status(403).json({ error: true, message: 'Account disabled', code: 'ACCOUNT_DISABLED' });
+        }
+        await pruneSessions(db);
+        const token = await createSession(db, user.id, req);
+        await db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+        return res.json({
+            success: true,
+            data: { token, expiresInMs: SESSION_IDLE_TTL_MS, user: await loadUser(db, user.id) }
+        });
     } catch (e) {
         return res.status(500).json({ error: true, message: e.message, code: 'AUTH_ERROR' });
     }
 });
 
-function requireAuth(req, res, next) {
+// The only requests a user who must change their password may make
+const PASSWORD_CHANGE_PATHS = ['/api/auth/password', '/api/auth/logout'];
+
+async function requireAuth(req, res, next) {
     const header = req.headers['authorization'] || '';
     const token = header.startsWith('Bearer ') ? header.slice(7) : null;
     if (!token) return res.status(401).json({ error: true, message: 'Missing token', code: 'UNAUTHORIZED' });
-    const meta = activeTokens.get(token);
-    if (!meta) return res.status(401).json({ error: true, message: 'Invalid token', code: 'UNAUTHORIZED' });
-    if (Date.now() > meta.expiresAt) {
-        activeTokens.delete(token);
-        return res.status(401).json({ error: true, message: 'Token expired', code: 'UNAUTHORIZED' });
+    try {
+        const db = req.app.locals.db;
+        const session = await db.get('SELECT * FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+        if (!session || session.revoked_at) {
+            return res.status(401).json({ error: true, message: 'Invalid token', code: 'UNAUTHORIZED' });
+        }
+        const now = Date.now();
+        if (now > session.expires_at) {
+            return res.status(401).json({ error: true, message: 'Token expired', code: 'UNAUTHORIZED' });
+        }
+        const user = await loadUser(db, session.user_id);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: true, message: 'Account disabled', code: 'UNAUTHORIZED' });
+        }
+        // Sliding expiry, capped at the session's absolute lifetime
+        if (now - session.last_seen_at > SESSION_TOUCH_INTERVAL_MS) {
+            await db.run(
+                'UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?',
+                [now, Math.min(now + SESSION_IDLE_TTL_MS, session.absolute_expires_at), session.id]
+            );
+        }
+        // A default or reset password only lets its holder choose a new one or sign out
+        const path = `${req.baseUrl}${req.path}`;
+        if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(path)) {
+            return res.status(403).json({
+                error: true,
+                message: 'Change your password before doing anything else',
+                code: 'PASSWORD_CHANGE_REQUIRED'
+            });
+        }
+        req.user = user;
+        req.sessionId = session.id;
+        return next();
+    } catch (e) {
+        return res.status(500).json({ error: true, message: e.message, code: 'AUTH_ERROR' });
     }
-    return next();
 }
 
-module.exports = { authRouter: router, requireAuth };
+/**
+ * Role-aware guard: authenticates, then requires one of the given roles.
+ * Usage: router.post('/', requireRole('owner', 'league_admin'), handler)
+ */
+function requireRole(...roles) {
+    return [requireAuth, (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: true, message: 'Insufficient permissions', code: 'FORBIDDEN' });
+        }
+        return next();
+    }];
+}
+
+/**
+ * Whether a user may edit a team and the players on it.
+ * Owners and league admins manage everything; team managers only their assigned teams.
+ */
+function canManageTeam(user, teamId) {
+    if (!user) return false;
+    if (ADMIN_ROLES.includes(user.role)) return true;
+    return user.role === 'team_manager' && user.teamIds.includes(teamId);
+}
+
+function forbidden(res, message = 'You are not assigned to this team') {
+    return res.status(403).json({ error: true, message, code: 'FORBIDDEN' });
+}
+
+// Current user
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+// Change own password
+router.post('/password', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        if (typeof newPassword !== 'string' || newPassword.length < 8) {
+            return res.status(400).json({ error: true, message: 'New password must be at least 8 characters', code: 'VALIDATION_ERROR' });
+        }
+        const db = req.app.locals.db;
+        const row = await db.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        if (!(await verifyPassword(currentPassword || '', row))) {
+            return res.status(401).json({ error: true, message: 'Current password is incorrect', code: 'UNAUTHORIZED' });
+        }
+        const { hash, salt } = await hashPassword(newPassword);
+        await db.run(`
+            UPDATE users SET password_hash = ?, password_salt = ?, must_change_password = 0, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [hash, salt, req.user.id]);
+        // Anyone holding another of this user's sessions is signed out
+        await revokeUserSessions(db, req.user.id, req.sessionId);
+        res.json({ success: true, message: 'Password updated successfully' });
+    } catch (e) {
+        res.status(500).json({ error: true, message: e.message, code: 'AUTH_ERROR' });
+    }
+});
 
+// End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await req.app.locals.db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [req.sessionId]);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (e) {
+        res.status(500).json({ error: true, message: e.message, code: 'AUTH_ERROR' });
+    }
+});
+
+// List active sessions: your own, or everyone's for admins (?all=1 or ?userId=)
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        const isAdmin = ADMIN_ROLES.includes(req.user.role);
+        let userId = req.user.id;
+        if (isAdmin && req.query.userId) userId = req.query.userId;
+        const everyone = isAdmin && req.query.all === '1' && !req.query.userId;
+
+        const rows = await req.app.locals.db.all(`
+            SELECT s.*, u.username
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.revoked_at IS NULL AND s.expires_at > ? ${everyone ? '' : 'AND s.user_id = ?'}
+            ORDER BY s.last_seen_at DESC
+        `, everyone ? [Date.now()] : [Date.now(), userId]);
+
+        res.json({ success: true, data: rows.map(r => formatSession(r, req.sessionId)) });
+    } catch (e) {
+        res.status(500).json({ error: true, message: e.message, code: 'SESSIONS_FETCH_ERROR' });
+    }
+});
+
+// Revoke a session: your own, or (for admins) any session of a lower-ranked user
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const session = await db.get(`
+            SELECT s.*, u.role
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.id = ?
+        `, [req.params.id]);
+        if (!session) {
+            return res.status(404).json({ error: true, message: 'Session not found', code: 'SESSION_NOT_FOUND' });
+        }
+
+        const ownSession = session.user_id === req.user.id;
+        const canRevokeOthers = req.user.role === 'owner' ||
+            (ADMIN_ROLES.includes(req.user.role) && roleRank(session.role) < roleRank(req.user.role));
+        if (!ownSession && !canRevokeOthers) {
+            return res.status(403).json({ error: true, message: 'Insufficient permissions', code: 'FORBIDDEN' });
+        }
+
+        await db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [session.id]);
+        res.json({ success: true, message: 'Session revoked successfully' });
+    } catch (e) {
+        res.status(500).json({ error: true, message: e.message, code: 'AUTH_ERROR' });
+    }
+});
 
+module.exports = {
+    authRouter: router,
+    requireAuth,
+    requireRole,
+    canManageTeam,
+    forbidden,
+    hashPassword,
+    generateTemporaryPassword,
+    ensureOwnerAccount,
+    revokeUserSessions,
+    loadUser,
+    formatUser,
+    roleRank,
+    ROLES,
+    EDITOR_ROLES,
+    ADMIN_ROLES
+};
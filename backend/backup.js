@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Backup CLI
+ * Usage: node backup.js create [file] | restore <file> [--dry-run]
+ */
+
+const fs = require('fs');
+const Database = require('./database');
+const { createArchive, encodeArchive, decodeArchive, previewArchive, restoreArchive } = require('./archive');
+
+function printSummary(summary) {
+    console.log(`Backup from ${summary.createdAt} (schema version ${summary.schemaVersion})`);
+    summary.tables.forEach(t => {
+        console.log(`  ${t.table.padEnd(20)} ${String(t.current).padStart(6)} -> ${t.incoming}`);
+    });
+    console.log(`  ${'uploads'.padEnd(20)} ${String(summary.uploads.current).padStart(6)} -> ${summary.uploads.incoming}`);
+}
+
+async function main() {
+    const [command, file, flag] = process.argv.slice(2);
+    const db = new Database();
+    await db.open();
+
+    try {
+        if (command === 'create') {
+            const archive = await createArchive(db);
+            const target = file || `teamsite-backup-${archive.createdAt.replace(/[:.]/g, '-')}.json.gz`;
+            fs.writeFileSync(target, encodeArchive(archive));
+            console.log(`Wrote ${target} (${Object.keys(archive.tables).length} tables, ${archive.uploads.length} uploads)`);
+        } else if (command === 'restore') {
+            if (!file) throw new Error('Usage: node backup.js restore <file> [--dry-run]');
+            const archive = decodeArchive(fs.readFileSync(file));
+            if (flag === '--dry-run') {
+                printSummary(await previewArchive(db, archive));
+                console.log('Dry run: nothing was changed');
+            } else {
+                printSummary(await restoreArchive(db, archive));
+                console.log('Backup restored');
+            }
+        } else {
+            throw new Error(`Unknown command: ${command} (expected create or restore)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Backup failed:', error.message);
+    process.exit(1);
+});
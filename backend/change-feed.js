@@ -0,0 +1,77 @@
+/**
+ * Change feed for TeamSite
+ * Routes publish changes under the same names DataManager's listeners use
+ * (playerAdded, teamUpdated, siteConfigUpdated, ...) and every open /api/stream
+ * connection receives them as Server-Sent Events.
+ */
+
+// Recent changes kept so a reconnecting browser can catch up from its Last-Event-ID
+const HISTORY_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+// Suggested delay before the browser reconnects after a dropped connection
+const RETRY_MS = 3000;
+
+// Event ids are "<boot>-<n>", so ids from before a server restart are recognised as stale
+const BOOT_ID = Date.now().toString(36);
+
+const clients = new Set();
+const history = [];
+let lastId = 0;
+
+function writeEvent(res, change) {
+    res.write(`id: ${BOOT_ID}-${change.id}\nevent: ${change.type}\ndata: ${JSON.stringify(change.data)}\n\n`);
+}
+
+/**
+ * Send a change to every subscriber. origin is the X-Client-Id of the tab that made it,
+ * so that tab can skip the echo of its own change.
+ */
+function publish(type, data, origin = null) {
+    const change = { id: ++lastId, type, data: { ...data, origin } };
+    history.push(change);
+    if (history.length > HISTORY_SIZE) history.shift();
+    clients.forEach(res => writeEvent(res, change));
+}
+
+// The tab behind a request, as sent in the X-Client-Id header
+function originOf(req) {
+    return req.get('X-Client-Id') || null;
+}
+
+/**
+ * Hold a request open as an event stream. A "connected" event carries the latest id;
+ * changes after the browser's Last-Event-ID are replayed, and when those can no longer
+ * be replayed (too old, or from before a restart) a "resync" event asks for a full reload.
+ */
+function subscribe(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const [boot, count] = String(lastEventId).split('-');
+        const since = parseInt(count, 10);
+        const oldest = history.length > 0 ? history[0].id : lastId + 1;
+        if (boot !== BOOT_ID || !Number.isInteger(since) || since > lastId || since + 1 < oldest) {
+            writeEvent(res, { id: lastId, type: 'resync', data: {} });
+        } else {
+            history.filter(change => change.id > since).forEach(change => writeEvent(res, change));
+        }
+    }
+    writeEvent(res, { id: lastId, type: 'connected', data: {} });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    clients.add(res);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+}
+
+module.exports = { publish, originOf, subscribe };
@@ -0,0 +1,44 @@
+/**
+ * Optimistic concurrency for TeamSite
+ * Players, teams and the site configuration carry a version that every update bumps.
+ * Reads send it as an ETag; writes may send it back in If-Match (or as "version" in
+ * the body) and are refused with 409 CONFLICT when the row has moved on since.
+ */
+
+function etag(version) {
+    return `"${version}"`;
+}
+
+/**
+ * The version a write expects, from If-Match or body.version; null when the client
+ * did not ask for a check (no header, or If-Match: *). Throws a 400 error when malformed.
+ */
+function expectedVersion(req) {
+    const header = req.get('If-Match');
+    if (header !== undefined && header.trim() === '*') return null;
+    const raw = header !== undefined
+        ? header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')
+        : req.body && req.body.version;
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    const version = Number(raw);
+    if (!Number.isInteger(version) || version < 1) {
+        const error = new Error('If-Match must be the ETag of the version being updated');
+        error.status = 400;
+        error.code = 'INVALID_VERSION';
+        throw error;
+    }
+    return version;
+}
+
+// 409 with the server's current copy so the client can merge
+function conflict(res, current, noun) {
+    return res.status(409).json({
+        error: true,
+        message: `This ${noun} was changed by someone else since you loaded it`,
+        code: 'CONFLICT',
+        current
+    });
+}
+
+module.exports = { etag, expectedVersion, conflict };
@@ -0,0 +1,78 @@
+/**
+ * CSV helpers for TeamSite
+ * RFC 4180 parsing (quoted fields, doubled quotes, CRLF) and spreadsheet-safe writing
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings); blank lines are skipped
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Stop spreadsheets from running text that looks like a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows (arrays of values) as CSV text with CRLF line endings
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Send CSV text as a download
+function sendCsv(res, filename, rows) {
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(toCsv(rows));
+}
+
+module.exports = { parseCsv, toCsv, sendCsv };
@@ -1,21 +1,29 @@
 /**
  * Database setup and connection for TeamSite
- * SQLite database with schema initialization
+ * SQLite database; schema is managed by migrations (see migrator.js)
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('./migrator');
+const { seed, wipe } = require('./seeds');
 
 class Database {
-    constructor() {
+    constructor(dbPath = process.env.TEAMSITE_DB || path.join(__dirname, 'teamsite.db')) {
         this.db = null;
-        this.dbPath = path.join(__dirname, 'teamsite.db');
+        this.dbPath = dbPath;
+        // Every query waits here for the ones before it, so none lands inside another
+        // request's open transaction on the shared connection
+        this.queue = Promise.resolve();
+        // The transaction the current code runs in, whose queries skip the queue it holds
+        this.transactionScope = new AsyncLocalStorage();
     }
 
     /**
-     * Initialize database connection and create tables
+     * Open the database connection
      */
-    async init() {
+    async open() {
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
@@ -23,117 +31,46 @@ class Database {
                     reject(err);
                 } else {
                     console.log('Connected to SQLite database');
-                    this.createTables()
-                        .then(() => this.insertDefaultData())
-                        .then(() => resolve())
-                        .catch(reject);
+                    resolve();
                 }
             });
         });
     }
 
     /**
-     * Create database tables
+     * Open the connection, apply pending migrations and seed a fresh database
      */
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const createTablesSQL = `
-                -- Teams table
-                CREATE TABLE IF NOT EXISTS teams (
-                    id TEXT PRIMARY KEY,
-                    name TEXT NOT NULL UNIQUE,
-                    color TEXT NOT NULL DEFAULT '#3b82f6',
-                    description TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
-
-                -- Players table
-                CREATE TABLE IF NOT EXISTS players (
-                    id TEXT PRIMARY KEY,
-                    name TEXT NOT NULL,
-                    number INTEGER NOT NULL,
-                    team_id TEXT NOT NULL,
-                    position TEXT NOT NULL,
-                    image_path TEXT,
-                    bio TEXT,
-                    batting_average REAL DEFAULT 0,
-                    home_runs INTEGER DEFAULT 0,
-                    rbi INTEGER DEFAULT 0,
-                    games_played INTEGER DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
-                    UNIQUE(team_id, number)
-                );
-
-                -- Site configuration
-                CREATE TABLE IF NOT EXISTS site_config (
-                    id INTEGER PRIMARY KEY DEFAULT 1,
-                    title TEXT NOT NULL DEFAULT 'Little League Champions',
-                    description TEXT DEFAULT 'The future stars of baseball',
-                    primary_color TEXT DEFAULT '#3b82f6',
-                    secondary_color TEXT DEFAULT '#10b981',
-                    accent_color TEXT DEFAULT '#f59e0b',
-                    season_year INTEGER DEFAULT 2024,
-                    start_date TEXT,
-                    end_date TEXT,
-                    all_star_date TEXT,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
-            `;
-
-            this.db.exec(createTablesSQL, (err) => {
-                if (err) {
-                    console.error('Error creating tables:', err);
-                    reject(err);
-                } else {
-                    console.log('Database tables created successfully');
-                    resolve();
-                }
-            });
-        });
+    async init() {
+        await this.open();
+        await new Migrator(this).migrate();
+        await this.transaction(() => this.insertDefaultData());
     }
 
     /**
-     * Insert default data
+     * Seed a fresh database (one without site settings) with a seed profile.
+     * TEAMSITE_SEED picks the profile for new installs; the default is the Tigers demo.
      */
-    async insertDefaultData() {
-        return new Promise((resolve, reject) => {
-            // Check if data already exists
-            this.db.get("SELECT COUNT(*) as count FROM teams", (err, row) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    async insertDefaultData(profile = process.env.TEAMSITE_SEED || 'demo', options = {}) {
+        const row = await this.get('SELECT COUNT(*) as count FROM site_config');
+        if (row.count > 0) {
+            console.log('Default data already exists');
+            return;
+        }
 
-                if (row.count > 0) {
-                    console.log('Default data already exists');
-                    resolve();
-                    return;
-                }
+        await seed(this, profile, options);
+        console.log(`Default data inserted successfully (${profile})`);
+    }
 
-                // Insert default data
-                const insertDataSQL = `
-                    INSERT INTO site_config (id) VALUES (1);
-                    INSERT INTO teams (id, name, color, description) 
-                    VALUES ('tigers', 'Tigers', '#f59e0b', 'The mighty Tigers team');
-                    INSERT INTO players (id, name, number, team_id, position, image_path, bio, batting_average, home_runs, rbi, games_played) VALUES
-                    ('player_1', 'Jason Miller', 12, 'tigers', 'Pitcher', 'http://static.photos/sport/640x360/1', 'Jason is our star pitcher with a powerful fastball.', 0.285, 3, 15, 12),
-                    ('player_2', 'Mike Johnson', 7, 'tigers', 'Shortstop', 'http://static.photos/sport/640x360/2', 'Mike''s quick reflexes make him an excellent shortstop.', 0.320, 5, 22, 12),
-                    ('player_3', 'David Wilson', 23, 'tigers', 'Outfield', 'http://static.photos/sport/640x360/3', 'David''s speed and agility make him a great outfielder.', 0.275, 2, 18, 12);
-                `;
-
-                this.db.exec(insertDataSQL, (err) => {
-                    if (err) {
-                        console.error('Error inserting default data:', err);
-                        reject(err);
-                    } else {
-                        console.log('Default data inserted successfully');
-                        resolve();
-                    }
-                });
-            });
+    /**
+     * Wipe site data and reseed it through insertDefaultData(), in one transaction.
+     * Users, sessions and stat definitions are kept, and so are team assignments to teams
+     * the new data still has.
+     */
+    async reset(profile = 'demo', options = {}) {
+        await this.transaction(async () => {
+            await wipe(this);
+            await this.insertDefaultData(profile, options);
+            await this.run('DELETE FROM user_teams WHERE team_id NOT IN (SELECT id FROM teams)');
         });
     }
 
@@ -148,22 +85,36 @@ class Database {
      * Close database connection
      */
     close() {
-        if (this.db) {
+        return new Promise((resolve) => {
+            if (!this.db) return resolve();
             this.db.close((err) => {
                 if (err) {
                     console.error('Error closing database:', err);
                 } else {
                     console.log('Database connection closed');
                 }
+                resolve();
             });
-        }
+        });
+    }
+
+    /**
+     * Run an operation on the connection after everything queued before it; inside an
+     * open transaction it runs at once, as part of that transaction
+     */
+    enqueue(operation) {
+        const scope = this.transactionScope.getStore();
+        if (scope && scope.open) return operation();
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
     }
 
     /**
      * Execute a query with parameters
      */
     run(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.enqueue(() => new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err);
@@ -171,14 +122,14 @@ class Database {
                     resolve({ id: this.lastID, changes: this.changes });
                 }
             });
-        });
+        }));
     }
 
     /**
      * Get a single row
      */
     get(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.enqueue(() => new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => {
                 if (err) {
                     reject(err);
@@ -186,6 +137,45 @@ class Database {
                     resolve(row);
                 }
             });
+        }));
+    }
+
+    /**
+     * Execute one or more statements without parameters
+     */
+    exec(sql) {
+        return this.enqueue(() => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        }));
+    }
+
+    /**
+     * Run work inside a transaction; rolls back if it throws.
+     * The transaction holds the query queue until it ends, so queries from elsewhere wait
+     * for it rather than running inside it.
+     */
+    transaction(work) {
+        return this.enqueue(() => {
+            const scope = { open: true };
+            return this.transactionScope.run(scope, async () => {
+                await this.exec('BEGIN');
+                try {
+                    const value = await work(this);
+                    await this.exec('COMMIT');
+                    return value;
+                } catch (err) {
+                    await this.exec('ROLLBACK');
+                    throw err;
+                } finally {
+                    scope.open = false;
+                }
+            });
         });
     }
 
@@ -193,7 +183,7 @@ class Database {
      * Get all rows
      */
     all(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.enqueue(() => new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     reject(err);
@@ -201,7 +191,7 @@ class Database {
                     resolve(rows);
                 }
             });
-        });
+        }));
     }
 }
 
@@ -0,0 +1,23 @@
+/**
+ * Event times for TeamSite
+ * Schedule times are stored as ISO 8601 UTC strings, so they sort and compare as text.
+ * Browsers send UTC; a time without a zone (a bare date, or a date and time) is read as
+ * this server's local time.
+ */
+
+function isValidTime(value) {
+    return !isNaN(parseTime(value).getTime());
+}
+
+// A bare date means midnight local time, as a date with a time does
+function parseTime(value) {
+    const text = String(value);
+    return new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text);
+}
+
+// The stored form of a valid time; empty values are null
+function toIsoTime(value) {
+    return value ? parseTime(value).toISOString() : null;
+}
+
+module.exports = { isValidTime, toIsoTime };
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Upload cleanup CLI
+ * Usage: node gc.js [--dry-run]
+ * Removes uploaded files that no player refers to (see uploads.js)
+ */
+
+const Database = require('./database');
+const { collectGarbage } = require('./uploads');
+
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    const db = new Database();
+    await db.open();
+
+    try {
+        const { files, bytes } = await collectGarbage(db, { dryRun });
+        files.forEach(file => console.log(`  ${file}`));
+        const summary = `${files.length} unreferenced file(s), ${Math.round(bytes / 1024)} KB`;
+        console.log(dryRun ? `Dry run: ${summary} would be removed` : `Removed ${summary}`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Cleanup failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,214 @@
+/**
+ * Image processing for TeamSite
+ * Uploaded player photos are decoded once and written out in every size the site uses,
+ * each as WebP and JPEG. EXIF orientation is applied to the pixels and all metadata
+ * (camera details, GPS position) is left out of the generated files.
+ * The file's type is read from its first bytes, never from its name or the browser's
+ * word for it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// Largest file accepted for processing
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Largest picture accepted, so a small file cannot decode to an enormous one
+const MAX_IMAGE_DIMENSION = 8000;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Accepted types and the bytes each file starts with (null matches any byte)
+const IMAGE_SIGNATURES = {
+    jpeg: [[0xff, 0xd8, 0xff]],
+    png: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    gif: [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+    webp: [[...Buffer.from('RIFF'), null, null, null, null, ...Buffer.from('WEBP')]]
+};
+
+// Player cards in the carousel are 2.5 x 3.5 units
+const CARD_ASPECT = 2.5 / 3.5;
+
+// Generated sizes. thumb is a square crop for lists; card is a power-of-two texture
+// holding a card-shaped crop (stretched back to shape on the card face); full and logo keep
+// the picture's own shape, scaled down to fit; banner is a wide strip cropped to fill.
+const IMAGE_SIZES = {
+    thumb: { width: 128, height: 128 },
+    card: { width: 512, height: 512 },
+    full: { width: 1600, height: 1600 },
+    logo: { width: 512, height: 512 },
+    banner: { width: 1600, height: 400 }
+};
+
+// The sizes each kind of picture is made in. The last is its main size: the one whose JPEG
+// path is stored, and whose name tells the kind apart.
+const IMAGE_KINDS = {
+    photo: ['thumb', 'card', 'full'],
+    logo: ['logo'],
+    banner: ['banner']
+};
+
+const IMAGE_FORMATS = {
+    webp: { extension: 'webp', options: { quality: 80 } },
+    jpeg: { extension: 'jpg', options: { quality: 82, mozjpeg: true } }
+};
+
+// Generated files are named <stamp>-<size>.<extension> inside images/<player id>,
+// teams/<team id> or pending/<upload token> (until the player is saved). The stamp is the
+// upload time and a uuid, so uploads in the same millisecond cannot overwrite each other;
+// files from before the uuid was added have only the time.
+const VARIANT_PATH = /^\/uploads\/((?:images|teams|pending)\/[^/]+)\/(\d+(?:_[0-9a-f-]{36})?)-(\w+)\.jpg$/;
+
+function mainSize(kind) {
+    return IMAGE_KINDS[kind][IMAGE_KINDS[kind].length - 1];
+}
+
+function variantName(stamp, size, format) {
+    return `${stamp}-${size}.${IMAGE_FORMATS[format].extension}`;
+}
+
+function variantPath(folder, stamp, size, format) {
+    return `/uploads/${folder}/${variantName(stamp, size, format)}`;
+}
+
+function imageError(message, code) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = code;
+    return error;
+}
+
+/**
+ * The image type a file's first bytes show (jpeg, png, gif or webp), or null for anything else
+ */
+function sniffImageType(buffer) {
+    const type = Object.keys(IMAGE_SIGNATURES).find(name => IMAGE_SIGNATURES[name].some(signature =>
+        buffer.length >= signature.length &&
+        [...signature].every((byte, i) => byte === null || buffer[i] === byte)
+    ));
+    return type || null;
+}
+
+// The type a browser claimed for a file (image/jpeg, image/jpg, ...), as named in IMAGE_SIGNATURES
+function declaredImageType(mimetype) {
+    const subtype = String(mimetype || '').toLowerCase().replace(/^image\//, '');
+    return subtype === 'jpg' ? 'jpeg' : subtype;
+}
+
+function decode(buffer) {
+    return sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+}
+
+/**
+ * Every size of a processed picture, as { thumb: { webp, jpeg }, card: ..., full: ... } for
+ * a photo, worked out from the main-size path that is stored. Pictures stored before
+ * processing (or linked from elsewhere) have no sizes and return null.
+ */
+function imageVariants(imagePath) {
+    const match = VARIANT_PATH.exec(imagePath || '');
+    const kind = match && Object.keys(IMAGE_KINDS).find(name => mainSize(name) === match[3]);
+    if (!kind) return null;
+    const [, folder, stamp] = match;
+    const variants = {};
+    IMAGE_KINDS[kind].forEach(size => {
+        variants[size] = {};
+        Object.keys(IMAGE_FORMATS).forEach(format => {
+            variants[size][format] = variantPath(folder, stamp, size, format);
+        });
+    });
+    return variants;
+}
+
+// Oriented pixels at one size, ready to encode
+async function resized(buffer, size) {
+    const { width, height } = IMAGE_SIZES[size];
+    if (size === 'thumb' || size === 'banner') {
+        return decode(buffer).rotate().resize(width, height, { fit: 'cover', position: 'attention' });
+    }
+    if (size === 'card') {
+        const cropped = await decode(buffer)
+            .rotate()
+            .resize(Math.round(height * CARD_ASPECT), height, { fit: 'cover', position: 'attention' })
+            .toBuffer();
+        return sharp(cropped).resize(width, height, { fit: 'fill' });
+    }
+    return decode(buffer).rotate().resize(width, height, { fit: 'inside', withoutEnlargement: true });
+}
+
+/**
+ * Check an upload is what it claims to be and small enough to decode. Throws an error
+ * with status 400: UNSUPPORTED_IMAGE_TYPE when the contents are not an accepted image,
+ * DISGUISED_IMAGE when they are a different type than the file claims, INVALID_IMAGE
+ * when it cannot be decoded and IMAGE_TOO_LARGE when its dimensions are over the limit.
+ */
+async function validateImage(buffer, mimetype) {
+    const type = sniffImageType(buffer);
+    if (!type) {
+        throw imageError('Only image files (JPEG, PNG, GIF, WebP) are allowed', 'UNSUPPORTED_IMAGE_TYPE');
+    }
+    const declared = declaredImageType(mimetype);
+    if (declared !== type) {
+        throw imageError(`The file claims to be ${declared || 'unknown'} but contains a ${type.toUpperCase()} image`, 'DISGUISED_IMAGE');
+    }
+
+    let metadata;
+    try {
+        // Reads the header only, so oversized pictures are caught before decoding
+        metadata = await sharp(buffer).metadata();
+    } catch (e) {
+        throw imageError('The file could not be read as an image', 'INVALID_IMAGE');
+    }
+    if (metadata.format !== type) {
+        throw imageError('The file could not be read as an image', 'INVALID_IMAGE');
+    }
+    if (metadata.width > MAX_IMAGE_DIMENSION || metadata.height > MAX_IMAGE_DIMENSION ||
+        metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+        throw imageError(
+            `Image is ${metadata.width}x${metadata.height}; the largest accepted is ${MAX_IMAGE_DIMENSION}px a side and ${MAX_IMAGE_PIXELS / 1000000} megapixels`,
+            'IMAGE_TOO_LARGE'
+        );
+    }
+    return type;
+}
+
+/**
+ * Validate an uploaded picture (see validateImage) and write each of its kind's sizes, in
+ * every format, to a folder under uploads/: images/<player id>, teams/<team id> or
+ * pending/<upload token>. Returns { path, images, width, height }, where path is the
+ * main-size JPEG.
+ */
+async function processImage(buffer, mimetype, folder, kind = 'photo') {
+    await validateImage(buffer, mimetype);
+
+    const dir = path.join(UPLOADS_DIR, folder);
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = `${Date.now()}_${uuidv4()}`;
+    let main = null;
+    for (const size of IMAGE_KINDS[kind]) {
+        const image = await resized(buffer, size);
+        for (const [format, { options }] of Object.entries(IMAGE_FORMATS)) {
+            const file = path.join(dir, variantName(stamp, size, format));
+            // JPEG has no transparency, so see-through areas (of a logo, say) become white
+            const output = format === 'jpeg' ? image.clone().flatten({ background: '#ffffff' }) : image.clone();
+            const info = await output.toFormat(format, options).toFile(file);
+            if (size === mainSize(kind)) main = info;
+        }
+    }
+
+    const mainPath = variantPath(folder, stamp, mainSize(kind), 'jpeg');
+    return { path: mainPath, images: imageVariants(mainPath), width: main.width, height: main.height };
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    IMAGE_SIZES,
+    IMAGE_FORMATS,
+    IMAGE_KINDS,
+    sniffImageType,
+    validateImage,
+    imageVariants,
+    processImage
+};
@@ -0,0 +1,125 @@
+/**
+ * Stat leaderboards for TeamSite
+ * Players of one sport are ranked on one stat for a season: highest first, or lowest first
+ * for stats marked lower_is_better. Rate stats (formulas) only rank players who played
+ * enough games to qualify and whose formula has something to divide by. Tied players share a rank, and ties at the cutoff are all kept,
+ * so a board can run past its limit.
+ */
+
+const { attachStats, loadStatDefinitions } = require('./stats');
+
+// Ranked like a stat, though it is counted rather than defined per sport
+const GAMES_PLAYED = 'gamesPlayed';
+
+const GAMES_PLAYED_STAT = {
+    key: GAMES_PLAYED,
+    label: 'Games Played',
+    abbreviation: 'G',
+    type: 'integer',
+    decimals: 0,
+    lowerIsBetter: false
+};
+
+// Players as rostered in a season (the current one without), with that season's stats
+async function seasonPlayers(db, season) {
+    const rows = season && !season.is_current
+        ? await db.all(`
+            SELECT p.id, p.name, r.number, r.team_id, p.image_path, t.name as team_name, t.color as team_color, t.sport
+            FROM season_rosters r
+            JOIN players p ON r.player_id = p.id
+            JOIN teams t ON r.team_id = t.id
+            WHERE r.season_id = ? AND p.deleted_at IS NULL AND t.deleted_at IS NULL
+        `, [season.id])
+        : await db.all(`
+            SELECT p.id, p.name, p.number, p.team_id, p.image_path, t.name as team_name, t.color as team_color, t.sport
+            FROM players p
+            JOIN teams t ON p.team_id = t.id
+            WHERE p.deleted_at IS NULL AND t.deleted_at IS NULL
+        `);
+    // A rate with nothing to divide by (ERA without innings) is null rather than a leading 0
+    return attachStats(db, rows, season && season.id, { undefinedAs: null });
+}
+
+/**
+ * The sports whose stats include a key (games played belongs to every sport), narrowed to
+ * the sports some team plays when any of them do
+ */
+async function sportsWithStat(db, key) {
+    const definitions = await loadStatDefinitions(db);
+    const sports = Object.keys(definitions).filter(sport =>
+        key === GAMES_PLAYED || definitions[sport].some(def => def.key === key));
+    const played = new Set((await db.all('SELECT DISTINCT sport FROM teams WHERE deleted_at IS NULL')).map(r => r.sport));
+    const inPlay = sports.filter(sport => played.has(sport));
+    return inPlay.length > 0 ? inPlay : sports;
+}
+
+/**
+ * Games needed to qualify when the caller sets no minimum: one for counted stats, and for
+ * rate stats half the most games any player in the pool has played, rounded up
+ */
+function defaultMinGames(stat, players) {
+    if (stat.type !== 'formula') return 1;
+    const most = Math.max(0, ...players.map(p => p.gamesPlayed));
+    return Math.max(1, Math.ceil(most / 2));
+}
+
+/**
+ * The leaderboard for a stat of a sport: { stat, sport, minGames, qualified, leaders }.
+ * Options: teamId (one team's players only), limit (ranks to return) and minGames.
+ * Resolves to null when the sport has no such stat.
+ */
+async function computeLeaders(db, season, { stat: key, sport, teamId = null, limit = 10, minGames = null }) {
+    const definitions = (await loadStatDefinitions(db))[sport] || [];
+    const stat = key === GAMES_PLAYED ? GAMES_PLAYED_STAT : definitions.find(def => def.key === key);
+    if (!stat) return null;
+
+    const pool = (await seasonPlayers(db, season))
+        .filter(p => p.sport === sport && (!teamId || p.team_id === teamId));
+    const required = minGames ?? defaultMinGames(stat, pool);
+    const valueOf = p => (key === GAMES_PLAYED ? p.gamesPlayed : p.stats[key]);
+
+    const qualified = pool
+        .filter(p => p.gamesPlayed >= required && valueOf(p) !== null)
+        .sort((a, b) => {
+            const order = stat.lowerIsBetter ? valueOf(a) - valueOf(b) : valueOf(b) - valueOf(a);
+            return order || a.name.localeCompare(b.name);
+        });
+
+    // Competition ranking: 1, 2, 2, 4
+    const ranked = qualified.map(p => ({ player: p, value: valueOf(p) }));
+    ranked.forEach((entry, i) => {
+        entry.rank = i > 0 && entry.value === ranked[i - 1].value ? ranked[i - 1].rank : i + 1;
+    });
+    const counts = new Map();
+    ranked.forEach(entry => counts.set(entry.rank, (counts.get(entry.rank) || 0) + 1));
+
+    return {
+        stat: {
+            key: stat.key,
+            label: stat.label,
+            abbreviation: stat.abbreviation,
+            type: stat.type,
+            decimals: stat.decimals,
+            lowerIsBetter: stat.lowerIsBetter
+        },
+        sport,
+        minGames: required,
+        qualified: qualified.length,
+        leaders: ranked
+            .filter(entry => entry.rank <= limit)
+            .map(({ player, value, rank }) => ({
+                rank,
+                tied: counts.get(rank) > 1,
+                playerId: player.id,
+                name: player.name,
+                number: player.number,
+                teamId: player.team_id,
+                teamName: player.team_name,
+                teamColor: player.team_color,
+                gamesPlayed: player.gamesPlayed,
+                value
+            }))
+    };
+}
+
+module.exports = { GAMES_PLAYED, sportsWithStat, computeLeaders };
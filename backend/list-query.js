@@ -0,0 +1,111 @@
+/**
+ * List query parameters for TeamSite collection endpoints
+ * ?page=&limit= paging, ?sort=&order= sorting and ?fields= sparse field selection
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Bad query parameters carry a 400 status and an API error code
+function queryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+function positiveInteger(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw queryError(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * ?page= (from 1) and ?limit= (default 50, at most 200) as { page, limit, offset }
+ */
+function parsePaging(query) {
+    const page = positiveInteger(query.page, 'page', 1);
+    const limit = positiveInteger(query.limit, 'limit', DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw queryError(`limit must be at most ${MAX_LIMIT}`);
+    }
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginationMeta({ page, limit }, total) {
+    return {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasMore: page * limit < total
+    };
+}
+
+/**
+ * ?sort= and ?order=asc|desc as { sort, descending }; the route checks the sort key
+ */
+function parseSort(query, defaultSort) {
+    const order = String(query.order || 'asc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw queryError('order must be asc or desc');
+    }
+    return { sort: query.sort || defaultSort, descending: order === 'desc' };
+}
+
+/**
+ * ?fields=id,name,stats.hits as a list, or null for every field. Fields not in known
+ * (the fields the endpoint can return) are refused.
+ */
+function parseFields(query, known) {
+    if (!query.fields) return null;
+    const fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const bad = fields.find(f => !/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)?$/.test(f));
+    if (bad) {
+        throw queryError(`Invalid field "${bad}"`);
+    }
+    const unknown = fields.find(f => !known.includes(f));
+    if (unknown) {
+        throw queryError(`Unknown field "${unknown}"`);
+    }
+    return fields;
+}
+
+/**
+ * Keep only the requested fields of an item; "stats.hits" picks one key of a nested object.
+ * Fields the item does not have (another sport's stats) are left out.
+ */
+function selectFields(item, fields) {
+    if (!fields) return item;
+    const selected = {};
+    fields.forEach(field => {
+        const [key, nested] = field.split('.');
+        if (!(key in item)) return;
+        if (!nested) {
+            selected[key] = item[key];
+        } else if (item[key] && typeof item[key] === 'object' && nested in item[key]) {
+            selected[key] = { ...selected[key], [nested]: item[key][nested] };
+        }
+    });
+    return selected;
+}
+
+// Substring LIKE pattern with % and _ matched literally (use with ESCAPE '\')
+function likePattern(text) {
+    return `%${String(text).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    queryError,
+    parsePaging,
+    paginationMeta,
+    parseSort,
+    parseFields,
+    selectFields,
+    likePattern
+};
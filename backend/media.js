@@ -0,0 +1,208 @@
+/**
+ * Media library for TeamSite
+ * Players and teams own any number of photos, kept in order with optional captions. One of
+ * a player's photos is primary; a team also has one logo and one banner. The primary photo
+ * is mirrored to players.image_path and the logo and banner to teams.logo_path and
+ * banner_path, so everything that shows a single picture keeps reading those columns.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { imageVariants } = require('./images');
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+const MEDIA_OWNER_TYPES = ['player', 'team'];
+const MEDIA_KINDS = ['photo', 'logo', 'banner'];
+
+// Kinds a team has one of, and the teams column each is mirrored to
+const TEAM_IMAGE_COLUMNS = { logo: 'logo_path', banner: 'banner_path' };
+
+// Map DB shape -> API shape
+function formatMedia(r) {
+    return {
+        id: r.id,
+        ownerType: r.owner_type,
+        ownerId: r.owner_id,
+        kind: r.kind,
+        path: r.path,
+        images: imageVariants(r.path),
+        caption: r.caption,
+        isPrimary: !!r.is_primary,
+        sortOrder: r.sort_order,
+        width: r.width,
+        height: r.height,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+// The uploads/ folder an owner's pictures are written to
+function mediaFolder(ownerType, ownerId) {
+    return ownerType === 'player' ? `images/${ownerId}` : `teams/${ownerId}`;
+}
+
+/**
+ * An owner's media in display order (optionally one kind only), formatted for the API
+ */
+async function listMedia(db, ownerType, ownerId, kind = null) {
+    const rows = await db.all(`
+        SELECT * FROM media
+        WHERE owner_type = ? AND owner_id = ? AND (? IS NULL OR kind = ?)
+        ORDER BY kind, sort_order, created_at
+    `, [ownerType, ownerId, kind, kind]);
+    return rows.map(formatMedia);
+}
+
+async function nextSortOrder(db, ownerType, ownerId, kind) {
+    const { next } = await db.get(
+        'SELECT COALESCE(MAX(sort_order) + 1, 0) as next FROM media WHERE owner_type = ? AND owner_id = ? AND kind = ?',
+        [ownerType, ownerId, kind]
+    );
+    return next;
+}
+
+/**
+ * Add a picture to an owner's library and return its row. A player's first photo becomes
+ * primary; a team's new logo or banner replaces the old one.
+ */
+async function addMedia(db, { ownerType, ownerId, kind, path: mediaPath, caption = null, width = null, height = null }) {
+    if (TEAM_IMAGE_COLUMNS[kind]) {
+        await db.run('DELETE FROM media WHERE owner_type = ? AND owner_id = ? AND kind = ?', [ownerType, ownerId, kind]);
+    }
+    const hasPrimary = await db.get(
+        "SELECT 1 FROM media WHERE owner_type = ? AND owner_id = ? AND kind = 'photo' AND is_primary = 1",
+        [ownerType, ownerId]
+    );
+    const id = `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await db.run(`
+        INSERT INTO media (id, owner_type, owner_id, kind, path, caption, is_primary, sort_order, width, height)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        id, ownerType, ownerId, kind, mediaPath, caption,
+        kind === 'photo' && !hasPrimary ? 1 : 0,
+        await nextSortOrder(db, ownerType, ownerId, kind),
+        width, height
+    ]);
+    return db.get('SELECT * FROM media WHERE id = ?', [id]);
+}
+
+/**
+ * Make one of an owner's photos the primary one
+ */
+async function setPrimaryPhoto(db, media) {
+    await db.run(
+        "UPDATE media SET is_primary = (id = ?), updated_at = CURRENT_TIMESTAMP WHERE owner_type = ? AND owner_id = ? AND kind = 'photo'",
+        [media.id, media.owner_type, media.owner_id]
+    );
+}
+
+/**
+ * Put an owner's pictures of one kind in the given order. ids must be exactly the ids of
+ * those pictures; returns false (changing nothing) when they are not.
+ */
+async function reorderMedia(db, ownerType, ownerId, kind, ids) {
+    const rows = await db.all('SELECT id FROM media WHERE owner_type = ? AND owner_id = ? AND kind = ?', [ownerType, ownerId, kind]);
+    const existing = new Set(rows.map(r => r.id));
+    if (ids.length !== existing.size || new Set(ids).size !== ids.length || !ids.every(id => existing.has(id))) {
+        return false;
+    }
+    for (const [index, id] of ids.entries()) {
+        await db.run('UPDATE media SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [index, id]);
+    }
+    return true;
+}
+
+/**
+ * Remove a picture from the library (its files are left to upload cleanup). When it was
+ * the primary photo, the next photo in order takes over.
+ */
+async function removeMedia(db, media) {
+    await db.run('DELETE FROM media WHERE id = ?', [media.id]);
+    if (media.is_primary) {
+        const next = await db.get(
+            "SELECT * FROM media WHERE owner_type = ? AND owner_id = ? AND kind = 'photo' ORDER BY sort_order, created_at LIMIT 1",
+            [media.owner_type, media.owner_id]
+        );
+        if (next) await setPrimaryPhoto(db, next);
+    }
+}
+
+/**
+ * Copy an owner's primary photo (or a team's logo and banner) onto its row, bumping its
+ * version when that changes anything. Returns whether it did.
+ */
+async function syncOwnerImages(db, ownerType, ownerId) {
+    const pathOf = async (kind, primaryOnly) => {
+        const row = await db.get(`
+            SELECT path FROM media
+            WHERE owner_type = ? AND owner_id = ? AND kind = ? ${primaryOnly ? 'AND is_primary = 1' : ''}
+            ORDER BY sort_order LIMIT 1
+        `, [ownerType, ownerId, kind]);
+        return row ? row.path : null;
+    };
+
+    if (ownerType === 'player') {
+        const imagePath = await pathOf('photo', true);
+        const result = await db.run(`
+            UPDATE players SET image_path = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND image_path IS NOT ?
+        `, [imagePath, ownerId, imagePath]);
+        return result.changes > 0;
+    }
+
+    const logoPath = await pathOf('logo', false);
+    const bannerPath = await pathOf('banner', false);
+    const result = await db.run(`
+        UPDATE teams SET logo_path = ?, banner_path = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND (logo_path IS NOT ? OR banner_path IS NOT ?)
+    `, [logoPath, bannerPath, ownerId, logoPath, bannerPath]);
+    return result.changes > 0;
+}
+
+/**
+ * Keep the library in step when a player's image is set on the player itself (the player
+ * form): that image becomes their primary photo, joining the library if it is new.
+ */
+async function adoptPlayerImage(db, playerId, imagePath) {
+    if (!imagePath) return;
+    let media = await db.get(
+        "SELECT * FROM media WHERE owner_type = 'player' AND owner_id = ? AND kind = 'photo' AND path = ?",
+        [playerId, imagePath]
+    );
+    if (!media) {
+        media = await addMedia(db, { ownerType: 'player', ownerId: playerId, kind: 'photo', path: imagePath });
+    }
+    await setPrimaryPhoto(db, media);
+}
+
+/**
+ * Delete an owner's whole library, with its upload folder
+ */
+async function purgeMedia(db, ownerType, ownerId) {
+    await db.run('DELETE FROM media WHERE owner_type = ? AND owner_id = ?', [ownerType, ownerId]);
+    try {
+        const dir = path.join(UPLOADS_DIR, mediaFolder(ownerType, ownerId));
+        if (fs.existsSync(dir)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    } catch (e) {
+        console.warn(`Failed to remove ${ownerType} media folder:`, e.message);
+    }
+}
+
+module.exports = {
+    MEDIA_OWNER_TYPES,
+    MEDIA_KINDS,
+    TEAM_IMAGE_COLUMNS,
+    formatMedia,
+    mediaFolder,
+    listMedia,
+    addMedia,
+    setPrimaryPhoto,
+    reorderMedia,
+    removeMedia,
+    syncOwnerImages,
+    adoptPlayerImage,
+    purgeMedia
+};
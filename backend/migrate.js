@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ * Usage: node migrate.js [up|status|rollback [steps]]
+ */
+
+const Database = require('./database');
+const Migrator = require('./migrator');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = new Database();
+    await db.open();
+    const migrator = new Migrator(db);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrator.migrate();
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'status') {
+            const migrations = await migrator.status();
+            migrations.forEach(m => {
+                const state = m.applied ? `applied ${m.appliedAt}` : 'pending';
+                console.log(`${m.applied ? '✅' : '⏳'} ${m.name} (${state})`);
+            });
+        } else if (command === 'rollback') {
+            const steps = parseInt(arg, 10) || 1;
+            const reverted = await migrator.rollback(steps);
+            console.log(reverted.length ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+        } else {
+            throw new Error(`Unknown command: ${command} (expected up, status or rollback)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Initial schema: teams, players and site configuration.
+ * Uses IF NOT EXISTS so databases created before migrations adopt it as-is.
+ */
+
+module.exports = {
+    up: `
+        -- Teams table
+        CREATE TABLE IF NOT EXISTS teams (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            color TEXT NOT NULL DEFAULT '#3b82f6',
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Players table
+        CREATE TABLE IF NOT EXISTS players (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            number INTEGER NOT NULL,
+            team_id TEXT NOT NULL,
+            position TEXT NOT NULL,
+            image_path TEXT,
+            bio TEXT,
+            batting_average REAL DEFAULT 0,
+            home_runs INTEGER DEFAULT 0,
+            rbi INTEGER DEFAULT 0,
+            games_played INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+            UNIQUE(team_id, number)
+        );
+
+        -- Site configuration
+        CREATE TABLE IF NOT EXISTS site_config (
+            id INTEGER PRIMARY KEY DEFAULT 1,
+            title TEXT NOT NULL DEFAULT 'Little League Champions',
+            description TEXT DEFAULT 'The future stars of baseball',
+            primary_color TEXT DEFAULT '#3b82f6',
+            secondary_color TEXT DEFAULT '#10b981',
+            accent_color TEXT DEFAULT '#f59e0b',
+            season_year INTEGER DEFAULT 2024,
+            start_date TEXT,
+            end_date TEXT,
+            all_star_date TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS site_config;
+        DROP TABLE IF EXISTS players;
+        DROP TABLE IF EXISTS teams;
+    `
+};
@@ -0,0 +1,55 @@
+/**
+ * Admin user accounts, team assignments and login sessions
+ */
+
+module.exports = {
+    up: `
+        -- Admin users
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            display_name TEXT,
+            email TEXT,
+            role TEXT NOT NULL DEFAULT 'viewer'
+                CHECK (role IN ('owner', 'league_admin', 'team_manager', 'viewer')),
+            password_hash TEXT NOT NULL,
+            password_salt TEXT NOT NULL,
+            must_change_password INTEGER NOT NULL DEFAULT 0,
+            disabled INTEGER NOT NULL DEFAULT 0,
+            last_login_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Teams a team manager is assigned to
+        CREATE TABLE IF NOT EXISTS user_teams (
+            user_id TEXT NOT NULL,
+            team_id TEXT NOT NULL,
+            PRIMARY KEY (user_id, team_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+        );
+
+        -- Login sessions (tokens are stored hashed; times are epoch ms)
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            token_hash TEXT NOT NULL UNIQUE,
+            user_id TEXT NOT NULL,
+            ip TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            absolute_expires_at INTEGER NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS sessions;
+        DROP TABLE IF EXISTS user_teams;
+        DROP TABLE IF EXISTS users;
+    `
+};
@@ -0,0 +1,42 @@
+/**
+ * Events and game schedule.
+ * Existing season dates from site_config are carried over as events.
+ */
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS events (
+            id TEXT PRIMARY KEY,
+            title TEXT NOT NULL,
+            type TEXT NOT NULL DEFAULT 'game'
+                CHECK (type IN ('game', 'practice', 'tournament', 'social')),
+            description TEXT,
+            location TEXT,
+            home_team_id TEXT,
+            away_team_id TEXT,
+            start_time TEXT NOT NULL,
+            end_time TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (home_team_id) REFERENCES teams(id) ON DELETE SET NULL,
+            FOREIGN KEY (away_team_id) REFERENCES teams(id) ON DELETE SET NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_events_start_time ON events(start_time);
+
+        INSERT INTO events (id, title, type, description, start_time)
+        SELECT 'event_opening_day', 'Opening Day', 'game', 'Season opener', start_date
+        FROM site_config WHERE id = 1 AND start_date IS NOT NULL;
+
+        INSERT INTO events (id, title, type, description, start_time)
+        SELECT 'event_championship', 'Championship Game', 'game', 'Championship finals', end_date
+        FROM site_config WHERE id = 1 AND end_date IS NOT NULL;
+
+        INSERT INTO events (id, title, type, description, start_time)
+        SELECT 'event_all_star', 'All-Star Weekend', 'tournament', 'All-Star game and skills competition', all_star_date
+        FROM site_config WHERE id = 1 AND all_star_date IS NOT NULL;
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS events;
+    `
+};
@@ -0,0 +1,49 @@
+/**
+ * Games and per-player batting lines.
+ * Player season stats are computed from batting_lines; the old stat columns
+ * on players are no longer read or written.
+ */
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS games (
+            id TEXT PRIMARY KEY,
+            team_id TEXT NOT NULL,
+            opponent TEXT NOT NULL,
+            opponent_team_id TEXT,
+            event_id TEXT,
+            game_date TEXT NOT NULL,
+            is_home INTEGER NOT NULL DEFAULT 1,
+            team_score INTEGER,
+            opponent_score INTEGER,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+            FOREIGN KEY (opponent_team_id) REFERENCES teams(id) ON DELETE SET NULL,
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_games_team ON games(team_id);
+        CREATE INDEX IF NOT EXISTS idx_games_opponent_team ON games(opponent_team_id);
+
+        CREATE TABLE IF NOT EXISTS batting_lines (
+            game_id TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            at_bats INTEGER NOT NULL DEFAULT 0,
+            hits INTEGER NOT NULL DEFAULT 0,
+            home_runs INTEGER NOT NULL DEFAULT 0,
+            rbi INTEGER NOT NULL DEFAULT 0,
+            walks INTEGER NOT NULL DEFAULT 0,
+            strikeouts INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (game_id, player_id),
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_batting_lines_player ON batting_lines(player_id);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS batting_lines;
+        DROP TABLE IF EXISTS games;
+    `
+};
@@ -0,0 +1,102 @@
+/**
+ * Sport-agnostic stat definitions.
+ * Teams get a sport; each sport has its own recorded stats and formulas.
+ * Box score values move from the fixed batting_lines columns to one row per stat.
+ */
+
+const BATTING_KEYS = ['at_bats', 'hits', 'home_runs', 'rbi', 'walks', 'strikeouts'];
+
+module.exports = {
+    up: `
+        ALTER TABLE teams ADD COLUMN sport TEXT NOT NULL DEFAULT 'baseball';
+
+        CREATE TABLE IF NOT EXISTS stat_definitions (
+            id TEXT PRIMARY KEY,
+            sport TEXT NOT NULL,
+            key TEXT NOT NULL,
+            label TEXT NOT NULL,
+            abbreviation TEXT,
+            type TEXT NOT NULL CHECK (type IN ('integer', 'decimal', 'formula')),
+            min_value REAL,
+            max_value REAL,
+            formula TEXT,
+            decimals INTEGER NOT NULL DEFAULT 0,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (sport, key)
+        );
+
+        INSERT INTO stat_definitions (id, sport, key, label, abbreviation, type, min_value, max_value, formula, decimals, sort_order) VALUES
+        ('stat_baseball_at_bats', 'baseball', 'at_bats', 'At Bats', 'AB', 'integer', 0, NULL, NULL, 0, 1),
+        ('stat_baseball_hits', 'baseball', 'hits', 'Hits', 'H', 'integer', 0, NULL, NULL, 0, 2),
+        ('stat_baseball_home_runs', 'baseball', 'home_runs', 'Home Runs', 'HR', 'integer', 0, NULL, NULL, 0, 3),
+        ('stat_baseball_rbi', 'baseball', 'rbi', 'Runs Batted In', 'RBI', 'integer', 0, NULL, NULL, 0, 4),
+        ('stat_baseball_walks', 'baseball', 'walks', 'Walks', 'BB', 'integer', 0, NULL, NULL, 0, 5),
+        ('stat_baseball_strikeouts', 'baseball', 'strikeouts', 'Strikeouts', 'SO', 'integer', 0, NULL, NULL, 0, 6),
+        ('stat_baseball_batting_average', 'baseball', 'batting_average', 'Batting Average', 'AVG', 'formula', NULL, NULL, 'hits / at_bats', 3, 7),
+        ('stat_baseball_on_base', 'baseball', 'on_base_percentage', 'On-Base Percentage', 'OBP', 'formula', NULL, NULL, '(hits + walks) / (at_bats + walks)', 3, 8),
+
+        ('stat_softball_innings', 'softball', 'innings_pitched', 'Innings Pitched', 'IP', 'decimal', 0, 7, NULL, 1, 1),
+        ('stat_softball_hits_allowed', 'softball', 'hits_allowed', 'Hits Allowed', 'H', 'integer', 0, NULL, NULL, 0, 2),
+        ('stat_softball_earned_runs', 'softball', 'earned_runs', 'Earned Runs', 'ER', 'integer', 0, NULL, NULL, 0, 3),
+        ('stat_softball_walks', 'softball', 'walks_allowed', 'Walks Allowed', 'BB', 'integer', 0, NULL, NULL, 0, 4),
+        ('stat_softball_strikeouts', 'softball', 'strikeouts', 'Strikeouts', 'K', 'integer', 0, NULL, NULL, 0, 5),
+        ('stat_softball_era', 'softball', 'era', 'Earned Run Average', 'ERA', 'formula', NULL, NULL, 'earned_runs * 7 / innings_pitched', 2, 6),
+        ('stat_softball_whip', 'softball', 'whip', 'Walks + Hits per Inning', 'WHIP', 'formula', NULL, NULL, '(walks_allowed + hits_allowed) / innings_pitched', 2, 7),
+
+        ('stat_soccer_goals', 'soccer', 'goals', 'Goals', 'G', 'integer', 0, NULL, NULL, 0, 1),
+        ('stat_soccer_assists', 'soccer', 'assists', 'Assists', 'A', 'integer', 0, NULL, NULL, 0, 2),
+        ('stat_soccer_shots', 'soccer', 'shots', 'Shots', 'SH', 'integer', 0, NULL, NULL, 0, 3),
+        ('stat_soccer_minutes', 'soccer', 'minutes', 'Minutes Played', 'MIN', 'integer', 0, 120, NULL, 0, 4),
+        ('stat_soccer_goals_per_game', 'soccer', 'goals_per_game', 'Goals per Game', 'G/GP', 'formula', NULL, NULL, 'goals / games', 2, 5);
+
+        CREATE TABLE IF NOT EXISTS player_game_stats (
+            game_id TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            stat_key TEXT NOT NULL,
+            value REAL NOT NULL DEFAULT 0,
+            PRIMARY KEY (game_id, player_id, stat_key),
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_player_game_stats_player ON player_game_stats(player_id);
+
+        ${BATTING_KEYS.map(key => `
+            INSERT INTO player_game_stats (game_id, player_id, stat_key, value)
+            SELECT game_id, player_id, '${key}', ${key} FROM batting_lines;
+        `).join('')}
+        DROP TABLE batting_lines;
+    `,
+
+    down: `
+        CREATE TABLE IF NOT EXISTS batting_lines (
+            game_id TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            at_bats INTEGER NOT NULL DEFAULT 0,
+            hits INTEGER NOT NULL DEFAULT 0,
+            home_runs INTEGER NOT NULL DEFAULT 0,
+            rbi INTEGER NOT NULL DEFAULT 0,
+            walks INTEGER NOT NULL DEFAULT 0,
+            strikeouts INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (game_id, player_id),
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_batting_lines_player ON batting_lines(player_id);
+
+        -- Only baseball lines fit the old columns; other sports' values are dropped
+        INSERT INTO batting_lines (game_id, player_id, ${BATTING_KEYS.join(', ')})
+        SELECT s.game_id, s.player_id,
+               ${BATTING_KEYS.map(key => `CAST(SUM(CASE WHEN s.stat_key = '${key}' THEN s.value ELSE 0 END) AS INTEGER)`).join(',\n               ')}
+        FROM player_game_stats s
+        JOIN games g ON s.game_id = g.id
+        JOIN teams t ON g.team_id = t.id
+        WHERE t.sport = 'baseball'
+        GROUP BY s.game_id, s.player_id;
+
+        DROP TABLE IF EXISTS player_game_stats;
+        DROP TABLE IF EXISTS stat_definitions;
+        ALTER TABLE teams DROP COLUMN sport;
+    `
+};
@@ -0,0 +1,62 @@
+/**
+ * Seasons with per-season team rosters.
+ * The site_config season becomes the current season, today's players become its
+ * roster, and existing games and events are filed under it.
+ */
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS seasons (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            year INTEGER NOT NULL,
+            start_date TEXT,
+            end_date TEXT,
+            is_current INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        -- At most one current season
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_current ON seasons(is_current) WHERE is_current = 1;
+
+        INSERT INTO seasons (id, name, year, start_date, end_date, is_current)
+        SELECT 'season_' || season_year, season_year || ' Season', season_year, start_date, end_date, 1
+        FROM site_config WHERE id = 1 AND season_year IS NOT NULL;
+
+        -- Where each player played in a season; players.team_id/number/position mirror the current one
+        CREATE TABLE IF NOT EXISTS season_rosters (
+            season_id TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            team_id TEXT NOT NULL,
+            number INTEGER NOT NULL,
+            position TEXT,
+            PRIMARY KEY (season_id, player_id),
+            FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+            FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_season_rosters_team ON season_rosters(season_id, team_id);
+
+        INSERT INTO season_rosters (season_id, player_id, team_id, number, position)
+        SELECT s.id, p.id, p.team_id, p.number, p.position
+        FROM players p, seasons s
+        WHERE s.is_current = 1;
+
+        ALTER TABLE games ADD COLUMN season_id TEXT REFERENCES seasons(id);
+        UPDATE games SET season_id = (SELECT id FROM seasons WHERE is_current = 1);
+        CREATE INDEX IF NOT EXISTS idx_games_season ON games(season_id);
+
+        ALTER TABLE events ADD COLUMN season_id TEXT REFERENCES seasons(id);
+        UPDATE events SET season_id = (SELECT id FROM seasons WHERE is_current = 1);
+        CREATE INDEX IF NOT EXISTS idx_events_season ON events(season_id);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS idx_events_season;
+        ALTER TABLE events DROP COLUMN season_id;
+        DROP INDEX IF EXISTS idx_games_season;
+        ALTER TABLE games DROP COLUMN season_id;
+        DROP TABLE IF EXISTS season_rosters;
+        DROP TABLE IF EXISTS seasons;
+    `
+};
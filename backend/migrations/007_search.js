@@ -0,0 +1,73 @@
+/**
+ * Full-text search indexes (SQLite FTS5) over players, teams and events.
+ * Each index keeps the source row's id and is kept in step by triggers.
+ */
+
+module.exports = {
+    up: `
+        CREATE VIRTUAL TABLE IF NOT EXISTS players_fts USING fts5(
+            id UNINDEXED, name, position, bio,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS teams_fts USING fts5(
+            id UNINDEXED, name, description,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+            id UNINDEXED, title, description, location,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS players_fts_insert AFTER INSERT ON players BEGIN
+            INSERT INTO players_fts (id, name, position, bio) VALUES (new.id, new.name, new.position, new.bio);
+        END;
+        CREATE TRIGGER IF NOT EXISTS players_fts_update AFTER UPDATE OF id, name, position, bio ON players BEGIN
+            DELETE FROM players_fts WHERE id = old.id;
+            INSERT INTO players_fts (id, name, position, bio) VALUES (new.id, new.name, new.position, new.bio);
+        END;
+        CREATE TRIGGER IF NOT EXISTS players_fts_delete AFTER DELETE ON players BEGIN
+            DELETE FROM players_fts WHERE id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS teams_fts_insert AFTER INSERT ON teams BEGIN
+            INSERT INTO teams_fts (id, name, description) VALUES (new.id, new.name, new.description);
+        END;
+        CREATE TRIGGER IF NOT EXISTS teams_fts_update AFTER UPDATE OF id, name, description ON teams BEGIN
+            DELETE FROM teams_fts WHERE id = old.id;
+            INSERT INTO teams_fts (id, name, description) VALUES (new.id, new.name, new.description);
+        END;
+        CREATE TRIGGER IF NOT EXISTS teams_fts_delete AFTER DELETE ON teams BEGIN
+            DELETE FROM teams_fts WHERE id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+            INSERT INTO events_fts (id, title, description, location) VALUES (new.id, new.title, new.description, new.location);
+        END;
+        CREATE TRIGGER IF NOT EXISTS events_fts_update AFTER UPDATE OF id, title, description, location ON events BEGIN
+            DELETE FROM events_fts WHERE id = old.id;
+            INSERT INTO events_fts (id, title, description, location) VALUES (new.id, new.title, new.description, new.location);
+        END;
+        CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+            DELETE FROM events_fts WHERE id = old.id;
+        END;
+
+        INSERT INTO players_fts (id, name, position, bio) SELECT id, name, position, bio FROM players;
+        INSERT INTO teams_fts (id, name, description) SELECT id, name, description FROM teams;
+        INSERT INTO events_fts (id, title, description, location) SELECT id, title, description, location FROM events;
+    `,
+
+    down: `
+        DROP TRIGGER IF EXISTS events_fts_delete;
+        DROP TRIGGER IF EXISTS events_fts_update;
+        DROP TRIGGER IF EXISTS events_fts_insert;
+        DROP TRIGGER IF EXISTS teams_fts_delete;
+        DROP TRIGGER IF EXISTS teams_fts_update;
+        DROP TRIGGER IF EXISTS teams_fts_insert;
+        DROP TRIGGER IF EXISTS players_fts_delete;
+        DROP TRIGGER IF EXISTS players_fts_update;
+        DROP TRIGGER IF EXISTS players_fts_insert;
+        DROP TABLE IF EXISTS events_fts;
+        DROP TABLE IF EXISTS teams_fts;
+        DROP TABLE IF EXISTS players_fts;
+    `
+};
@@ -0,0 +1,18 @@
+/**
+ * Row versions for optimistic concurrency: every update of a player, team or the
+ * site configuration bumps its version, and stale writes are refused.
+ */
+
+module.exports = {
+    up: `
+        ALTER TABLE players ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE teams ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE site_config ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    `,
+
+    down: `
+        ALTER TABLE site_config DROP COLUMN version;
+        ALTER TABLE teams DROP COLUMN version;
+        ALTER TABLE players DROP COLUMN version;
+    `
+};
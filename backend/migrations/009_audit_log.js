@@ -0,0 +1,27 @@
+/**
+ * Audit log: who changed which player, team, site setting or upload, and how.
+ * Actor and entity names are copied in so entries still read after a deletion.
+ */
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id TEXT PRIMARY KEY,
+            actor_id TEXT,
+            actor_name TEXT,
+            action TEXT NOT NULL,
+            entity_type TEXT NOT NULL,
+            entity_id TEXT,
+            entity_name TEXT,
+            changes TEXT NOT NULL DEFAULT '{}',
+            ip TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS audit_log;
+    `
+};
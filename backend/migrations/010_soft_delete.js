@@ -0,0 +1,133 @@
+/**
+ * Soft deletion for players and teams: deleted rows get a deleted_at time and sit in the
+ * trash until they are restored or purged.
+ * SQLite cannot drop a UNIQUE constraint, so both tables are rebuilt with partial unique
+ * indexes instead; a trashed player no longer holds their number, nor a trashed team its name.
+ */
+
+const TEAMS_SQL = `
+    CREATE TABLE teams_rebuilt (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL DEFAULT '#3b82f6',
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sport TEXT NOT NULL DEFAULT 'baseball',
+        version INTEGER NOT NULL DEFAULT 1,
+        deleted_at DATETIME
+    )
+`;
+
+const PLAYERS_SQL = `
+    CREATE TABLE players_rebuilt (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        team_id TEXT NOT NULL,
+        position TEXT NOT NULL,
+        image_path TEXT,
+        bio TEXT,
+        batting_average REAL DEFAULT 0,
+        home_runs INTEGER DEFAULT 0,
+        rbi INTEGER DEFAULT 0,
+        games_played INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        deleted_at DATETIME,
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+    )
+`;
+
+// The tables as they were, with their UNIQUE constraints and without deleted_at
+const LEGACY_TEAMS_SQL = `
+    CREATE TABLE teams_rebuilt (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        color TEXT NOT NULL DEFAULT '#3b82f6',
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sport TEXT NOT NULL DEFAULT 'baseball',
+        version INTEGER NOT NULL DEFAULT 1
+    )
+`;
+
+const LEGACY_PLAYERS_SQL = `
+    CREATE TABLE players_rebuilt (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        team_id TEXT NOT NULL,
+        position TEXT NOT NULL,
+        image_path TEXT,
+        bio TEXT,
+        batting_average REAL DEFAULT 0,
+        home_runs INTEGER DEFAULT 0,
+        rbi INTEGER DEFAULT 0,
+        games_played INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+        UNIQUE(team_id, number)
+    )
+`;
+
+/**
+ * Replace a table with one created by createSql (as <table>_rebuilt), keeping its rows
+ * and its triggers. Other tables' foreign keys name the table, so they follow the rename.
+ */
+async function rebuildTable(db, table, createSql) {
+    const triggers = await db.all(
+        "SELECT sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ?",
+        [table]
+    );
+    await db.exec(createSql);
+    const target = new Set((await db.all(`PRAGMA table_info(${table}_rebuilt)`)).map(c => c.name));
+    const columns = (await db.all(`PRAGMA table_info(${table})`))
+        .map(c => c.name)
+        .filter(name => target.has(name))
+        .join(', ');
+    await db.run(`INSERT INTO ${table}_rebuilt (${columns}) SELECT ${columns} FROM ${table}`);
+    await db.exec(`DROP TABLE ${table}`);
+    await db.exec(`ALTER TABLE ${table}_rebuilt RENAME TO ${table}`);
+    for (const { sql } of triggers) {
+        await db.exec(sql);
+    }
+}
+
+module.exports = {
+    up: async (db) => {
+        await rebuildTable(db, 'teams', TEAMS_SQL);
+        await rebuildTable(db, 'players', PLAYERS_SQL);
+        await db.exec(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_name ON teams(name) WHERE deleted_at IS NULL;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_players_team_number ON players(team_id, number) WHERE deleted_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_players_deleted ON players(deleted_at);
+            CREATE INDEX IF NOT EXISTS idx_teams_deleted ON teams(deleted_at);
+        `);
+    },
+
+    // Rolling back empties the trash: trashed rows could break the restored UNIQUE constraints
+    down: async (db) => {
+        await db.exec(`
+            DELETE FROM player_game_stats WHERE player_id IN (SELECT id FROM players WHERE deleted_at IS NOT NULL);
+            DELETE FROM season_rosters WHERE player_id IN (SELECT id FROM players WHERE deleted_at IS NOT NULL);
+            DELETE FROM players WHERE deleted_at IS NOT NULL;
+            DELETE FROM player_game_stats WHERE game_id IN (SELECT g.id FROM games g JOIN teams t ON g.team_id = t.id WHERE t.deleted_at IS NOT NULL);
+            DELETE FROM games WHERE team_id IN (SELECT id FROM teams WHERE deleted_at IS NOT NULL);
+            UPDATE games SET opponent_team_id = NULL WHERE opponent_team_id IN (SELECT id FROM teams WHERE deleted_at IS NOT NULL);
+            DELETE FROM season_rosters WHERE team_id IN (SELECT id FROM teams WHERE deleted_at IS NOT NULL);
+            DELETE FROM players WHERE team_id IN (SELECT id FROM teams WHERE deleted_at IS NOT NULL);
+            DELETE FROM teams WHERE deleted_at IS NOT NULL;
+            DROP INDEX IF EXISTS idx_teams_deleted;
+            DROP INDEX IF EXISTS idx_players_deleted;
+            DROP INDEX IF EXISTS idx_players_team_number;
+            DROP INDEX IF EXISTS idx_teams_name;
+        `);
+        await rebuildTable(db, 'players', LEGACY_PLAYERS_SQL);
+        await rebuildTable(db, 'teams', LEGACY_TEAMS_SQL);
+    }
+};
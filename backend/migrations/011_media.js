@@ -0,0 +1,37 @@
+/**
+ * Media library: any number of photos per player and team, with captions, an order and a
+ * primary photo, plus a logo and a banner per team. The player's primary photo and the
+ * team's logo and banner are also kept on their rows (image_path, logo_path, banner_path)
+ * so lists need no join. Existing player photos become each player's primary photo.
+ */
+
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS media (
+            id TEXT PRIMARY KEY,
+            owner_type TEXT NOT NULL CHECK (owner_type IN ('player', 'team')),
+            owner_id TEXT NOT NULL,
+            kind TEXT NOT NULL DEFAULT 'photo' CHECK (kind IN ('photo', 'logo', 'banner')),
+            path TEXT NOT NULL,
+            caption TEXT,
+            is_primary INTEGER NOT NULL DEFAULT 0,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            width INTEGER,
+            height INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_media_owner ON media(owner_type, owner_id, kind, sort_order);
+        ALTER TABLE teams ADD COLUMN logo_path TEXT;
+        ALTER TABLE teams ADD COLUMN banner_path TEXT;
+        INSERT INTO media (id, owner_type, owner_id, kind, path, is_primary)
+        SELECT 'media_' || lower(hex(randomblob(8))), 'player', id, 'photo', image_path, 1
+        FROM players WHERE image_path IS NOT NULL AND image_path != '';
+    `,
+
+    down: `
+        ALTER TABLE teams DROP COLUMN banner_path;
+        ALTER TABLE teams DROP COLUMN logo_path;
+        DROP TABLE IF EXISTS media;
+    `
+};
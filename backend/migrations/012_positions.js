@@ -0,0 +1,94 @@
+/**
+ * Position catalogue: each sport has its own positions, with an abbreviation and a display
+ * order. A player's primary position is stored by abbreviation in players.position and any
+ * secondary ones as a JSON list in players.secondary_positions.
+ * Existing free-text positions that name catalogue positions ("Shortstop", "C, 1B") are
+ * rewritten as abbreviations, the first as primary and the rest as secondary; anything
+ * else is left as it was. Rolling back keeps the abbreviations.
+ */
+
+const POSITIONS_SQL = `
+    CREATE TABLE IF NOT EXISTS positions (
+        id TEXT PRIMARY KEY,
+        sport TEXT NOT NULL,
+        name TEXT NOT NULL,
+        abbreviation TEXT NOT NULL,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (sport, abbreviation)
+    );
+
+    INSERT INTO positions (id, sport, name, abbreviation, sort_order) VALUES
+    ('position_baseball_p', 'baseball', 'Pitcher', 'P', 1),
+    ('position_baseball_c', 'baseball', 'Catcher', 'C', 2),
+    ('position_baseball_1b', 'baseball', 'First Base', '1B', 3),
+    ('position_baseball_2b', 'baseball', 'Second Base', '2B', 4),
+    ('position_baseball_3b', 'baseball', 'Third Base', '3B', 5),
+    ('position_baseball_ss', 'baseball', 'Shortstop', 'SS', 6),
+    ('position_baseball_lf', 'baseball', 'Left Field', 'LF', 7),
+    ('position_baseball_cf', 'baseball', 'Center Field', 'CF', 8),
+    ('position_baseball_rf', 'baseball', 'Right Field', 'RF', 9),
+    ('position_baseball_of', 'baseball', 'Outfield', 'OF', 10),
+    ('position_baseball_dh', 'baseball', 'Designated Hitter', 'DH', 11),
+    ('position_baseball_ut', 'baseball', 'Utility', 'UT', 12),
+
+    ('position_softball_p', 'softball', 'Pitcher', 'P', 1),
+    ('position_softball_c', 'softball', 'Catcher', 'C', 2),
+    ('position_softball_1b', 'softball', 'First Base', '1B', 3),
+    ('position_softball_2b', 'softball', 'Second Base', '2B', 4),
+    ('position_softball_3b', 'softball', 'Third Base', '3B', 5),
+    ('position_softball_ss', 'softball', 'Shortstop', 'SS', 6),
+    ('position_softball_lf', 'softball', 'Left Field', 'LF', 7),
+    ('position_softball_cf', 'softball', 'Center Field', 'CF', 8),
+    ('position_softball_rf', 'softball', 'Right Field', 'RF', 9),
+    ('position_softball_dp', 'softball', 'Designated Player', 'DP', 10),
+    ('position_softball_flex', 'softball', 'Flex', 'FLEX', 11),
+
+    ('position_soccer_gk', 'soccer', 'Goalkeeper', 'GK', 1),
+    ('position_soccer_df', 'soccer', 'Defender', 'DF', 2),
+    ('position_soccer_mf', 'soccer', 'Midfielder', 'MF', 3),
+    ('position_soccer_fw', 'soccer', 'Forward', 'FW', 4);
+
+    ALTER TABLE players ADD COLUMN secondary_positions TEXT NOT NULL DEFAULT '[]';
+`;
+
+// The abbreviation a free-text position names in a sport's catalogue, or null
+function matchPosition(catalogue, text) {
+    const key = text.trim().toLowerCase();
+    const match = catalogue.find(p => p.abbreviation.toLowerCase() === key) ||
+        catalogue.find(p => p.name.toLowerCase() === key);
+    return match ? match.abbreviation : null;
+}
+
+module.exports = {
+    up: async (db) => {
+        await db.exec(POSITIONS_SQL);
+
+        const catalogue = await db.all('SELECT sport, name, abbreviation FROM positions');
+        const players = await db.all(`
+            SELECT p.id, p.position, t.sport
+            FROM players p
+            JOIN teams t ON p.team_id = t.id
+        `);
+        for (const player of players) {
+            const positions = catalogue.filter(p => p.sport === player.sport);
+            const named = String(player.position || '').split(/[,/]/).map(text => matchPosition(positions, text));
+            if (named.length === 0 || named.includes(null)) continue;
+            const [primary, ...secondary] = [...new Set(named)];
+            await db.run(
+                'UPDATE players SET position = ?, secondary_positions = ? WHERE id = ?',
+                [primary, JSON.stringify(secondary), player.id]
+            );
+            await db.run(
+                'UPDATE season_rosters SET position = ? WHERE player_id = ? AND position = ?',
+                [primary, player.id, player.position]
+            );
+        }
+    },
+
+    down: `
+        ALTER TABLE players DROP COLUMN secondary_positions;
+        DROP TABLE IF EXISTS positions;
+    `
+};
@@ -0,0 +1,19 @@
+/**
+ * Which way a stat ranks: most stats lead with the highest value, but for some (earned run
+ * average, a batter's strikeouts) the lowest is best. Leaderboards read lower_is_better to
+ * order players; the seeded stats where less is better are marked.
+ */
+
+module.exports = {
+    up: `
+        ALTER TABLE stat_definitions ADD COLUMN lower_is_better INTEGER NOT NULL DEFAULT 0;
+
+        UPDATE stat_definitions SET lower_is_better = 1
+        WHERE (sport = 'baseball' AND key = 'strikeouts')
+           OR (sport = 'softball' AND key IN ('hits_allowed', 'earned_runs', 'walks_allowed', 'era', 'whip'));
+    `,
+
+    down: `
+        ALTER TABLE stat_definitions DROP COLUMN lower_is_better;
+    `
+};
@@ -0,0 +1,23 @@
+/**
+ * Event times in UTC: start and end times are rewritten as ISO 8601 UTC strings so they
+ * sort and filter as text. Stored times without a zone (the seeded schedule, or times
+ * entered from the admin form) are read as this server's local time; a bare date is
+ * midnight. Rolling back leaves the UTC times, which read the same.
+ */
+
+function toIsoTime(value) {
+    return new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value).toISOString();
+}
+
+module.exports = {
+    up: async (db) => {
+        const events = await db.all('SELECT id, start_time, end_time FROM events');
+        for (const event of events) {
+            await db.run('UPDATE events SET start_time = ?, end_time = ? WHERE id = ?', [
+                toIsoTime(event.start_time), event.end_time ? toIsoTime(event.end_time) : null, event.id
+            ]);
+        }
+    },
+
+    down: async () => {}
+};
@@ -0,0 +1,60 @@
+/**
+ * Stat baselines: a player's season totals from before box scores, added to whatever their
+ * games give. Games played, batting average, home runs and RBI from the old player
+ * columns become a baseline in the current season; the average is kept as the fewest
+ * at-bats (at least one per game) and hits that give it to three places. Only stats the
+ * player's sport records are kept.
+ */
+
+const BASELINES_SQL = `
+    CREATE TABLE IF NOT EXISTS player_stat_baselines (
+        player_id TEXT NOT NULL,
+        season_id TEXT NOT NULL,
+        games_played INTEGER NOT NULL DEFAULT 0,
+        stats TEXT NOT NULL DEFAULT '{}',
+        PRIMARY KEY (player_id, season_id),
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+        FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE
+    );
+`;
+
+function hitsForAverage(average, games) {
+    for (let atBats = Math.max(1, games); atBats < 1000; atBats++) {
+        const hits = Math.round(average * atBats);
+        if (Math.round((hits / atBats) * 1000) === Math.round(average * 1000)) {
+            return { atBats, hits };
+        }
+    }
+    return { atBats: 1000, hits: Math.round(average * 1000) };
+}
+
+module.exports = {
+    up: async (db) => {
+        await db.exec(BASELINES_SQL);
+
+        const season = await db.get('SELECT id FROM seasons WHERE is_current = 1');
+        if (!season) return;
+        const recorded = await db.all("SELECT sport, key FROM stat_definitions WHERE type != 'formula'");
+        const players = await db.all(`
+            SELECT p.id, t.sport, p.batting_average, p.home_runs, p.rbi, p.games_played
+            FROM players p
+            JOIN teams t ON p.team_id = t.id
+            WHERE p.games_played > 0 OR p.batting_average > 0 OR p.home_runs > 0 OR p.rbi > 0
+        `);
+        for (const player of players) {
+            const keys = new Set(recorded.filter(r => r.sport === player.sport).map(r => r.key));
+            const games = player.games_played || 0;
+            const { atBats, hits } = hitsForAverage(player.batting_average || 0, games);
+            const totals = { at_bats: atBats, hits, home_runs: player.home_runs || 0, rbi: player.rbi || 0 };
+            const stats = Object.fromEntries(Object.entries(totals).filter(([key]) => keys.has(key)));
+            await db.run(
+                'INSERT INTO player_stat_baselines (player_id, season_id, games_played, stats) VALUES (?, ?, ?, ?)',
+                [player.id, season.id, games, JSON.stringify(stats)]
+            );
+        }
+    },
+
+    down: `
+        DROP TABLE IF EXISTS player_stat_baselines;
+    `
+};
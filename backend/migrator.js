@@ -0,0 +1,119 @@
+/**
+ * Schema migrations for TeamSite
+ * Applies numbered files from migrations/ and records them in schema_migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+    constructor(db, dir = MIGRATIONS_DIR) {
+        this.db = db;
+        this.dir = dir;
+    }
+
+    /**
+     * Load migration files, ordered by their numeric prefix.
+     * Each file exports { up, down } as SQL strings or async (db) => {} functions.
+     */
+    loadMigrations() {
+        return fs.readdirSync(this.dir)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .map(file => {
+                const migration = require(path.join(this.dir, file));
+                return {
+                    version: parseInt(file, 10),
+                    name: path.basename(file, '.js'),
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureTable() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+
+    async appliedVersions() {
+        await this.ensureTable();
+        const rows = await this.db.all('SELECT version FROM schema_migrations ORDER BY version');
+        return new Set(rows.map(r => r.version));
+    }
+
+    async runStep(step) {
+        if (typeof step === 'function') {
+            await step(this.db);
+        } else if (step) {
+            await this.db.exec(step);
+        }
+    }
+
+    /**
+     * Apply all pending migrations, each in its own transaction
+     */
+    async migrate() {
+        const applied = await this.appliedVersions();
+        const pending = this.loadMigrations().filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            await this.db.transaction(async () => {
+                await this.runStep(migration.up);
+                await this.db.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`Applied migration ${migration.name}`);
+        }
+        return pending.map(m => m.name);
+    }
+
+    /**
+     * Revert the most recently applied migrations
+     */
+    async rollback(steps = 1) {
+        const applied = await this.appliedVersions();
+        const toRevert = this.loadMigrations()
+            .filter(m => applied.has(m.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            if (!migration.down) {
+                throw new Error(`Migration ${migration.name} cannot be rolled back`);
+            }
+            await this.db.transaction(async () => {
+                await this.runStep(migration.down);
+                await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+            console.log(`Rolled back migration ${migration.name}`);
+        }
+        return toRevert.map(m => m.name);
+    }
+
+    /**
+     * Applied and pending migrations, oldest first
+     */
+    async status() {
+        await this.ensureTable();
+        const rows = await this.db.all('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+        return this.loadMigrations().map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: appliedAt.has(m.version),
+            appliedAt: appliedAt.get(m.version) || null
+        }));
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,120 @@
+/**
+ * Position catalogue for TeamSite
+ * Each sport lists its positions with a name, an abbreviation and a display order. Players
+ * are stored with abbreviations: the primary position in players.position and any
+ * secondary ones as a JSON list in players.secondary_positions.
+ */
+
+const ValidationUtils = require('../js/validation');
+
+// Map DB shape -> API shape
+function formatPosition(r) {
+    return {
+        id: r.id,
+        sport: r.sport,
+        name: r.name,
+        abbreviation: r.abbreviation,
+        sortOrder: r.sort_order,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+/**
+ * A sport's positions (or every sport's, without one) in display order
+ */
+async function loadPositions(db, sport = null) {
+    const rows = sport
+        ? await db.all('SELECT * FROM positions WHERE sport = ? ORDER BY sort_order, name', [sport])
+        : await db.all('SELECT * FROM positions ORDER BY sport, sort_order, name');
+    return rows.map(formatPosition);
+}
+
+/**
+ * Positions grouped by sport: { baseball: [...], soccer: [...] }
+ */
+async function positionsBySport(db) {
+    const bySport = {};
+    (await loadPositions(db)).forEach(position => {
+        (bySport[position.sport] = bySport[position.sport] || []).push(position);
+    });
+    return bySport;
+}
+
+// The stored list of secondary positions
+function parseSecondaryPositions(value) {
+    try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Check a player's positions against the catalogue of their team's sport. Positions may be
+ * given by abbreviation or name. Returns { errors } (a field -> message map) when they do
+ * not fit, otherwise { position, secondaryPositions } as abbreviations.
+ */
+async function resolvePlayerPositions(db, teamId, position, secondaryPositions = []) {
+    const team = await db.get('SELECT sport FROM teams WHERE id = ?', [teamId]);
+    const sport = team ? team.sport : null;
+    const positions = await loadPositions(db, sport);
+    const player = { position, secondaryPositions };
+    const errors = ValidationUtils.checkPositions(player, positions, sport);
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    // Positions of a sport with no catalogue yet are kept as written
+    const abbreviation = value => {
+        const match = ValidationUtils.findPosition(positions, value);
+        return match ? match.abbreviation : value.trim();
+    };
+    return {
+        position: abbreviation(position),
+        secondaryPositions: secondaryPositions.map(abbreviation)
+    };
+}
+
+/**
+ * Names of a team's players whose positions are not positions of another sport, for
+ * checking a change of sport
+ */
+async function playersOutOfPosition(db, teamId, sport) {
+    const positions = await loadPositions(db, sport);
+    const players = await db.all(
+        'SELECT name, position, secondary_positions FROM players WHERE team_id = ? AND deleted_at IS NULL ORDER BY name',
+        [teamId]
+    );
+    return players
+        .filter(p => Object.keys(ValidationUtils.checkPositions({
+            position: p.position,
+            secondaryPositions: parseSecondaryPositions(p.secondary_positions)
+        }, positions, sport)).length > 0)
+        .map(p => p.name);
+}
+
+/**
+ * How many players (trashed ones included) play a sport's position, as primary or secondary
+ */
+async function countPositionUse(db, sport, abbreviation) {
+    const { count } = await db.get(`
+        SELECT COUNT(*) as count
+        FROM players p
+        JOIN teams t ON p.team_id = t.id
+        WHERE t.sport = ? AND (
+            p.position = ? OR EXISTS (SELECT 1 FROM json_each(p.secondary_positions) WHERE value = ?)
+        )
+    `, [sport, abbreviation, abbreviation]);
+    return count;
+}
+
+module.exports = {
+    formatPosition,
+    loadPositions,
+    positionsBySport,
+    parseSecondaryPositions,
+    resolvePlayerPositions,
+    playersOutOfPosition,
+    countPositionUse
+};
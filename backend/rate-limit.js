@@ -0,0 +1,111 @@
+/**
+ * Rate limiting and login throttling for TeamSite
+ * In-memory counters keyed by client IP and account name
+ */
+
+/**
+ * Reject a request with the standard error shape and a Retry-After header
+ */
+function sendRateLimited(res, retryAfterMs, message) {
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+        error: true,
+        message: message || `Too many requests. Try again in ${seconds} seconds.`,
+        code: 'RATE_LIMITED'
+    });
+}
+
+/**
+ * Fixed-window request limiter middleware.
+ * Only counts the given HTTP methods so reads stay unlimited.
+ */
+function rateLimit({ windowMs, max, methods = null, keyGenerator = req => req.ip }) {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    // Forget windows that have ended
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        if (methods && !methods.includes(req.method)) return next();
+
+        const key = keyGenerator(req);
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+
+        res.set('X-RateLimit-Limit', String(max));
+        res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+        if (entry.count > max) {
+            return sendRateLimited(res, entry.resetAt - now);
+        }
+        return next();
+    };
+}
+
+/**
+ * Tracks failed logins per key with exponential backoff and temporary lockout.
+ * The first few failures are free; each one after that doubles the wait,
+ * and reaching lockoutAfter failures locks the key for lockoutMs.
+ */
+class LoginThrottle {
+    constructor({
+        freeAttempts = 3,
+        baseDelayMs = 1000,
+        maxDelayMs = 5 * 60 * 1000,
+        lockoutAfter = 10,
+        lockoutMs = 15 * 60 * 1000,
+        forgetAfterMs = 60 * 60 * 1000
+    } = {}) {
+        this.freeAttempts = freeAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.lockoutAfter = lockoutAfter;
+        this.lockoutMs = lockoutMs;
+        this.forgetAfterMs = forgetAfterMs;
+        this.failures = new Map(); // key -> { count, lastFailureAt, blockedUntil }
+    }
+
+    /**
+     * Milliseconds until the key may try again (0 when allowed)
+     */
+    retryAfter(key) {
+        const entry = this.failures.get(key);
+        if (!entry) return 0;
+        const now = Date.now();
+        if (now - entry.lastFailureAt > this.forgetAfterMs) {
+            this.failures.delete(key);
+            return 0;
+        }
+        return Math.max(0, entry.blockedUntil - now);
+    }
+
+    recordFailure(key) {
+        const now = Date.now();
+        const entry = this.failures.get(key);
+        const count = entry && now - entry.lastFailureAt <= this.forgetAfterMs ? entry.count + 1 : 1;
+
+        let delay = 0;
+        if (count >= this.lockoutAfter) {
+            delay = this.lockoutMs;
+        } else if (count > this.freeAttempts) {
+            delay = Math.min(this.baseDelayMs * 2 ** (count - this.freeAttempts - 1), this.maxDelayMs);
+        }
+        this.failures.set(key, { count, lastFailureAt: now, blockedUntil: now + delay });
+    }
+
+    reset(key) {
+        this.failures.delete(key);
+    }
+}
+
+module.exports = { rateLimit, LoginThrottle, sendRateLimited };
@@ -0,0 +1,145 @@
+/**
+ * CSV roster import for TeamSite
+ * Columns are mapped onto player fields, then every row is checked with the same
+ * ValidationUtils.validatePlayer() the admin form uses before anything is written.
+ */
+
+const ValidationUtils = require('../js/validation');
+
+// Player fields a CSV column can be mapped to, with header names recognised for each
+const IMPORT_FIELDS = {
+    name: ['name', 'player', 'player name', 'full name'],
+    number: ['number', 'no', 'num', '#', 'jersey', 'jersey number', 'shirt number'],
+    team: ['team', 'team name', 'team id', 'club'],
+    position: ['position', 'pos', 'positions'],
+    secondaryPositions: ['secondary positions', 'secondary position', 'other positions'],
+    bio: ['bio', 'biography', 'notes', 'about'],
+    image: ['image', 'photo', 'image url', 'photo url', 'picture']
+};
+
+const REQUIRED_FIELDS = ['name', 'number', 'team', 'position'];
+
+function normalizeHeader(header) {
+    const text = String(header || '').trim().toLowerCase();
+    return text === '#' ? text : text.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Guess a mapping { field: header } from the CSV's header row
+ */
+function suggestMapping(headers) {
+    const mapping = {};
+    Object.entries(IMPORT_FIELDS).forEach(([field, names]) => {
+        const header = headers.find(h => names.includes(normalizeHeader(h)));
+        if (header !== undefined) mapping[field] = header;
+    });
+    return mapping;
+}
+
+/**
+ * Check a client-supplied mapping: unknown fields or headers are errors.
+ * Returns { mapping, errors, missingFields }.
+ */
+function checkMapping(headers, mapping) {
+    const errors = [];
+    const cleaned = {};
+    Object.entries(mapping || {}).forEach(([field, header]) => {
+        if (!IMPORT_FIELDS[field]) {
+            errors.push(`Unknown field: ${field}`);
+        } else if (header === null || header === '') {
+            // Explicitly left unmapped
+        } else if (!headers.includes(header)) {
+            errors.push(`Column "${header}" mapped to ${field} is not in the CSV`);
+        } else {
+            cleaned[field] = header;
+        }
+    });
+    return {
+        mapping: cleaned,
+        errors,
+        missingFields: REQUIRED_FIELDS.filter(field => !cleaned[field])
+    };
+}
+
+// A list of positions in one cell: "SS, 2B" or "P/1B"
+function splitPositions(text) {
+    return text.split(/[,/;]/).map(p => p.trim()).filter(Boolean);
+}
+
+// Teams are matched by id or by name, ignoring case
+function findTeam(teams, value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    return teams.find(t => t.id.toLowerCase() === key) ||
+        teams.find(t => t.name.trim().toLowerCase() === key) || null;
+}
+
+/**
+ * Validate CSV data rows against the current roster and the position catalogue
+ * (positions: { sport: [...] }). A position cell listing several positions gives the
+ * primary one first. canManage(teamId) decides whether the importing user may add to a team.
+ * Returns one entry per row: { row, player, teamName, valid, errors, warnings }, with
+ * valid players' positions rewritten as abbreviations.
+ */
+function evaluateRows({ headers, rows, mapping, teams, players, positions = {}, canManage }) {
+    const columnOf = field => (mapping[field] ? headers.indexOf(mapping[field]) : -1);
+    const columns = {};
+    Object.keys(IMPORT_FIELDS).forEach(field => { columns[field] = columnOf(field); });
+    const read = (values, field) => (columns[field] >= 0 ? String(values[columns[field]] || '').trim() : '');
+
+    // Rows accepted so far count as roster members for the duplicate number check
+    const rosterByTeam = new Map();
+    players.forEach(p => {
+        if (!rosterByTeam.has(p.team_id)) rosterByTeam.set(p.team_id, []);
+        rosterByTeam.get(p.team_id).push({ id: p.id, name: p.name, number: p.number });
+    });
+
+    return rows.map((values, index) => {
+        const teamValue = read(values, 'team');
+        const team = findTeam(teams, teamValue);
+        const numberText = read(values, 'number');
+        const [position = '', ...otherPositions] = splitPositions(read(values, 'position'));
+        const player = {
+            name: read(values, 'name'),
+            number: /^\d+$/.test(numberText) ? parseInt(numberText, 10) : numberText,
+            teamId: team ? team.id : '',
+            position,
+            secondaryPositions: [...otherPositions, ...splitPositions(read(values, 'secondaryPositions'))],
+            bio: read(values, 'bio') || null,
+            image: read(values, 'image') || null
+        };
+
+        const roster = team ? rosterByTeam.get(team.id) || [] : [];
+        const catalogue = team ? { sport: team.sport, positions: positions[team.sport] || [] } : null;
+        const result = ValidationUtils.validatePlayer(player, roster, catalogue);
+        if (!team && teamValue) {
+            result.fields.teamId = `Unknown team "${teamValue}"`;
+        }
+        const errors = Object.values(result.fields);
+        if (team && !canManage(team.id)) {
+            errors.push(`You cannot add players to ${team.name}`);
+        }
+
+        const valid = errors.length === 0;
+        if (valid) {
+            const abbreviation = value => {
+                const match = ValidationUtils.findPosition(catalogue.positions, value);
+                return match ? match.abbreviation : value;
+            };
+            player.position = abbreviation(player.position);
+            player.secondaryPositions = player.secondaryPositions.map(abbreviation);
+            rosterByTeam.set(team.id, [...roster, { id: `row_${index}`, name: player.name, number: player.number }]);
+        }
+        return {
+            // Line in the file, counting the header row as line 1
+            row: index + 2,
+            player,
+            teamName: team ? team.name : teamValue,
+            valid,
+            errors,
+            warnings: result.warnings
+        };
+    });
+}
+
+module.exports = { IMPORT_FIELDS, REQUIRED_FIELDS, suggestMapping, checkMapping, evaluateRows };
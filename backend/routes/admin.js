@@ -0,0 +1,109 @@
+/**
+ * Admin API Routes
+ * Whole-site backup, restore and reset (owner only: archives include user accounts)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../auth');
+const { createArchive, encodeArchive, decodeArchive, previewArchive, restoreArchive } = require('../archive');
+const { SEED_PROFILES } = require('../seeds');
+const { publish, originOf } = require('../change-feed');
+
+// Archives are binary gzip; plain JSON bodies are already parsed by express.json()
+const readArchiveBody = express.raw({
+    type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'],
+    limit: '200mb'
+});
+
+// Download a gzipped archive of every table and uploaded file
+router.get('/backup', requireRole('owner'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const archive = await createArchive(db);
+        const filename = `teamsite-backup-${archive.createdAt.slice(0, 10)}.json.gz`;
+
+        res.set({
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(encodeArchive(archive));
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'BACKUP_ERROR'
+        });
+    }
+});
+
+// Restore an archive, replacing all data; ?dryRun=true only reports what would change
+router.post('/restore', requireRole('owner'), readArchiveBody, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        if (!req.body || (Buffer.isBuffer(req.body) && req.body.length === 0)) {
+            return res.status(400).json({
+                error: true,
+                message: 'Request body must be a backup archive',
+                code: 'INVALID_BACKUP'
+            });
+        }
+
+        const archive = Buffer.isBuffer(req.body) ? decodeArchive(req.body) : req.body;
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+        const summary = dryRun
+            ? await previewArchive(db, archive)
+            : await restoreArchive(db, archive);
+        // Everything changed; open browsers reload rather than patch
+        if (!dryRun) publish('resync', {}, originOf(req));
+
+        res.json({
+            success: true,
+            message: dryRun ? 'Backup is valid; nothing was changed' : 'Backup restored successfully',
+            data: { dryRun, ...summary }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'RESTORE_ERROR'
+        });
+    }
+});
+
+// Wipe all site data and reseed it from a profile; users (with assignments to teams the profile
+// still has) and stat definitions are kept
+router.post('/reset', requireRole('owner'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { profile = 'demo', teams, playersPerTeam } = req.body || {};
+        if (!SEED_PROFILES.includes(profile)) {
+            return res.status(400).json({
+                error: true,
+                message: `Profile must be one of: ${SEED_PROFILES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        await db.reset(profile, { teams, playersPerTeam });
+        publish('resync', {}, originOf(req));
+
+        const counts = {};
+        for (const table of ['teams', 'players', 'games', 'events']) {
+            counts[table] = (await db.get(`SELECT COUNT(*) as count FROM ${table}`)).count;
+        }
+        res.json({
+            success: true,
+            message: `Data reset to the ${profile} profile`,
+            data: { profile, ...counts }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'RESET_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Audit Log API Routes
+ * Browse the history of changes to players, teams, site settings and uploads
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, ADMIN_ROLES } = require('../auth');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, formatAuditEntry } = require('../audit');
+const { queryError, parsePaging, paginationMeta } = require('../list-query');
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw queryError(`${name} must be a date`);
+    }
+    // Stored times are SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// List audit entries, newest first
+// Filters: ?entityType= &entityId= (one entity's history), ?actorId=, ?action=, ?since= &until= (dates)
+router.get('/', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const paging = parsePaging(req.query);
+        const { entityType, entityId, actorId, action } = req.query;
+        if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+            throw queryError(`entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`);
+        }
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            throw queryError(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+        }
+        const since = parseDate(req.query.since, 'since');
+        const until = parseDate(req.query.until, 'until');
+
+        const where = [];
+        const params = [];
+        if (entityType) { where.push('entity_type = ?'); params.push(entityType); }
+        if (entityId) { where.push('entity_id = ?'); params.push(entityId); }
+        if (actorId) { where.push('actor_id = ?'); params.push(actorId); }
+        if (action) { where.push('action = ?'); params.push(action); }
+        if (since) { where.push('created_at >= ?'); params.push(since); }
+        if (until) { where.push('created_at <= ?'); params.push(until); }
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+        const { total } = await db.get(`SELECT COUNT(*) as total FROM audit_log ${whereSql}`, params);
+        const rows = await db.all(`
+            SELECT * FROM audit_log ${whereSql}
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT ? OFFSET ?
+        `, [...params, paging.limit, paging.offset]);
+
+        res.json({
+            success: true,
+            data: rows.map(formatAuditEntry),
+            pagination: paginationMeta(paging, total)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'AUDIT_FETCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -5,7 +5,31 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../auth');
+const { requireRole, ADMIN_ROLES } = require('../auth');
+const { publish, originOf } = require('../change-feed');
+const { etag, expectedVersion, conflict } = require('../concurrency');
+const { recordAudit } = require('../audit');
+const { fieldErrors, invalid } = require('../validate');
+
+// Format the configuration to match frontend expectations
+function formatConfig(config) {
+    return {
+        title: config.title,
+        description: config.description,
+        theme: {
+            primary: config.primary_color,
+            secondary: config.secondary_color,
+            accent: config.accent_color
+        },
+        season: {
+            year: config.season_year,
+            startDate: config.start_date,
+            endDate: config.end_date,
+            allStarWeekend: config.all_star_date
+        },
+        version: config.version
+    };
+}
 
 // Get site configuration
 router.get('/', async (req, res) => {
@@ -21,26 +45,10 @@ router.get('/', async (req, res) => {
             });
         }
         
-        // Format the response to match frontend expectations
-        const formattedConfig = {
-            title: config.title,
-            description: config.description,
-            theme: {
-                primary: config.primary_color,
-                secondary: config.secondary_color,
-                accent: config.accent_color
-            },
-            season: {
-                year: config.season_year,
-                startDate: config.start_date,
-                endDate: config.end_date,
-                allStarWeekend: config.all_star_date
-            }
-        };
-        
+        res.set('ETag', etag(config.version));
         res.json({
             success: true,
-            data: formattedConfig
+            data: formatConfig(config)
         });
     } catch (error) {
         res.status(500).json({
@@ -52,14 +60,16 @@ router.get('/', async (req, res) => {
 });
 
 // Update site configuration
-router.put('/', requireAuth, async (req, res) => {
+// Send the version being edited in If-Match (or body.version); a stale one gets 409 CONFLICT
+router.put('/', requireRole(...ADMIN_ROLES), async (req, res) => {
     try {
         const { title, description, theme, season } = req.body;
+        const expected = expectedVersion(req);
         
         const db = req.app.locals.db;
         
         // Check if config exists
-        const existingConfig = await db.get('SELECT id FROM site_config WHERE id = 1');
+        const existingConfig = await db.get('SELECT * FROM site_config WHERE id = 1');
         if (!existingConfig) {
             return res.status(404).json({
                 error: true,
@@ -67,9 +77,21 @@ router.put('/', requireAuth, async (req, res) => {
                 code: 'CONFIG_NOT_FOUND'
             });
         }
+        // Only the settings sent are checked; the rest keep their values. The season's
+        // dates are compared with the stored ones when only one of them is sent.
+        const errors = fieldErrors('siteConfig', {
+            ...req.body,
+            season: season && { ...formatConfig(existingConfig).season, ...season }
+        }, { partial: true });
+        if (errors) {
+            return invalid(res, errors);
+        }
+        if (expected !== null && expected !== existingConfig.version) {
+            return conflict(res, formatConfig(existingConfig), 'configuration');
+        }
         
         // Update configuration
-        await db.run(`
+        const result = await db.run(`
             UPDATE site_config SET
                 title = COALESCE(?, title),
                 description = COALESCE(?, description),
@@ -80,8 +102,9 @@ router.put('/', requireAuth, async (req, res) => {
                 start_date = COALESCE(?, start_date),
                 end_date = COALESCE(?, end_date),
                 all_star_date = COALESCE(?, all_star_date),
+                version = version + 1,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = 1
+            WHERE id = 1 AND (? IS NULL OR version = ?)
         `, [
             title,
             description,
@@ -91,38 +114,46 @@ router.put('/', requireAuth, async (req, res) => {
             season?.year,
             season?.startDate,
             season?.endDate,
-            season?.allStarWeekend
+            season?.allStarWeekend,
+            expected,
+            expected
         ]);
+        if (result.changes === 0) {
+            const current = await db.get('SELECT * FROM site_config WHERE id = 1');
+            return conflict(res, formatConfig(current), 'configuration');
+        }
+        
+        // The site season is the current season's year and dates
+        if (season) {
+            await db.run(`
+                UPDATE seasons SET
+                    year = COALESCE(?, year),
+                    start_date = COALESCE(?, start_date),
+                    end_date = COALESCE(?, end_date),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE is_current = 1
+            `, [season.year, season.startDate, season.endDate]);
+        }
         
         // Get updated configuration
         const updatedConfig = await db.get('SELECT * FROM site_config WHERE id = 1');
         
-        // Format the response
-        const formattedConfig = {
-            title: updatedConfig.title,
-            description: updatedConfig.description,
-            theme: {
-                primary: updatedConfig.primary_color,
-                secondary: updatedConfig.secondary_color,
-                accent: updatedConfig.accent_color
-            },
-            season: {
-                year: updatedConfig.season_year,
-                startDate: updatedConfig.start_date,
-                endDate: updatedConfig.end_date,
-                allStarWeekend: updatedConfig.all_star_date
-            }
-        };
+        const formattedConfig = formatConfig(updatedConfig);
+        await recordAudit(db, req, {
+            action: 'update', entityType: 'config', entityId: 'site', entityName: 'Site settings', before: formatConfig(existingConfig), after: formattedConfig
+        });
+        publish('siteConfigUpdated', formattedConfig, originOf(req));
         
+        res.set('ETag', etag(updatedConfig.version));
         res.json({
             success: true,
             data: formattedConfig
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: true,
             message: error.message,
-            code: 'CONFIG_UPDATE_ERROR'
+            code: error.status ? error.code : 'CONFIG_UPDATE_ERROR'
         });
     }
 });
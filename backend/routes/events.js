@@ -0,0 +1,308 @@
+/**
+ * Events API Routes
+ * CRUD operations for the season schedule (games, practices, tournaments, socials)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, canManageTeam, ADMIN_ROLES, EDITOR_ROLES } = require('../auth');
+const { resolveSeason, seasonNotFound } = require('../seasons');
+const { isValidTime, toIsoTime } = require('../event-times');
+const { queryError } = require('../list-query');
+
+const EVENT_TYPES = ['game', 'practice', 'tournament', 'social'];
+
+const SELECT_EVENT = `
+    SELECT e.*, h.name as home_team_name, h.color as home_team_color,
+           a.name as away_team_name, a.color as away_team_color
+    FROM events e
+    LEFT JOIN teams h ON e.home_team_id = h.id AND h.deleted_at IS NULL
+    LEFT JOIN teams a ON e.away_team_id = a.id AND a.deleted_at IS NULL
+`;
+
+// Map DB shape -> API shape
+function formatEvent(r) {
+    return {
+        id: r.id,
+        seasonId: r.season_id,
+        title: r.title,
+        type: r.type,
+        description: r.description,
+        location: r.location,
+        homeTeamId: r.home_team_id,
+        awayTeamId: r.away_team_id,
+        homeTeamName: r.home_team_name,
+        awayTeamName: r.away_team_name,
+        homeTeamColor: r.home_team_color,
+        awayTeamColor: r.away_team_color,
+        startTime: r.start_time,
+        endTime: r.end_time,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+/**
+ * Validate an event payload merged over any existing values; returns a list of errors
+ */
+async function validateEvent(db, event) {
+    const errors = [];
+    if (!event.title || !String(event.title).trim()) {
+        errors.push('Title is required');
+    }
+    if (!EVENT_TYPES.includes(event.type)) {
+        errors.push(`Type must be one of: ${EVENT_TYPES.join(', ')}`);
+    }
+    if (!event.startTime || !isValidTime(event.startTime)) {
+        errors.push('Start time must be a valid date');
+    }
+    if (event.endTime && !isValidTime(event.endTime)) {
+        errors.push('End time must be a valid date');
+    } else if (event.endTime && isValidTime(event.startTime) && toIsoTime(event.endTime) < toIsoTime(event.startTime)) {
+        errors.push('End time must be after start time');
+    }
+    if (event.homeTeamId && event.homeTeamId === event.awayTeamId) {
+        errors.push('Home and away teams must be different');
+    }
+    for (const teamId of [event.homeTeamId, event.awayTeamId]) {
+        if (teamId && !(await db.get('SELECT id FROM teams WHERE id = ? AND deleted_at IS NULL', [teamId]))) {
+            errors.push(`Team not found: ${teamId}`);
+        }
+    }
+    if (event.seasonId && !(await db.get('SELECT id FROM seasons WHERE id = ?', [event.seasonId]))) {
+        errors.push(`Season not found: ${event.seasonId}`);
+    }
+    return errors;
+}
+
+// Team managers may schedule events involving at least one of their teams
+function canManageEvent(user, event) {
+    if (ADMIN_ROLES.includes(user.role)) return true;
+    return [event.homeTeamId, event.awayTeamId].some(teamId => teamId && canManageTeam(user, teamId));
+}
+
+// Get the events of ?season= (default: the current season), optionally filtered by ?from=&to=&teamId=&type=
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { from, to, teamId, type } = req.query;
+        const bad = [['from', from], ['to', to]].find(([, value]) => value && !isValidTime(value));
+        if (bad) {
+            throw queryError(`${bad[0]} must be a valid date`);
+        }
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+        const where = [];
+        const params = [];
+
+        if (season) {
+            where.push('e.season_id = ?');
+            params.push(season.id);
+        }
+        if (from) {
+            where.push('e.start_time >= ?');
+            params.push(toIsoTime(from));
+        }
+        if (to) {
+            where.push('e.start_time <= ?');
+            params.push(toIsoTime(to));
+        }
+        if (teamId) {
+            where.push('(e.home_team_id = ? OR e.away_team_id = ?)');
+            params.push(teamId, teamId);
+        }
+        if (type) {
+            where.push('e.type = ?');
+            params.push(type);
+        }
+
+        const rows = await db.all(`
+            ${SELECT_EVENT}
+            ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY e.start_time
+        `, params);
+
+        res.json({ success: true, data: rows.map(formatEvent) });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'EVENTS_FETCH_ERROR'
+        });
+    }
+});
+
+// Get event by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const r = await db.get(`${SELECT_EVENT} WHERE e.id = ?`, [req.params.id]);
+
+        if (!r) {
+            return res.status(404).json({
+                error: true,
+                message: 'Event not found',
+                code: 'EVENT_NOT_FOUND'
+            });
+        }
+
+        res.json({ success: true, data: formatEvent(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'EVENT_FETCH_ERROR'
+        });
+    }
+});
+
+// Create new event (in the current season unless seasonId is given)
+router.post('/', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const { title, type = 'game', description, location, homeTeamId, awayTeamId, startTime, endTime } = req.body;
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db);
+        const seasonId = req.body.seasonId || (season ? season.id : null);
+        const event = { seasonId, title, type, description, location, homeTeamId, awayTeamId, startTime, endTime };
+
+        const errors = await validateEvent(db, event);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: errors.join(', '),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        if (!canManageEvent(req.user, event)) {
+            return res.status(403).json({
+                error: true,
+                message: 'Events must involve a team you are assigned to',
+                code: 'FORBIDDEN'
+            });
+        }
+
+        // Generate ID
+        const id = `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await db.run(`
+            INSERT INTO events (id, season_id, title, type, description, location, home_team_id, away_team_id, start_time, end_time)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, seasonId, String(title).trim(), type, description || null, location || null,
+            homeTeamId || null, awayTeamId || null, toIsoTime(startTime), toIsoTime(endTime)
+        ]);
+
+        const r = await db.get(`${SELECT_EVENT} WHERE e.id = ?`, [id]);
+        res.status(201).json({ success: true, data: formatEvent(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'EVENT_CREATE_ERROR'
+        });
+    }
+});
+
+// Update event
+router.put('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get(`${SELECT_EVENT} WHERE e.id = ?`, [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Event not found',
+                code: 'EVENT_NOT_FOUND'
+            });
+        }
+
+        const current = formatEvent(existing);
+        // Fields omitted from the body keep their value; null clears optional ones
+        const updated = { ...current };
+        ['seasonId', 'title', 'type', 'description', 'location', 'homeTeamId', 'awayTeamId', 'startTime', 'endTime']
+            .forEach(field => {
+                if (req.body[field] !== undefined) updated[field] = req.body[field] === '' ? null : req.body[field];
+            });
+
+        if (!canManageEvent(req.user, current) || !canManageEvent(req.user, updated)) {
+            return res.status(403).json({
+                error: true,
+                message: 'Events must involve a team you are assigned to',
+                code: 'FORBIDDEN'
+            });
+        }
+        const errors = await validateEvent(db, updated);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: errors.join(', '),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        await db.run(`
+            UPDATE events SET
+                season_id = ?,
+                title = ?,
+                type = ?,
+                description = ?,
+                location = ?,
+                home_team_id = ?,
+                away_team_id = ?,
+                start_time = ?,
+                end_time = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            updated.seasonId, String(updated.title).trim(), updated.type, updated.description, updated.location,
+            updated.homeTeamId, updated.awayTeamId, toIsoTime(updated.startTime), toIsoTime(updated.endTime),
+            req.params.id
+        ]);
+
+        const r = await db.get(`${SELECT_EVENT} WHERE e.id = ?`, [req.params.id]);
+        res.json({ success: true, data: formatEvent(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'EVENT_UPDATE_ERROR'
+        });
+    }
+});
+
+// Delete event
+router.delete('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM events WHERE id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Event not found',
+                code: 'EVENT_NOT_FOUND'
+            });
+        }
+        if (!canManageEvent(req.user, formatEvent(existing))) {
+            return res.status(403).json({
+                error: true,
+                message: 'Events must involve a team you are assigned to',
+                code: 'FORBIDDEN'
+            });
+        }
+
+        await db.run('DELETE FROM events WHERE id = ?', [req.params.id]);
+
+        res.json({
+            success: true,
+            message: 'Event deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'EVENT_DELETE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,480 @@
+/**
+ * Games API Routes
+ * Game results and per-player box scores; player stats are computed from these
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, canManageTeam, forbidden, EDITOR_ROLES } = require('../auth');
+const { loadStatDefinitions } = require('../stats');
+const ValidationUtils = require('../../js/validation');
+const { resolveSeason, seasonNotFound } = require('../seasons');
+const { recordAudit } = require('../audit');
+
+const SELECT_GAME = `
+    SELECT g.*, t.name as team_name, t.color as team_color, t.sport as sport, o.name as opponent_team_name
+    FROM games g
+    LEFT JOIN teams t ON g.team_id = t.id
+    LEFT JOIN teams o ON g.opponent_team_id = o.id AND o.deleted_at IS NULL
+`;
+
+// Map DB shape -> API shape
+function formatGame(r) {
+    const played = r.team_score !== null && r.opponent_score !== null;
+    return {
+        id: r.id,
+        seasonId: r.season_id,
+        teamId: r.team_id,
+        teamName: r.team_name,
+        teamColor: r.team_color,
+        sport: r.sport,
+        opponent: r.opponent,
+        opponentTeamId: r.opponent_team_id,
+        eventId: r.event_id,
+        date: r.game_date,
+        isHome: !!r.is_home,
+        teamScore: r.team_score,
+        opponentScore: r.opponent_score,
+        result: played
+            ? (r.team_score > r.opponent_score ? 'W' : r.team_score < r.opponent_score ? 'L' : 'T')
+            : null,
+        notes: r.notes,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+/**
+ * Box score for a game: one entry per player with their recorded stat values.
+ * Numbers come from the game's season roster so archived games keep old numbers.
+ */
+async function loadBoxScore(db, gameId) {
+    const rows = await db.all(`
+        SELECT s.player_id, s.stat_key, s.value, p.name as player_name,
+               COALESCE(r.number, p.number) as player_number
+        FROM player_game_stats s
+        JOIN games g ON s.game_id = g.id
+        LEFT JOIN players p ON s.player_id = p.id
+        LEFT JOIN season_rosters r ON r.player_id = s.player_id AND r.season_id = g.season_id
+        WHERE s.game_id = ? AND p.deleted_at IS NULL
+        ORDER BY COALESCE(r.team_id, p.team_id), player_number
+    `, [gameId]);
+
+    const lines = new Map();
+    rows.forEach(r => {
+        if (!lines.has(r.player_id)) {
+            lines.set(r.player_id, {
+                playerId: r.player_id,
+                playerName: r.player_name,
+                playerNumber: r.player_number,
+                stats: {}
+            });
+        }
+        lines.get(r.player_id).stats[r.stat_key] = r.value;
+    });
+    return [...lines.values()];
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isValidDate(value) {
+    return !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate a game payload merged over any existing values; returns a list of errors
+ */
+async function validateGame(db, game, existingId = null) {
+    const errors = [];
+    const team = game.teamId
+        ? await db.get('SELECT id, sport FROM teams WHERE id = ? AND deleted_at IS NULL', [game.teamId])
+        : null;
+    if (!team) {
+        errors.push('A valid team is required');
+    }
+    if (game.opponentTeamId) {
+        const opponent = await db.get('SELECT id, sport FROM teams WHERE id = ? AND deleted_at IS NULL', [game.opponentTeamId]);
+        if (game.opponentTeamId === game.teamId) {
+            errors.push('A team cannot play itself');
+        } else if (!opponent) {
+            errors.push(`Team not found: ${game.opponentTeamId}`);
+        } else if (team && opponent.sport !== team.sport) {
+            errors.push('Both teams in a game must play the same sport');
+        }
+    } else if (!game.opponent || !String(game.opponent).trim()) {
+        errors.push('Opponent is required');
+    }
+    if (!game.date || !isValidDate(game.date)) {
+        errors.push('Game date must be a valid date');
+    } else if (game.opponentTeamId && game.opponentTeamId !== game.teamId) {
+        // A game between two league teams counts for both, so it is entered by one of them only
+        const duplicate = await db.get(`
+            SELECT id FROM games
+            WHERE date(game_date) = date(?) AND id != ? AND (
+                (team_id = ? AND opponent_team_id = ?) OR (team_id = ? AND opponent_team_id = ?)
+            )
+        `, [game.date, existingId || '', game.teamId, game.opponentTeamId, game.opponentTeamId, game.teamId]);
+        if (duplicate) {
+            errors.push('These teams already have a game on this date; it counts for both teams, so enter it once');
+        }
+    }
+    for (const field of ['teamScore', 'opponentScore']) {
+        if (game[field] !== null && game[field] !== undefined && !isCount(game[field])) {
+            errors.push(`${field} must be a non-negative whole number`);
+        }
+    }
+    if (game.eventId && !(await db.get('SELECT id FROM events WHERE id = ?', [game.eventId]))) {
+        errors.push(`Event not found: ${game.eventId}`);
+    }
+    if (game.seasonId && !(await db.get('SELECT id FROM seasons WHERE id = ?', [game.seasonId]))) {
+        errors.push(`Season not found: ${game.seasonId}`);
+    }
+    return errors;
+}
+
+// A player with their team in the game's season (their current team when not rostered)
+function gamePlayer(db, game, playerId) {
+    return db.get(`
+        SELECT p.id, p.name, COALESCE(r.team_id, p.team_id) as team_id
+        FROM players p
+        LEFT JOIN season_rosters r ON r.player_id = p.id AND r.season_id = ?
+        WHERE p.id = ? AND p.deleted_at IS NULL
+    `, [game.seasonId || null, playerId]);
+}
+
+/**
+ * Validate box score lines against the team's stat definitions;
+ * players must be on one of the two teams in the game's season roster
+ */
+async function validateBoxScore(db, game, lines) {
+    if (!Array.isArray(lines)) return ['boxScore must be an array'];
+
+    const team = await db.get('SELECT sport FROM teams WHERE id = ?', [game.teamId]);
+    const definitions = team ? (await loadStatDefinitions(db))[team.sport] || [] : [];
+    const errors = [];
+    const seen = new Set();
+    for (const line of lines) {
+        const player = line && line.playerId ? await gamePlayer(db, game, line.playerId) : null;
+        if (!player) {
+            errors.push(`Player not found: ${line && line.playerId}`);
+            continue;
+        }
+        if (player.team_id !== game.teamId && player.team_id !== game.opponentTeamId) {
+            errors.push(`${player.name} is not on either team in this game`);
+        }
+        if (seen.has(player.id)) {
+            errors.push(`${player.name} has more than one box score line`);
+        }
+        seen.add(player.id);
+
+        ValidationUtils.validateStats(line.stats || {}, definitions)
+            .forEach(error => errors.push(`${player.name}: ${error}`));
+    }
+    return errors;
+}
+
+/**
+ * The players among some box score player ids whose team the user may not manage (a
+ * team manager enters and replaces lines for their own teams' players only)
+ */
+async function unmanagedPlayers(db, user, game, playerIds) {
+    const players = [];
+    for (const playerId of playerIds) {
+        const player = await gamePlayer(db, game, playerId);
+        if (player && !canManageTeam(user, player.team_id)) players.push(player);
+    }
+    return players;
+}
+
+// A game as the audit log diffs it, with a name and the box score as text
+function auditedGame(game) {
+    return {
+        ...game,
+        name: `${game.teamName} vs ${game.opponent}`,
+        boxScore: game.boxScore
+            .map(line => `${line.playerName}: ${Object.entries(line.stats).map(([key, value]) => `${key} ${value}`).join(', ')}`)
+            .join('; ')
+    };
+}
+
+/**
+ * Store every recorded stat for each player (missing values as 0) so a line
+ * of zeros still counts as a game played. The lines of keptPlayerIds stay as they are.
+ */
+async function replaceBoxScore(db, game, lines, keptPlayerIds = []) {
+    const team = await db.get('SELECT sport FROM teams WHERE id = ?', [game.teamId]);
+    const recorded = ((await loadStatDefinitions(db))[team.sport] || []).filter(def => def.type !== 'formula');
+
+    await db.run(
+        `DELETE FROM player_game_stats WHERE game_id = ? AND player_id NOT IN (${keptPlayerIds.map(() => '?').join(', ')})`,
+        [game.id, ...keptPlayerIds]
+    );
+    for (const line of lines) {
+        for (const def of recorded) {
+            await db.run(
+                'INSERT INTO player_game_stats (game_id, player_id, stat_key, value) VALUES (?, ?, ?, ?)',
+                [game.id, line.playerId, def.key, (line.stats && line.stats[def.key]) || 0]
+            );
+        }
+    }
+}
+
+// Normalise optional fields from a request body
+function readGameBody(body, current = {}) {
+    const game = { ...current };
+    ['seasonId', 'teamId', 'opponent', 'opponentTeamId', 'eventId', 'date', 'isHome', 'teamScore', 'opponentScore', 'notes']
+        .forEach(field => {
+            if (body[field] !== undefined) game[field] = body[field] === '' ? null : body[field];
+        });
+    return game;
+}
+
+function validationError(res, errors) {
+    return res.status(400).json({
+        error: true,
+        message: errors.join(', '),
+        code: 'VALIDATION_ERROR'
+    });
+}
+
+// Get the games of ?season= (default: the current season), optionally filtered by ?teamId= (as either side)
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { teamId } = req.query;
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        // Games of a team in the trash are hidden with it
+        const where = ['t.deleted_at IS NULL'];
+        const params = [];
+        if (season) {
+            where.push('g.season_id = ?');
+            params.push(season.id);
+        }
+        if (teamId) {
+            where.push('(g.team_id = ? OR g.opponent_team_id = ?)');
+            params.push(teamId, teamId);
+        }
+        const whereClause = `WHERE ${where.join(' AND ')}`;
+        const rows = await db.all(`${SELECT_GAME} ${whereClause} ORDER BY g.game_date DESC`, params);
+
+        res.json({ success: true, data: rows.map(formatGame) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'GAMES_FETCH_ERROR'
+        });
+    }
+});
+
+// Get game by ID with its box score
+router.get('/:id', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const r = await db.get(`${SELECT_GAME} WHERE g.id = ? AND t.deleted_at IS NULL`, [req.params.id]);
+
+        if (!r) {
+            return res.status(404).json({
+                error: true,
+                message: 'Game not found',
+                code: 'GAME_NOT_FOUND'
+            });
+        }
+
+        const game = formatGame(r);
+        game.boxScore = await loadBoxScore(db, game.id);
+        res.json({ success: true, data: game });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'GAME_FETCH_ERROR'
+        });
+    }
+});
+
+// Record a game (in the current season unless seasonId is given);
+// team managers may only record games for their own teams
+router.post('/', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db);
+        const game = readGameBody(req.body, {
+            seasonId: season ? season.id : null,
+            isHome: true,
+            teamScore: null,
+            opponentScore: null
+        });
+        const boxScore = req.body.boxScore || [];
+
+        if (game.teamId && !canManageTeam(req.user, game.teamId)) {
+            return forbidden(res);
+        }
+        const errors = [
+            ...(await validateGame(db, game)),
+            ...(await validateBoxScore(db, game, boxScore))
+        ];
+        if (errors.length > 0) return validationError(res, errors);
+        const outsiders = await unmanagedPlayers(db, req.user, game, boxScore.map(line => line.playerId));
+        if (outsiders.length > 0) {
+            return forbidden(res, `You can only enter box score lines for your own team's players, not ${outsiders.map(p => p.name).join(', ')}`);
+        }
+
+        if (game.opponentTeamId) {
+            const opponent = await db.get('SELECT name FROM teams WHERE id = ?', [game.opponentTeamId]);
+            game.opponent = opponent.name;
+        }
+
+        // Generate ID
+        const id = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        let created;
+        await db.transaction(async () => {
+            await db.run(`
+                INSERT INTO games (id, season_id, team_id, opponent, opponent_team_id, event_id, game_date, is_home, team_score, opponent_score, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                id, game.seasonId || null, game.teamId, String(game.opponent).trim(), game.opponentTeamId || null, game.eventId || null,
+                game.date, game.isHome ? 1 : 0, game.teamScore ?? null, game.opponentScore ?? null, game.notes || null
+            ]);
+            await replaceBoxScore(db, { ...game, id }, boxScore);
+            created = formatGame(await db.get(`${SELECT_GAME} WHERE g.id = ?`, [id]));
+            created.boxScore = await loadBoxScore(db, id);
+            await recordAudit(db, req, { action: 'create', entityType: 'game', entityId: id, after: auditedGame(created) });
+        });
+
+        res.status(201).json({ success: true, data: created });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'GAME_CREATE_ERROR'
+        });
+    }
+});
+
+// Update a game; boxScore, when given, replaces the whole box score
+router.put('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get(`${SELECT_GAME} WHERE g.id = ?`, [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Game not found',
+                code: 'GAME_NOT_FOUND'
+            });
+        }
+
+        const current = formatGame(existing);
+        const game = readGameBody(req.body, current);
+        if (!canManageTeam(req.user, current.teamId) || !canManageTeam(req.user, game.teamId)) {
+            return forbidden(res);
+        }
+
+        const boxScore = req.body.boxScore;
+        const errors = await validateGame(db, game, current.id);
+        if (boxScore !== undefined) {
+            errors.push(...(await validateBoxScore(db, game, boxScore)));
+        }
+        if (errors.length > 0) return validationError(res, errors);
+
+        // The other team's lines are left to that team, and kept when the box score is replaced
+        current.boxScore = await loadBoxScore(db, current.id);
+        let kept = [];
+        if (boxScore !== undefined) {
+            const outsiders = await unmanagedPlayers(db, req.user, game, boxScore.map(line => line.playerId));
+            if (outsiders.length > 0) {
+                return forbidden(res, `You can only enter box score lines for your own team's players, not ${outsiders.map(p => p.name).join(', ')}`);
+            }
+            kept = (await unmanagedPlayers(db, req.user, game, current.boxScore.map(line => line.playerId))).map(p => p.id);
+        }
+
+        if (game.opponentTeamId) {
+            const opponent = await db.get('SELECT name FROM teams WHERE id = ?', [game.opponentTeamId]);
+            game.opponent = opponent.name;
+        }
+
+        let updated;
+        await db.transaction(async () => {
+            await db.run(`
+                UPDATE games SET
+                    season_id = ?,
+                    team_id = ?,
+                    opponent = ?,
+                    opponent_team_id = ?,
+                    event_id = ?,
+                    game_date = ?,
+                    is_home = ?,
+                    team_score = ?,
+                    opponent_score = ?,
+                    notes = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [
+                game.seasonId || null, game.teamId, String(game.opponent).trim(), game.opponentTeamId || null, game.eventId || null,
+                game.date, game.isHome ? 1 : 0, game.teamScore ?? null, game.opponentScore ?? null, game.notes || null,
+                req.params.id
+            ]);
+            if (boxScore !== undefined) {
+                await replaceBoxScore(db, { ...game, id: req.params.id }, boxScore, kept);
+            }
+            updated = formatGame(await db.get(`${SELECT_GAME} WHERE g.id = ?`, [req.params.id]));
+            updated.boxScore = await loadBoxScore(db, req.params.id);
+            await recordAudit(db, req, {
+                action: 'update', entityType: 'game', entityId: updated.id, before: auditedGame(current), after: auditedGame(updated)
+            });
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'GAME_UPDATE_ERROR'
+        });
+    }
+});
+
+// Delete a game and its box score
+router.delete('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get(`${SELECT_GAME} WHERE g.id = ?`, [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Game not found',
+                code: 'GAME_NOT_FOUND'
+            });
+        }
+        if (!canManageTeam(req.user, existing.team_id)) {
+            return forbidden(res);
+        }
+        const game = formatGame(existing);
+        game.boxScore = await loadBoxScore(db, game.id);
+
+        await db.transaction(async () => {
+            await db.run('DELETE FROM player_game_stats WHERE game_id = ?', [req.params.id]);
+            await db.run('DELETE FROM games WHERE id = ?', [req.params.id]);
+            await recordAudit(db, req, { action: 'delete', entityType: 'game', entityId: game.id, before: auditedGame(game) });
+        });
+
+        res.json({
+            success: true,
+            message: 'Game deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'GAME_DELETE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Leaders API Routes
+ * Stat leaderboards computed from box scores
+ */
+
+const express = require('express');
+const router = express.Router();
+const { resolveSeason, seasonNotFound } = require('../seasons');
+const { GAMES_PLAYED, sportsWithStat, computeLeaders } = require('../leaders');
+const { queryError } = require('../list-query');
+
+const MAX_LEADERS = 50;
+
+// A whole-number query parameter at least min, or the fallback when absent
+function integerParam(value, name, min, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw queryError(`${name} must be a whole number of at least ${min}`);
+    }
+    return number;
+}
+
+// Get the leaders in ?stat= (a stat key or gamesPlayed) for ?season= (default: the current season).
+// The sport is ?sport=, the team's sport with ?teamId=, or the only sport that has the stat.
+// ?limit= (default 10, at most 50) ranks are returned, ties included; ?minGames= overrides the
+// qualifier, which by default is 1 game, or for formula stats half the most games played.
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const stat = req.query.stat;
+        if (!stat) throw queryError(`stat is required: a stat key or ${GAMES_PLAYED}`);
+        const limit = integerParam(req.query.limit, 'limit', 1, 10);
+        if (limit > MAX_LEADERS) throw queryError(`limit must be at most ${MAX_LEADERS}`);
+        const minGames = integerParam(req.query.minGames, 'minGames', 0, null);
+
+        let sport = req.query.sport || null;
+        if (req.query.teamId) {
+            const team = await db.get('SELECT sport FROM teams WHERE id = ? AND deleted_at IS NULL', [req.query.teamId]);
+            if (!team) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Team not found',
+                    code: 'TEAM_NOT_FOUND'
+                });
+            }
+            if (sport && sport !== team.sport) throw queryError(`That team plays ${team.sport}, not ${sport}`);
+            sport = team.sport;
+        }
+        if (!sport) {
+            const sports = await sportsWithStat(db, stat);
+            if (sports.length > 1) throw queryError(`${stat} is a stat of ${sports.join(' and ')}; choose one with sport`);
+            sport = sports[0];
+        }
+
+        const board = sport && await computeLeaders(db, season, {
+            stat, sport, teamId: req.query.teamId || null, limit, minGames
+        });
+        if (!board) throw queryError(`Unknown stat "${stat}"${sport ? ` for ${sport}` : ''}`);
+
+        res.json({ success: true, data: board });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'LEADERS_FETCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+/**
+ * Media API Routes
+ * Photo galleries for players and teams, and team logos and banners
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, canManageTeam, forbidden, EDITOR_ROLES } = require('../auth');
+const { recordAudit } = require('../audit');
+const { publish, originOf } = require('../change-feed');
+const { processImage } = require('../images');
+const { imageUpload, handleUploadError } = require('../uploads');
+const {
+    MEDIA_OWNER_TYPES, MEDIA_KINDS, TEAM_IMAGE_COLUMNS, formatMedia, mediaFolder, listMedia,
+    addMedia, setPrimaryPhoto, reorderMedia, removeMedia, syncOwnerImages
+} = require('../media');
+
+const MAX_CAPTION_LENGTH = 200;
+
+function mediaError(message, code, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * The player or team some media belongs to, as { name, teamId }. Throws 400 for an
+ * unknown owner type or kind and 404 when the owner does not exist or is in the trash.
+ */
+async function findOwner(db, ownerType, ownerId, kind = 'photo') {
+    if (!MEDIA_OWNER_TYPES.includes(ownerType)) {
+        throw mediaError(`ownerType must be one of: ${MEDIA_OWNER_TYPES.join(', ')}`, 'INVALID_OWNER_TYPE');
+    }
+    if (!MEDIA_KINDS.includes(kind) || (TEAM_IMAGE_COLUMNS[kind] && ownerType !== 'team')) {
+        throw mediaError('Players only have photos; teams have photos, a logo and a banner', 'INVALID_MEDIA_KIND');
+    }
+    const owner = ownerType === 'player'
+        ? await db.get('SELECT name, team_id FROM players WHERE id = ? AND deleted_at IS NULL', [ownerId])
+        : await db.get('SELECT name, id as team_id FROM teams WHERE id = ? AND deleted_at IS NULL', [ownerId]);
+    if (!owner) {
+        throw mediaError(`${ownerType === 'player' ? 'Player' : 'Team'} not found`, `${ownerType.toUpperCase()}_NOT_FOUND`, 404);
+    }
+    return { name: owner.name, teamId: owner.team_id };
+}
+
+function checkCaption(caption) {
+    if (caption !== undefined && caption !== null && String(caption).length > MAX_CAPTION_LENGTH) {
+        throw mediaError(`Captions can be at most ${MAX_CAPTION_LENGTH} characters`, 'VALIDATION_ERROR');
+    }
+}
+
+// One item with its owner, for the routes that change it
+async function findMedia(req) {
+    const db = req.app.locals.db;
+    const media = await db.get('SELECT * FROM media WHERE id = ?', [req.params.id]);
+    if (!media) throw mediaError('Media not found', 'MEDIA_NOT_FOUND', 404);
+    const owner = await findOwner(db, media.owner_type, media.owner_id, media.kind);
+    return { media, owner };
+}
+
+function auditName(owner, kind) {
+    return `${owner.name} ${kind}`;
+}
+
+// Get an owner's media: ?ownerType=player|team&ownerId=...[&kind=photo|logo|banner]
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { ownerType, ownerId, kind } = req.query;
+        await findOwner(db, ownerType, ownerId, kind || 'photo');
+        res.json({
+            success: true,
+            data: await listMedia(db, ownerType, ownerId, kind || null)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'MEDIA_FETCH_ERROR'
+        });
+    }
+});
+
+// Upload a picture into an owner's library (multipart: image, ownerType, ownerId, and
+// optionally kind and caption). A team's new logo or banner replaces the old one.
+router.post('/', requireRole(...EDITOR_ROLES), imageUpload.single('image'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { ownerType, ownerId, caption } = req.body;
+        const kind = req.body.kind || 'photo';
+        const owner = await findOwner(db, ownerType, ownerId, kind);
+        if (!canManageTeam(req.user, owner.teamId)) {
+            return forbidden(res);
+        }
+        checkCaption(caption);
+        if (!req.file) {
+            return res.status(400).json({
+                error: true,
+                message: 'No image file provided',
+                code: 'NO_FILE'
+            });
+        }
+
+        const processed = await processImage(req.file.buffer, req.file.mimetype, mediaFolder(ownerType, ownerId), kind);
+        let media;
+        await db.transaction(async () => {
+            media = formatMedia(await addMedia(db, {
+                ownerType,
+                ownerId,
+                kind,
+                path: processed.path,
+                caption: caption || null,
+                width: processed.width,
+                height: processed.height
+            }));
+            await recordAudit(db, req, {
+                action: 'create', entityType: 'media', entityId: media.id, entityName: auditName(owner, kind), after: media
+            });
+            await syncOwnerImages(db, ownerType, ownerId);
+        });
+        publish('mediaUpdated', { ownerType, ownerId }, originOf(req));
+
+        res.status(201).json({ success: true, data: media });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'MEDIA_CREATE_ERROR'
+        });
+    }
+});
+
+// Reorder an owner's media of one kind: { ownerType, ownerId, kind?, ids: [every id, in order] }
+router.put('/order', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { ownerType, ownerId, ids } = req.body;
+        const kind = req.body.kind || 'photo';
+        const owner = await findOwner(db, ownerType, ownerId, kind);
+        if (!canManageTeam(req.user, owner.teamId)) {
+            return forbidden(res);
+        }
+        if (!Array.isArray(ids)) {
+            throw mediaError('ids must be an array of media ids', 'VALIDATION_ERROR');
+        }
+
+        const before = await listMedia(db, ownerType, ownerId, kind);
+        let reordered = false;
+        await db.transaction(async () => {
+            reordered = await reorderMedia(db, ownerType, ownerId, kind, ids);
+            if (!reordered) return;
+            const after = await listMedia(db, ownerType, ownerId, kind);
+            for (const media of after) {
+                const previous = before.find(m => m.id === media.id);
+                if (previous.sortOrder !== media.sortOrder) {
+                    await recordAudit(db, req, {
+                        action: 'update', entityType: 'media', entityId: media.id, entityName: auditName(owner, kind), before: previous, after: media
+                    });
+                }
+            }
+        });
+        if (!reordered) {
+            throw mediaError(`ids must list each of this ${ownerType}'s ${kind} items exactly once`, 'VALIDATION_ERROR');
+        }
+        publish('mediaUpdated', { ownerType, ownerId }, originOf(req));
+
+        res.json({ success: true, data: await listMedia(db, ownerType, ownerId, kind) });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'MEDIA_UPDATE_ERROR'
+        });
+    }
+});
+
+// Update a caption, or make a photo primary: { caption?, isPrimary: true? }
+router.put('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { media, owner } = await findMedia(req);
+        if (!canManageTeam(req.user, owner.teamId)) {
+            return forbidden(res);
+        }
+        const { caption, isPrimary } = req.body;
+        checkCaption(caption);
+        if (isPrimary !== undefined && (isPrimary !== true || media.kind !== 'photo')) {
+            throw mediaError('isPrimary can only be set to true, on a photo', 'VALIDATION_ERROR');
+        }
+
+        let updated;
+        await db.transaction(async () => {
+            if (caption !== undefined) {
+                await db.run(
+                    'UPDATE media SET caption = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [caption || null, media.id]
+                );
+            }
+            if (isPrimary) await setPrimaryPhoto(db, media);
+            updated = formatMedia(await db.get('SELECT * FROM media WHERE id = ?', [media.id]));
+            await recordAudit(db, req, {
+                action: 'update', entityType: 'media', entityId: media.id, entityName: auditName(owner, media.kind), before: formatMedia(media), after: updated
+            });
+            await syncOwnerImages(db, media.owner_type, media.owner_id);
+        });
+        publish('mediaUpdated', { ownerType: media.owner_type, ownerId: media.owner_id }, originOf(req));
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'MEDIA_UPDATE_ERROR'
+        });
+    }
+});
+
+// Remove a picture from its library; the next photo becomes primary if it was
+router.delete('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { media, owner } = await findMedia(req);
+        if (!canManageTeam(req.user, owner.teamId)) {
+            return forbidden(res);
+        }
+
+        await db.transaction(async () => {
+            await removeMedia(db, media);
+            await recordAudit(db, req, {
+                action: 'delete', entityType: 'media', entityId: media.id, entityName: auditName(owner, media.kind), before: formatMedia(media)
+            });
+            await syncOwnerImages(db, media.owner_type, media.owner_id);
+        });
+        publish('mediaUpdated', { ownerType: media.owner_type, ownerId: media.owner_id }, originOf(req));
+
+        res.json({ success: true, message: 'Media deleted' });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'MEDIA_DELETE_ERROR'
+        });
+    }
+});
+
+// Error handling for multer
+router.use(handleUploadError);
+
+module.exports = router;
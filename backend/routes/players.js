@@ -5,57 +5,354 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../auth');
+const { requireRole, canManageTeam, forbidden, EDITOR_ROLES } = require('../auth');
+const { attachStats, loadStatDefinitions } = require('../stats');
+const { formatSeason, resolveSeason, seasonNotFound, syncCurrentRoster } = require('../seasons');
+const { parseCsv, sendCsv } = require('../csv');
+const { IMPORT_FIELDS, suggestMapping, checkMapping, evaluateRows } = require('../roster-import');
+const { toMatchQuery } = require('../search');
+const { publish, originOf } = require('../change-feed');
+const { etag, expectedVersion, conflict } = require('../concurrency');
+const { recordAudit } = require('../audit');
+const { trashDates, purgePlayer } = require('../trash');
+const { imageVariants } = require('../images');
+const { claimPendingImage } = require('../uploads');
+const { adoptPlayerImage } = require('../media');
+const { fieldErrors, invalid } = require('../validate');
+const { positionsBySport, parseSecondaryPositions, resolvePlayerPositions } = require('../positions');
+const {
+    queryError, parsePaging, paginationMeta, parseSort, parseFields, selectFields, likePattern
+} = require('../list-query');
 
-// Get all players
+// CSV can be posted as text/csv directly instead of inside a JSON body
+const readCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Players with team info, leaving out the trash; season stats are attached by attachStats()
+const SELECT_PLAYER = `
+    SELECT p.id, p.name, p.number, p.team_id, p.position, p.secondary_positions, p.image_path, p.bio,
+           p.version, p.created_at, p.updated_at, t.name as team_name, t.color as team_color, t.sport as sport
+    FROM players p
+    LEFT JOIN teams t ON p.team_id = t.id
+    WHERE p.deleted_at IS NULL
+`;
+
+// Players as rostered in a past season: team, number and position come from that season
+const SELECT_SEASON_PLAYER = `
+    SELECT p.id, p.name, r.number, r.team_id, r.position, p.secondary_positions, p.image_path, p.bio,
+           p.version, p.created_at, p.updated_at, t.name as team_name, t.color as team_color, t.sport as sport
+    FROM season_rosters r
+    JOIN players p ON r.player_id = p.id
+    LEFT JOIN teams t ON r.team_id = t.id
+    WHERE r.season_id = ? AND p.deleted_at IS NULL
+`;
+
+// Map DB shape -> API shape
+function formatPlayer(r) {
+    return {
+        id: r.id,
+        name: r.name,
+        number: r.number,
+        teamId: r.team_id,
+        position: r.position,
+        secondaryPositions: parseSecondaryPositions(r.secondary_positions),
+        image: r.image_path,
+        images: imageVariants(r.image_path),
+        bio: r.bio,
+        sport: r.sport,
+        version: r.version,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+        team_name: r.team_name,
+        team_color: r.team_color
+    };
+}
+
+// Fields ?fields= can pick, besides stats.<key> for any defined stat
+const PLAYER_FIELDS = [
+    'id', 'name', 'number', 'teamId', 'position', 'secondaryPositions', 'image', 'images', 'bio', 'sport',
+    'version', 'createdAt', 'updatedAt', 'team_name', 'team_color', 'gamesPlayed', 'stats'
+];
+
+// Players as rostered in a season (default: the current one), with that season's stats
+async function loadPlayers(db, season) {
+    const rows = season && !season.is_current
+        ? await db.all(`${SELECT_SEASON_PLAYER} ORDER BY p.name`, [season.id])
+        : await db.all(`${SELECT_PLAYER} ORDER BY p.name`);
+    return attachStats(db, rows.map(formatPlayer), season && season.id);
+}
+
+// A player as they are now, with current-season stats
+async function currentPlayer(db, id) {
+    const r = await db.get(`${SELECT_PLAYER} AND p.id = ?`, [id]);
+    if (!r) return null;
+    const season = await resolveSeason(db);
+    const [player] = await attachStats(db, [formatPlayer(r)], season && season.id);
+    return player;
+}
+
+// ?sort= keys that map to columns; gamesPlayed and stats.<key> are sorted after stats are computed
+const PLAYER_SORT_COLUMNS = {
+    name: 'name',
+    number: 'number',
+    position: 'position',
+    team: 'team_name',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+function playerSortValue(player, sort) {
+    return sort === 'gamesPlayed' ? player.gamesPlayed : player.stats[sort.slice('stats.'.length)];
+}
+
+// Get players for ?season= (default: the current season), with stats.
+// Filters: ?teamId=, ?sport=, ?position= (primary or secondary) and ?q= (full-text search of name, position and bio). Paging: ?page=&limit=.
+// Sorting: ?sort=name|number|position|team|createdAt|updatedAt|gamesPlayed|stats.<key of a defined stat>&order=asc|desc.
+// ?fields= picks which fields each player carries.
 router.get('/', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const rows = await db.all(`
-            SELECT p.*, t.name as team_name, t.color as team_color
-            FROM players p
-            LEFT JOIN teams t ON p.team_id = t.id
-            ORDER BY p.name
-        `);
-        // Map DB shape -> API shape
-        const players = rows.map(r => ({
-            id: r.id,
-            name: r.name,
-            number: r.number,
-            teamId: r.team_id,
-            position: r.position,
-            image: r.image_path,
-            bio: r.bio,
-            battingAverage: r.batting_average,
-            homeRuns: r.home_runs,
-            rbi: r.rbi,
-            gamesPlayed: r.games_played,
-            createdAt: r.created_at,
-            updatedAt: r.updated_at,
-            team_name: r.team_name,
-            team_color: r.team_color
-        }));
-
-        res.json({ success: true, data: players });
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const paging = parsePaging(req.query);
+        const statKeys = Object.values(await loadStatDefinitions(db)).flat().map(def => `stats.${def.key}`);
+        const fields = parseFields(req.query, [...PLAYER_FIELDS, ...statKeys]);
+        const { sort, descending } = parseSort(req.query, 'name');
+        const sortsByStat = sort === 'gamesPlayed' || statKeys.includes(sort);
+        if (!PLAYER_SORT_COLUMNS[sort] && !sortsByStat) {
+            throw queryError(`Cannot sort players by "${sort}"`);
+        }
+
+        // Both roster queries expose the same columns, so filters apply to either
+        const pastSeason = season && !season.is_current;
+        const filters = [];
+        const params = pastSeason ? [season.id] : [];
+        if (req.query.teamId) {
+            filters.push('team_id = ?');
+            params.push(req.query.teamId);
+        }
+        if (req.query.sport) {
+            filters.push('sport = ?');
+            params.push(req.query.sport);
+        }
+        if (req.query.position) {
+            filters.push(`(position LIKE ? ESCAPE '\\'
+                OR EXISTS (SELECT 1 FROM json_each(secondary_positions) WHERE value LIKE ? ESCAPE '\\'))`);
+            params.push(likePattern(req.query.position), likePattern(req.query.position));
+        }
+        const match = toMatchQuery(req.query.q);
+        if (match) {
+            // Full-text match on name, position and bio
+            filters.push('id IN (SELECT id FROM players_fts WHERE players_fts MATCH ?)');
+            params.push(match);
+        }
+        const from = `FROM (${pastSeason ? SELECT_SEASON_PLAYER : SELECT_PLAYER}) x
+            ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}`;
+
+        const { total } = await db.get(`SELECT COUNT(*) as total ${from}`, params);
+        let players;
+        if (sortsByStat) {
+            // Stats are computed in JS, so every matching player is ranked before the page is cut
+            const rows = await db.all(`SELECT * ${from} ORDER BY name, id`, params);
+            const ranked = await attachStats(db, rows.map(formatPlayer), season && season.id);
+            ranked.sort((a, b) => {
+                const left = playerSortValue(a, sort);
+                const right = playerSortValue(b, sort);
+                // Players without the stat (another sport) always come last
+                if (left === undefined || right === undefined) {
+                    return (left === undefined) - (right === undefined);
+                }
+                return descending ? right - left : left - right;
+            });
+            players = ranked.slice(paging.offset, paging.offset + paging.limit);
+        } else {
+            const rows = await db.all(
+                `SELECT * ${from} ORDER BY ${PLAYER_SORT_COLUMNS[sort]} ${descending ? 'DESC' : 'ASC'}, name, id LIMIT ? OFFSET ?`,
+                [...params, paging.limit, paging.offset]
+            );
+            players = await attachStats(db, rows.map(formatPlayer), season && season.id);
+        }
+
+        res.json({
+            success: true,
+            data: players.map(player => selectFields(player, fields)),
+            pagination: paginationMeta(paging, total)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'PLAYERS_FETCH_ERROR'
+        });
+    }
+});
+
+// Download players with season stats for ?season= as CSV
+router.get('/export', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const players = await loadPlayers(db, season);
+        const definitions = await loadStatDefinitions(db);
+
+        // One column per stat of each sport on the roster; label by sport when there are several
+        const sports = [...new Set(players.map(p => p.sport).filter(Boolean))].sort();
+        const statColumns = sports.flatMap(sport => (definitions[sport] || []).map(def => ({
+            sport,
+            key: def.key,
+            header: sports.length > 1 ? `${def.label} (${sport})` : def.label
+        })));
+
+        const rows = [
+            ['Name', 'Number', 'Team', 'Position', 'Secondary Positions', 'Bio', 'Image', 'Games',
+                ...statColumns.map(c => c.header)],
+            ...players.map(p => [
+                p.name, p.number, p.team_name, p.position, p.secondaryPositions.join(', '), p.bio, p.image, p.gamesPlayed,
+                ...statColumns.map(c => (c.sport === p.sport ? p.stats[c.key] : ''))
+            ])
+        ];
+        const label = season ? season.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'all';
+        sendCsv(res, `players-${label}.csv`, rows);
     } catch (error) {
         res.status(500).json({
             error: true,
             message: error.message,
-            code: 'PLAYERS_FETCH_ERROR'
+            code: 'PLAYERS_EXPORT_ERROR'
         });
     }
 });
 
-// Get player by ID
+// Import players from CSV into the current season.
+// Body: { csv, mapping?: { field: header } } or raw text/csv. Without a mapping the
+// columns are matched by header name. ?dryRun=true only returns the validation preview;
+// otherwise every valid row is added in one transaction and invalid rows are skipped.
+router.post('/import', requireRole(...EDITOR_ROLES), readCsvBody, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const body = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+        let table;
+        try {
+            table = parseCsv(body.csv);
+        } catch (error) {
+            return res.status(400).json({ error: true, message: error.message, code: 'INVALID_CSV' });
+        }
+        if (table.length < 2) {
+            return res.status(400).json({
+                error: true,
+                message: 'CSV must have a header row and at least one player',
+                code: 'INVALID_CSV'
+            });
+        }
+
+        const [headers, ...dataRows] = table;
+        const checked = checkMapping(headers, body.mapping || suggestMapping(headers));
+        if (checked.errors.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: checked.errors.join('; '),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        const preview = {
+            dryRun,
+            headers,
+            fields: Object.keys(IMPORT_FIELDS),
+            mapping: checked.mapping,
+            missingFields: checked.missingFields
+        };
+        if (checked.missingFields.length > 0) {
+            // The client needs the headers to finish the mapping, so a preview still succeeds
+            if (dryRun) {
+                return res.json({
+                    success: true,
+                    data: {
+                        ...preview,
+                        rows: [],
+                        summary: { total: dataRows.length, valid: 0, invalid: 0, imported: 0 }
+                    }
+                });
+            }
+            return res.status(400).json({
+                error: true,
+                message: `Map a column to: ${checked.missingFields.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const [teams, players, positions] = await Promise.all([
+            db.all('SELECT id, name, sport FROM teams WHERE deleted_at IS NULL'),
+            db.all('SELECT id, name, number, team_id FROM players WHERE deleted_at IS NULL'),
+            positionsBySport(db)
+        ]);
+        const rows = evaluateRows({
+            headers,
+            rows: dataRows,
+            mapping: checked.mapping,
+            teams,
+            players,
+            positions,
+            canManage: teamId => canManageTeam(req.user, teamId)
+        });
+        const validRows = rows.filter(r => r.valid);
+
+        if (!dryRun && validRows.length > 0) {
+            await db.transaction(async () => {
+                for (const { player } of validRows) {
+                    const id = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    await db.run(`
+                        INSERT INTO players (id, name, number, team_id, position, secondary_positions, image_path, bio)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        id, player.name, player.number, player.teamId, player.position,
+                        JSON.stringify(player.secondaryPositions), player.image, player.bio
+                    ]);
+                    await syncCurrentRoster(db, id);
+                    await adoptPlayerImage(db, id, player.image);
+                    await recordAudit(db, req, { action: 'import', entityType: 'player', entityId: id, after: player });
+                }
+            });
+            publish('playersImported', { imported: validRows.length }, originOf(req));
+        }
+
+        res.json({
+            success: true,
+            message: dryRun
+                ? `${validRows.length} of ${rows.length} rows are ready to import`
+                : `Imported ${validRows.length} of ${rows.length} players`,
+            data: {
+                ...preview,
+                rows,
+                summary: {
+                    total: rows.length,
+                    valid: validRows.length,
+                    invalid: rows.length - validRows.length,
+                    imported: dryRun ? 0 : validRows.length
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'PLAYER_IMPORT_ERROR'
+        });
+    }
+});
+
+// Get player by ID, as rostered in ?season= (default: the current season)
 router.get('/:id', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const r = await db.get(`
-            SELECT p.*, t.name as team_name, t.color as team_color
-            FROM players p
-            LEFT JOIN teams t ON p.team_id = t.id
-            WHERE p.id = ?
-        `, [req.params.id]);
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const r = season && !season.is_current
+            ? await db.get(`${SELECT_SEASON_PLAYER} AND p.id = ?`, [season.id, req.params.id])
+            : await db.get(`${SELECT_PLAYER} AND p.id = ?`, [req.params.id]);
         
         if (!r) {
             return res.status(404).json({
@@ -64,24 +361,8 @@ router.get('/:id', async (req, res) => {
                 code: 'PLAYER_NOT_FOUND'
             });
         }
-        const player = {
-            id: r.id,
-            name: r.name,
-            number: r.number,
-            teamId: r.team_id,
-            position: r.position,
-            image: r.image_path,
-            bio: r.bio,
-            battingAverage: r.batting_average,
-            homeRuns: r.home_runs,
-            rbi: r.rbi,
-            gamesPlayed: r.games_played,
-            createdAt: r.created_at,
-            updatedAt: r.updated_at,
-            team_name: r.team_name,
-            team_color: r.team_color
-        };
-
+        const [player] = await attachStats(db, [formatPlayer(r)], season && season.id);
+        res.set('ETag', etag(player.version));
         res.json({ success: true, data: player });
     } catch (error) {
         res.status(500).json({
@@ -92,101 +373,131 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// Create new player
-// Protected by requireAuth defined in server
-router.post('/', requireAuth, async (req, res) => {
+// Get a player's season-by-season record, newest first: the team, number and position
+// they were rostered with in each season and that season's stats
+router.get('/:id/seasons', async (req, res) => {
     try {
-        const { name, number, teamId, position, image, bio, stats } = req.body;
-        
-        // Validate required fields
-        if (!name || !number || !teamId || !position) {
-            return res.status(400).json({
+        const db = req.app.locals.db;
+        const player = await db.get('SELECT id FROM players WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+        if (!player) {
+            return res.status(404).json({
                 error: true,
-                message: 'Missing required fields: name, number, teamId, position',
-                code: 'VALIDATION_ERROR'
+                message: 'Player not found',
+                code: 'PLAYER_NOT_FOUND'
+            });
+        }
+
+        const rows = await db.all(`
+            SELECT s.*, r.team_id, r.number, r.position, t.name as team_name, t.color as team_color, t.sport as sport
+            FROM season_rosters r
+            JOIN seasons s ON r.season_id = s.id
+            LEFT JOIN teams t ON r.team_id = t.id
+            WHERE r.player_id = ?
+            ORDER BY s.year DESC, s.start_date DESC
+        `, [req.params.id]);
+        const seasons = [];
+        for (const r of rows) {
+            const [record] = await attachStats(db, [{ id: req.params.id, sport: r.sport }], r.id);
+            seasons.push({
+                season: formatSeason(r),
+                teamId: r.team_id,
+                teamName: r.team_name,
+                teamColor: r.team_color,
+                sport: r.sport,
+                number: r.number,
+                position: r.position,
+                gamesPlayed: record.gamesPlayed,
+                stats: record.stats
             });
         }
+
+        res.json({ success: true, data: seasons });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'PLAYER_SEASONS_FETCH_ERROR'
+        });
+    }
+});
+
+// Create new player
+// Team managers may only add players to teams they are assigned to
+router.post('/', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const { name, number, teamId, image, bio } = req.body;
+        
+        // Validate against the player schema
+        const errors = fieldErrors('player', req.body);
+        if (errors) {
+            return invalid(res, errors);
+        }
+        if (!canManageTeam(req.user, teamId)) {
+            return forbidden(res);
+        }
         
         // Check if team exists
         const db = req.app.locals.db;
-        const team = await db.get('SELECT id FROM teams WHERE id = ?', [teamId]);
+        const team = await db.get('SELECT id FROM teams WHERE id = ? AND deleted_at IS NULL', [teamId]);
         if (!team) {
-            return res.status(400).json({
-                error: true,
-                message: 'Team not found',
-                code: 'TEAM_NOT_FOUND'
-            });
+            return invalid(res, { teamId: 'Team not found' }, 'TEAM_NOT_FOUND');
+        }
+        // Positions must come from the team's sport; they are stored as abbreviations
+        const positions = await resolvePlayerPositions(db, teamId, req.body.position, req.body.secondaryPositions);
+        if (positions.errors) {
+            return invalid(res, positions.errors);
         }
         
         // Check for duplicate number in team
         const existingPlayer = await db.get(
-            'SELECT id FROM players WHERE team_id = ? AND number = ?',
+            'SELECT id FROM players WHERE team_id = ? AND number = ? AND deleted_at IS NULL',
             [teamId, number]
         );
         if (existingPlayer) {
-            return res.status(400).json({
-                error: true,
-                message: `Player number ${number} already exists in this team`,
-                code: 'DUPLICATE_NUMBER'
-            });
+            return invalid(res, { number: `Player number ${number} already exists in this team` }, 'DUPLICATE_NUMBER');
         }
         
         // Generate ID
         const id = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // A photo uploaded against a pending-upload token moves into the new player's folder
+        const imagePath = claimPendingImage(image, id, req.user);
         
-        // Insert player
+        // Insert player (stats come from game box scores, not the payload)
         await db.run(`
-            INSERT INTO players (id, name, number, team_id, position, image_path, bio, batting_average, home_runs, rbi, games_played)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO players (id, name, number, team_id, position, secondary_positions, image_path, bio)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-            id, name, number, teamId, position, image || null, bio || null,
-            stats?.battingAverage || 0, stats?.homeRuns || 0, stats?.rbi || 0, stats?.gamesPlayed || 0
+            id, name, number, teamId, positions.position, JSON.stringify(positions.secondaryPositions),
+            imagePath || null, bio || null
         ]);
+        await syncCurrentRoster(db, id);
+        await adoptPlayerImage(db, id, imagePath);
         
-        // Get the created player
-        const r = await db.get(`
-            SELECT p.*, t.name as team_name, t.color as team_color
-            FROM players p
-            LEFT JOIN teams t ON p.team_id = t.id
-            WHERE p.id = ?
-        `, [id]);
-        const newPlayer = {
-            id: r.id,
-            name: r.name,
-            number: r.number,
-            teamId: r.team_id,
-            position: r.position,
-            image: r.image_path,
-            bio: r.bio,
-            battingAverage: r.batting_average,
-            homeRuns: r.home_runs,
-            rbi: r.rbi,
-            gamesPlayed: r.games_played,
-            createdAt: r.created_at,
-            updatedAt: r.updated_at,
-            team_name: r.team_name,
-            team_color: r.team_color
-        };
-
-        res.status(201).json({ success: true, data: newPlayer });
+        const player = await currentPlayer(db, id);
+        await recordAudit(db, req, { action: 'create', entityType: 'player', entityId: id, after: player });
+        publish('playerAdded', player, originOf(req));
+        res.set('ETag', etag(player.version));
+        res.status(201).json({ success: true, data: player });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: true,
             message: error.message,
-            code: 'PLAYER_CREATE_ERROR'
+            code: error.status ? error.code : 'PLAYER_CREATE_ERROR'
         });
     }
 });
 
 // Update player
-router.put('/:id', requireAuth, async (req, res) => {
+// Send the version being edited in If-Match (or body.version); a stale one gets 409 CONFLICT
+router.put('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
     try {
-        const { name, number, teamId, position, image, bio, stats } = req.body;
+        const { name, number, teamId, position, secondaryPositions, image, bio } = req.body;
+        const expected = expectedVersion(req);
         
         const db = req.app.locals.db;
         
         // Check if player exists
-        const existingPlayer = await db.get('SELECT * FROM players WHERE id = ?', [req.params.id]);
+        const existingPlayer = await db.get('SELECT * FROM players WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
         if (!existingPlayer) {
             return res.status(404).json({
                 error: true,
@@ -194,85 +505,98 @@ router.put('/:id', requireAuth, async (req, res) => {
                 code: 'PLAYER_NOT_FOUND'
             });
         }
+        // Moving a player requires access to both the old and the new team
+        if (!canManageTeam(req.user, existingPlayer.team_id) || (teamId && !canManageTeam(req.user, teamId))) {
+            return forbidden(res);
+        }
+        // Only the fields sent are checked; the rest keep their values
+        const errors = fieldErrors('player', req.body, { partial: true });
+        if (errors) {
+            return invalid(res, errors);
+        }
+        if (expected !== null && expected !== existingPlayer.version) {
+            return conflict(res, await currentPlayer(db, req.params.id), 'player');
+        }
+        if (teamId && !(await db.get('SELECT id FROM teams WHERE id = ? AND deleted_at IS NULL', [teamId]))) {
+            return invalid(res, { teamId: 'Team not found' }, 'TEAM_NOT_FOUND');
+        }
+        // Positions are rechecked when they change or the player moves to another sport's team
+        let positions = {};
+        if (position || secondaryPositions || teamId) {
+            positions = await resolvePlayerPositions(
+                db,
+                teamId || existingPlayer.team_id,
+                position || existingPlayer.position,
+                secondaryPositions || parseSecondaryPositions(existingPlayer.secondary_positions)
+            );
+            if (positions.errors) {
+                return invalid(res, positions.errors);
+            }
+        }
         
-        // Check for duplicate number if number is being changed
-        if (number && number !== existingPlayer.number) {
+        // Check for a duplicate number whenever the number or the team changes; a player
+        // moving team keeps their number unless they send a new one
+        if ((number && number !== existingPlayer.number) || (teamId && teamId !== existingPlayer.team_id)) {
+            const newNumber = number ?? existingPlayer.number;
             const duplicatePlayer = await db.get(
-                'SELECT id FROM players WHERE team_id = ? AND number = ? AND id != ?',
-                [teamId || existingPlayer.team_id, number, req.params.id]
+                'SELECT id FROM players WHERE team_id = ? AND number = ? AND id != ? AND deleted_at IS NULL',
+                [teamId || existingPlayer.team_id, newNumber, req.params.id]
             );
             if (duplicatePlayer) {
-                return res.status(400).json({
-                    error: true,
-                    message: `Player number ${number} already exists in this team`,
-                    code: 'DUPLICATE_NUMBER'
-                });
+                return invalid(res, { number: `Player number ${newNumber} already exists in this team` }, 'DUPLICATE_NUMBER');
             }
         }
         
-        // Update player
-        await db.run(`
+        const imagePath = claimPendingImage(image, req.params.id, req.user);
+        
+        // Update player; the version check is repeated here in case of a concurrent write
+        const result = await db.run(`
             UPDATE players SET
                 name = COALESCE(?, name),
                 number = COALESCE(?, number),
                 team_id = COALESCE(?, team_id),
                 position = COALESCE(?, position),
+                secondary_positions = COALESCE(?, secondary_positions),
                 image_path = COALESCE(?, image_path),
                 bio = COALESCE(?, bio),
-                batting_average = COALESCE(?, batting_average),
-                home_runs = COALESCE(?, home_runs),
-                rbi = COALESCE(?, rbi),
-                games_played = COALESCE(?, games_played),
+                version = version + 1,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
+            WHERE id = ? AND (? IS NULL OR version = ?)
         `, [
-            name, number, teamId, position, image, bio,
-            stats?.battingAverage, stats?.homeRuns, stats?.rbi, stats?.gamesPlayed,
-            req.params.id
+            name, number, teamId, positions.position,
+            positions.secondaryPositions && JSON.stringify(positions.secondaryPositions),
+            imagePath, bio, req.params.id, expected, expected
         ]);
+        if (result.changes === 0) {
+            return conflict(res, await currentPlayer(db, req.params.id), 'player');
+        }
+        await syncCurrentRoster(db, req.params.id);
+        await adoptPlayerImage(db, req.params.id, imagePath);
         
-        // Get updated player
-        const r2 = await db.get(`
-            SELECT p.*, t.name as team_name, t.color as team_color
-            FROM players p
-            LEFT JOIN teams t ON p.team_id = t.id
-            WHERE p.id = ?
-        `, [req.params.id]);
-        const updatedPlayer = {
-            id: r2.id,
-            name: r2.name,
-            number: r2.number,
-            teamId: r2.team_id,
-            position: r2.position,
-            image: r2.image_path,
-            bio: r2.bio,
-            battingAverage: r2.batting_average,
-            homeRuns: r2.home_runs,
-            rbi: r2.rbi,
-            gamesPlayed: r2.games_played,
-            createdAt: r2.created_at,
-            updatedAt: r2.updated_at,
-            team_name: r2.team_name,
-            team_color: r2.team_color
-        };
-
-        res.json({ success: true, data: updatedPlayer });
+        const player = await currentPlayer(db, req.params.id);
+        await recordAudit(db, req, {
+            action: 'update', entityType: 'player', entityId: player.id, before: formatPlayer(existingPlayer), after: player
+        });
+        publish('playerUpdated', player, originOf(req));
+        res.set('ETag', etag(player.version));
+        res.json({ success: true, data: player });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: true,
             message: error.message,
-            code: 'PLAYER_UPDATE_ERROR'
+            code: error.status ? error.code : 'PLAYER_UPDATE_ERROR'
         });
     }
 });
 
-// Delete player
-router.delete('/:id', requireAuth, async (req, res) => {
+// Delete player: moves them to the trash, where stats and photos are kept until they are
+// restored or purged
+router.delete('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
     try {
         const db = req.app.locals.db;
         
         // Check if player exists
-        const player = await db.get('SELECT * FROM players WHERE id = ?', [req.params.id]);
+        const player = await db.get('SELECT * FROM players WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
         if (!player) {
             return res.status(404).json({
                 error: true,
@@ -280,23 +604,24 @@ router.delete('/:id', requireAuth, async (req, res) => {
                 code: 'PLAYER_NOT_FOUND'
             });
         }
-        
-        // Delete player (and images folder best-effort)
-        await db.run('DELETE FROM players WHERE id = ?', [req.params.id]);
-        try {
-            const path = require('path');
-            const fs = require('fs');
-            const dir = path.join(__dirname, '..', 'uploads', 'images', req.params.id);
-            if (fs.existsSync(dir)) {
-                fs.rmSync(dir, { recursive: true, force: true });
-            }
-        } catch (e) {
-            console.warn('Failed to remove player image folder:', e.message);
+        if (!canManageTeam(req.user, player.team_id)) {
+            return forbidden(res);
         }
         
+        await db.run(`
+            UPDATE players SET deleted_at = CURRENT_TIMESTAMP, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [req.params.id]);
+        await recordAudit(db, req, {
+            action: 'delete', entityType: 'player', entityId: player.id, before: formatPlayer(player)
+        });
+        publish('playerDeleted', { id: req.params.id }, originOf(req));
+        
+        const { deleted_at: deletedAt } = await db.get('SELECT deleted_at FROM players WHERE id = ?', [req.params.id]);
         res.json({
             success: true,
-            message: 'Player deleted successfully'
+            message: 'Player moved to the trash',
+            data: { id: req.params.id, ...trashDates(deletedAt) }
         });
     } catch (error) {
         res.status(500).json({
@@ -307,4 +632,99 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// A trashed player, if the user may manage their team; otherwise responds and returns null
+async function trashedPlayer(req, res) {
+    const player = await req.app.locals.db.get(
+        'SELECT * FROM players WHERE id = ? AND deleted_at IS NOT NULL',
+        [req.params.id]
+    );
+    if (!player) {
+        res.status(404).json({
+            error: true,
+            message: 'Player is not in the trash',
+            code: 'NOT_IN_TRASH'
+        });
+        return null;
+    }
+    if (!canManageTeam(req.user, player.team_id)) {
+        forbidden(res);
+        return null;
+    }
+    return player;
+}
+
+// Restore a player from the trash, onto their team under their old number
+router.post('/:id/restore', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const trashed = await trashedPlayer(req, res);
+        if (!trashed) return;
+
+        const team = await db.get('SELECT name, deleted_at FROM teams WHERE id = ?', [trashed.team_id]);
+        if (!team || team.deleted_at) {
+            return res.status(400).json({
+                error: true,
+                message: team ? `Restore the team ${team.name} first` : 'The player\'s team no longer exists',
+                code: 'TEAM_DELETED'
+            });
+        }
+        const taken = await db.get(
+            'SELECT name FROM players WHERE team_id = ? AND number = ? AND deleted_at IS NULL',
+            [trashed.team_id, trashed.number]
+        );
+        if (taken) {
+            return res.status(400).json({
+                error: true,
+                message: `Number ${trashed.number} now belongs to ${taken.name}; change one of their numbers first`,
+                code: 'DUPLICATE_NUMBER'
+            });
+        }
+
+        await db.run(`
+            UPDATE players SET deleted_at = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [req.params.id]);
+        await syncCurrentRoster(db, req.params.id);
+
+        const player = await currentPlayer(db, req.params.id);
+        await recordAudit(db, req, { action: 'restore', entityType: 'player', entityId: player.id, after: player });
+        publish('playerAdded', player, originOf(req));
+        res.set('ETag', etag(player.version));
+        res.json({ success: true, data: player });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'PLAYER_RESTORE_ERROR'
+        });
+    }
+});
+
+// Permanently delete a player from the trash, with their stats and photos
+router.delete('/:id/purge', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const trashed = await trashedPlayer(req, res);
+        if (!trashed) return;
+
+        await db.transaction(async () => {
+            await purgePlayer(db, req.params.id);
+            await recordAudit(db, req, {
+                action: 'purge', entityType: 'player', entityId: trashed.id, before: formatPlayer(trashed)
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Player deleted permanently'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'PLAYER_PURGE_ERROR'
+        });
+    }
+});
+
 module.exports = router;
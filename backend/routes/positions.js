@@ -0,0 +1,208 @@
+/**
+ * Positions API Routes
+ * Per-sport position catalogue: names, abbreviations and display order
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, ADMIN_ROLES } = require('../auth');
+const { invalid } = require('../validate');
+const { formatPosition, loadPositions, countPositionUse } = require('../positions');
+
+const SPORT_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ABBREVIATION_PATTERN = /^[A-Z0-9]{1,6}$/;
+
+/**
+ * Validate a position merged over any existing values; returns a field -> message map
+ */
+async function validatePosition(db, position, existingId = null) {
+    const fields = {};
+    if (!position.sport || !SPORT_PATTERN.test(position.sport)) {
+        fields.sport = 'Sport must be lowercase letters, digits or underscores';
+    } else if (!(await db.get('SELECT 1 FROM stat_definitions WHERE sport = ? LIMIT 1', [position.sport]))) {
+        fields.sport = `No stats are defined for sport "${position.sport}"`;
+    }
+    if (!position.name || !String(position.name).trim()) {
+        fields.name = 'Name is required';
+    } else if (String(position.name).trim().length > 50) {
+        fields.name = 'Name must be at most 50 characters';
+    }
+    if (!position.abbreviation || !ABBREVIATION_PATTERN.test(position.abbreviation)) {
+        fields.abbreviation = 'Abbreviation must be 1 to 6 letters or digits';
+    } else if (!fields.sport) {
+        const duplicate = await db.get(
+            'SELECT id FROM positions WHERE sport = ? AND abbreviation = ? AND id != ?',
+            [position.sport, position.abbreviation, existingId || '']
+        );
+        if (duplicate) fields.abbreviation = `${position.sport} already has a position ${position.abbreviation}`;
+    }
+    if (position.sortOrder !== null && position.sortOrder !== undefined && !Number.isInteger(position.sortOrder)) {
+        fields.sortOrder = 'Sort order must be a whole number';
+    }
+    return fields;
+}
+
+// Normalise optional fields from a request body
+function readPositionBody(body, current = {}) {
+    const position = { ...current };
+    ['sport', 'name', 'abbreviation', 'sortOrder'].forEach(field => {
+        if (body[field] !== undefined) position[field] = body[field] === '' ? null : body[field];
+    });
+    if (typeof position.sport === 'string') position.sport = position.sport.trim().toLowerCase();
+    if (typeof position.abbreviation === 'string') position.abbreviation = position.abbreviation.trim().toUpperCase();
+    return position;
+}
+
+function positionNotFound(res) {
+    return res.status(404).json({
+        error: true,
+        message: 'Position not found',
+        code: 'POSITION_NOT_FOUND'
+    });
+}
+
+// Get all positions in display order, optionally for one ?sport=
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        res.json({ success: true, data: await loadPositions(db, req.query.sport || null) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'POSITIONS_FETCH_ERROR'
+        });
+    }
+});
+
+// Create a position (admins only); without a sortOrder it goes last
+router.post('/', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const position = readPositionBody(req.body, { sortOrder: null });
+
+        const fields = await validatePosition(db, position);
+        if (Object.keys(fields).length > 0) return invalid(res, fields);
+
+        if (position.sortOrder === null || position.sortOrder === undefined) {
+            const last = await db.get('SELECT MAX(sort_order) as max FROM positions WHERE sport = ?', [position.sport]);
+            position.sortOrder = (last.max || 0) + 1;
+        }
+
+        // Generate ID
+        const id = `position_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await db.run(`
+            INSERT INTO positions (id, sport, name, abbreviation, sort_order)
+            VALUES (?, ?, ?, ?, ?)
+        `, [id, position.sport, String(position.name).trim(), position.abbreviation, position.sortOrder]);
+
+        const r = await db.get('SELECT * FROM positions WHERE id = ?', [id]);
+        res.status(201).json({ success: true, data: formatPosition(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'POSITION_CREATE_ERROR'
+        });
+    }
+});
+
+// Reorder a sport's positions. Body: { sport, ids } listing every position of the sport
+router.put('/order', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { sport, ids } = req.body;
+        const positions = await loadPositions(db, sport || '');
+
+        const known = new Set(positions.map(p => p.id));
+        if (!Array.isArray(ids) || ids.length !== known.size || new Set(ids).size !== ids.length ||
+            !ids.every(id => known.has(id))) {
+            return invalid(res, { ids: `List each ${sport || 'sport'} position exactly once` });
+        }
+
+        await db.transaction(async () => {
+            for (const [index, id] of ids.entries()) {
+                await db.run(
+                    'UPDATE positions SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [index + 1, id]
+                );
+            }
+        });
+
+        res.json({ success: true, data: await loadPositions(db, sport) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'POSITIONS_REORDER_ERROR'
+        });
+    }
+});
+
+// Update a position; sport and abbreviation are fixed because players are stored with them
+router.put('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM positions WHERE id = ?', [req.params.id]);
+        if (!existing) return positionNotFound(res);
+
+        const current = formatPosition(existing);
+        const position = readPositionBody(req.body, current);
+        if (position.sport !== current.sport || position.abbreviation !== current.abbreviation) {
+            return invalid(res, { abbreviation: 'Sport and abbreviation cannot be changed; add a new position instead' });
+        }
+        const fields = await validatePosition(db, position, current.id);
+        if (Object.keys(fields).length > 0) return invalid(res, fields);
+
+        await db.run(`
+            UPDATE positions SET
+                name = ?,
+                sort_order = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [String(position.name).trim(), position.sortOrder ?? current.sortOrder, req.params.id]);
+
+        const r = await db.get('SELECT * FROM positions WHERE id = ?', [req.params.id]);
+        res.json({ success: true, data: formatPosition(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'POSITION_UPDATE_ERROR'
+        });
+    }
+});
+
+// Delete a position no player plays
+router.delete('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM positions WHERE id = ?', [req.params.id]);
+        if (!existing) return positionNotFound(res);
+
+        const used = await countPositionUse(db, existing.sport, existing.abbreviation);
+        if (used > 0) {
+            return res.status(400).json({
+                error: true,
+                message: `Cannot delete a position ${used} ${used === 1 ? 'player plays' : 'players play'}`,
+                code: 'POSITION_IN_USE'
+            });
+        }
+
+        await db.run('DELETE FROM positions WHERE id = ?', [req.params.id]);
+
+        res.json({
+            success: true,
+            message: 'Position deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'POSITION_DELETE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Search API Routes
+ * Ranked full-text search across players, teams and events
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SEARCH_TYPES, search } = require('../search');
+
+const MAX_RESULTS = 20;
+
+// Search ?q= across ?types= (comma separated, default all); ?limit= results per type (default 5)
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const q = String(req.query.q || '').trim();
+        if (!q) {
+            return res.status(400).json({
+                error: true,
+                message: 'Search text (q) is required',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const types = req.query.types
+            ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+            : SEARCH_TYPES;
+        const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+        const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+        if (unknown.length > 0 || !Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+            return res.status(400).json({
+                error: true,
+                message: unknown.length > 0
+                    ? `Unknown search types: ${unknown.join(', ')} (expected ${SEARCH_TYPES.join(', ')})`
+                    : `limit must be between 1 and ${MAX_RESULTS}`,
+                code: 'INVALID_QUERY'
+            });
+        }
+
+        const results = await search(db, q, { types, limit });
+        res.json({
+            success: true,
+            data: {
+                query: q,
+                total: Object.values(results).reduce((sum, list) => sum + list.length, 0),
+                ...results
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'SEARCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
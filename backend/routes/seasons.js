@@ -0,0 +1,189 @@
+/**
+ * Seasons API Routes
+ * List and edit seasons, and roll over to a new season carrying rosters forward
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, ADMIN_ROLES } = require('../auth');
+const { formatSeason, currentSeason, seasonNotFound } = require('../seasons');
+
+function isValidDate(value) {
+    return !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate season fields; returns a list of errors
+ */
+function validateSeason(season) {
+    const errors = [];
+    if (!season.name || !String(season.name).trim()) {
+        errors.push('Season name is required');
+    }
+    if (!Number.isInteger(season.year) || season.year < 2000 || season.year > 2100) {
+        errors.push('Season year must be a year between 2000 and 2100');
+    }
+    for (const field of ['startDate', 'endDate']) {
+        if (season[field] && !isValidDate(season[field])) {
+            errors.push(`${field} must be a valid date`);
+        }
+    }
+    if (season.startDate && season.endDate && new Date(season.endDate) < new Date(season.startDate)) {
+        errors.push('End date must be after start date');
+    }
+    return errors;
+}
+
+// The public site reads the current season's year and dates from site_config
+async function syncSiteConfig(db, season) {
+    await db.run(`
+        UPDATE site_config SET
+            season_year = ?,
+            start_date = ?,
+            end_date = ?,
+            version = version + 1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = 1
+    `, [season.year, season.startDate || null, season.endDate || null]);
+}
+
+// Get all seasons, newest first
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const rows = await db.all(`
+            SELECT s.*, COUNT(r.player_id) as player_count
+            FROM seasons s
+            LEFT JOIN season_rosters r ON r.season_id = s.id
+            GROUP BY s.id
+            ORDER BY s.year DESC, s.created_at DESC
+        `);
+
+        res.json({
+            success: true,
+            data: rows.map(r => ({ ...formatSeason(r), playerCount: r.player_count }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'SEASONS_FETCH_ERROR'
+        });
+    }
+});
+
+// Get season by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await db.get('SELECT * FROM seasons WHERE id = ?', [req.params.id]);
+        if (!season) return seasonNotFound(res);
+
+        res.json({ success: true, data: formatSeason(season) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'SEASON_FETCH_ERROR'
+        });
+    }
+});
+
+// Start a new season: it becomes current and every current roster entry is carried forward
+router.post('/rollover', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { name, year, startDate, endDate } = req.body;
+        const season = { name: name || (year && `${year} Season`), year, startDate, endDate };
+
+        const errors = validateSeason(season);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: errors.join(', '),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const previous = await currentSeason(db);
+        const id = `season_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await db.transaction(async () => {
+            await db.run('UPDATE seasons SET is_current = 0, updated_at = CURRENT_TIMESTAMP WHERE is_current = 1');
+            await db.run(`
+                INSERT INTO seasons (id, name, year, start_date, end_date, is_current)
+                VALUES (?, ?, ?, ?, ?, 1)
+            `, [id, String(season.name).trim(), season.year, startDate || null, endDate || null]);
+            if (previous) {
+                await db.run(`
+                    INSERT INTO season_rosters (season_id, player_id, team_id, number, position)
+                    SELECT ?, player_id, team_id, number, position
+                    FROM season_rosters
+                    WHERE season_id = ? AND player_id IN (SELECT id FROM players WHERE deleted_at IS NULL)
+                `, [id, previous.id]);
+            } else {
+                await db.run(`
+                    INSERT INTO season_rosters (season_id, player_id, team_id, number, position)
+                    SELECT ?, id, team_id, number, position FROM players WHERE deleted_at IS NULL
+                `, [id]);
+            }
+            await syncSiteConfig(db, season);
+        });
+
+        const created = await db.get('SELECT * FROM seasons WHERE id = ?', [id]);
+        res.status(201).json({ success: true, data: formatSeason(created) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'SEASON_ROLLOVER_ERROR'
+        });
+    }
+});
+
+// Update a season's name and dates
+router.put('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM seasons WHERE id = ?', [req.params.id]);
+        if (!existing) return seasonNotFound(res);
+
+        const season = formatSeason(existing);
+        ['name', 'year', 'startDate', 'endDate'].forEach(field => {
+            if (req.body[field] !== undefined) season[field] = req.body[field] === '' ? null : req.body[field];
+        });
+
+        const errors = validateSeason(season);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: errors.join(', '),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        await db.run(`
+            UPDATE seasons SET
+                name = ?,
+                year = ?,
+                start_date = ?,
+                end_date = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [String(season.name).trim(), season.year, season.startDate, season.endDate, req.params.id]);
+        if (season.isCurrent) {
+            await syncSiteConfig(db, season);
+        }
+
+        const updated = await db.get('SELECT * FROM seasons WHERE id = ?', [req.params.id]);
+        res.json({ success: true, data: formatSeason(updated) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'SEASON_UPDATE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
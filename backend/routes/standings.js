@@ -0,0 +1,33 @@
+/**
+ * Standings API Routes
+ * League tables computed from game results
+ */
+
+const express = require('express');
+const router = express.Router();
+const { resolveSeason, seasonNotFound } = require('../seasons');
+const { computeStandings } = require('../standings');
+
+// Get the standings of ?season= (default: the current season), optionally for one ?sport=.
+// Teams come grouped by sport, best first, with W/L/T, pct, gamesBack, runs and streak.
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const standings = await computeStandings(db, season);
+        res.json({
+            success: true,
+            data: req.query.sport ? standings.filter(s => s.sport === req.query.sport) : standings
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'STANDINGS_FETCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
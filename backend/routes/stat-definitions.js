@@ -0,0 +1,278 @@
+/**
+ * Stat Definitions API Routes
+ * Per-sport stat schemas: recorded stats (entered in box scores) and formulas over their totals
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, ADMIN_ROLES } = require('../auth');
+const {
+    STAT_TYPES,
+    GAMES_VARIABLE,
+    parseFormula,
+    formulaReferences,
+    formatStatDefinition
+} = require('../stats');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Validate a definition merged over any existing values; returns a list of errors
+ */
+async function validateDefinition(db, def, existingId = null) {
+    const errors = [];
+    if (!def.sport || !KEY_PATTERN.test(def.sport)) {
+        errors.push('Sport must be lowercase letters, digits or underscores');
+    }
+    if (!def.key || !KEY_PATTERN.test(def.key)) {
+        errors.push('Key must start with a letter and use lowercase letters, digits or underscores');
+    } else if (def.key === GAMES_VARIABLE) {
+        errors.push(`"${GAMES_VARIABLE}" is reserved for games played`);
+    } else {
+        const duplicate = await db.get(
+            'SELECT id FROM stat_definitions WHERE sport = ? AND key = ? AND id != ?',
+            [def.sport, def.key, existingId || '']
+        );
+        if (duplicate) errors.push(`${def.sport} already has a stat named ${def.key}`);
+    }
+    if (!def.label || !String(def.label).trim()) {
+        errors.push('Label is required');
+    }
+    if (!STAT_TYPES.includes(def.type)) {
+        errors.push(`Type must be one of: ${STAT_TYPES.join(', ')}`);
+    }
+    for (const field of ['min', 'max']) {
+        if (def[field] !== null && def[field] !== undefined && typeof def[field] !== 'number') {
+            errors.push(`${field} must be a number`);
+        }
+    }
+    if (typeof def.min === 'number' && typeof def.max === 'number' && def.min > def.max) {
+        errors.push('min cannot be greater than max');
+    }
+    if (!Number.isInteger(def.decimals) || def.decimals < 0 || def.decimals > 6) {
+        errors.push('decimals must be a whole number from 0 to 6');
+    }
+    if (typeof def.lowerIsBetter !== 'boolean') {
+        errors.push('lowerIsBetter must be true or false');
+    }
+
+    if (def.type === 'formula') {
+        try {
+            const recorded = await db.all(
+                "SELECT key FROM stat_definitions WHERE sport = ? AND type != 'formula'",
+                [def.sport]
+            );
+            const allowed = new Set([...recorded.map(r => r.key), GAMES_VARIABLE]);
+            const unknown = [...formulaReferences(parseFormula(def.formula))].filter(ref => !allowed.has(ref));
+            if (unknown.length > 0) {
+                errors.push(`Formula uses unknown stats: ${unknown.join(', ')}`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    } else if (def.formula) {
+        errors.push('Only formula stats can have a formula');
+    }
+    return errors;
+}
+
+// Formulas of the same sport that read this stat
+async function dependentFormulas(db, def) {
+    const formulas = await db.all(
+        "SELECT key, formula FROM stat_definitions WHERE sport = ? AND type = 'formula' AND id != ?",
+        [def.sport, def.id]
+    );
+    return formulas
+        .filter(f => formulaReferences(parseFormula(f.formula)).has(def.key))
+        .map(f => f.key);
+}
+
+// Normalise optional fields from a request body
+function readDefinitionBody(body, current = {}) {
+    const def = { ...current };
+    ['sport', 'key', 'label', 'abbreviation', 'type', 'min', 'max', 'formula', 'decimals', 'lowerIsBetter', 'sortOrder']
+        .forEach(field => {
+            if (body[field] !== undefined) def[field] = body[field] === '' ? null : body[field];
+        });
+    if (typeof def.sport === 'string') def.sport = def.sport.trim().toLowerCase();
+    return def;
+}
+
+function validationError(res, errors) {
+    return res.status(400).json({
+        error: true,
+        message: errors.join(', '),
+        code: 'VALIDATION_ERROR'
+    });
+}
+
+// Get all stat definitions, optionally for one ?sport=
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const rows = req.query.sport
+            ? await db.all('SELECT * FROM stat_definitions WHERE sport = ? ORDER BY sort_order, label', [req.query.sport])
+            : await db.all('SELECT * FROM stat_definitions ORDER BY sport, sort_order, label');
+
+        res.json({ success: true, data: rows.map(formatStatDefinition) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'STAT_DEFINITIONS_FETCH_ERROR'
+        });
+    }
+});
+
+// Create a stat definition (admins only); a new sport starts with its first definition
+router.post('/', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const def = readDefinitionBody(req.body, { decimals: 0, lowerIsBetter: false, sortOrder: null });
+
+        const errors = await validateDefinition(db, def);
+        if (errors.length > 0) return validationError(res, errors);
+
+        if (def.sortOrder === null || def.sortOrder === undefined) {
+            const last = await db.get('SELECT MAX(sort_order) as max FROM stat_definitions WHERE sport = ?', [def.sport]);
+            def.sortOrder = (last.max || 0) + 1;
+        }
+
+        // Generate ID
+        const id = `stat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await db.run(`
+            INSERT INTO stat_definitions (id, sport, key, label, abbreviation, type, min_value, max_value, formula, decimals, lower_is_better, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            id, def.sport, def.key, String(def.label).trim(), def.abbreviation || null, def.type,
+            def.min ?? null, def.max ?? null, def.formula || null, def.decimals, def.lowerIsBetter ? 1 : 0, def.sortOrder
+        ]);
+
+        const r = await db.get('SELECT * FROM stat_definitions WHERE id = ?', [id]);
+        res.status(201).json({ success: true, data: formatStatDefinition(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'STAT_DEFINITION_CREATE_ERROR'
+        });
+    }
+});
+
+// Update a stat definition; sport and key are fixed because recorded values reference them
+router.put('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM stat_definitions WHERE id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Stat definition not found',
+                code: 'STAT_DEFINITION_NOT_FOUND'
+            });
+        }
+
+        const current = formatStatDefinition(existing);
+        const def = readDefinitionBody(req.body, current);
+        const errors = [];
+        if (def.sport !== current.sport || def.key !== current.key) {
+            errors.push('Sport and key cannot be changed; create a new stat instead');
+        }
+        if ((def.type === 'formula') !== (current.type === 'formula')) {
+            errors.push('A recorded stat cannot become a formula or the other way round');
+        }
+        errors.push(...(await validateDefinition(db, def, current.id)));
+        if (errors.length > 0) return validationError(res, errors);
+
+        await db.run(`
+            UPDATE stat_definitions SET
+                label = ?,
+                abbreviation = ?,
+                type = ?,
+                min_value = ?,
+                max_value = ?,
+                formula = ?,
+                decimals = ?,
+                lower_is_better = ?,
+                sort_order = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            String(def.label).trim(), def.abbreviation || null, def.type, def.min ?? null, def.max ?? null,
+            def.formula || null, def.decimals, def.lowerIsBetter ? 1 : 0, def.sortOrder ?? current.sortOrder, req.params.id
+        ]);
+
+        const r = await db.get('SELECT * FROM stat_definitions WHERE id = ?', [req.params.id]);
+        res.json({ success: true, data: formatStatDefinition(r) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'STAT_DEFINITION_UPDATE_ERROR'
+        });
+    }
+});
+
+// Delete a stat definition that no box score or formula depends on
+router.delete('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const existing = await db.get('SELECT * FROM stat_definitions WHERE id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: true,
+                message: 'Stat definition not found',
+                code: 'STAT_DEFINITION_NOT_FOUND'
+            });
+        }
+
+        const dependents = await dependentFormulas(db, existing);
+        if (dependents.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: `Used by formulas: ${dependents.join(', ')}`,
+                code: 'STAT_IN_USE'
+            });
+        }
+        // Values in box scores, and in baselines carried over from before them
+        const recorded = await db.get(`
+            SELECT (
+                SELECT COUNT(*)
+                FROM player_game_stats s
+                JOIN games g ON s.game_id = g.id
+                JOIN teams t ON g.team_id = t.id
+                WHERE s.stat_key = ? AND t.sport = ?
+            ) + (
+                SELECT COUNT(*)
+                FROM player_stat_baselines b
+                JOIN players p ON b.player_id = p.id
+                JOIN teams t ON p.team_id = t.id
+                JOIN json_each(b.stats) j ON j.key = ?
+                WHERE t.sport = ?
+            ) as count
+        `, [existing.key, existing.sport, existing.key, existing.sport]);
+        if (recorded.count > 0) {
+            return res.status(400).json({
+                error: true,
+                message: `Cannot delete a stat with ${recorded.count} recorded values`,
+                code: 'STAT_IN_USE'
+            });
+        }
+
+        await db.run('DELETE FROM stat_definitions WHERE id = ?', [req.params.id]);
+
+        res.json({
+            success: true,
+            message: 'Stat definition deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'STAT_DEFINITION_DELETE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
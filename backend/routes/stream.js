@@ -0,0 +1,13 @@
+/**
+ * Stream API Routes
+ * Server-Sent Events feed of changes to players, teams and site configuration
+ */
+
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../change-feed');
+
+// Open an event stream; EventSource resumes from Last-Event-ID (or ?lastEventId=)
+router.get('/', subscribe);
+
+module.exports = router;
@@ -5,29 +5,166 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../auth');
+const { requireRole, canManageTeam, forbidden, EDITOR_ROLES, ADMIN_ROLES } = require('../auth');
+const { resolveSeason, seasonNotFound } = require('../seasons');
+const { sendCsv } = require('../csv');
+const { publish, originOf } = require('../change-feed');
+const { etag, expectedVersion, conflict } = require('../concurrency');
+const { recordAudit } = require('../audit');
+const { trashDates, purgeTeam } = require('../trash');
+const { fieldErrors, invalid } = require('../validate');
+const { playersOutOfPosition } = require('../positions');
+const Schema = require('../../js/schema');
+const {
+    queryError, parsePaging, paginationMeta, parseSort, parseFields, selectFields, likePattern
+} = require('../list-query');
 
-// Get all teams
+// A team's sport picks which stat definitions its games use
+async function isKnownSport(db, sport) {
+    return !!(await db.get('SELECT 1 FROM stat_definitions WHERE sport = ? LIMIT 1', [sport]));
+}
+
+function unknownSport(res, sport) {
+    return invalid(res, { sport: `No stats are defined for sport "${sport}"` }, 'UNKNOWN_SPORT');
+}
+
+// Map DB shape -> API shape
+function formatTeam(r) {
+    return {
+        id: r.id,
+        name: r.name,
+        color: r.color,
+        description: r.description,
+        sport: r.sport,
+        logoPath: r.logo_path,
+        bannerPath: r.banner_path,
+        playerCount: r.player_count,
+        version: r.version,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+// Fields ?fields= can pick
+const TEAM_FIELDS = [
+    'id', 'name', 'color', 'description', 'sport', 'logoPath', 'bannerPath', 'playerCount',
+    'version', 'createdAt', 'updatedAt'
+];
+
+// A team as it is now, with its current roster size (trashed teams and players left out)
+async function currentTeam(db, id) {
+    const r = await db.get(`
+        SELECT t.*, COUNT(p.id) as player_count
+        FROM teams t
+        LEFT JOIN players p ON t.id = p.team_id AND p.deleted_at IS NULL
+        WHERE t.id = ? AND t.deleted_at IS NULL
+        GROUP BY t.id
+    `, [id]);
+    return r ? formatTeam(r) : null;
+}
+
+// Teams with their roster size; for a past season only the teams that had a roster
+function teamsQuery(season) {
+    return season && !season.is_current
+        ? {
+            sql: `
+                SELECT t.*, COUNT(p.id) as player_count
+                FROM teams t
+                JOIN season_rosters r ON t.id = r.team_id AND r.season_id = ?
+                LEFT JOIN players p ON r.player_id = p.id AND p.deleted_at IS NULL
+                WHERE t.deleted_at IS NULL
+                GROUP BY t.id
+            `,
+            params: [season.id]
+        }
+        : {
+            sql: `
+                SELECT t.*, COUNT(p.id) as player_count
+                FROM teams t
+                LEFT JOIN players p ON t.id = p.team_id AND p.deleted_at IS NULL
+                WHERE t.deleted_at IS NULL
+                GROUP BY t.id
+            `,
+            params: []
+        };
+}
+
+// ?sort= keys and the columns they order by
+const TEAM_SORT_COLUMNS = {
+    name: 'name',
+    sport: 'sport',
+    playerCount: 'player_count',
+    createdAt: 'created_at'
+};
+
+// Get teams for ?season= (default: the current season); for a past season only the teams
+// that had a roster, with that roster's size.
+// Filters: ?sport= and ?q= (name search). Paging: ?page=&limit=.
+// Sorting: ?sort=name|sport|playerCount|createdAt&order=asc|desc. ?fields= picks fields.
 router.get('/', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const teams = await db.all(`
-            SELECT t.*, COUNT(p.id) as player_count
-            FROM teams t
-            LEFT JOIN players p ON t.id = p.team_id
-            GROUP BY t.id
-            ORDER BY t.name
-        `);
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const paging = parsePaging(req.query);
+        const fields = parseFields(req.query, TEAM_FIELDS);
+        const { sort, descending } = parseSort(req.query, 'name');
+        if (!TEAM_SORT_COLUMNS[sort]) {
+            throw queryError(`Cannot sort teams by "${sort}"`);
+        }
+
+        const { sql, params } = teamsQuery(season);
+        const filters = [];
+        if (req.query.sport) {
+            filters.push('sport = ?');
+            params.push(req.query.sport);
+        }
+        if (req.query.q) {
+            filters.push("name LIKE ? ESCAPE '\\'");
+            params.push(likePattern(req.query.q));
+        }
+        const from = `FROM (${sql}) x ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}`;
+
+        const { total } = await db.get(`SELECT COUNT(*) as total ${from}`, params);
+        const teams = await db.all(
+            `SELECT * ${from} ORDER BY ${TEAM_SORT_COLUMNS[sort]} ${descending ? 'DESC' : 'ASC'}, name, id LIMIT ? OFFSET ?`,
+            [...params, paging.limit, paging.offset]
+        );
         
         res.json({
             success: true,
-            data: teams
+            data: teams.map(team => selectFields(formatTeam(team), fields)),
+            pagination: paginationMeta(paging, total)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: true,
+            message: error.message,
+            code: error.status ? error.code : 'TEAMS_FETCH_ERROR'
         });
+    }
+});
+
+// Download teams for ?season= as CSV
+router.get('/export', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const season = await resolveSeason(db, req.query.season);
+        if (req.query.season && !season) return seasonNotFound(res);
+
+        const { sql, params } = teamsQuery(season);
+        const teams = await db.all(`SELECT * FROM (${sql}) x ORDER BY name`, params);
+        const label = season ? season.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'all';
+        sendCsv(res, `teams-${label}.csv`, [
+            ['Name', 'Sport', 'Color', 'Description', 'Players'],
+            ...teams.map(t => [t.name, t.sport, t.color, t.description, t.player_count])
+        ]);
     } catch (error) {
         res.status(500).json({
             error: true,
             message: error.message,
-            code: 'TEAMS_FETCH_ERROR'
+            code: 'TEAMS_EXPORT_ERROR'
         });
     }
 });
@@ -36,13 +173,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const team = await db.get(`
-            SELECT t.*, COUNT(p.id) as player_count
-            FROM teams t
-            LEFT JOIN players p ON t.id = p.team_id
-            WHERE t.id = ?
-            GROUP BY t.id
-        `, [req.params.id]);
+        const team = await currentTeam(db, req.params.id);
         
         if (!team) {
             return res.status(404).json({
@@ -52,6 +183,7 @@ router.get('/:id', async (req, res) => {
             });
         }
         
+        res.set('ETag', etag(team.version));
         res.json({
             success: true,
             data: team
@@ -65,29 +197,68 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// Create new team
-router.post('/', requireAuth, async (req, res) => {
+// Get a team's shirt numbers: who wears which, and the ones still free.
+// ?playerId= counts that player's own number as free (for editing them).
+router.get('/:id/numbers', async (req, res) => {
     try {
-        const { name, color, description } = req.body;
-        
-        // Validate required fields
-        if (!name) {
-            return res.status(400).json({
+        const db = req.app.locals.db;
+        const team = await db.get('SELECT id FROM teams WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+        if (!team) {
+            return res.status(404).json({
                 error: true,
-                message: 'Team name is required',
-                code: 'VALIDATION_ERROR'
+                message: 'Team not found',
+                code: 'TEAM_NOT_FOUND'
             });
         }
+
+        const players = await db.all(
+            'SELECT id, name, number FROM players WHERE team_id = ? AND id != ? AND deleted_at IS NULL ORDER BY number',
+            [req.params.id, req.query.playerId || '']
+        );
+        const { min, max } = Schema.SCHEMAS.player.number;
+        const taken = new Set(players.map(p => p.number));
+        const available = [];
+        for (let number = min; number <= max; number++) {
+            if (!taken.has(number)) available.push(number);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                min,
+                max,
+                taken: players.map(p => ({ number: p.number, playerId: p.id, name: p.name })),
+                available
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'TEAM_NUMBERS_FETCH_ERROR'
+        });
+    }
+});
+
+// Create new team (league-wide change, admins only)
+router.post('/', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const { name, color, description, sport = 'baseball' } = req.body;
+        
+        // Validate against the team schema
+        const errors = fieldErrors('team', req.body);
+        if (errors) {
+            return invalid(res, errors);
+        }
         
         // Check for duplicate name
         const db = req.app.locals.db;
-        const existingTeam = await db.get('SELECT id FROM teams WHERE name = ?', [name]);
+        const existingTeam = await db.get('SELECT id FROM teams WHERE name = ? AND deleted_at IS NULL', [name]);
         if (existingTeam) {
-            return res.status(400).json({
-                error: true,
-                message: 'Team name already exists',
-                code: 'DUPLICATE_NAME'
-            });
+            return invalid(res, { name: 'Team name already exists' }, 'DUPLICATE_NAME');
+        }
+        if (!(await isKnownSport(db, sport))) {
+            return unknownSport(res, sport);
         }
         
         // Generate ID
@@ -95,19 +266,16 @@ router.post('/', requireAuth, async (req, res) => {
         
         // Insert team
         await db.run(`
-            INSERT INTO teams (id, name, color, description)
-            VALUES (?, ?, ?, ?)
-        `, [id, name, color || '#3b82f6', description || null]);
+            INSERT INTO teams (id, name, color, description, sport)
+            VALUES (?, ?, ?, ?, ?)
+        `, [id, name, color || '#3b82f6', description || null, sport]);
         
         // Get the created team
-        const newTeam = await db.get(`
-            SELECT t.*, COUNT(p.id) as player_count
-            FROM teams t
-            LEFT JOIN players p ON t.id = p.team_id
-            WHERE t.id = ?
-            GROUP BY t.id
-        `, [id]);
+        const newTeam = await currentTeam(db, id);
+        await recordAudit(db, req, { action: 'create', entityType: 'team', entityId: id, after: newTeam });
+        publish('teamAdded', newTeam, originOf(req));
         
+        res.set('ETag', etag(newTeam.version));
         res.status(201).json({
             success: true,
             data: newTeam
@@ -122,14 +290,16 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Update team
-router.put('/:id', requireAuth, async (req, res) => {
+// Send the version being edited in If-Match (or body.version); a stale one gets 409 CONFLICT
+router.put('/:id', requireRole(...EDITOR_ROLES), async (req, res) => {
     try {
-        const { name, color, description } = req.body;
+        const { name, color, description, sport } = req.body;
+        const expected = expectedVersion(req);
         
         const db = req.app.locals.db;
         
         // Check if team exists
-        const existingTeam = await db.get('SELECT * FROM teams WHERE id = ?', [req.params.id]);
+        const existingTeam = await db.get('SELECT * FROM teams WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
         if (!existingTeam) {
             return res.status(404).json({
                 error: true,
@@ -137,61 +307,92 @@ router.put('/:id', requireAuth, async (req, res) => {
                 code: 'TEAM_NOT_FOUND'
             });
         }
+        if (!canManageTeam(req.user, existingTeam.id)) {
+            return forbidden(res);
+        }
+        // Only the fields sent are checked; the rest keep their values
+        const errors = fieldErrors('team', req.body, { partial: true });
+        if (errors) {
+            return invalid(res, errors);
+        }
+        if (expected !== null && expected !== existingTeam.version) {
+            return conflict(res, await currentTeam(db, req.params.id), 'team');
+        }
         
         // Check for duplicate name if name is being changed
         if (name && name !== existingTeam.name) {
             const duplicateTeam = await db.get(
-                'SELECT id FROM teams WHERE name = ? AND id != ?',
+                'SELECT id FROM teams WHERE name = ? AND id != ? AND deleted_at IS NULL',
                 [name, req.params.id]
             );
             if (duplicateTeam) {
-                return res.status(400).json({
-                    error: true,
-                    message: 'Team name already exists',
-                    code: 'DUPLICATE_NAME'
-                });
+                return invalid(res, { name: 'Team name already exists' }, 'DUPLICATE_NAME');
             }
         }
         
-        // Update team
-        await db.run(`
+        // Recorded stats are keyed by sport, so a team with games keeps its sport
+        if (sport && sport !== existingTeam.sport) {
+            if (!(await isKnownSport(db, sport))) {
+                return unknownSport(res, sport);
+            }
+            const game = await db.get(
+                'SELECT id FROM games WHERE team_id = ? OR opponent_team_id = ? LIMIT 1',
+                [req.params.id, req.params.id]
+            );
+            if (game) {
+                return invalid(res, { sport: 'Cannot change the sport of a team that has recorded games' }, 'TEAM_HAS_GAMES');
+            }
+            const misfits = await playersOutOfPosition(db, req.params.id, sport);
+            if (misfits.length > 0) {
+                return invalid(res, {
+                    sport: `Change the positions of ${misfits.join(', ')} first; they are not ${sport} positions`
+                }, 'POSITIONS_DO_NOT_FIT');
+            }
+        }
+        
+        // Update team; the version check is repeated here in case of a concurrent write
+        const result = await db.run(`
             UPDATE teams SET
                 name = COALESCE(?, name),
                 color = COALESCE(?, color),
                 description = COALESCE(?, description),
+                sport = COALESCE(?, sport),
+                version = version + 1,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [name, color, description, req.params.id]);
+            WHERE id = ? AND (? IS NULL OR version = ?)
+        `, [name, color, description, sport, req.params.id, expected, expected]);
+        if (result.changes === 0) {
+            return conflict(res, await currentTeam(db, req.params.id), 'team');
+        }
         
         // Get updated team
-        const updatedTeam = await db.get(`
-            SELECT t.*, COUNT(p.id) as player_count
-            FROM teams t
-            LEFT JOIN players p ON t.id = p.team_id
-            WHERE t.id = ?
-            GROUP BY t.id
-        `, [req.params.id]);
+        const updatedTeam = await currentTeam(db, req.params.id);
+        await recordAudit(db, req, {
+            action: 'update', entityType: 'team', entityId: updatedTeam.id, before: formatTeam(existingTeam), after: updatedTeam
+        });
+        publish('teamUpdated', updatedTeam, originOf(req));
         
+        res.set('ETag', etag(updatedTeam.version));
         res.json({
             success: true,
             data: updatedTeam
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: true,
             message: error.message,
-            code: 'TEAM_UPDATE_ERROR'
+            code: error.status ? error.code : 'TEAM_UPDATE_ERROR'
         });
     }
 });
 
-// Delete team
-router.delete('/:id', requireAuth, async (req, res) => {
+// Delete team (admins only): moves it to the trash until it is restored or purged
+router.delete('/:id', requireRole(...ADMIN_ROLES), async (req, res) => {
     try {
         const db = req.app.locals.db;
         
         // Check if team exists
-        const team = await db.get('SELECT * FROM teams WHERE id = ?', [req.params.id]);
+        const team = await db.get('SELECT * FROM teams WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
         if (!team) {
             return res.status(404).json({
                 error: true,
@@ -202,7 +403,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
         
         // Check if team has players
         const playerCount = await db.get(
-            'SELECT COUNT(*) as count FROM players WHERE team_id = ?',
+            'SELECT COUNT(*) as count FROM players WHERE team_id = ? AND deleted_at IS NULL',
             [req.params.id]
         );
         
@@ -214,12 +415,34 @@ router.delete('/:id', requireAuth, async (req, res) => {
             });
         }
         
-        // Delete team
-        await db.run('DELETE FROM teams WHERE id = ?', [req.params.id]);
+        // Past seasons' rosters keep the team for the archive
+        const history = await db.get(`
+            SELECT COUNT(DISTINCT r.season_id) as count
+            FROM season_rosters r
+            JOIN seasons s ON r.season_id = s.id
+            WHERE r.team_id = ? AND s.is_current = 0
+        `, [req.params.id]);
+        if (history.count > 0) {
+            return res.status(400).json({
+                error: true,
+                message: `Cannot delete a team that has rosters in ${history.count} past season(s)`,
+                code: 'TEAM_HAS_HISTORY'
+            });
+        }
+        
+        // Its games stay until the team is purged
+        await db.run(`
+            UPDATE teams SET deleted_at = CURRENT_TIMESTAMP, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [req.params.id]);
+        await recordAudit(db, req, { action: 'delete', entityType: 'team', entityId: team.id, before: formatTeam(team) });
+        publish('teamDeleted', { id: req.params.id }, originOf(req));
         
+        const { deleted_at: deletedAt } = await db.get('SELECT deleted_at FROM teams WHERE id = ?', [req.params.id]);
         res.json({
             success: true,
-            message: 'Team deleted successfully'
+            message: 'Team moved to the trash',
+            data: { id: req.params.id, ...trashDates(deletedAt) }
         });
     } catch (error) {
         res.status(500).json({
@@ -230,4 +453,84 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// A trashed team; otherwise responds with 404 and returns null
+async function trashedTeam(req, res) {
+    const team = await req.app.locals.db.get(
+        'SELECT * FROM teams WHERE id = ? AND deleted_at IS NOT NULL',
+        [req.params.id]
+    );
+    if (!team) {
+        res.status(404).json({
+            error: true,
+            message: 'Team is not in the trash',
+            code: 'NOT_IN_TRASH'
+        });
+        return null;
+    }
+    return team;
+}
+
+// Restore a team from the trash (admins only); its trashed players stay in the trash
+router.post('/:id/restore', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const trashed = await trashedTeam(req, res);
+        if (!trashed) return;
+
+        const taken = await db.get('SELECT id FROM teams WHERE name = ? AND deleted_at IS NULL', [trashed.name]);
+        if (taken) {
+            return res.status(400).json({
+                error: true,
+                message: `Another team is now called ${trashed.name}; rename it first`,
+                code: 'DUPLICATE_NAME'
+            });
+        }
+
+        await db.run(`
+            UPDATE teams SET deleted_at = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [req.params.id]);
+
+        const team = await currentTeam(db, req.params.id);
+        await recordAudit(db, req, { action: 'restore', entityType: 'team', entityId: team.id, after: team });
+        publish('teamAdded', team, originOf(req));
+        res.set('ETag', etag(team.version));
+        res.json({
+            success: true,
+            data: team
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'TEAM_RESTORE_ERROR'
+        });
+    }
+});
+
+// Permanently delete a team from the trash (admins only), with its games and trashed players
+router.delete('/:id/purge', requireRole(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const trashed = await trashedTeam(req, res);
+        if (!trashed) return;
+
+        await db.transaction(async () => {
+            await purgeTeam(db, req.params.id);
+            await recordAudit(db, req, { action: 'purge', entityType: 'team', entityId: trashed.id, before: formatTeam(trashed) });
+        });
+
+        res.json({
+            success: true,
+            message: 'Team deleted permanently'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'TEAM_PURGE_ERROR'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Trash API Routes
+ * List the players and teams waiting to be restored or purged; restoring and purging
+ * live on the players and teams routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, canManageTeam, EDITOR_ROLES } = require('../auth');
+const { TRASH_RETENTION_DAYS, trashDates } = require('../trash');
+
+// Get the trash, most recently deleted first; team managers see their own teams' players
+router.get('/', requireRole(...EDITOR_ROLES), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [players, teams] = await Promise.all([
+            db.all(`
+                SELECT p.id, p.name, p.number, p.team_id, p.position, p.image_path, p.deleted_at,
+                       t.name as team_name, t.deleted_at as team_deleted_at
+                FROM players p
+                LEFT JOIN teams t ON p.team_id = t.id
+                WHERE p.deleted_at IS NOT NULL
+                ORDER BY p.deleted_at DESC, p.name
+            `),
+            db.all(`
+                SELECT t.id, t.name, t.color, t.sport, t.deleted_at, COUNT(p.id) as player_count
+                FROM teams t
+                LEFT JOIN players p ON p.team_id = t.id
+                WHERE t.deleted_at IS NOT NULL
+                GROUP BY t.id
+                ORDER BY t.deleted_at DESC, t.name
+            `)
+        ]);
+
+        // Map DB shape -> API shape
+        res.json({
+            success: true,
+            data: {
+                retentionDays: TRASH_RETENTION_DAYS,
+                players: players
+                    .filter(p => canManageTeam(req.user, p.team_id))
+                    .map(p => ({
+                        id: p.id,
+                        name: p.name,
+                        number: p.number,
+                        teamId: p.team_id,
+                        teamName: p.team_name,
+                        teamDeleted: !!p.team_deleted_at,
+                        position: p.position,
+                        image: p.image_path,
+                        ...trashDates(p.deleted_at)
+                    })),
+                teams: teams
+                    .filter(t => canManageTeam(req.user, t.id))
+                    .map(t => ({
+                        id: t.id,
+                        name: t.name,
+                        color: t.color,
+                        sport: t.sport,
+                        trashedPlayers: t.player_count,
+                        ...trashDates(t.deleted_at)
+                    }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'TRASH_FETCH_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -4,52 +4,63 @@
  */
 
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const router = express.Router();
-const { requireAuth } = require('../auth');
+const { requireRole, canManageTeam, forbidden, EDITOR_ROLES } = require('../auth');
+const { recordAudit } = require('../audit');
+const { processImage } = require('../images');
+const { issueUploadToken, checkUploadToken, imageUpload, handleUploadError } = require('../uploads');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const playerId = req.body.playerId || 'unknown';
-        const uploadDir = path.join(__dirname, '..', 'uploads', 'images', playerId);
-        // Ensure directory exists
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        // Generate unique filename: uuid.extension (timestamp included)
-        const timestamp = Date.now();
-        const ext = path.extname(file.originalname);
-        cb(null, `${timestamp}${ext}`);
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        // Check file type
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype && extname) {
-            return cb(null, true);
+/**
+ * Work out where an upload goes: the folder of an existing player the user may manage
+ * (playerId), or a pending folder for a player still being created (uploadToken)
+ */
+async function resolveUploadTarget(req, res, next) {
+    try {
+        const { playerId, uploadToken } = req.body;
+        if (playerId) {
+            const player = await req.app.locals.db.get(
+                'SELECT team_id FROM players WHERE id = ? AND deleted_at IS NULL',
+                [playerId]
+            );
+            if (!player) {
+                return res.status(404).json({
+                    error: true,
+                    message: 'Player not found',
+                    code: 'PLAYER_NOT_FOUND'
+                });
+            }
+            // Team managers may only upload images for players on their teams
+            if (!canManageTeam(req.user, player.team_id)) {
+                return forbidden(res);
+            }
+            req.uploadFolder = `images/${playerId}`;
+        } else if (uploadToken) {
+            checkUploadToken(String(uploadToken), req.user);
+            req.uploadFolder = `pending/${uploadToken}`;
         } else {
-            cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed'));
+            return res.status(400).json({
+                error: true,
+                message: 'An upload needs a playerId or an uploadToken',
+                code: 'MISSING_UPLOAD_TARGET'
+            });
         }
+        return next();
+    } catch (error) {
+        return next(error);
     }
+}
+
+// Issue a pending-upload token, for a photo chosen before its player is saved
+router.post('/token', requireRole(...EDITOR_ROLES), (req, res) => {
+    res.json({
+        success: true,
+        data: issueUploadToken(req.user)
+    });
 });
 
 // Upload single image
-router.post('/image', requireAuth, upload.single('image'), (req, res) => {
+router.post('/image', requireRole(...EDITOR_ROLES), imageUpload.single('image'), resolveUploadTarget, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -59,46 +70,41 @@ router.post('/image', requireAuth, upload.single('image'), (req, res) => {
             });
         }
         
-        const playerId = req.body.playerId || 'unknown';
-        // Return the file path relative to the uploads directory
-        const filePath = `/uploads/images/${playerId}/${req.file.filename}`;
+        const playerId = req.body.playerId || null;
+        const processed = await processImage(req.file.buffer, req.file.mimetype, req.uploadFolder);
+        // path (the full-size JPEG, relative to the server) is what the player record stores
+        const image = {
+            filename: path.basename(processed.path),
+            originalName: req.file.originalname,
+            path: processed.path,
+            images: processed.images,
+            width: processed.width,
+            height: processed.height,
+            size: req.file.size,
+            mimetype: req.file.mimetype
+        };
+        await recordAudit(req.app.locals.db, req, {
+            action: 'upload',
+            entityType: 'image',
+            entityId: processed.path,
+            entityName: req.file.originalname,
+            after: { ...image, playerId }
+        });
         
         res.json({
             success: true,
-            data: {
-                filename: req.file.filename,
-                originalName: req.file.originalname,
-                path: filePath,
-                size: req.file.size,
-                mimetype: req.file.mimetype
-            }
+            data: image
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: true,
             message: error.message,
-            code: 'UPLOAD_ERROR'
+            code: error.status ? error.code : 'UPLOAD_ERROR'
         });
     }
 });
 
 // Error handling for multer
-router.use((error, req, res, next) => {
-    if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
-                error: true,
-                message: 'File too large. Maximum size is 2MB.',
-                code: 'FILE_TOO_LARGE'
-            });
-        }
-    }
-    
-    res.status(400).json({
-        error: true,
-        message: error.message,
-        code: 'UPLOAD_ERROR'
-    });
-});
+router.use(handleUploadError);
 
 module.exports = router;
@@ -0,0 +1,328 @@
+/**
+ * Users API Routes
+ * Invite, update, disable and reset admin accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const {
+    requireRole,
+    hashPassword,
+    generateTemporaryPassword,
+    revokeUserSessions,
+    loadUser,
+    formatUser,
+    roleRank,
+    ROLES,
+    ADMIN_ROLES
+} = require('../auth');
+
+router.use(requireRole(...ADMIN_ROLES));
+
+// League admins may only manage roles below their own; owners manage everyone
+function canAssignRole(actor, role) {
+    return actor.role === 'owner' || roleRank(role) < roleRank(actor.role);
+}
+
+async function setUserTeams(db, userId, teamIds) {
+    await db.run('DELETE FROM user_teams WHERE user_id = ?', [userId]);
+    for (const teamId of teamIds) {
+        await db.run('INSERT INTO user_teams (user_id, team_id) VALUES (?, ?)', [userId, teamId]);
+    }
+}
+
+function isIdList(value) {
+    return Array.isArray(value) && value.every(id => typeof id === 'string');
+}
+
+async function findUnknownTeams(db, teamIds) {
+    const unknown = [];
+    for (const teamId of teamIds) {
+        const team = await db.get('SELECT id FROM teams WHERE id = ? AND deleted_at IS NULL', [teamId]);
+        if (!team) unknown.push(teamId);
+    }
+    return unknown;
+}
+
+// Look up the target user and check the actor may manage them
+async function loadManagedUser(req, res) {
+    const db = req.app.locals.db;
+    const row = await db.get('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (!row) {
+        res.status(404).json({
+            error: true,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND'
+        });
+        return null;
+    }
+    if (!canAssignRole(req.user, row.role)) {
+        res.status(403).json({
+            error: true,
+            message: 'Insufficient permissions to manage this user',
+            code: 'FORBIDDEN'
+        });
+        return null;
+    }
+    return row;
+}
+
+// Get all users
+router.get('/', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const rows = await db.all('SELECT * FROM users ORDER BY username');
+        const assignments = await db.all('SELECT user_id, team_id FROM user_teams');
+        const users = rows.map(r => formatUser(
+            r,
+            assignments.filter(a => a.user_id === r.id).map(a => a.team_id)
+        ));
+
+        res.json({ success: true, data: users });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USERS_FETCH_ERROR'
+        });
+    }
+});
+
+// Invite a new user; returns a one-time temporary password
+router.post('/', async (req, res) => {
+    try {
+        const { username, displayName, email, role = 'viewer', teamIds = [] } = req.body;
+
+        if (typeof username !== 'string' || !username.trim()) {
+            return res.status(400).json({
+                error: true,
+                message: 'Username is required',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        if (!isIdList(teamIds)) {
+            return res.status(400).json({
+                error: true,
+                message: 'teamIds must be a list of team ids',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: true,
+                message: `Role must be one of: ${ROLES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        if (!canAssignRole(req.user, role)) {
+            return res.status(403).json({
+                error: true,
+                message: `You cannot invite users with the ${role} role`,
+                code: 'FORBIDDEN'
+            });
+        }
+
+        const db = req.app.locals.db;
+        // Logins match usernames ignoring case, so two may not differ by case alone
+        const existing = await db.get('SELECT id FROM users WHERE lower(username) = lower(?)', [username.trim()]);
+        if (existing) {
+            return res.status(400).json({
+                error: true,
+                message: 'Username already exists',
+                code: 'DUPLICATE_USERNAME'
+            });
+        }
+        const unknownTeams = await findUnknownTeams(db, teamIds);
+        if (unknownTeams.length > 0) {
+            return res.status(400).json({
+                error: true,
+                message: `Team not found: ${unknownTeams.join(', ')}`,
+                code: 'TEAM_NOT_FOUND'
+            });
+        }
+
+        const id = `user_${uuidv4()}`;
+        const temporaryPassword = generateTemporaryPassword();
+        const { hash, salt } = await hashPassword(temporaryPassword);
+        await db.transaction(async () => {
+            await db.run(`
+                INSERT INTO users (id, username, display_name, email, role, password_hash, password_salt, must_change_password)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+            `, [id, username.trim(), displayName || null, email || null, role, hash, salt]);
+            await setUserTeams(db, id, teamIds);
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { ...(await loadUser(db, id)), temporaryPassword }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_CREATE_ERROR'
+        });
+    }
+});
+
+// Update role, profile or team assignments
+router.put('/:id', async (req, res) => {
+    try {
+        const existingUser = await loadManagedUser(req, res);
+        if (!existingUser) return;
+
+        const { displayName, email, role, teamIds } = req.body;
+        if (role !== undefined && (!ROLES.includes(role) || !canAssignRole(req.user, role))) {
+            return res.status(403).json({
+                error: true,
+                message: `You cannot assign the ${role} role`,
+                code: 'FORBIDDEN'
+            });
+        }
+        if (existingUser.id === req.user.id && role && role !== existingUser.role) {
+            return res.status(400).json({
+                error: true,
+                message: 'You cannot change your own role',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        if (teamIds !== undefined && !isIdList(teamIds)) {
+            return res.status(400).json({
+                error: true,
+                message: 'teamIds must be a list of team ids',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const db = req.app.locals.db;
+        if (teamIds !== undefined) {
+            const unknownTeams = await findUnknownTeams(db, teamIds);
+            if (unknownTeams.length > 0) {
+                return res.status(400).json({
+                    error: true,
+                    message: `Team not found: ${unknownTeams.join(', ')}`,
+                    code: 'TEAM_NOT_FOUND'
+                });
+            }
+        }
+
+        await db.transaction(async () => {
+            if (teamIds !== undefined) {
+                await setUserTeams(db, existingUser.id, teamIds);
+            }
+            await db.run(`
+                UPDATE users SET
+                    display_name = COALESCE(?, display_name),
+                    email = COALESCE(?, email),
+                    role = COALESCE(?, role),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [displayName, email, role, existingUser.id]);
+        });
+
+        res.json({ success: true, data: await loadUser(db, existingUser.id) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_UPDATE_ERROR'
+        });
+    }
+});
+
+// Disable a user and end their sessions
+router.post('/:id/disable', async (req, res) => {
+    try {
+        const existingUser = await loadManagedUser(req, res);
+        if (!existingUser) return;
+
+        if (existingUser.id === req.user.id) {
+            return res.status(400).json({
+                error: true,
+                message: 'You cannot disable your own account',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const db = req.app.locals.db;
+        await db.run('UPDATE users SET disabled = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [existingUser.id]);
+        await revokeUserSessions(db, existingUser.id);
+
+        res.json({ success: true, data: await loadUser(db, existingUser.id) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_UPDATE_ERROR'
+        });
+    }
+});
+
+// Sign a user out everywhere
+router.post('/:id/revoke-sessions', async (req, res) => {
+    try {
+        const existingUser = await loadManagedUser(req, res);
+        if (!existingUser) return;
+
+        await revokeUserSessions(req.app.locals.db, existingUser.id);
+
+        res.json({ success: true, message: 'Sessions revoked successfully' });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_UPDATE_ERROR'
+        });
+    }
+});
+
+// Re-enable a disabled user
+router.post('/:id/enable', async (req, res) => {
+    try {
+        const existingUser = await loadManagedUser(req, res);
+        if (!existingUser) return;
+
+        const db = req.app.locals.db;
+        await db.run('UPDATE users SET disabled = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [existingUser.id]);
+
+        res.json({ success: true, data: await loadUser(db, existingUser.id) });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_UPDATE_ERROR'
+        });
+    }
+});
+
+// Reset a user's password; returns a one-time temporary password
+router.post('/:id/reset-password', async (req, res) => {
+    try {
+        const existingUser = await loadManagedUser(req, res);
+        if (!existingUser) return;
+
+        const db = req.app.locals.db;
+        const temporaryPassword = generateTemporaryPassword();
+        const { hash, salt } = await hashPassword(temporaryPassword);
+        await db.run(`
+            UPDATE users SET password_hash = ?, password_salt = ?, must_change_password = 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [hash, salt, existingUser.id]);
+        await revokeUserSessions(db, existingUser.id);
+
+        res.json({
+            success: true,
+            data: { ...(await loadUser(db, existingUser.id)), temporaryPassword }
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: true,
+            message: error.message,
+            code: 'USER_UPDATE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+/**
+ * Full-text search for TeamSite
+ * FTS5 indexes (see migrations/007_search.js) hold players, teams and events; triggers keep
+ * them current. Matches are ranked with bm25 and returned with <mark>-highlighted text.
+ */
+
+// Each index, the table it mirrors and its searchable columns (in index order, after id)
+// with their bm25 weights: names weigh most, long text least
+const SEARCH_INDEXES = {
+    players: { table: 'players_fts', source: 'players', columns: ['name', 'position', 'bio'], weights: [10, 4, 1] },
+    teams: { table: 'teams_fts', source: 'teams', columns: ['name', 'description'], weights: [10, 1] },
+    events: { table: 'events_fts', source: 'events', columns: ['title', 'description', 'location'], weights: [8, 1, 3] }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_INDEXES);
+
+// FTS5 keeps each index in shadow tables named <index>_data, <index>_idx and so on
+const FTS_SHADOW_SUFFIXES = ['data', 'idx', 'content', 'docsize', 'config'];
+
+/**
+ * Whether a table is a search index or part of one. Indexes are derived from their
+ * source tables, so backups and resets leave them to the triggers.
+ */
+function isSearchIndexTable(name) {
+    return Object.values(SEARCH_INDEXES).some(({ table }) =>
+        name === table || FTS_SHADOW_SUFFIXES.some(suffix => name === `${table}_${suffix}`)
+    );
+}
+
+/**
+ * Turn free text into an FTS5 query: every word must match, each as a prefix.
+ * Returns null when the text has no words.
+ */
+function toMatchQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+    if (!words) return null;
+    return words.slice(0, 10).map(word => `"${word}"*`).join(' ');
+}
+
+// highlight() and snippet() wrap matches in these so the text can be escaped before marking
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+function markHtml(text) {
+    if (text === null || text === undefined || text === '') return null;
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+// Short fields are highlighted whole; long text is cut to a snippet around the match
+function highlightSql(table, column, index) {
+    return column === 'bio' || column === 'description'
+        ? `snippet(${table}, ${index}, char(1), char(2), '…', 16) as ${column}_match`
+        : `highlight(${table}, ${index}, char(1), char(2)) as ${column}_match`;
+}
+
+function highlights(row, columns) {
+    const marked = {};
+    columns.forEach(column => { marked[column] = markHtml(row[`${column}_match`]); });
+    return marked;
+}
+
+async function searchIndex(db, type, match, limit) {
+    const { table, columns } = SEARCH_INDEXES[type];
+    // Column 0 is the unindexed id
+    const weights = [0, ...SEARCH_INDEXES[type].weights].join(', ');
+    const matched = columns.map((column, i) => highlightSql(table, column, i + 1)).join(', ');
+
+    const queries = {
+        players: `
+            SELECT p.id, p.name, p.number, p.team_id, p.position, p.image_path,
+                   t.name as team_name, t.color as team_color, ${matched}, bm25(${table}, ${weights}) as rank
+            FROM ${table}
+            JOIN players p ON p.id = ${table}.id
+            LEFT JOIN teams t ON p.team_id = t.id
+            WHERE ${table} MATCH ? AND p.deleted_at IS NULL
+            ORDER BY rank LIMIT ?
+        `,
+        teams: `
+            SELECT t.id, t.name, t.color, t.sport, ${matched}, bm25(${table}, ${weights}) as rank
+            FROM ${table}
+            JOIN teams t ON t.id = ${table}.id
+            WHERE ${table} MATCH ? AND t.deleted_at IS NULL
+            ORDER BY rank LIMIT ?
+        `,
+        events: `
+            SELECT e.id, e.title, e.type, e.start_time, e.season_id, ${matched}, bm25(${table}, ${weights}) as rank
+            FROM ${table}
+            JOIN events e ON e.id = ${table}.id
+            WHERE ${table} MATCH ?
+            ORDER BY rank LIMIT ?
+        `
+    };
+    const rows = await db.all(queries[type], [match, limit]);
+
+    // Map DB shape -> API shape
+    return rows.map(r => {
+        const base = { id: r.id, score: -r.rank, highlights: highlights(r, columns) };
+        if (type === 'players') {
+            return {
+                ...base,
+                name: r.name,
+                number: r.number,
+                teamId: r.team_id,
+                teamName: r.team_name,
+                teamColor: r.team_color,
+                position: r.position,
+                image: r.image_path
+            };
+        }
+        if (type === 'teams') {
+            return { ...base, name: r.name, color: r.color, sport: r.sport };
+        }
+        return { ...base, title: r.title, type: r.type, startTime: r.start_time, seasonId: r.season_id };
+    });
+}
+
+/**
+ * Search the given types; returns { players: [...], teams: [...], events: [...] } best first
+ */
+async function search(db, text, { types = SEARCH_TYPES, limit = 5 } = {}) {
+    const match = toMatchQuery(text);
+    const results = {};
+    for (const type of types) {
+        results[type] = match ? await searchIndex(db, type, match, limit) : [];
+    }
+    return results;
+}
+
+module.exports = { SEARCH_INDEXES, SEARCH_TYPES, isSearchIndexTable, toMatchQuery, search };
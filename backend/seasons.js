@@ -0,0 +1,60 @@
+/**
+ * Season helpers for TeamSite
+ * The current season's roster mirrors the players table; past seasons keep
+ * their own roster snapshot in season_rosters.
+ */
+
+// Map DB shape -> API shape
+function formatSeason(r) {
+    return {
+        id: r.id,
+        name: r.name,
+        year: r.year,
+        startDate: r.start_date,
+        endDate: r.end_date,
+        isCurrent: !!r.is_current,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+async function currentSeason(db) {
+    return db.get('SELECT * FROM seasons WHERE is_current = 1');
+}
+
+/**
+ * Resolve a ?season= query value to a season row; defaults to the current season.
+ * Resolves to null when the id is unknown so callers can answer 404.
+ */
+async function resolveSeason(db, seasonId) {
+    if (!seasonId) return currentSeason(db);
+    return (await db.get('SELECT * FROM seasons WHERE id = ?', [seasonId])) || null;
+}
+
+function seasonNotFound(res) {
+    return res.status(404).json({
+        error: true,
+        message: 'Season not found',
+        code: 'SEASON_NOT_FOUND'
+    });
+}
+
+/**
+ * Copy a player's current team, number and position into the current season's roster
+ */
+async function syncCurrentRoster(db, playerId) {
+    const season = await currentSeason(db);
+    if (!season) return;
+    const player = await db.get('SELECT id, team_id, number, position FROM players WHERE id = ?', [playerId]);
+    if (!player) return;
+    await db.run(`
+        INSERT INTO season_rosters (season_id, player_id, team_id, number, position)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (season_id, player_id) DO UPDATE SET
+            team_id = excluded.team_id,
+            number = excluded.number,
+            position = excluded.position
+    `, [season.id, player.id, player.team_id, player.number, player.position]);
+}
+
+module.exports = { formatSeason, currentSeason, resolveSeason, seasonNotFound, syncCurrentRoster };
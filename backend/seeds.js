@@ -0,0 +1,245 @@
+/**
+ * Seed data profiles for TeamSite
+ * empty  - site settings and a current season, nothing else
+ * demo   - the Tigers demo team with a few games and events
+ * league - a generated baseball league (many teams, players, games and box scores) for demos and load tests
+ */
+
+const { isSearchIndexTable } = require('./search');
+const { toIsoTime } = require('./event-times');
+
+const SEED_PROFILES = ['empty', 'demo', 'league'];
+
+// Tables a reset keeps: accounts with their team assignments, sessions, migration history,
+// the per-sport stat definitions and positions, and the audit log
+const PRESERVED_TABLES = [
+    'schema_migrations', 'users', 'user_teams', 'sessions', 'stat_definitions', 'positions', 'audit_log'
+];
+
+const DEMO_SQL = `
+    INSERT INTO site_config (id, season_year, start_date, end_date) VALUES (1, 2024, '2024-04-06', '2024-06-15');
+    INSERT INTO seasons (id, name, year, start_date, end_date, is_current)
+    VALUES ('season_2024', '2024 Season', 2024, '2024-04-06', '2024-06-15', 1);
+    INSERT INTO teams (id, name, color, description)
+    VALUES ('tigers', 'Tigers', '#f59e0b', 'The mighty Tigers team');
+    INSERT INTO players (id, name, number, team_id, position, image_path, bio) VALUES
+    ('player_1', 'Jason Miller', 12, 'tigers', 'P', 'http://static.photos/sport/640x360/1', 'Jason is our star pitcher with a powerful fastball.'),
+    ('player_2', 'Mike Johnson', 7, 'tigers', 'SS', 'http://static.photos/sport/640x360/2', 'Mike''s quick reflexes make him an excellent shortstop.'),
+    ('player_3', 'David Wilson', 23, 'tigers', 'OF', 'http://static.photos/sport/640x360/3', 'David''s speed and agility make him a great outfielder.');
+    INSERT INTO season_rosters (season_id, player_id, team_id, number, position)
+    SELECT 'season_2024', id, team_id, number, position FROM players;
+    INSERT INTO media (id, owner_type, owner_id, kind, path, is_primary)
+    SELECT 'media_' || id, 'player', id, 'photo', image_path, 1 FROM players;
+    INSERT INTO games (id, season_id, team_id, opponent, game_date, is_home, team_score, opponent_score) VALUES
+    ('game_1', 'season_2024', 'tigers', 'Eagles', '2024-04-06', 1, 6, 4),
+    ('game_2', 'season_2024', 'tigers', 'Hawks', '2024-04-13', 0, 3, 5);
+    INSERT INTO player_game_stats (game_id, player_id, stat_key, value) VALUES
+    ('game_1', 'player_1', 'at_bats', 4), ('game_1', 'player_1', 'hits', 1), ('game_1', 'player_1', 'home_runs', 0), ('game_1', 'player_1', 'rbi', 1), ('game_1', 'player_1', 'walks', 0), ('game_1', 'player_1', 'strikeouts', 2),
+    ('game_1', 'player_2', 'at_bats', 4), ('game_1', 'player_2', 'hits', 2), ('game_1', 'player_2', 'home_runs', 1), ('game_1', 'player_2', 'rbi', 3), ('game_1', 'player_2', 'walks', 1), ('game_1', 'player_2', 'strikeouts', 0),
+    ('game_1', 'player_3', 'at_bats', 3), ('game_1', 'player_3', 'hits', 1), ('game_1', 'player_3', 'home_runs', 0), ('game_1', 'player_3', 'rbi', 1), ('game_1', 'player_3', 'walks', 1), ('game_1', 'player_3', 'strikeouts', 1),
+    ('game_2', 'player_1', 'at_bats', 3), ('game_2', 'player_1', 'hits', 1), ('game_2', 'player_1', 'home_runs', 1), ('game_2', 'player_1', 'rbi', 2), ('game_2', 'player_1', 'walks', 1), ('game_2', 'player_1', 'strikeouts', 1),
+    ('game_2', 'player_2', 'at_bats', 4), ('game_2', 'player_2', 'hits', 1), ('game_2', 'player_2', 'home_runs', 0), ('game_2', 'player_2', 'rbi', 0), ('game_2', 'player_2', 'walks', 0), ('game_2', 'player_2', 'strikeouts', 1),
+    ('game_2', 'player_3', 'at_bats', 4), ('game_2', 'player_3', 'hits', 1), ('game_2', 'player_3', 'home_runs', 0), ('game_2', 'player_3', 'rbi', 1), ('game_2', 'player_3', 'walks', 0), ('game_2', 'player_3', 'strikeouts', 2);
+    INSERT INTO events (id, season_id, title, type, description, home_team_id, start_time) VALUES
+    ('event_1', 'season_2024', 'Opening Day', 'game', 'Season opener against the Eagles', 'tigers', '2024-04-06T10:00'),
+    ('event_2', 'season_2024', 'Championship Game', 'game', 'Championship finals', NULL, '2024-06-15T13:00'),
+    ('event_3', 'season_2024', 'All-Star Weekend', 'tournament', 'All-Star game and skills competition', NULL, '2024-05-18');
+`;
+
+// Limits for the generated league
+const LEAGUE_DEFAULTS = { teams: 12, playersPerTeam: 15 };
+const LEAGUE_LIMITS = { teams: [2, 60], playersPerTeam: [9, 40] };
+
+const TEAM_NAMES = [
+    'Tigers', 'Eagles', 'Hawks', 'Bears', 'Lions', 'Wolves', 'Sharks', 'Falcons', 'Panthers', 'Rockets',
+    'Comets', 'Mustangs', 'Pirates', 'Giants', 'Knights', 'Dragons', 'Thunder', 'Lightning', 'Storm', 'Raptors'
+];
+const TEAM_COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'];
+const FIRST_NAMES = [
+    'Jason', 'Mike', 'David', 'Chris', 'Alex', 'Sam', 'Jordan', 'Taylor', 'Ryan', 'Tyler',
+    'Ethan', 'Noah', 'Liam', 'Lucas', 'Mason', 'Logan', 'Owen', 'Caleb', 'Jack', 'Leo',
+    'Maya', 'Emma', 'Olivia', 'Ava', 'Sofia', 'Mia', 'Zoe', 'Nora', 'Ruby', 'Lily'
+];
+const LAST_NAMES = [
+    'Miller', 'Johnson', 'Wilson', 'Smith', 'Brown', 'Davis', 'Garcia', 'Martinez', 'Lopez', 'Clark',
+    'Lewis', 'Walker', 'Hall', 'Young', 'King', 'Wright', 'Scott', 'Green', 'Baker', 'Adams',
+    'Nelson', 'Hill', 'Campbell', 'Mitchell', 'Roberts', 'Carter', 'Phillips', 'Evans', 'Turner', 'Parker'
+];
+// Abbreviations from the baseball position catalogue
+const POSITIONS = ['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF'];
+
+// Small deterministic PRNG so a generated league is the same on every reset
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+    random.pick = list => list[Math.floor(random() * list.length)];
+    return random;
+}
+
+/**
+ * Insert many rows with multi-row INSERT statements
+ */
+async function insertRows(db, table, columns, rows, chunkSize = 200) {
+    for (let i = 0; i < rows.length; i += chunkSize) {
+        const chunk = rows.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        await db.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`, chunk.flat());
+    }
+}
+
+function dateOnly(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// One batter's line: hits never exceed at-bats, home runs never exceed hits
+function battingLine(random) {
+    const atBats = random.int(2, 5);
+    const hits = Array.from({ length: atBats }, () => random() < 0.27).filter(Boolean).length;
+    const homeRuns = Array.from({ length: hits }, () => random() < 0.12).filter(Boolean).length;
+    return {
+        at_bats: atBats,
+        hits,
+        home_runs: homeRuns,
+        rbi: homeRuns + random.int(0, hits),
+        walks: random() < 0.2 ? random.int(1, 2) : 0,
+        strikeouts: random.int(0, atBats - hits)
+    };
+}
+
+function clamp(value, [min, max], fallback) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+async function seedEmpty(db) {
+    const year = new Date().getFullYear();
+    await db.run('INSERT INTO site_config (id, season_year) VALUES (1, ?)', [year]);
+    await db.run(
+        'INSERT INTO seasons (id, name, year, is_current) VALUES (?, ?, ?, 1)',
+        [`season_${year}`, `${year} Season`, year]
+    );
+}
+
+async function seedDemo(db) {
+    await db.exec(DEMO_SQL);
+    // The demo schedule is written in local time; events are stored in UTC
+    const events = await db.all('SELECT id, start_time FROM events');
+    for (const event of events) {
+        await db.run('UPDATE events SET start_time = ? WHERE id = ?', [toIsoTime(event.start_time), event.id]);
+    }
+}
+
+/**
+ * A single-season league: every team plays every other team once over ten weeks,
+ * each game with a schedule event and full box scores.
+ */
+async function seedLeague(db, options = {}) {
+    const teamCount = clamp(options.teams, LEAGUE_LIMITS.teams, LEAGUE_DEFAULTS.teams);
+    const rosterSize = clamp(options.playersPerTeam, LEAGUE_LIMITS.playersPerTeam, LEAGUE_DEFAULTS.playersPerTeam);
+    const random = createRandom(20240406);
+
+    const year = new Date().getFullYear();
+    const seasonId = `season_${year}`;
+    const start = new Date(Date.UTC(year, 3, 6));
+    const end = new Date(start.getTime() + 10 * 7 * 24 * 60 * 60 * 1000);
+
+    await db.run(
+        'INSERT INTO site_config (id, title, description, season_year, start_date, end_date) VALUES (1, ?, ?, ?, ?, ?)',
+        ['Youth Baseball League', `${teamCount} teams, one league`, year, dateOnly(start), dateOnly(end)]
+    );
+    await db.run(
+        'INSERT INTO seasons (id, name, year, start_date, end_date, is_current) VALUES (?, ?, ?, ?, ?, 1)',
+        [seasonId, `${year} Season`, year, dateOnly(start), dateOnly(end)]
+    );
+
+    const teams = Array.from({ length: teamCount }, (_, i) => {
+        const round = Math.floor(i / TEAM_NAMES.length);
+        const name = `${TEAM_NAMES[i % TEAM_NAMES.length]}${round > 0 ? ` ${round + 1}` : ''}`;
+        return { id: `team_league_${i + 1}`, name, color: TEAM_COLORS[i % TEAM_COLORS.length] };
+    });
+    await insertRows(db, 'teams', ['id', 'name', 'color', 'description', 'sport'],
+        teams.map(t => [t.id, t.name, t.color, `The ${t.name} of the league`, 'baseball']));
+
+    const players = teams.flatMap((team, t) => {
+        const numbers = new Set();
+        return Array.from({ length: rosterSize }, (_, p) => {
+            let number;
+            do { number = random.int(1, 99); } while (numbers.has(number));
+            numbers.add(number);
+            return {
+                id: `player_league_${t + 1}_${p + 1}`,
+                name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+                number,
+                teamId: team.id,
+                position: POSITIONS[p % POSITIONS.length]
+            };
+        });
+    });
+    await insertRows(db, 'players', ['id', 'name', 'number', 'team_id', 'position'],
+        players.map(p => [p.id, p.name, p.number, p.teamId, p.position]));
+    await insertRows(db, 'season_rosters', ['season_id', 'player_id', 'team_id', 'number', 'position'],
+        players.map(p => [seasonId, p.id, p.teamId, p.number, p.position]));
+
+    const games = [];
+    const events = [];
+    const lines = [];
+    let gameNumber = 0;
+    for (let home = 0; home < teams.length; home++) {
+        for (let away = home + 1; away < teams.length; away++) {
+            gameNumber++;
+            const [homeTeam, awayTeam] = random() < 0.5 ? [teams[home], teams[away]] : [teams[away], teams[home]];
+            const date = new Date(start.getTime() + ((gameNumber - 1) % 10) * 7 * 24 * 60 * 60 * 1000);
+            const gameId = `game_league_${gameNumber}`;
+            const eventId = `event_league_${gameNumber}`;
+            events.push([eventId, seasonId, `${awayTeam.name} @ ${homeTeam.name}`, 'game', homeTeam.id, awayTeam.id, toIsoTime(`${dateOnly(date)}T10:00`)]);
+
+            const runs = { [homeTeam.id]: 0, [awayTeam.id]: 0 };
+            players.filter(p => p.teamId === homeTeam.id || p.teamId === awayTeam.id).forEach(player => {
+                const line = battingLine(random);
+                runs[player.teamId] += line.rbi;
+                Object.entries(line).forEach(([key, value]) => lines.push([gameId, player.id, key, value]));
+            });
+            games.push([gameId, seasonId, homeTeam.id, awayTeam.name, awayTeam.id, eventId, dateOnly(date), 1, runs[homeTeam.id], runs[awayTeam.id]]);
+        }
+    }
+    await insertRows(db, 'events', ['id', 'season_id', 'title', 'type', 'home_team_id', 'away_team_id', 'start_time'], events);
+    await insertRows(db, 'games',
+        ['id', 'season_id', 'team_id', 'opponent', 'opponent_team_id', 'event_id', 'game_date', 'is_home', 'team_score', 'opponent_score'],
+        games);
+    await insertRows(db, 'player_game_stats', ['game_id', 'player_id', 'stat_key', 'value'], lines);
+}
+
+/**
+ * Fill an empty database with a profile's data. Callers own the transaction.
+ */
+async function seed(db, profile = 'demo', options = {}) {
+    if (profile === 'empty') return seedEmpty(db);
+    if (profile === 'demo') return seedDemo(db);
+    if (profile === 'league') return seedLeague(db, options);
+    throw new Error(`Unknown seed profile: ${profile} (expected ${SEED_PROFILES.join(', ')})`);
+}
+
+/**
+ * Delete every row a reset replaces; see PRESERVED_TABLES for what survives
+ */
+async function wipe(db) {
+    const rows = await db.all(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    `);
+    for (const { name } of rows) {
+        // Search indexes follow their tables through triggers
+        if (!PRESERVED_TABLES.includes(name) && !isSearchIndexTable(name)) {
+            await db.run(`DELETE FROM "${name}"`);
+        }
+    }
+}
+
+module.exports = { SEED_PROFILES, seed, wipe };
@@ -6,14 +6,31 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { authRouter, requireAuth } = require('./auth');
+const { authRouter, ensureOwnerAccount } = require('./auth');
 const Database = require('./database');
+const { rateLimit } = require('./rate-limit');
 
 // Import routes
 const playersRoutes = require('./routes/players');
 const teamsRoutes = require('./routes/teams');
 const configRoutes = require('./routes/config');
 const uploadRoutes = require('./routes/upload');
+const usersRoutes = require('./routes/users');
+const eventsRoutes = require('./routes/events');
+const gamesRoutes = require('./routes/games');
+const statDefinitionsRoutes = require('./routes/stat-definitions');
+const positionsRoutes = require('./routes/positions');
+const standingsRoutes = require('./routes/standings');
+const leadersRoutes = require('./routes/leaders');
+const seasonsRoutes = require('./routes/seasons');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
+const streamRoutes = require('./routes/stream');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const mediaRoutes = require('./routes/media');
+const { scheduleTrashPurge } = require('./trash');
+const { scheduleUploadGc } = require('./uploads');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,8 +38,13 @@ const PORT = process.env.PORT || 3000;
 // Initialize database
 const db = new Database();
 
+// Behind a reverse proxy, set TRUST_PROXY=1 so rate limits see real client IPs
+if (process.env.TRUST_PROXY === '1') {
+    app.set('trust proxy', 1);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Retry-After', 'ETag'] }));
 app.use(express.json({ limit: '10mb' })); // Increased limit for image uploads
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -32,11 +54,33 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Auth routes
 app.use('/api/auth', authRouter);
 
+// Limit writes per client; reads are not counted
+const mutationLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60,
+    methods: ['POST', 'PUT', 'PATCH', 'DELETE']
+});
+app.use(['/api/players', '/api/teams', '/api/config', '/api/upload', '/api/users', '/api/events', '/api/games', '/api/stat-definitions', '/api/positions', '/api/seasons', '/api/media', '/api/admin'], mutationLimiter);
+
 // Routes
 app.use('/api/players', playersRoutes);
 app.use('/api/teams', teamsRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/games', gamesRoutes);
+app.use('/api/stat-definitions', statDefinitionsRoutes);
+app.use('/api/positions', positionsRoutes);
+app.use('/api/standings', standingsRoutes);
+app.use('/api/leaders', leadersRoutes);
+app.use('/api/seasons', seasonsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -70,6 +114,9 @@ app.use('*', (req, res) => {
 async function startServer() {
     try {
         await db.init();
+        await ensureOwnerAccount(db);
+        scheduleTrashPurge(db);
+        scheduleUploadGc(db);
         
         // Make database available to routes
         app.locals.db = db;
@@ -0,0 +1,108 @@
+/**
+ * League standings for TeamSite
+ * A team's record counts every scored game it recorded, plus the games other league teams
+ * recorded against it (opponent_team_id), seen from its side. Teams are ranked within
+ * their sport by winning percentage, where a tie counts as half a win and half a loss.
+ */
+
+// (W + T/2) / games played, as a fraction; 0 before any games
+function winningPercentage(record) {
+    return record.played === 0 ? 0 : (record.wins + record.ties / 2) / record.played;
+}
+
+// Games behind a leader: the average of the win and loss differences
+function gamesBehind(leader, record) {
+    return ((leader.wins - record.wins) + (record.losses - leader.losses)) / 2;
+}
+
+/**
+ * Standings for a season (every season without one), grouped by sport and ranked.
+ * In the current season every active team is listed; in a past one, the teams that had
+ * a roster or a game in it.
+ */
+async function computeStandings(db, season = null) {
+    const teams = season && !season.is_current
+        ? await db.all(`
+            SELECT * FROM teams
+            WHERE deleted_at IS NULL AND (
+                id IN (SELECT team_id FROM season_rosters WHERE season_id = ?)
+                OR id IN (SELECT team_id FROM games WHERE season_id = ?)
+                OR id IN (SELECT opponent_team_id FROM games WHERE season_id = ?)
+            )
+        `, [season.id, season.id, season.id])
+        : await db.all('SELECT * FROM teams WHERE deleted_at IS NULL');
+
+    const seasonFilter = season ? 'AND g.season_id = ?' : '';
+    const games = await db.all(`
+        SELECT g.team_id, g.opponent_team_id, g.team_score, g.opponent_score
+        FROM games g
+        JOIN teams t ON g.team_id = t.id
+        WHERE t.deleted_at IS NULL AND g.team_score IS NOT NULL AND g.opponent_score IS NOT NULL ${seasonFilter}
+        ORDER BY g.game_date, g.created_at
+    `, season ? [season.id] : []);
+
+    const records = new Map(teams.map(team => [team.id, {
+        teamId: team.id,
+        teamName: team.name,
+        teamColor: team.color,
+        sport: team.sport,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        runsFor: 0,
+        runsAgainst: 0,
+        results: []
+    }]));
+    const credit = (teamId, scored, allowed) => {
+        const record = records.get(teamId);
+        if (!record) return;
+        const result = scored > allowed ? 'W' : scored < allowed ? 'L' : 'T';
+        record.played++;
+        record.wins += result === 'W' ? 1 : 0;
+        record.losses += result === 'L' ? 1 : 0;
+        record.ties += result === 'T' ? 1 : 0;
+        record.runsFor += scored;
+        record.runsAgainst += allowed;
+        record.results.push(result);
+    };
+    games.forEach(g => {
+        credit(g.team_id, g.team_score, g.opponent_score);
+        if (g.opponent_team_id) credit(g.opponent_team_id, g.opponent_score, g.team_score);
+    });
+
+    const bySport = new Map();
+    records.forEach(record => {
+        if (!bySport.has(record.sport)) bySport.set(record.sport, []);
+        bySport.get(record.sport).push(record);
+    });
+
+    return [...bySport.keys()].sort().flatMap(sport => {
+        const ranked = bySport.get(sport)
+            .map(({ results, ...record }) => ({
+                ...record,
+                pct: winningPercentage(record),
+                runDifferential: record.runsFor - record.runsAgainst,
+                streak: streakOf(results)
+            }))
+            .sort((a, b) => b.pct - a.pct || b.wins - a.wins || b.runDifferential - a.runDifferential ||
+                a.teamName.localeCompare(b.teamName));
+        const leader = ranked[0];
+        return ranked.map((record, index) => ({
+            ...record,
+            rank: index + 1,
+            gamesBack: gamesBehind(leader, record)
+        }));
+    });
+}
+
+// The current run of identical results, e.g. "W3"; null before any games
+function streakOf(results) {
+    if (results.length === 0) return null;
+    const last = results[results.length - 1];
+    let length = 0;
+    for (let i = results.length - 1; i >= 0 && results[i] === last; i--) length++;
+    return `${last}${length}`;
+}
+
+module.exports = { computeStandings };
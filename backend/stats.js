@@ -0,0 +1,217 @@
+/**
+ * Player statistics for TeamSite
+ * Stats are defined per sport in stat_definitions. Recorded stats are entered
+ * per game and summed; formula stats are computed from those season totals.
+ */
+
+const STAT_TYPES = ['integer', 'decimal', 'formula'];
+
+// Formulas may use this alongside the sport's recorded stat keys
+const GAMES_VARIABLE = 'games';
+
+/**
+ * Parse a formula such as "earned_runs * 7 / innings_pitched" into a tree.
+ * Supports numbers, stat keys, + - * /, unary minus and parentheses.
+ */
+function parseFormula(source) {
+    const tokens = String(source || '').match(/\d+(?:\.\d+)?|[a-z_][a-z0-9_]*|[-+*/()]|\S/gi) || [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    function primary() {
+        const token = next();
+        if (token === undefined) throw new Error('Formula ended unexpectedly');
+        if (token === '(') {
+            const node = expression();
+            if (next() !== ')') throw new Error('Missing closing parenthesis');
+            return node;
+        }
+        if (token === '-') return { op: 'neg', arg: primary() };
+        if (/^\d/.test(token)) return { num: parseFloat(token) };
+        if (/^[a-z_]/i.test(token)) return { ref: token.toLowerCase() };
+        throw new Error(`Unexpected "${token}" in formula`);
+    }
+
+    function term() {
+        let node = primary();
+        while (peek() === '*' || peek() === '/') {
+            node = { op: next(), left: node, right: primary() };
+        }
+        return node;
+    }
+
+    function expression() {
+        let node = term();
+        while (peek() === '+' || peek() === '-') {
+            node = { op: next(), left: node, right: term() };
+        }
+        return node;
+    }
+
+    if (tokens.length === 0) throw new Error('Formula is empty');
+    const tree = expression();
+    if (pos < tokens.length) throw new Error(`Unexpected "${peek()}" in formula`);
+    return tree;
+}
+
+// Stat keys a parsed formula reads
+function formulaReferences(node, refs = new Set()) {
+    if (node.ref) refs.add(node.ref);
+    if (node.arg) formulaReferences(node.arg, refs);
+    if (node.left) formulaReferences(node.left, refs);
+    if (node.right) formulaReferences(node.right, refs);
+    return refs;
+}
+
+/**
+ * Evaluate a parsed formula; dividing by zero gives 0 so new players show 0 rather than NaN.
+ * With undefinedAs = null a division by zero makes the whole result null instead, for
+ * callers that must tell "no innings pitched" from a real 0.00.
+ */
+function evaluateFormula(node, values, undefinedAs = 0) {
+    if (node.num !== undefined) return node.num;
+    if (node.ref) return Object.prototype.hasOwnProperty.call(values, node.ref) ? values[node.ref] || 0 : 0;
+    if (node.op === 'neg') {
+        const value = evaluateFormula(node.arg, values, undefinedAs);
+        return value === null ? null : -value;
+    }
+
+    const left = evaluateFormula(node.left, values, undefinedAs);
+    const right = evaluateFormula(node.right, values, undefinedAs);
+    if (left === null || right === null) return null;
+    switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? undefinedAs : left / right;
+    }
+    throw new Error(`Unknown operator ${node.op}`);
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Map DB shape -> API shape
+function formatStatDefinition(r) {
+    return {
+        id: r.id,
+        sport: r.sport,
+        key: r.key,
+        label: r.label,
+        abbreviation: r.abbreviation,
+        type: r.type,
+        min: r.min_value,
+        max: r.max_value,
+        formula: r.formula,
+        decimals: r.decimals,
+        lowerIsBetter: !!r.lower_is_better,
+        sortOrder: r.sort_order,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+/**
+ * Stat definitions grouped by sport: { baseball: [...], soccer: [...] }
+ */
+async function loadStatDefinitions(db) {
+    const rows = await db.all('SELECT * FROM stat_definitions ORDER BY sport, sort_order, label');
+    const bySport = {};
+    rows.forEach(r => {
+        (bySport[r.sport] = bySport[r.sport] || []).push(formatStatDefinition(r));
+    });
+    return bySport;
+}
+
+/**
+ * Season stats for one player: recorded stats summed, then formulas applied. Formulas that
+ * divide by zero give undefinedAs (see evaluateFormula).
+ */
+function computeStats(definitions, totals, games, undefinedAs = 0) {
+    const values = { ...totals, [GAMES_VARIABLE]: games };
+    const stats = {};
+    definitions.filter(def => def.type !== 'formula').forEach(def => {
+        stats[def.key] = round(totals[def.key] || 0, def.decimals);
+    });
+    definitions.filter(def => def.type === 'formula').forEach(def => {
+        const value = evaluateFormula(parseFormula(def.formula), values, undefinedAs);
+        stats[def.key] = value === null ? null : round(value, def.decimals);
+    });
+    return stats;
+}
+
+/**
+ * Attach { sport, gamesPlayed, stats } to player rows (each needs id and sport).
+ * With a seasonId only that season's games count. Baselines (totals from before box scores)
+ * add to what the games give. undefinedAs is passed to computeStats.
+ */
+async function attachStats(db, players, seasonId = null, { undefinedAs = 0 } = {}) {
+    if (players.length === 0) return players;
+
+    const ids = players.map(p => p.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const seasonFilter = seasonId ? 'AND g.season_id = ?' : '';
+    const params = seasonId ? [...ids, seasonId] : ids;
+    const [totals, appearances, baselines, definitions] = await Promise.all([
+        db.all(`
+            SELECT s.player_id, s.stat_key, SUM(s.value) as total
+            FROM player_game_stats s
+            JOIN games g ON s.game_id = g.id
+            WHERE s.player_id IN (${placeholders}) ${seasonFilter}
+            GROUP BY s.player_id, s.stat_key
+        `, params),
+        db.all(`
+            SELECT s.player_id, COUNT(DISTINCT s.game_id) as games
+            FROM player_game_stats s
+            JOIN games g ON s.game_id = g.id
+            WHERE s.player_id IN (${placeholders}) ${seasonFilter}
+            GROUP BY s.player_id
+        `, params),
+        db.all(`
+            SELECT player_id, games_played, stats
+            FROM player_stat_baselines
+            WHERE player_id IN (${placeholders}) ${seasonId ? 'AND season_id = ?' : ''}
+        `, params),
+        loadStatDefinitions(db)
+    ]);
+
+    const totalsByPlayer = new Map();
+    totals.forEach(r => {
+        if (!totalsByPlayer.has(r.player_id)) totalsByPlayer.set(r.player_id, {});
+        totalsByPlayer.get(r.player_id)[r.stat_key] = r.total;
+    });
+    const gamesByPlayer = new Map(appearances.map(r => [r.player_id, r.games]));
+    baselines.forEach(r => {
+        if (!totalsByPlayer.has(r.player_id)) totalsByPlayer.set(r.player_id, {});
+        const playerTotals = totalsByPlayer.get(r.player_id);
+        Object.entries(JSON.parse(r.stats)).forEach(([key, value]) => {
+            playerTotals[key] = (playerTotals[key] || 0) + value;
+        });
+        gamesByPlayer.set(r.player_id, (gamesByPlayer.get(r.player_id) || 0) + r.games_played);
+    });
+
+    return players.map(player => {
+        const games = gamesByPlayer.get(player.id) || 0;
+        return {
+            ...player,
+            gamesPlayed: games,
+            stats: computeStats(definitions[player.sport] || [], totalsByPlayer.get(player.id) || {}, games, undefinedAs)
+        };
+    });
+}
+
+module.exports = {
+    STAT_TYPES,
+    GAMES_VARIABLE,
+    parseFormula,
+    formulaReferences,
+    evaluateFormula,
+    formatStatDefinition,
+    loadStatDefinitions,
+    computeStats,
+    attachStats
+};
@@ -0,0 +1,99 @@
+/**
+ * Trash for TeamSite
+ * Deleting a player or team only stamps deleted_at; the row keeps its stats, rosters and
+ * photos until it is restored or purged. Purging removes it for good, and trashed rows
+ * older than the retention period are purged automatically.
+ */
+
+const { purgeMedia } = require('./media');
+
+// Days a deleted player or team stays restorable (TEAMSITE_TRASH_RETENTION_DAYS, default 30)
+const TRASH_RETENTION_DAYS = Number(process.env.TEAMSITE_TRASH_RETENTION_DAYS) > 0
+    ? Number(process.env.TEAMSITE_TRASH_RETENTION_DAYS)
+    : 30;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * When a row was deleted and when it will be purged, as ISO times, from its deleted_at
+ * (SQLite's UTC CURRENT_TIMESTAMP text)
+ */
+function trashDates(deletedAt) {
+    const deleted = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+    return {
+        deletedAt: deleted.toISOString(),
+        purgeAt: new Date(deleted.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Remove a player for good: game stats and baselines, rosters, the row and their photos
+ */
+async function purgePlayer(db, id) {
+    await db.run('DELETE FROM player_game_stats WHERE player_id = ?', [id]);
+    await db.run('DELETE FROM player_stat_baselines WHERE player_id = ?', [id]);
+    await db.run('DELETE FROM season_rosters WHERE player_id = ?', [id]);
+    await db.run('DELETE FROM players WHERE id = ?', [id]);
+    await purgeMedia(db, 'player', id);
+}
+
+/**
+ * Remove a team for good, with its games, its photos and any of its players still in the
+ * trash. Games against it keep the opponent name.
+ */
+async function purgeTeam(db, id) {
+    const players = await db.all('SELECT id FROM players WHERE team_id = ?', [id]);
+    for (const player of players) {
+        await purgePlayer(db, player.id);
+    }
+    await db.run('DELETE FROM player_game_stats WHERE game_id IN (SELECT id FROM games WHERE team_id = ?)', [id]);
+    await db.run('DELETE FROM games WHERE team_id = ?', [id]);
+    await db.run('UPDATE games SET opponent_team_id = NULL WHERE opponent_team_id = ?', [id]);
+    await db.run('DELETE FROM teams WHERE id = ?', [id]);
+    await purgeMedia(db, 'team', id);
+}
+
+/**
+ * Purge everything deleted more than the retention period ago; returns the purged
+ * { players, teams } ids
+ */
+async function purgeExpired(db, days = TRASH_RETENTION_DAYS) {
+    const cutoff = `-${days} days`;
+    const purged = { players: [], teams: [] };
+    await db.transaction(async () => {
+        const players = await db.all(
+            "SELECT id FROM players WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+            [cutoff]
+        );
+        for (const { id } of players) {
+            await purgePlayer(db, id);
+            purged.players.push(id);
+        }
+        const teams = await db.all(
+            "SELECT id FROM teams WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+            [cutoff]
+        );
+        for (const { id } of teams) {
+            await purgeTeam(db, id);
+            purged.teams.push(id);
+        }
+    });
+    return purged;
+}
+
+/**
+ * Purge expired trash now and then hourly while the server runs
+ */
+function scheduleTrashPurge(db) {
+    const run = () => purgeExpired(db)
+        .then(({ players, teams }) => {
+            if (players.length + teams.length > 0) {
+                console.log(`Purged ${players.length} player(s) and ${teams.length} team(s) from the trash`);
+            }
+        })
+        .catch(error => console.error('Trash purge failed:', error.message));
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { TRASH_RETENTION_DAYS, trashDates, purgePlayer, purgeTeam, purgeExpired, scheduleTrashPurge };
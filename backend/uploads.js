@@ -0,0 +1,186 @@
+/**
+ * Upload bookkeeping for TeamSite
+ * A photo is uploaded for an existing player, or against a pending-upload token while the
+ * player is still being created; saving the player claims the token's files into the
+ * player's folder. Files that nothing refers to are removed by collectGarbage().
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES, imageVariants } = require('./images');
+const { listFiles } = require('./archive');
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// How long a pending-upload token stays usable. Unreferenced files younger than this are
+// left alone by garbage collection, since their player may not have been saved yet.
+const UPLOAD_TOKEN_TTL_MS = 60 * 60 * 1000;
+const GC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const PENDING_PATH = /^\/uploads\/pending\/([A-Za-z0-9_-]+)\/(\d+(?:_[0-9a-f-]{36})?)-full\.jpg$/;
+
+const uploadTokens = new Map(); // token -> { userId, expiresAt }
+
+// Multipart parsing for image uploads. Files are held in memory; only the processed sizes
+// are written to disk, and the type is checked from the contents (see images.js).
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES
+    }
+});
+
+/**
+ * Error handler for routers that take uploads: multer's errors and errors thrown before
+ * the route runs, in the API's error shape
+ */
+function handleUploadError(error, req, res, next) {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                error: true,
+                message: `File too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB.`,
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+    }
+    
+    res.status(error.status || 400).json({
+        error: true,
+        message: error.message,
+        code: error.status ? error.code : 'UPLOAD_ERROR'
+    });
+}
+
+// Forget expired tokens
+setInterval(() => {
+    const now = Date.now();
+    for (const [token, entry] of uploadTokens) {
+        if (entry.expiresAt <= now) uploadTokens.delete(token);
+    }
+}, UPLOAD_TOKEN_TTL_MS).unref();
+
+function uploadTokenError() {
+    const error = new Error('Upload token is invalid or has expired');
+    error.status = 400;
+    error.code = 'INVALID_UPLOAD_TOKEN';
+    return error;
+}
+
+/**
+ * Issue a pending-upload token to a user; returns { token, expiresAt }
+ */
+function issueUploadToken(user) {
+    const token = crypto.randomBytes(18).toString('base64url');
+    const expiresAt = Date.now() + UPLOAD_TOKEN_TTL_MS;
+    uploadTokens.set(token, { userId: user.id, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Throw INVALID_UPLOAD_TOKEN (status 400) unless the token is live and was issued to this user
+ */
+function checkUploadToken(token, user) {
+    const entry = uploadTokens.get(token);
+    if (!entry || entry.expiresAt <= Date.now() || entry.userId !== user.id) {
+        throw uploadTokenError();
+    }
+}
+
+/**
+ * Move a photo uploaded against a token into the player's folder and return its new path.
+ * Paths that are not pending uploads are returned unchanged.
+ */
+function claimPendingImage(imagePath, playerId, user) {
+    const match = PENDING_PATH.exec(imagePath || '');
+    if (!match) return imagePath;
+    const [, token, stamp] = match;
+    checkUploadToken(token, user);
+
+    const pendingDir = path.join(UPLOADS_DIR, 'pending', token);
+    const playerDir = path.join(UPLOADS_DIR, 'images', playerId);
+    if (!fs.existsSync(pendingDir)) throw uploadTokenError();
+    fs.mkdirSync(playerDir, { recursive: true });
+    fs.readdirSync(pendingDir)
+        .filter(file => file.startsWith(`${stamp}-`))
+        .forEach(file => fs.renameSync(path.join(pendingDir, file), path.join(playerDir, file)));
+    if (fs.readdirSync(pendingDir).length === 0) fs.rmdirSync(pendingDir);
+    return `/uploads/images/${playerId}/${stamp}-full.jpg`;
+}
+
+// Every upload path (relative to uploads/) that a player, team or media library entry
+// refers to, trashed players and teams included
+async function referencedUploads(db) {
+    const rows = await db.all(`
+        SELECT image_path as path FROM players WHERE image_path LIKE '/uploads/%'
+        UNION SELECT logo_path FROM teams WHERE logo_path LIKE '/uploads/%'
+        UNION SELECT banner_path FROM teams WHERE banner_path LIKE '/uploads/%'
+        UNION SELECT path FROM media WHERE path LIKE '/uploads/%'
+    `);
+    const referenced = new Set();
+    rows.forEach(({ path: imagePath }) => {
+        const variants = imageVariants(imagePath);
+        const paths = variants
+            ? Object.values(variants).flatMap(formats => Object.values(formats))
+            : [imagePath];
+        paths.forEach(p => referenced.add(p.replace(/^\/uploads\//, '')));
+    });
+    return referenced;
+}
+
+/**
+ * Remove uploaded files that nothing refers to and that are older than the token
+ * lifetime, then any folders left empty. With dryRun nothing is removed.
+ * Returns { files, bytes }: the relative paths removed (or that would be) and their size.
+ */
+async function collectGarbage(db, { dryRun = false, uploadsDir = UPLOADS_DIR } = {}) {
+    const referenced = await referencedUploads(db);
+    const cutoff = Date.now() - UPLOAD_TOKEN_TTL_MS;
+    const result = { files: [], bytes: 0 };
+
+    for (const folder of ['images', 'teams', 'pending']) {
+        const dir = path.join(uploadsDir, folder);
+        listFiles(dir, folder).forEach(file => {
+            const fullPath = path.join(uploadsDir, file);
+            const stat = fs.statSync(fullPath);
+            if (referenced.has(file) || stat.mtimeMs > cutoff) return;
+            result.files.push(file);
+            result.bytes += stat.size;
+            if (!dryRun) fs.rmSync(fullPath, { force: true });
+        });
+        if (!dryRun && fs.existsSync(dir)) {
+            fs.readdirSync(dir, { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && fs.readdirSync(path.join(dir, entry.name)).length === 0)
+                .forEach(entry => fs.rmdirSync(path.join(dir, entry.name)));
+        }
+    }
+    return result;
+}
+
+/**
+ * Collect unreferenced uploads now and then every few hours while the server runs
+ */
+function scheduleUploadGc(db) {
+    const run = () => collectGarbage(db)
+        .then(({ files, bytes }) => {
+            if (files.length > 0) {
+                console.log(`Removed ${files.length} unreferenced upload(s) (${Math.round(bytes / 1024)} KB)`);
+            }
+        })
+        .catch(error => console.error('Upload cleanup failed:', error.message));
+    run();
+    setInterval(run, GC_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    UPLOAD_TOKEN_TTL_MS,
+    imageUpload,
+    handleUploadError,
+    issueUploadToken,
+    checkUploadToken,
+    claimPendingImage,
+    collectGarbage,
+    scheduleUploadGc
+};
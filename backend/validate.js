@@ -0,0 +1,30 @@
+/**
+ * Request validation for TeamSite
+ * Bodies are checked against the field schemas shared with the browser (js/schema.js), and
+ * a rejected body is answered with a message for each bad field.
+ */
+
+const Schema = require('../js/schema');
+
+/**
+ * Check a request body against a named schema; with partial (an update) only the fields
+ * present are checked. Returns a map of field -> message, or null when the body is valid.
+ */
+function fieldErrors(name, body, options) {
+    const { valid, errors } = Schema.validate(name, body || {}, options);
+    return valid ? null : errors;
+}
+
+/**
+ * Respond 400 naming the bad fields: { error, message, code, fields: { field: message } }
+ */
+function invalid(res, fields, code = 'VALIDATION_ERROR') {
+    return res.status(400).json({
+        error: true,
+        message: Object.values(fields).join('; '),
+        code,
+        fields
+    });
+}
+
+module.exports = { fieldErrors, invalid };
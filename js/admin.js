@@ -6,14 +6,31 @@
 // Global variables
 let currentEditingPlayer = null;
 let currentEditingTeam = null;
+let currentEditingEvent = null;
+let currentEditingGame = null;
+let currentEditingStat = null;
+let currentEditingPosition = null;
+let currentPlayerImport = null;
+// The admin players list is paged, filtered and sorted by the server
+let playerListQuery = { page: 1, limit: 25, q: '', teamId: '', sort: 'name', order: 'asc' };
 let colorPickers = {};
+// The Activity tab's filters; entityId narrows it to one entity's history
+let auditQuery = { page: 1, limit: 25, entityType: '', entityId: '', action: '' };
+let auditEntityLabel = '';
+// Version of the site configuration the settings form was loaded from
+let settingsVersion = null;
 
 // Initialize admin panel
 document.addEventListener('DOMContentLoaded', async function() {
     // Auth gate
     const token = sessionStorage.getItem('teamsite_token');
+    const storedUser = JSON.parse(sessionStorage.getItem('teamsite_user') || 'null');
+    if (token && storedUser && storedUser.mustChangePassword && !(await changeOwnPassword())) {
+        return;
+    }
     if (!token) {
-        const pw = prompt('Admin password');
+        const username = prompt('Username', 'admin');
+        const pw = username ? prompt('Password') : null;
         if (!pw) {
             alert('Authentication required');
             return;
@@ -22,17 +39,21 @@ document.addEventListener('DOMContentLoaded', async function() {
             const resp = await fetch('http://localhost:3000/api/auth/login', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password: pw })
+                body: JSON.stringify({ username, password: pw })
             });
-            if (!resp.ok) throw new Error('Login failed');
-            const json = await resp.json();
+            const json = await resp.json().catch(() => null);
+            if (!resp.ok) throw new Error(json?.message || 'Login failed');
             if (json && json.data && json.data.token) {
                 sessionStorage.setItem('teamsite_token', json.data.token);
+                sessionStorage.setItem('teamsite_user', JSON.stringify(json.data.user));
+                if (json.data.user.mustChangePassword && !(await changeOwnPassword(pw))) {
+                    return;
+                }
             } else {
                 throw new Error('Invalid login response');
             }
         } catch (e) {
-            alert('Login failed');
+            alert('Login failed: ' + e.message);
             return;
         }
     }
@@ -52,6 +73,43 @@ document.addEventListener('DOMContentLoaded', async function() {
     showTab('players');
 });
 
+// Prompt for a new password (required after an invite or reset). The server refuses every
+// other request until it is changed, so giving up signs out. Resolves to true once changed.
+async function changeOwnPassword(currentPassword = null) {
+    for (;;) {
+        const current = currentPassword || prompt('Your password must be changed. Current password');
+        const newPassword = current ? prompt('Please choose a new password (at least 8 characters)') : null;
+        if (!newPassword) {
+            await logout();
+            return false;
+        }
+        try {
+            await dataManager.apiCall('/auth/password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword: current, newPassword })
+            });
+            const user = JSON.parse(sessionStorage.getItem('teamsite_user') || '{}');
+            sessionStorage.setItem('teamsite_user', JSON.stringify({ ...user, mustChangePassword: false }));
+            alert('Password updated');
+            return true;
+        } catch (error) {
+            alert('Password change failed: ' + error.message);
+        }
+    }
+}
+
+// End the server session and return to the login prompt
+async function logout() {
+    try {
+        await dataManager.apiCall('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.warn('Logout request failed:', error);
+    }
+    sessionStorage.removeItem('teamsite_token');
+    sessionStorage.removeItem('teamsite_user');
+    window.location.reload();
+}
+
 // Tab management
 function showTab(tabName) {
     // Hide all tab contents
@@ -78,8 +136,20 @@ function showTab(tabName) {
         loadPlayersList();
     } else if (tabName === 'teams') {
         loadTeamsList();
+    } else if (tabName === 'schedule') {
+        loadEventsList();
+    } else if (tabName === 'games') {
+        loadGamesList();
+    } else if (tabName === 'stats') {
+        loadStatDefinitionsList();
+        loadPositionsList();
     } else if (tabName === 'settings') {
         loadSettings();
+        loadSeasonsList();
+    } else if (tabName === 'activity') {
+        loadActivityList();
+    } else if (tabName === 'trash') {
+        loadTrashList();
     } else if (tabName === 'data') {
         loadDataStats();
     }
@@ -89,31 +159,82 @@ function showTab(tabName) {
 async function loadAllData() {
     try {
         await dataManager.initialize();
-        loadTeamsList();
-        loadPlayersList();
-        loadSettings();
-        loadDataStats();
+        renderAllData();
     } catch (error) {
         console.error('Error loading data:', error);
         Utils.showNotification('Error loading data from server', 'error');
     }
 }
 
+function renderAllData() {
+    loadTeamsList();
+    loadPlayersList();
+    loadEventsList();
+    loadGamesList();
+    loadStatDefinitionsList();
+    loadPositionsList();
+    loadSettings();
+    loadSeasonOptions();
+    updateArchivedSeasonBanner();
+    loadSeasonsList();
+    loadDataStats();
+}
+
+// Another browser reset or restored the site, so everything was reloaded
+function handleDataRefreshed() {
+    closePlayerForm();
+    closePlayerImport();
+    closeMediaManager();
+    playerListQuery.page = 1;
+    renderAllData();
+    Utils.showNotification('Site data was replaced from another browser and has been reloaded', 'info');
+}
+
 // Initialize event listeners
 function initializeEventListeners() {
     // Player form
     document.getElementById('playerForm').addEventListener('submit', handlePlayerSubmit);
     document.getElementById('playerImage').addEventListener('change', handleImagePreview);
-    document.getElementById('playerSearch').addEventListener('input', handlePlayerSearch);
+    document.getElementById('playerTeam').addEventListener('change', handlePlayerTeamChange);
+    document.getElementById('playerSearch').addEventListener('input', Utils.debounce(handlePlayerSearch, 300));
+    document.getElementById('playerTeamFilter').addEventListener('change', handlePlayerTeamFilter);
+    document.getElementById('playerSort').addEventListener('change', handlePlayerSort);
+    document.getElementById('playerImportFile').addEventListener('change', handlePlayerImportFile);
+    
+    // Media manager
+    document.getElementById('mediaUploadForm').addEventListener('submit', handleMediaUpload);
+    
+    // Activity filters
+    document.getElementById('auditEntityType').addEventListener('change', handleAuditEntityType);
+    document.getElementById('auditAction').addEventListener('change', handleAuditAction);
     
     // Team form
     document.getElementById('teamForm').addEventListener('submit', handleTeamSubmit);
     document.getElementById('teamColor').addEventListener('change', handleTeamColorChange);
     document.getElementById('teamColorText').addEventListener('input', handleTeamColorTextChange);
     
+    // Event form
+    document.getElementById('eventForm').addEventListener('submit', handleEventSubmit);
+    
+    // Game form
+    document.getElementById('gameForm').addEventListener('submit', handleGameSubmit);
+    document.getElementById('gameTeam').addEventListener('change', () => renderBoxScore(collectBoxScore()));
+    document.getElementById('gameOpponentTeam').addEventListener('change', handleGameOpponentChange);
+    
+    // Stat definition form
+    document.getElementById('statForm').addEventListener('submit', handleStatSubmit);
+    document.getElementById('statType').addEventListener('change', updateStatFormFields);
+    
+    // Position form
+    document.getElementById('positionForm').addEventListener('submit', handlePositionSubmit);
+    
     // Settings form
     document.getElementById('settingsForm').addEventListener('submit', handleSettingsSubmit);
     
+    // Seasons
+    document.getElementById('seasonSelect').addEventListener('change', handleSeasonSelect);
+    document.getElementById('newSeasonForm').addEventListener('submit', handleNewSeasonSubmit);
+    
     // Data management
     document.getElementById('importFile').addEventListener('change', handleDataImport);
     
@@ -124,7 +245,28 @@ function initializeEventListeners() {
     dataManager.addListener('teamAdded', loadTeamsList);
     dataManager.addListener('teamUpdated', loadTeamsList);
     dataManager.addListener('teamDeleted', loadTeamsList);
+    // Team cards show player counts
+    ['playerAdded', 'playerUpdated', 'playerDeleted'].forEach(type => dataManager.addListener(type, loadTeamsList));
+    ['playerAdded', 'playerDeleted', 'teamAdded', 'teamDeleted'].forEach(type => dataManager.addListener(type, refreshTrashList));
+    dataManager.addListener('mediaUpdated', handleMediaUpdated);
+    dataManager.addListener('eventAdded', loadEventsList);
+    dataManager.addListener('eventUpdated', loadEventsList);
+    dataManager.addListener('eventDeleted', loadEventsList);
+    dataManager.addListener('gameAdded', loadGamesList);
+    dataManager.addListener('gameUpdated', loadGamesList);
+    dataManager.addListener('gameDeleted', loadGamesList);
+    dataManager.addListener('statsUpdated', loadPlayersList);
+    dataManager.addListener('playersImported', loadPlayersList);
+    dataManager.addListener('playersImported', loadTeamsList);
+    dataManager.addListener('statDefinitionAdded', loadStatDefinitionsList);
+    dataManager.addListener('statDefinitionUpdated', loadStatDefinitionsList);
+    dataManager.addListener('statDefinitionDeleted', loadStatDefinitionsList);
+    dataManager.addListener('positionsUpdated', loadPositionsList);
     dataManager.addListener('siteConfigUpdated', loadSettings);
+    dataManager.addListener('siteConfigUpdated', loadSeasonsList);
+    dataManager.addListener('seasonChanged', handleSeasonChanged);
+    dataManager.addListener('seasonUpdated', loadSeasonsList);
+    dataManager.addListener('dataRefreshed', handleDataRefreshed);
 }
 
 // Initialize color pickers
@@ -168,10 +310,13 @@ function initializeColorPickers() {
 
 // Player management functions
 function openPlayerForm(player = null) {
+    if (!requireCurrentSeason()) return;
     currentEditingPlayer = player;
     const formContainer = document.getElementById('playerFormContainer');
     const form = document.getElementById('playerForm');
     
+    // Team options first, so the player's team can be selected
+    loadTeamOptions();
     if (player) {
         // Edit mode
         populatePlayerForm(player);
@@ -179,11 +324,13 @@ function openPlayerForm(player = null) {
     } else {
         // Add mode
         form.reset();
+        renderPlayerStatsSummary(null);
+        renderPositionOptions();
         form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Save Player';
     }
+    refreshAvailableNumbers();
     
     formContainer.classList.remove('hidden');
-    loadTeamOptions();
     feather.replace();
 }
 
@@ -197,21 +344,111 @@ function populatePlayerForm(player) {
     document.getElementById('playerName').value = player.name || '';
     document.getElementById('playerNumber').value = player.number || '';
     document.getElementById('playerTeam').value = player.teamId || '';
-    document.getElementById('playerPosition').value = player.position || '';
+    renderPositionOptions(player.position, player.secondaryPositions);
     document.getElementById('playerBio').value = player.bio || '';
-    document.getElementById('battingAverage').value = player.stats?.battingAverage || '';
-    document.getElementById('homeRuns').value = player.stats?.homeRuns || '';
-    document.getElementById('rbi').value = player.stats?.rbi || '';
-    document.getElementById('gamesPlayed').value = player.stats?.gamesPlayed || '';
+    renderPlayerStatsSummary(player);
     
     if (player.image) {
-        document.getElementById('imagePreview').src = player.image;
+        document.getElementById('imagePreview').src = dataManager.getPlayerImageUrl(player, 'full');
     } else {
         document.getElementById('imagePreview').src = '';
     }
 }
 
-function handlePlayerSubmit(e) {
+// The sport of the team picked in the player form
+function selectedPlayerSport() {
+    const team = dataManager.getTeam(document.getElementById('playerTeam').value);
+    return team ? team.sport || 'baseball' : null;
+}
+
+// Fill the position select and the secondary checkboxes from the catalogue of the selected
+// team's sport. A stored position the catalogue does not list stays selectable so an edit
+// can keep it until it is changed.
+function renderPositionOptions(position = '', secondaryPositions = []) {
+    const select = document.getElementById('playerPosition');
+    const secondaryContainer = document.getElementById('playerSecondaryPositions');
+    const sport = selectedPlayerSport();
+    const positions = sport ? dataManager.getPositions(sport) : [];
+
+    const options = positions.map(p => `<option value="${Utils.escapeHtml(p.abbreviation)}">${Utils.escapeHtml(`${p.abbreviation} – ${p.name}`)}</option>`);
+    if (position && !positions.some(p => p.abbreviation === position)) {
+        options.push(`<option value="${Utils.escapeHtml(position)}">${Utils.escapeHtml(position)} (not a ${Utils.escapeHtml(sport || '')} position)</option>`);
+    }
+    const placeholder = !sport ? 'Select a team first'
+        : positions.length === 0 ? `No ${sport} positions yet; add them on the Stats tab` : 'Select a position';
+    select.innerHTML = `<option value="">${Utils.escapeHtml(placeholder)}</option>` + options.join('');
+    select.value = position || '';
+
+    secondaryContainer.innerHTML = positions.length === 0
+        ? '<p class="text-sm text-gray-500">None available</p>'
+        : positions.map(p => `
+            <label class="inline-flex items-center text-sm text-gray-700" title="${Utils.escapeHtml(p.name)}">
+                <input type="checkbox" name="playerSecondaryPositions" value="${Utils.escapeHtml(p.abbreviation)}"
+                    ${secondaryPositions.includes(p.abbreviation) ? 'checked' : ''} class="mr-1 rounded border-gray-300">
+                ${Utils.escapeHtml(p.abbreviation)}
+            </label>
+        `).join('');
+}
+
+// Changing team changes the sport's positions and which numbers are free
+function handlePlayerTeamChange() {
+    const checked = [...document.querySelectorAll('input[name="playerSecondaryPositions"]:checked')].map(input => input.value);
+    renderPositionOptions(document.getElementById('playerPosition').value, checked);
+    refreshAvailableNumbers();
+}
+
+// Offer the selected team's free numbers (the player's own included) as suggestions
+let availableNumbersRequest = 0;
+async function refreshAvailableNumbers() {
+    const teamId = document.getElementById('playerTeam').value;
+    const options = document.getElementById('playerNumberOptions');
+    const hint = document.getElementById('playerNumberHint');
+    const request = ++availableNumbersRequest;
+    if (!teamId) {
+        options.innerHTML = '';
+        hint.textContent = 'Pick a team to see which numbers are free.';
+        return;
+    }
+
+    try {
+        const numbers = await dataManager.getAvailableNumbers(teamId, currentEditingPlayer && currentEditingPlayer.id);
+        // A later team change has already replaced this request
+        if (request !== availableNumbersRequest) return;
+        options.innerHTML = numbers.available.map(number => `<option value="${number}">`).join('');
+        hint.textContent = numbers.taken.length === 0
+            ? `Every number from ${numbers.min} to ${numbers.max} is free.`
+            : `${numbers.available.length} numbers free. Taken: ${numbers.taken.map(t => `#${t.number} ${t.name}`).join(', ')}`;
+    } catch (error) {
+        if (request !== availableNumbersRequest) return;
+        options.innerHTML = '';
+        hint.textContent = 'Could not load the team\'s numbers.';
+    }
+}
+
+// Stats are read-only here; they come from the box scores on the Games tab
+function renderPlayerStatsSummary(player) {
+    const container = document.getElementById('playerStatsSummary');
+    if (!player) {
+        container.innerHTML = '<p class="text-sm text-gray-500 col-span-full">New players start with no games played.</p>';
+        return;
+    }
+    const stats = [['Games Played', player.gamesPlayed || 0]];
+    dataManager.getStatDefinitions(player.sport).forEach(def => {
+        stats.push([def.label, formatStatValue(player.stats?.[def.key], def)]);
+    });
+    container.innerHTML = stats.map(([label, value]) => `
+        <div class="bg-white border border-gray-200 rounded-lg px-3 py-2">
+            <div class="text-xs font-medium text-gray-500">${Utils.escapeHtml(label)}</div>
+            <div class="text-lg font-semibold text-gray-800">${value}</div>
+        </div>
+    `).join('');
+}
+
+function formatStatValue(value, def) {
+    return (value || 0).toFixed(def.decimals || 0);
+}
+
+async function handlePlayerSubmit(e) {
     e.preventDefault();
     clearFormErrors('playerForm');
     
@@ -221,66 +458,40 @@ function handlePlayerSubmit(e) {
         number: parseInt(formData.get('playerNumber')),
         teamId: formData.get('playerTeam'),
         position: formData.get('playerPosition'),
-        bio: formData.get('playerBio'),
-        stats: {
-            battingAverage: parseFloat(formData.get('battingAverage')) || 0,
-            homeRuns: parseInt(formData.get('homeRuns')) || 0,
-            rbi: parseInt(formData.get('rbi')) || 0,
-            gamesPlayed: parseInt(formData.get('gamesPlayed')) || 0
-        }
+        secondaryPositions: formData.getAll('playerSecondaryPositions'),
+        bio: formData.get('playerBio')
     };
     
-    // Handle image upload
+    // An existing player's photo goes straight to their folder; a new player's is uploaded
+    // against a pending-upload token and claimed when the player is saved
     const imageFile = formData.get('playerImage');
-    if (currentEditingPlayer) {
-        // Edit flow
-        if (imageFile && imageFile.size > 0) {
-            await uploadPlayerImage(imageFile, { ...playerData, id: currentEditingPlayer.id });
-        } else {
-            await savePlayer(playerData);
-        }
-    } else {
-        // Create flow (two-step)
-        const created = await dataManager.addPlayer({ ...playerData, image: null });
-        if (imageFile && imageFile.size > 0) {
-            await uploadPlayerImage(imageFile, { ...created });
-        }
-    }
-}
-
-async function uploadPlayerImage(imageFile, playerData) {
-    try {
-        const formData = new FormData();
-        formData.append('image', imageFile);
-        formData.append('playerId', playerData.id || 'new');
-        
-        const response = await fetch('http://localhost:3000/api/upload/image', {
-            method: 'POST',
-            headers: (() => { const h = {}; const t = sessionStorage.getItem('teamsite_token'); if (t) h['Authorization'] = `Bearer ${t}`; return h; })(),
-            body: formData
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
-        }
-        
-        const result = await response.json();
-        if (result.success) {
-            playerData.image = result.data.path; // Use the file path
-            await savePlayer(playerData);
-        } else {
-            throw new Error(result.message || 'Upload failed');
+    if (imageFile && imageFile.size > 0) {
+        try {
+            const target = currentEditingPlayer
+                ? { playerId: currentEditingPlayer.id }
+                : { uploadToken: (await dataManager.getUploadToken()).token };
+            playerData.image = (await dataManager.uploadPlayerImage(imageFile, target)).path;
+        } catch (error) {
+            Utils.showNotification('Error uploading image: ' + error.message, 'error');
+            showFormErrors('playerForm', { fields: { image: error.message } });
+            return;
         }
-    } catch (error) {
-        console.error('Image upload error:', error);
-        Utils.showNotification('Error uploading image: ' + error.message, 'error');
     }
+    await savePlayer(playerData);
 }
 
 async function savePlayer(playerData) {
     try {
         if (currentEditingPlayer) {
-            await dataManager.updatePlayer(currentEditingPlayer.id, playerData);
+            try {
+                await dataManager.updatePlayer(currentEditingPlayer.id, playerData, { version: currentEditingPlayer.version });
+            } catch (error) {
+                if (error.code !== 'CONFLICT') throw error;
+                const merged = await mergeConflict('player', PLAYER_MERGE_FIELDS, currentEditingPlayer, playerData, error.current);
+                if (!merged) return;
+                currentEditingPlayer = error.current;
+                return savePlayer(merged);
+            }
             Utils.showNotification('Player updated successfully!', 'success');
         } else {
             await dataManager.addPlayer(playerData);
@@ -289,7 +500,7 @@ async function savePlayer(playerData) {
         closePlayerForm();
     } catch (error) {
         Utils.showNotification('Error saving player: ' + error.message, 'error');
-        showFormErrors('playerForm', error.message);
+        showFormErrors('playerForm', error);
     }
 }
 
@@ -312,12 +523,29 @@ function getPlayerImageUrl(image) {
     return image;
 }
 
-function loadPlayersList() {
-    const players = dataManager.getPlayers();
+async function loadPlayersList() {
     const container = document.getElementById('playersList');
-    
+    loadPlayerListControls();
+
+    let players;
+    let pagination;
+    try {
+        ({ players, pagination } = await dataManager.queryPlayers(playerListQuery));
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500 text-center py-8">Error loading players: ${Utils.escapeHtml(error.message)}</p>`;
+        renderPlayersPager(null);
+        return;
+    }
+    // Deleting the last player on a page leaves it empty; step back to the new last page
+    if (players.length === 0 && pagination.total > 0 && playerListQuery.page > pagination.totalPages) {
+        playerListQuery.page = pagination.totalPages;
+        return loadPlayersList();
+    }
+    renderPlayersPager(pagination);
+
     if (players.length === 0) {
-        container.innerHTML = '<p class="text-gray-500 text-center py-8">No players found. Add your first player!</p>';
+        const filtered = playerListQuery.q || playerListQuery.teamId;
+        container.innerHTML = `<p class="text-gray-500 text-center py-8">${filtered ? 'No players match these filters.' : 'No players found. Add your first player!'}</p>`;
         return;
     }
     
@@ -341,7 +569,7 @@ function loadPlayersList() {
                                 <td class="px-6 py-4 whitespace-nowrap">
                                     <div class="flex items-center">
                                         <div class="flex-shrink-0 h-10 w-10">
-                                            <img class="h-10 w-10 rounded-full object-cover" src="${getPlayerImageUrl(player.image)}">
+                                            <img class="h-10 w-10 rounded-full object-cover" src="${getPlayerImageUrl(dataManager.getPlayerImageUrl(player, 'thumb'))}">
                                         </div>
                                         <div class="ml-4">
                                             <div class="text-sm font-medium text-gray-900">${player.name}</div>
@@ -351,11 +579,20 @@ function loadPlayersList() {
                                 </td>
                                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">#${player.number}</td>
                                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${team ? team.name : 'Unknown'}</td>
-                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${player.position}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                    <span title="${Utils.escapeHtml(dataManager.getPositionName(player.sport, player.position))}">${Utils.escapeHtml(player.position)}</span>
+                                    ${player.secondaryPositions.length > 0 ? `<span class="text-gray-400">/ ${Utils.escapeHtml(player.secondaryPositions.join(', '))}</span>` : ''}
+                                </td>
                                 <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                     <button onclick="openPlayerForm(${JSON.stringify(player).replace(/"/g, '&quot;')})" class="text-blue-600 hover:text-blue-900 mr-3">
                                         <i data-feather="edit" class="w-4 h-4"></i>
                                     </button>
+                                    <button onclick="openMediaManager('player', '${player.id}', ${JSON.stringify(player.name).replace(/"/g, '&quot;')})" class="text-gray-600 hover:text-gray-900 mr-3" title="Photos">
+                                        <i data-feather="image" class="w-4 h-4"></i>
+                                    </button>
+                                    <button onclick="showEntityHistory('player', '${player.id}', ${JSON.stringify(player.name).replace(/"/g, '&quot;')})" class="text-gray-600 hover:text-gray-900 mr-3" title="History">
+                                        <i data-feather="clock" class="w-4 h-4"></i>
+                                    </button>
                                     <button onclick="deletePlayer('${player.id}')" class="text-red-600 hover:text-red-900">
                                         <i data-feather="trash-2" class="w-4 h-4"></i>
                                     </button>
@@ -371,13 +608,65 @@ function loadPlayersList() {
     feather.replace();
 }
 
+// Team filter and sort options follow the selected season's teams and stat definitions
+function loadPlayerListControls() {
+    const teamFilter = document.getElementById('playerTeamFilter');
+    const teams = dataManager.getTeams();
+    if (playerListQuery.teamId && !teams.some(team => team.id === playerListQuery.teamId)) {
+        playerListQuery.teamId = '';
+    }
+    teamFilter.innerHTML = '<option value="">All teams</option>' + teams
+        .map(team => `<option value="${team.id}" ${team.id === playerListQuery.teamId ? 'selected' : ''}>${Utils.escapeHtml(team.name)}</option>`)
+        .join('');
+
+    const sorts = [
+        ['name:asc', 'Name (A–Z)'],
+        ['number:asc', 'Number'],
+        ['team:asc', 'Team'],
+        ['position:asc', 'Position'],
+        ['gamesPlayed:desc', 'Games played'],
+        ['createdAt:desc', 'Recently added'],
+        ...dataManager.getStatDefinitions()
+            .filter((def, index, all) => all.findIndex(d => d.key === def.key) === index)
+            .map(def => [`stats.${def.key}:desc`, `${def.label} (high–low)`])
+    ];
+    const current = `${playerListQuery.sort}:${playerListQuery.order}`;
+    document.getElementById('playerSort').innerHTML = sorts
+        .map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>`)
+        .join('');
+}
+
+function renderPlayersPager(pagination) {
+    const pager = document.getElementById('playersPager');
+    if (!pagination || pagination.total === 0) {
+        pager.classList.add('hidden');
+        return;
+    }
+    const first = (pagination.page - 1) * pagination.limit + 1;
+    const last = Math.min(pagination.page * pagination.limit, pagination.total);
+    document.getElementById('playersPagerSummary').textContent = `Showing ${first}–${last} of ${pagination.total} players`;
+    document.getElementById('playersPagerPage').textContent = `Page ${pagination.page} of ${pagination.totalPages}`;
+    document.getElementById('playersPrevPage').disabled = pagination.page <= 1;
+    document.getElementById('playersNextPage').disabled = !pagination.hasMore;
+    pager.classList.remove('hidden');
+}
+
+function changePlayersPage(delta) {
+    playerListQuery.page = Math.max(1, playerListQuery.page + delta);
+    loadPlayersList();
+}
+
 function deletePlayer(playerId) {
-    Utils.confirm('Are you sure you want to delete this player? This action cannot be undone.', 'Delete Player')
+    if (!requireCurrentSeason()) return;
+    Utils.confirm('Move this player to the trash? Their stats and photos are kept until the trash is emptied.', 'Delete Player')
         .then(async (confirmed) => {
             if (confirmed) {
                 try {
                     await dataManager.deletePlayer(playerId);
-                    Utils.showNotification('Player deleted successfully!', 'success');
+                    Utils.showNotification('Player moved to the trash', 'success', UNDO_DURATION_MS, {
+                        label: 'Undo',
+                        onClick: () => restoreFromTrash('player', playerId)
+                    });
                 } catch (error) {
                     Utils.showNotification('Error deleting player: ' + error.message, 'error');
                 }
@@ -409,22 +698,178 @@ function handleImagePreview(e) {
 }
 
 function handlePlayerSearch(e) {
-    const searchTerm = e.target.value.toLowerCase();
-    const rows = document.querySelectorAll('#playersList tbody tr');
-    
-    rows.forEach(row => {
-        const text = row.textContent.toLowerCase();
-        if (text.includes(searchTerm)) {
-            row.style.display = '';
-        } else {
-            row.style.display = 'none';
-        }
-    });
+    playerListQuery.q = e.target.value.trim();
+    playerListQuery.page = 1;
+    loadPlayersList();
+}
+
+function handlePlayerTeamFilter(e) {
+    playerListQuery.teamId = e.target.value;
+    playerListQuery.page = 1;
+    loadPlayersList();
+}
+
+function handlePlayerSort(e) {
+    const [sort, order] = e.target.value.split(':');
+    playerListQuery = { ...playerListQuery, sort, order, page: 1 };
+    loadPlayersList();
+}
+
+async function exportPlayers() {
+    try {
+        const { blob, filename } = await dataManager.exportCsv('players');
+        Utils.downloadBlob(blob, filename);
+    } catch (error) {
+        Utils.showNotification('Error exporting players: ' + error.message, 'error');
+    }
+}
+
+async function exportTeams() {
+    try {
+        const { blob, filename } = await dataManager.exportCsv('teams');
+        Utils.downloadBlob(blob, filename);
+    } catch (error) {
+        Utils.showNotification('Error exporting teams: ' + error.message, 'error');
+    }
+}
+
+// CSV roster import: pick a file, map its columns, review the server's validation, then import
+const PLAYER_IMPORT_LABELS = {
+    name: 'Name *',
+    number: 'Number *',
+    team: 'Team *',
+    position: 'Position *',
+    secondaryPositions: 'Secondary positions',
+    bio: 'Bio',
+    image: 'Image URL'
+};
+
+function openPlayerImport() {
+    if (!requireCurrentSeason()) return;
+    closePlayerForm();
+    currentPlayerImport = null;
+    document.getElementById('playerImportFile').value = '';
+    document.getElementById('playerImportMapping').classList.add('hidden');
+    document.getElementById('playerImportPreview').classList.add('hidden');
+    updatePlayerImportSubmit(null);
+    document.getElementById('playerImportContainer').classList.remove('hidden');
+}
+
+function closePlayerImport() {
+    document.getElementById('playerImportContainer').classList.add('hidden');
+    currentPlayerImport = null;
+}
+
+async function handlePlayerImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    currentPlayerImport = { csv: await file.text(), mapping: null };
+    await previewPlayerImport();
+}
+
+// Re-run the dry run whenever the file or a column choice changes
+async function previewPlayerImport() {
+    try {
+        const preview = await dataManager.importPlayersCsv(
+            currentPlayerImport.csv,
+            currentPlayerImport.mapping,
+            { dryRun: true }
+        );
+        currentPlayerImport.mapping = preview.mapping;
+        renderPlayerImportMapping(preview);
+        renderPlayerImportPreview(preview);
+    } catch (error) {
+        Utils.showNotification('Error reading CSV: ' + error.message, 'error');
+        updatePlayerImportSubmit(null);
+    }
+}
+
+function renderPlayerImportMapping(preview) {
+    document.getElementById('playerImportMappingFields').innerHTML = preview.fields.map(field => `
+        <div>
+            <label for="playerImportMap-${field}" class="block text-sm font-medium text-gray-700 mb-1">${PLAYER_IMPORT_LABELS[field] || field}</label>
+            <select id="playerImportMap-${field}" data-field="${field}" onchange="handlePlayerImportMappingChange(this)"
+                class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+                <option value="">Not imported</option>
+                ${preview.headers.map(header => `
+                    <option value="${Utils.escapeHtml(header)}" ${preview.mapping[field] === header ? 'selected' : ''}>${Utils.escapeHtml(header)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+    document.getElementById('playerImportMapping').classList.remove('hidden');
+}
+
+function handlePlayerImportMappingChange(select) {
+    currentPlayerImport.mapping = { ...currentPlayerImport.mapping, [select.dataset.field]: select.value || null };
+    previewPlayerImport();
+}
+
+function renderPlayerImportPreview(preview) {
+    const summary = document.getElementById('playerImportSummary');
+    const container = document.getElementById('playerImportRows');
+    document.getElementById('playerImportPreview').classList.remove('hidden');
+
+    if (preview.missingFields.length > 0) {
+        summary.textContent = `Choose a column for: ${preview.missingFields.join(', ')}`;
+        container.innerHTML = '';
+        updatePlayerImportSubmit(null);
+        return;
+    }
+
+    summary.textContent = `${preview.summary.valid} of ${preview.summary.total} rows are ready to import` +
+        (preview.summary.invalid > 0 ? `; ${preview.summary.invalid} will be skipped` : '');
+    container.innerHTML = `
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">Name</th>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">#</th>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">Team</th>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">Position</th>
+                    <th class="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${preview.rows.map(row => `
+                    <tr class="${row.valid ? '' : 'bg-red-50'}">
+                        <td class="px-3 py-2 text-gray-500">${row.row}</td>
+                        <td class="px-3 py-2">${Utils.escapeHtml(row.player.name)}</td>
+                        <td class="px-3 py-2">${Utils.escapeHtml(String(row.player.number))}</td>
+                        <td class="px-3 py-2">${Utils.escapeHtml(row.teamName)}</td>
+                        <td class="px-3 py-2">${Utils.escapeHtml([row.player.position, ...row.player.secondaryPositions].join(', '))}</td>
+                        <td class="px-3 py-2">
+                            ${row.valid
+                                ? '<span class="text-green-700">Ready</span>'
+                                : `<span class="text-red-600">${row.errors.map(Utils.escapeHtml).join('<br>')}</span>`}
+                            ${row.warnings.length > 0 ? `<div class="text-yellow-700">${row.warnings.map(Utils.escapeHtml).join('<br>')}</div>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    updatePlayerImportSubmit(preview);
+}
+
+function updatePlayerImportSubmit(preview) {
+    const count = preview && preview.missingFields.length === 0 ? preview.summary.valid : 0;
+    document.getElementById('playerImportSubmit').disabled = count === 0;
+    document.getElementById('playerImportSubmitLabel').textContent =
+        count > 0 ? `Import ${count} Player${count === 1 ? '' : 's'}` : 'Import Players';
 }
 
-function exportPlayers() {
-    const players = dataManager.getPlayers();
-    Utils.downloadJSON(players, 'players.json');
+async function submitPlayerImport() {
+    if (!currentPlayerImport) return;
+    try {
+        const result = await dataManager.importPlayersCsv(currentPlayerImport.csv, currentPlayerImport.mapping);
+        const skipped = result.summary.invalid > 0 ? ` (${result.summary.invalid} rows skipped)` : '';
+        Utils.showNotification(`Imported ${result.summary.imported} players${skipped}`, 'success');
+        closePlayerImport();
+    } catch (error) {
+        Utils.showNotification('Error importing players: ' + error.message, 'error');
+    }
 }
 
 // Team management functions
@@ -433,6 +878,7 @@ function openTeamForm(team = null) {
     const formContainer = document.getElementById('teamFormContainer');
     const form = document.getElementById('teamForm');
     
+    loadTeamSportOptions();
     if (team) {
         populateTeamForm(team);
         form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Update Team';
@@ -456,6 +902,14 @@ function populateTeamForm(team) {
     document.getElementById('teamColor').value = team.color || '#3b82f6';
     document.getElementById('teamColorText').value = team.color || '#3b82f6';
     document.getElementById('teamDescription').value = team.description || '';
+    document.getElementById('teamSport').value = team.sport || 'baseball';
+}
+
+function loadTeamSportOptions() {
+    const sports = dataManager.getSports();
+    document.getElementById('teamSport').innerHTML = sports
+        .map(sport => `<option value="${sport}" ${sport === 'baseball' ? 'selected' : ''}>${Utils.escapeHtml(sport)}</option>`)
+        .join('');
 }
 
 async function handleTeamSubmit(e) {
@@ -466,12 +920,25 @@ async function handleTeamSubmit(e) {
     const teamData = {
         name: formData.get('teamName'),
         color: formData.get('teamColor'),
-        description: formData.get('teamDescription')
+        description: formData.get('teamDescription'),
+        sport: formData.get('teamSport')
     };
     
+    await saveTeam(teamData);
+}
+
+async function saveTeam(teamData) {
     try {
         if (currentEditingTeam) {
-            await dataManager.updateTeam(currentEditingTeam.id, teamData);
+            try {
+                await dataManager.updateTeam(currentEditingTeam.id, teamData, { version: currentEditingTeam.version });
+            } catch (error) {
+                if (error.code !== 'CONFLICT') throw error;
+                const merged = await mergeConflict('team', TEAM_MERGE_FIELDS, currentEditingTeam, teamData, error.current);
+                if (!merged) return;
+                currentEditingTeam = error.current;
+                return saveTeam(merged);
+            }
             Utils.showNotification('Team updated successfully!', 'success');
         } else {
             await dataManager.addTeam(teamData);
@@ -480,8 +947,138 @@ async function handleTeamSubmit(e) {
         closeTeamForm();
     } catch (error) {
         Utils.showNotification('Error saving team: ' + error.message, 'error');
-        showFormErrors('teamForm', error.message);
+        showFormErrors('teamForm', error);
+    }
+}
+
+// Fields offered when an edit collides with someone else's; format shows a value to the user
+const PLAYER_MERGE_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'number', label: 'Number' },
+    { key: 'teamId', label: 'Team', format: id => (dataManager.getTeam(id) || {}).name || id },
+    { key: 'position', label: 'Position' },
+    { key: 'secondaryPositions', label: 'Secondary positions', format: list => (list || []).join(', ') },
+    { key: 'bio', label: 'Bio' },
+    { key: 'image', label: 'Photo' }
+];
+
+const TEAM_MERGE_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'color', label: 'Color' },
+    { key: 'description', label: 'Description' },
+    { key: 'sport', label: 'Sport' }
+];
+
+function sameValue(a, b) {
+    return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Merge an edit that was rejected because the record changed on the server.
+ * Fields only one side changed are taken from that side; fields both sides changed
+ * are put to the user. Resolves to the merged values, or null if the user gives up.
+ */
+async function mergeConflict(noun, fields, base, mine, theirs) {
+    const merged = {};
+    const contested = [];
+    fields.forEach(field => {
+        if (mine[field.key] === undefined) return;
+        const ours = mine[field.key];
+        const server = theirs[field.key];
+        if (sameValue(ours, server) || sameValue(ours, base[field.key])) {
+            merged[field.key] = server;
+        } else if (sameValue(server, base[field.key])) {
+            merged[field.key] = ours;
+        } else {
+            contested.push(field);
+        }
+    });
+    if (contested.length === 0) {
+        Utils.showNotification(`This ${noun} was changed by someone else; their changes were kept alongside yours`, 'info');
+        return { ...mine, ...merged };
     }
+
+    const choices = await showMergePrompt(noun, contested, mine, theirs);
+    return choices ? { ...mine, ...merged, ...choices } : null;
+}
+
+/**
+ * Ask which value to keep for each field both sides changed.
+ * Resolves to { key: value } for the chosen values, or null when cancelled.
+ */
+function showMergePrompt(noun, fields, mine, theirs) {
+    return new Promise((resolve) => {
+        const show = (field, value) => Utils.escapeHtml(String((field.format ? field.format(value) : value) ?? '')) || '<em class="text-gray-400">empty</em>';
+        const overlay = document.createElement('div');
+        overlay.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'bg-white rounded-lg p-6 max-w-2xl w-full mx-4 shadow-xl';
+        dialog.innerHTML = `
+            <h3 class="text-lg font-semibold mb-2">Someone else changed this ${noun}</h3>
+            <p class="text-gray-600 mb-4">Their changes were saved while you were editing. Choose which value to keep where you both changed the same field.</p>
+            <table class="w-full text-sm mb-6">
+                <thead>
+                    <tr class="text-left text-gray-500">
+                        <th class="py-2 pr-4">Field</th>
+                        <th class="py-2 pr-4">Yours</th>
+                        <th class="py-2">Theirs</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${fields.map(field => `
+                        <tr class="border-t border-gray-200 align-top">
+                            <td class="py-2 pr-4 font-medium text-gray-900">${field.label}</td>
+                            <td class="py-2 pr-4">
+                                <label class="flex items-start space-x-2">
+                                    <input type="radio" name="merge-${field.key}" value="mine" checked class="mt-1">
+                                    <span class="break-words">${show(field, mine[field.key])}</span>
+                                </label>
+                            </td>
+                            <td class="py-2">
+                                <label class="flex items-start space-x-2">
+                                    <input type="radio" name="merge-${field.key}" value="theirs" class="mt-1">
+                                    <span class="break-words">${show(field, theirs[field.key])}</span>
+                                </label>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="flex justify-end space-x-3">
+                <button class="cancel-btn px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                    Keep editing
+                </button>
+                <button class="confirm-btn px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                    Save merged ${noun}
+                </button>
+            </div>
+        `;
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const handleConfirm = () => {
+            const choices = {};
+            fields.forEach(field => {
+                const picked = dialog.querySelector(`input[name="merge-${field.key}"]:checked`).value;
+                choices[field.key] = picked === 'mine' ? mine[field.key] : theirs[field.key];
+            });
+            document.body.removeChild(overlay);
+            resolve(choices);
+        };
+
+        const handleCancel = () => {
+            document.body.removeChild(overlay);
+            resolve(null);
+        };
+
+        dialog.querySelector('.confirm-btn').addEventListener('click', handleConfirm);
+        dialog.querySelector('.cancel-btn').addEventListener('click', handleCancel);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) handleCancel();
+        });
+    });
 }
 
 function loadTeamsList() {
@@ -497,13 +1094,21 @@ function loadTeamsList() {
         <div class="bg-white border border-gray-200 rounded-lg p-4 hover:shadow-md transition">
             <div class="flex items-center justify-between mb-3">
                 <div class="flex items-center space-x-3">
-                    <div class="w-8 h-8 rounded-full" style="background-color: ${team.color}"></div>
+                    ${team.logoPath
+                        ? `<img src="${dataManager.getTeamImageUrl(team, 'logo')}" alt="" class="w-8 h-8 rounded-full object-contain bg-white border border-gray-200">`
+                        : `<div class="w-8 h-8 rounded-full" style="background-color: ${team.color}"></div>`}
                     <h3 class="text-lg font-semibold text-gray-900">${team.name}</h3>
                 </div>
                 <div class="flex space-x-2">
                     <button onclick="openTeamForm(${JSON.stringify(team).replace(/"/g, '&quot;')})" class="text-blue-600 hover:text-blue-900">
                         <i data-feather="edit" class="w-4 h-4"></i>
                     </button>
+                    <button onclick="openMediaManager('team', '${team.id}', ${JSON.stringify(team.name).replace(/"/g, '&quot;')})" class="text-gray-600 hover:text-gray-900" title="Photos, logo and banner">
+                        <i data-feather="image" class="w-4 h-4"></i>
+                    </button>
+                    <button onclick="showEntityHistory('team', '${team.id}', ${JSON.stringify(team.name).replace(/"/g, '&quot;')})" class="text-gray-600 hover:text-gray-900" title="History">
+                        <i data-feather="clock" class="w-4 h-4"></i>
+                    </button>
                     <button onclick="deleteTeam('${team.id}')" class="text-red-600 hover:text-red-900">
                         <i data-feather="trash-2" class="w-4 h-4"></i>
                     </button>
@@ -511,7 +1116,7 @@ function loadTeamsList() {
             </div>
             <p class="text-gray-600 text-sm">${team.description || 'No description available'}</p>
             <div class="mt-2 text-xs text-gray-500">
-                Players: ${dataManager.getPlayersByTeam(team.id).length}
+                ${Utils.escapeHtml(team.sport || 'baseball')} · Players: ${team.playerCount ?? 0}
             </div>
         </div>
     `).join('');
@@ -520,18 +1125,21 @@ function loadTeamsList() {
 }
 
 function deleteTeam(teamId) {
-    const players = dataManager.getPlayersByTeam(teamId);
-    if (players.length > 0) {
-        Utils.showNotification(`Cannot delete team with ${players.length} players. Move or delete players first.`, 'error');
+    const playerCount = (dataManager.getTeam(teamId) || {}).playerCount || 0;
+    if (playerCount > 0) {
+        Utils.showNotification(`Cannot delete team with ${playerCount} players. Move or delete players first.`, 'error');
         return;
     }
     
-    Utils.confirm('Are you sure you want to delete this team? This action cannot be undone.', 'Delete Team')
+    Utils.confirm('Move this team to the trash? Its games are kept until the trash is emptied.', 'Delete Team')
         .then(async (confirmed) => {
             if (confirmed) {
                 try {
                     await dataManager.deleteTeam(teamId);
-                    Utils.showNotification('Team deleted successfully!', 'success');
+                    Utils.showNotification('Team moved to the trash', 'success', UNDO_DURATION_MS, {
+                        label: 'Undo',
+                        onClick: () => restoreFromTrash('team', teamId)
+                    });
                 } catch (error) {
                     Utils.showNotification('Error deleting team: ' + error.message, 'error');
                 }
@@ -549,66 +1157,1355 @@ function handleTeamColorTextChange(e) {
     }
 }
 
-// Settings management
-function loadSettings() {
-    const config = dataManager.getSiteConfig();
-    
-    document.getElementById('siteTitle').value = config.title;
-    document.getElementById('siteYear').value = config.season.year;
-    document.getElementById('siteDescription').value = config.description;
-    document.getElementById('startDate').value = Utils.formatDateForInput(config.season.startDate);
-    document.getElementById('endDate').value = Utils.formatDateForInput(config.season.endDate);
-    document.getElementById('allStarDate').value = Utils.formatDateForInput(config.season.allStarWeekend);
+// Event management functions
+function openEventForm(event = null) {
+    currentEditingEvent = event;
+    const formContainer = document.getElementById('eventFormContainer');
+    const form = document.getElementById('eventForm');
 
-    // Apply theme variables to page
-    if (config && config.theme) {
-        const root = document.documentElement;
-        root.style.setProperty('--color-primary', config.theme.primary);
-        root.style.setProperty('--color-secondary', config.theme.secondary);
-        root.style.setProperty('--color-accent', config.theme.accent);
+    loadEventTeamOptions();
+    if (event) {
+        populateEventForm(event);
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Update Event';
+    } else {
+        form.reset();
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Save Event';
     }
+
+    formContainer.classList.remove('hidden');
+    feather.replace();
 }
 
-async function handleSettingsSubmit(e) {
+function closeEventForm() {
+    document.getElementById('eventFormContainer').classList.add('hidden');
+    currentEditingEvent = null;
+    clearFormErrors('eventForm');
+}
+
+// Events are stored in UTC; datetime-local inputs show and take the browser's local time.
+// Date-only events start at midnight.
+function toDateTimeInput(value) {
+    if (!value) return '';
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value);
+    if (isNaN(date.getTime())) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+function fromDateTimeInput(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+function populateEventForm(event) {
+    document.getElementById('eventTitle').value = event.title || '';
+    document.getElementById('eventType').value = event.type || 'game';
+    document.getElementById('eventStart').value = toDateTimeInput(event.startTime);
+    document.getElementById('eventEnd').value = toDateTimeInput(event.endTime);
+    document.getElementById('eventLocation').value = event.location || '';
+    document.getElementById('eventHomeTeam').value = event.homeTeamId || '';
+    document.getElementById('eventAwayTeam').value = event.awayTeamId || '';
+    document.getElementById('eventDescription').value = event.description || '';
+}
+
+function loadEventTeamOptions() {
+    const options = '<option value="">None</option>' +
+        dataManager.getTeams().map(team => `<option value="${team.id}">${team.name}</option>`).join('');
+    document.getElementById('eventHomeTeam').innerHTML = options;
+    document.getElementById('eventAwayTeam').innerHTML = options;
+}
+
+async function handleEventSubmit(e) {
     e.preventDefault();
-    
+    clearFormErrors('eventForm');
+
     const formData = new FormData(e.target);
-    const settings = {
-        title: formData.get('siteTitle'),
-        description: formData.get('siteDescription'),
-        season: {
-            year: parseInt(formData.get('siteYear')),
-            startDate: formData.get('startDate'),
-            endDate: formData.get('endDate'),
-            allStarWeekend: formData.get('allStarDate')
-        },
-        theme: {
-            primary: colorPickers.primary.color.hexString,
-            secondary: colorPickers.secondary.color.hexString,
-            accent: colorPickers.accent.color.hexString
-        }
+    const eventData = {
+        title: formData.get('eventTitle'),
+        type: formData.get('eventType'),
+        startTime: fromDateTimeInput(formData.get('eventStart')),
+        endTime: fromDateTimeInput(formData.get('eventEnd')),
+        location: formData.get('eventLocation') || null,
+        homeTeamId: formData.get('eventHomeTeam') || null,
+        awayTeamId: formData.get('eventAwayTeam') || null,
+        description: formData.get('eventDescription') || null
     };
-    
+
     try {
-        await dataManager.updateSiteConfig(settings);
-        Utils.showNotification('Settings saved successfully!', 'success');
+        if (currentEditingEvent) {
+            await dataManager.updateEvent(currentEditingEvent.id, eventData);
+            Utils.showNotification('Event updated successfully!', 'success');
+        } else {
+            await dataManager.addEvent(eventData);
+            Utils.showNotification('Event added successfully!', 'success');
+        }
+        closeEventForm();
     } catch (error) {
-        Utils.showNotification('Error saving settings: ' + error.message, 'error');
+        Utils.showNotification('Error saving event: ' + error.message, 'error');
+        showFormErrors('eventForm', error);
     }
 }
 
-// Data management
-function loadDataStats() {
-    const data = dataManager.data;
-    const container = document.getElementById('dataStats');
-    
-    // Safely get data with fallbacks
-    const playersCount = data.players ? data.players.length : 0;
-    const teamsCount = data.teams ? data.teams.length : 0;
-    const lastUpdated = data.siteConfig ? data.siteConfig.updated_at : 'Never';
-    
+function loadEventsList() {
+    const events = dataManager.getEvents();
+    const container = document.getElementById('eventsList');
+
+    if (events.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">No events scheduled. Add your first event!</p>';
+        return;
+    }
+
     container.innerHTML = `
-        <div class="bg-blue-50 p-4 rounded-lg">
+        <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Teams</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${events.map(event => `
+                    <tr>
+                        <td class="px-6 py-4 whitespace-nowrap">
+                            <div class="text-sm font-medium text-gray-900">${Utils.escapeHtml(event.title)}</div>
+                            <div class="text-xs text-gray-500 uppercase">${event.type}</div>
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${Utils.formatDateTime(event.startTime)}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${[event.homeTeamName, event.awayTeamName].filter(Boolean).join(' vs ') || '—'}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${event.location ? Utils.escapeHtml(event.location) : '—'}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            <button onclick="openEventForm(${JSON.stringify(event).replace(/"/g, '&quot;')})" class="text-blue-600 hover:text-blue-900 mr-3">
+                                <i data-feather="edit" class="w-4 h-4"></i>
+                            </button>
+                            <button onclick="deleteEvent('${event.id}')" class="text-red-600 hover:text-red-900">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    feather.replace();
+}
+
+function deleteEvent(eventId) {
+    Utils.confirm('Are you sure you want to delete this event?', 'Delete Event')
+        .then(async (confirmed) => {
+            if (confirmed) {
+                try {
+                    await dataManager.deleteEvent(eventId);
+                    Utils.showNotification('Event deleted successfully!', 'success');
+                } catch (error) {
+                    Utils.showNotification('Error deleting event: ' + error.message, 'error');
+                }
+            }
+        });
+}
+
+// Game management functions
+
+async function openGameForm(gameId = null) {
+    const formContainer = document.getElementById('gameFormContainer');
+    const form = document.getElementById('gameForm');
+    clearFormErrors('gameForm');
+
+    let game = null;
+    if (gameId) {
+        try {
+            game = await dataManager.getGameDetails(gameId);
+        } catch (error) {
+            Utils.showNotification('Error loading game: ' + error.message, 'error');
+            return;
+        }
+    }
+    currentEditingGame = game;
+
+    loadGameTeamOptions();
+    if (game) {
+        populateGameForm(game);
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Update Game';
+    } else {
+        form.reset();
+        renderBoxScore([]);
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Save Game';
+    }
+
+    formContainer.classList.remove('hidden');
+    feather.replace();
+}
+
+function closeGameForm() {
+    document.getElementById('gameFormContainer').classList.add('hidden');
+    currentEditingGame = null;
+    clearFormErrors('gameForm');
+}
+
+function loadGameTeamOptions() {
+    const teams = dataManager.getTeams();
+    document.getElementById('gameTeam').innerHTML =
+        teams.map(team => `<option value="${team.id}">${Utils.escapeHtml(team.name)}</option>`).join('');
+    document.getElementById('gameOpponentTeam').innerHTML = '<option value="">Other team...</option>' +
+        teams.map(team => `<option value="${team.id}">${Utils.escapeHtml(team.name)}</option>`).join('');
+}
+
+function populateGameForm(game) {
+    document.getElementById('gameTeam').value = game.teamId || '';
+    document.getElementById('gameOpponentTeam').value = game.opponentTeamId || '';
+    document.getElementById('gameOpponent').value = game.opponent || '';
+    document.getElementById('gameOpponent').disabled = !!game.opponentTeamId;
+    document.getElementById('gameDate').value = Utils.formatDateForInput(game.date);
+    document.getElementById('gameIsHome').value = game.isHome ? '1' : '0';
+    document.getElementById('gameTeamScore').value = game.teamScore ?? '';
+    document.getElementById('gameOpponentScore').value = game.opponentScore ?? '';
+    document.getElementById('gameNotes').value = game.notes || '';
+    renderBoxScore(game.boxScore || []);
+}
+
+// A league opponent supplies its own name and roster for the box score
+function handleGameOpponentChange(e) {
+    const opponentInput = document.getElementById('gameOpponent');
+    const team = dataManager.getTeam(e.target.value);
+    opponentInput.disabled = !!team;
+    if (team) opponentInput.value = team.name;
+    renderBoxScore(collectBoxScore());
+}
+
+// Each render bumps this, so rosters arriving for teams no longer chosen are dropped
+let boxScoreRequest = 0;
+
+/**
+ * Render one row per player on either team with a column per recorded stat
+ * of the team's sport; existing lines are pre-filled and ticked
+ */
+async function renderBoxScore(lines) {
+    const container = document.getElementById('boxScore');
+    const team = dataManager.getTeam(document.getElementById('gameTeam').value);
+    const columns = team ? dataManager.getRecordedStatDefinitions(team.sport || 'baseball') : [];
+    const teamIds = [
+        document.getElementById('gameTeam').value,
+        document.getElementById('gameOpponentTeam').value
+    ].filter(Boolean);
+    const request = ++boxScoreRequest;
+    let players;
+    try {
+        players = (await Promise.all(teamIds.map(teamId => dataManager.getTeamRoster(teamId)))).flat();
+    } catch (error) {
+        if (request === boxScoreRequest) {
+            container.innerHTML = `<p class="text-red-500 text-sm">Error loading rosters: ${Utils.escapeHtml(error.message)}</p>`;
+        }
+        return;
+    }
+    if (request !== boxScoreRequest) return;
+    const linesByPlayer = new Map(lines.map(line => [line.playerId, line]));
+
+    if (players.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-sm">No players on the selected teams.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Played</th>
+                    <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Player</th>
+                    ${columns.map(def => `
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" title="${Utils.escapeHtml(def.label)}">
+                            ${Utils.escapeHtml(def.abbreviation || def.label)}
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${players.map(player => {
+                    const line = linesByPlayer.get(player.id);
+                    return `
+                        <tr data-player-id="${player.id}">
+                            <td class="px-3 py-2">
+                                <input type="checkbox" class="box-played" ${line ? 'checked' : ''}>
+                            </td>
+                            <td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                                #${player.number} ${Utils.escapeHtml(player.name)}
+                            </td>
+                            ${columns.map(def => `
+                                <td class="px-3 py-2">
+                                    <input type="number" data-field="${def.key}" value="${line ? line.stats[def.key] ?? 0 : 0}"
+                                        step="${def.type === 'integer' ? 1 : 'any'}"
+                                        ${def.min !== null ? `min="${def.min}"` : ''} ${def.max !== null ? `max="${def.max}"` : ''}
+                                        class="w-16 px-2 py-1 border border-gray-300 rounded text-sm">
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    // Entering a number ticks the player as having played
+    container.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('input', () => {
+            input.closest('tr').querySelector('.box-played').checked = true;
+        });
+    });
+}
+
+function collectBoxScore() {
+    return Array.from(document.querySelectorAll('#boxScore tr[data-player-id]'))
+        .filter(row => row.querySelector('.box-played').checked)
+        .map(row => {
+            const line = { playerId: row.dataset.playerId, stats: {} };
+            row.querySelectorAll('input[data-field]').forEach(input => {
+                line.stats[input.dataset.field] = parseFloat(input.value) || 0;
+            });
+            return line;
+        });
+}
+
+async function handleGameSubmit(e) {
+    e.preventDefault();
+    clearFormErrors('gameForm');
+
+    const formData = new FormData(e.target);
+    const score = value => (value === '' || value === null ? null : parseInt(value));
+    const gameData = {
+        teamId: formData.get('gameTeam'),
+        opponentTeamId: formData.get('gameOpponentTeam') || null,
+        opponent: document.getElementById('gameOpponent').value,
+        date: formData.get('gameDate'),
+        isHome: formData.get('gameIsHome') === '1',
+        teamScore: score(formData.get('gameTeamScore')),
+        opponentScore: score(formData.get('gameOpponentScore')),
+        notes: formData.get('gameNotes') || null,
+        boxScore: collectBoxScore()
+    };
+
+    try {
+        if (currentEditingGame) {
+            await dataManager.updateGame(currentEditingGame.id, gameData);
+            Utils.showNotification('Game updated and stats recalculated!', 'success');
+        } else {
+            await dataManager.addGame(gameData);
+            Utils.showNotification('Game added and stats recalculated!', 'success');
+        }
+        closeGameForm();
+    } catch (error) {
+        Utils.showNotification('Error saving game: ' + error.message, 'error');
+        showFormErrors('gameForm', error);
+    }
+}
+
+function loadGamesList() {
+    const games = dataManager.getGames();
+    const container = document.getElementById('gamesList');
+
+    if (games.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">No games recorded yet. Add your first result!</p>';
+        return;
+    }
+
+    const resultClass = { W: 'text-green-600', L: 'text-red-600', T: 'text-gray-600' };
+    container.innerHTML = `
+        <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matchup</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${games.map(game => `
+                    <tr>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${Utils.formatDateTime(game.date)}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            ${Utils.escapeHtml(game.teamName || game.teamId)} ${game.isHome ? 'vs' : '@'} ${Utils.escapeHtml(game.opponent)}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm">
+                            ${game.result
+                                ? `<span class="font-semibold ${resultClass[game.result]}">${game.result}</span> ${game.teamScore}–${game.opponentScore}`
+                                : '<span class="text-gray-400">Not played</span>'}
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            <button onclick="openGameForm('${game.id}')" class="text-blue-600 hover:text-blue-900 mr-3">
+                                <i data-feather="edit" class="w-4 h-4"></i>
+                            </button>
+                            <button onclick="deleteGame('${game.id}')" class="text-red-600 hover:text-red-900">
+                                <i data-feather="trash-2" class="w-4 h-4"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    feather.replace();
+}
+
+function deleteGame(gameId) {
+    Utils.confirm('Delete this game? Player stats will be recalculated without it.', 'Delete Game')
+        .then(async (confirmed) => {
+            if (confirmed) {
+                try {
+                    await dataManager.deleteGame(gameId);
+                    Utils.showNotification('Game deleted successfully!', 'success');
+                } catch (error) {
+                    Utils.showNotification('Error deleting game: ' + error.message, 'error');
+                }
+            }
+        });
+}
+
+// Stat definition management functions
+function openStatForm(definition = null) {
+    currentEditingStat = definition;
+    const formContainer = document.getElementById('statFormContainer');
+    const form = document.getElementById('statForm');
+
+    document.getElementById('statSportOptions').innerHTML =
+        dataManager.getSports().map(sport => `<option value="${sport}">`).join('');
+    if (definition) {
+        populateStatForm(definition);
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Update Stat';
+    } else {
+        form.reset();
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Save Stat';
+    }
+    // Recorded values and formulas refer to the sport and key, so they are fixed once created
+    document.getElementById('statSport').disabled = !!definition;
+    document.getElementById('statKey').disabled = !!definition;
+    updateStatFormFields();
+
+    formContainer.classList.remove('hidden');
+    feather.replace();
+}
+
+function closeStatForm() {
+    document.getElementById('statFormContainer').classList.add('hidden');
+    currentEditingStat = null;
+    clearFormErrors('statForm');
+}
+
+function populateStatForm(definition) {
+    document.getElementById('statSport').value = definition.sport;
+    document.getElementById('statKey').value = definition.key;
+    document.getElementById('statLabel').value = definition.label || '';
+    document.getElementById('statAbbreviation').value = definition.abbreviation || '';
+    document.getElementById('statType').value = definition.type;
+    document.getElementById('statMin').value = definition.min ?? '';
+    document.getElementById('statMax').value = definition.max ?? '';
+    document.getElementById('statDecimals').value = definition.decimals ?? 0;
+    document.getElementById('statLowerIsBetter').checked = !!definition.lowerIsBetter;
+    document.getElementById('statFormula').value = definition.formula || '';
+}
+
+// Formulas have no per-game bounds; recorded stats have no formula
+function updateStatFormFields() {
+    const isFormula = document.getElementById('statType').value === 'formula';
+    document.getElementById('statFormulaField').classList.toggle('hidden', !isFormula);
+    document.getElementById('statFormula').required = isFormula;
+    document.querySelectorAll('.stat-recorded-field').forEach(field => {
+        field.classList.toggle('hidden', isFormula);
+    });
+}
+
+async function handleStatSubmit(e) {
+    e.preventDefault();
+    clearFormErrors('statForm');
+
+    const formData = new FormData(e.target);
+    const number = value => (value === '' || value === null ? null : parseFloat(value));
+    const isFormula = formData.get('statType') === 'formula';
+    const definitionData = {
+        label: formData.get('statLabel'),
+        abbreviation: formData.get('statAbbreviation') || null,
+        type: formData.get('statType'),
+        min: isFormula ? null : number(formData.get('statMin')),
+        max: isFormula ? null : number(formData.get('statMax')),
+        decimals: parseInt(formData.get('statDecimals')) || 0,
+        lowerIsBetter: formData.get('statLowerIsBetter') === 'on',
+        formula: isFormula ? formData.get('statFormula') : null
+    };
+
+    try {
+        if (currentEditingStat) {
+            await dataManager.updateStatDefinition(currentEditingStat.id, definitionData);
+            Utils.showNotification('Stat updated successfully!', 'success');
+        } else {
+            await dataManager.addStatDefinition({
+                ...definitionData,
+                sport: formData.get('statSport'),
+                key: formData.get('statKey')
+            });
+            Utils.showNotification('Stat added successfully!', 'success');
+        }
+        closeStatForm();
+    } catch (error) {
+        Utils.showNotification('Error saving stat: ' + error.message, 'error');
+        showFormErrors('statForm', error);
+    }
+}
+
+function loadStatDefinitionsList() {
+    const container = document.getElementById('statDefinitionsList');
+    const sports = dataManager.getSports();
+
+    if (sports.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">No stats defined. Add your first stat!</p>';
+        return;
+    }
+
+    container.innerHTML = sports.map(sport => `
+        <div>
+            <h3 class="text-lg font-medium text-gray-800 mb-3 capitalize">${Utils.escapeHtml(sport)}</h3>
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stat</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                </thead>
+                <tbody class="bg-white divide-y divide-gray-200">
+                    ${dataManager.getStatDefinitions(sport).map(def => `
+                        <tr>
+                            <td class="px-6 py-4 whitespace-nowrap">
+                                <div class="text-sm font-medium text-gray-900">${Utils.escapeHtml(def.label)}</div>
+                                <div class="text-xs text-gray-500">${Utils.escapeHtml(def.abbreviation || '')}</div>
+                            </td>
+                            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">${def.key}</td>
+                            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${def.type}</td>
+                            <td class="px-6 py-4 text-sm text-gray-500">
+                                ${def.type === 'formula'
+                                    ? `<code>${Utils.escapeHtml(def.formula)}</code>`
+                                    : [def.min !== null ? `min ${def.min}` : '', def.max !== null ? `max ${def.max}` : ''].filter(Boolean).join(', ') || '—'}
+                                ${def.lowerIsBetter ? '<div class="text-xs text-gray-400">lower is better</div>' : ''}
+                            </td>
+                            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                <button onclick="openStatForm(${JSON.stringify(def).replace(/"/g, '&quot;')})" class="text-blue-600 hover:text-blue-900 mr-3">
+                                    <i data-feather="edit" class="w-4 h-4"></i>
+                                </button>
+                                <button onclick="deleteStatDefinition('${def.id}')" class="text-red-600 hover:text-red-900">
+                                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+
+    feather.replace();
+}
+
+function deleteStatDefinition(definitionId) {
+    Utils.confirm('Are you sure you want to delete this stat?', 'Delete Stat')
+        .then(async (confirmed) => {
+            if (confirmed) {
+                try {
+                    await dataManager.deleteStatDefinition(definitionId);
+                    Utils.showNotification('Stat deleted successfully!', 'success');
+                } catch (error) {
+                    Utils.showNotification('Error deleting stat: ' + error.message, 'error');
+                }
+            }
+        });
+}
+
+// Position management functions
+function openPositionForm(position = null) {
+    currentEditingPosition = position;
+    const formContainer = document.getElementById('positionFormContainer');
+    const form = document.getElementById('positionForm');
+
+    document.getElementById('positionSport').innerHTML =
+        dataManager.getSports().map(sport => `<option value="${sport}">${Utils.escapeHtml(sport)}</option>`).join('');
+    if (position) {
+        document.getElementById('positionSport').value = position.sport;
+        document.getElementById('positionName').value = position.name;
+        document.getElementById('positionAbbreviation').value = position.abbreviation;
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Update Position';
+    } else {
+        form.reset();
+        form.querySelector('button[type="submit"]').innerHTML = '<i data-feather="save" class="mr-2"></i> Save Position';
+    }
+    // Players are stored with the sport and abbreviation, so they are fixed once created
+    document.getElementById('positionSport').disabled = !!position;
+    document.getElementById('positionAbbreviation').disabled = !!position;
+
+    formContainer.classList.remove('hidden');
+    feather.replace();
+}
+
+function closePositionForm() {
+    document.getElementById('positionFormContainer').classList.add('hidden');
+    currentEditingPosition = null;
+    clearFormErrors('positionForm');
+}
+
+async function handlePositionSubmit(e) {
+    e.preventDefault();
+    clearFormErrors('positionForm');
+
+    const formData = new FormData(e.target);
+    try {
+        if (currentEditingPosition) {
+            await dataManager.updatePosition(currentEditingPosition.id, { name: formData.get('positionName') });
+            Utils.showNotification('Position updated successfully!', 'success');
+        } else {
+            await dataManager.addPosition({
+                sport: formData.get('positionSport'),
+                name: formData.get('positionName'),
+                abbreviation: formData.get('positionAbbreviation')
+            });
+            Utils.showNotification('Position added successfully!', 'success');
+        }
+        closePositionForm();
+    } catch (error) {
+        Utils.showNotification('Error saving position: ' + error.message, 'error');
+        showFormErrors('positionForm', error);
+    }
+}
+
+function loadPositionsList() {
+    const container = document.getElementById('positionsList');
+    const sports = [...new Set([...dataManager.getSports(), ...dataManager.getPositions().map(p => p.sport)])].sort();
+
+    if (sports.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">Add a stat for a sport before giving it positions.</p>';
+        return;
+    }
+
+    container.innerHTML = sports.map(sport => {
+        const positions = dataManager.getPositions(sport);
+        return `
+            <div>
+                <h3 class="text-lg font-medium text-gray-800 mb-3 capitalize">${Utils.escapeHtml(sport)}</h3>
+                ${positions.length === 0 ? '<p class="text-sm text-gray-500">No positions yet; players of this sport can be given any position.</p>' : `
+                <table class="min-w-full divide-y divide-gray-200">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Abbreviation</th>
+                            <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Position</th>
+                            <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody class="bg-white divide-y divide-gray-200">
+                        ${positions.map((position, index) => `
+                            <tr>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">${Utils.escapeHtml(position.abbreviation)}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${Utils.escapeHtml(position.name)}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                    <button onclick="movePosition('${position.id}', -1)" class="text-gray-600 hover:text-gray-900 mr-1 disabled:opacity-30" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                                        <i data-feather="arrow-up" class="w-4 h-4"></i>
+                                    </button>
+                                    <button onclick="movePosition('${position.id}', 1)" class="text-gray-600 hover:text-gray-900 mr-3 disabled:opacity-30" title="Move down" ${index === positions.length - 1 ? 'disabled' : ''}>
+                                        <i data-feather="arrow-down" class="w-4 h-4"></i>
+                                    </button>
+                                    <button onclick="openPositionForm(${JSON.stringify(position).replace(/"/g, '&quot;')})" class="text-blue-600 hover:text-blue-900 mr-3">
+                                        <i data-feather="edit" class="w-4 h-4"></i>
+                                    </button>
+                                    <button onclick="deletePosition('${position.id}')" class="text-red-600 hover:text-red-900">
+                                        <i data-feather="trash-2" class="w-4 h-4"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </div>
+        `;
+    }).join('');
+
+    feather.replace();
+}
+
+// Swap a position with its neighbour in the sport's order
+async function movePosition(positionId, direction) {
+    const position = dataManager.getPositions().find(p => p.id === positionId);
+    if (!position) return;
+    const ids = dataManager.getPositions(position.sport).map(p => p.id);
+    const from = ids.indexOf(positionId);
+    const to = from + direction;
+    if (to < 0 || to >= ids.length) return;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+
+    try {
+        await dataManager.reorderPositions(position.sport, ids);
+    } catch (error) {
+        Utils.showNotification('Error reordering positions: ' + error.message, 'error');
+    }
+}
+
+function deletePosition(positionId) {
+    Utils.confirm('Are you sure you want to delete this position?', 'Delete Position')
+        .then(async (confirmed) => {
+            if (confirmed) {
+                try {
+                    await dataManager.deletePosition(positionId);
+                    Utils.showNotification('Position deleted successfully!', 'success');
+                } catch (error) {
+                    Utils.showNotification('Error deleting position: ' + error.message, 'error');
+                }
+            }
+        });
+}
+
+// Settings management
+function loadSettings() {
+    const config = dataManager.getSiteConfig();
+    settingsVersion = config.version;
+    
+    document.getElementById('siteTitle').value = config.title;
+    document.getElementById('siteYear').value = config.season.year;
+    document.getElementById('siteDescription').value = config.description;
+    document.getElementById('startDate').value = Utils.formatDateForInput(config.season.startDate);
+    document.getElementById('endDate').value = Utils.formatDateForInput(config.season.endDate);
+    document.getElementById('allStarDate').value = Utils.formatDateForInput(config.season.allStarWeekend);
+
+    // Apply theme variables to page
+    if (config && config.theme) {
+        const root = document.documentElement;
+        root.style.setProperty('--color-primary', config.theme.primary);
+        root.style.setProperty('--color-secondary', config.theme.secondary);
+        root.style.setProperty('--color-accent', config.theme.accent);
+    }
+}
+
+async function handleSettingsSubmit(e) {
+    e.preventDefault();
+    clearFormErrors('settingsForm');
+    
+    const formData = new FormData(e.target);
+    const settings = {
+        title: formData.get('siteTitle'),
+        description: formData.get('siteDescription'),
+        season: {
+            year: parseInt(formData.get('siteYear')),
+            startDate: formData.get('startDate'),
+            endDate: formData.get('endDate'),
+            allStarWeekend: formData.get('allStarDate')
+        },
+        theme: {
+            primary: colorPickers.primary.color.hexString,
+            secondary: colorPickers.secondary.color.hexString,
+            accent: colorPickers.accent.color.hexString
+        }
+    };
+    
+    await saveSettings(settings);
+}
+
+async function saveSettings(settings) {
+    try {
+        await dataManager.updateSiteConfig(settings, { version: settingsVersion });
+        settingsVersion = dataManager.getSiteConfig().version;
+        Utils.showNotification('Settings saved successfully!', 'success');
+    } catch (error) {
+        if (error.code !== 'CONFLICT') {
+            Utils.showNotification('Error saving settings: ' + error.message, 'error');
+            showFormErrors('settingsForm', error);
+            return;
+        }
+        const overwrite = await Utils.confirm(
+            'Someone else saved the settings while you were editing them.<br>Replace their changes with yours, or cancel to load theirs?',
+            'Settings changed'
+        );
+        if (overwrite) {
+            settingsVersion = error.current.version;
+            await saveSettings(settings);
+        } else {
+            dataManager.data.siteConfig = error.current;
+            loadSettings();
+        }
+    }
+}
+
+// Media manager (a player's or team's photos, and a team's logo and banner)
+let mediaOwner = null;
+let mediaItems = [];
+
+function openMediaManager(ownerType, ownerId, label) {
+    mediaOwner = { ownerType, ownerId, label };
+    mediaItems = [];
+    document.getElementById('mediaManagerTitle').textContent = `${label} · Photos`;
+    document.getElementById('teamImages').classList.toggle('hidden', ownerType !== 'team');
+    document.getElementById('mediaUploadForm').reset();
+    document.getElementById('mediaManager').classList.remove('hidden');
+    loadMediaList();
+}
+
+function closeMediaManager() {
+    document.getElementById('mediaManager').classList.add('hidden');
+    mediaOwner = null;
+    mediaItems = [];
+}
+
+async function loadMediaList() {
+    if (!mediaOwner) return;
+    const { ownerType, ownerId } = mediaOwner;
+    const container = document.getElementById('mediaList');
+
+    let media;
+    try {
+        media = await dataManager.getMedia(ownerType, ownerId);
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500 text-center py-8 col-span-full">Error loading photos: ${Utils.escapeHtml(error.message)}</p>`;
+        return;
+    }
+    // The manager may have been closed or pointed elsewhere while this loaded
+    if (!mediaOwner || mediaOwner.ownerId !== ownerId) return;
+
+    mediaItems = media.filter(item => item.kind === 'photo');
+    if (ownerType === 'team') {
+        renderTeamImage('logo', media.find(item => item.kind === 'logo'));
+        renderTeamImage('banner', media.find(item => item.kind === 'banner'));
+    }
+
+    if (mediaItems.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8 col-span-full">No photos yet. Upload some above.</p>';
+        return;
+    }
+    container.innerHTML = mediaItems.map((item, index) => `
+        <div class="border ${item.isPrimary ? 'border-blue-500' : 'border-gray-200'} rounded-lg overflow-hidden">
+            <img src="${dataManager.getMediaUrl(item, 'thumb')}" alt="" class="w-full h-32 object-cover bg-gray-100">
+            <div class="p-2 space-y-2">
+                <input type="text" value="${Utils.escapeHtml(item.caption || '')}" maxlength="200" placeholder="Caption"
+                    onchange="saveMediaCaption('${item.id}', this.value)"
+                    class="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+                <div class="flex items-center justify-between">
+                    ${item.isPrimary
+                        ? '<span class="text-xs font-medium bg-blue-100 text-blue-800 px-2 py-0.5 rounded">Primary</span>'
+                        : `<button onclick="setPrimaryMedia('${item.id}')" class="text-gray-600 hover:text-blue-600" title="Make primary">
+                            <i data-feather="star" class="w-4 h-4"></i>
+                        </button>`}
+                    <div>
+                        <button onclick="moveMedia('${item.id}', -1)" class="text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move earlier" ${index === 0 ? 'disabled' : ''}>
+                            <i data-feather="chevron-left" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="moveMedia('${item.id}', 1)" class="text-gray-600 hover:text-gray-900 disabled:opacity-30" title="Move later" ${index === mediaItems.length - 1 ? 'disabled' : ''}>
+                            <i data-feather="chevron-right" class="w-4 h-4"></i>
+                        </button>
+                        <button onclick="deleteMediaItem('${item.id}')" class="text-red-600 hover:text-red-900 ml-2" title="Delete">
+                            <i data-feather="trash-2" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `).join('');
+
+    feather.replace();
+}
+
+function renderTeamImage(kind, media) {
+    const preview = document.getElementById(kind === 'logo' ? 'teamLogoPreview' : 'teamBannerPreview');
+    preview.innerHTML = media
+        ? `<img src="${dataManager.getMediaUrl(media, kind)}" alt="" class="max-h-full ${kind === 'banner' ? 'w-full object-cover' : 'object-contain'}">`
+        : `<span class="text-sm text-gray-400">No ${kind}</span>`;
+}
+
+async function handleMediaUpload(e) {
+    e.preventDefault();
+    if (!mediaOwner) return;
+    const { ownerType, ownerId } = mediaOwner;
+    const files = [...document.getElementById('mediaFiles').files];
+    const caption = document.getElementById('mediaCaption').value.trim();
+    const button = document.getElementById('mediaUploadButton');
+
+    button.disabled = true;
+    let uploaded = 0;
+    try {
+        for (const file of files) {
+            await dataManager.uploadMedia(file, { ownerType, ownerId, caption });
+            uploaded++;
+        }
+        Utils.showNotification(`${uploaded} photo(s) uploaded`, 'success');
+        document.getElementById('mediaUploadForm').reset();
+    } catch (error) {
+        const done = uploaded > 0 ? ` (${uploaded} of ${files.length} uploaded)` : '';
+        Utils.showNotification(`Error uploading photo${done}: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function uploadTeamImage(kind, input) {
+    const file = input.files[0];
+    if (!file || !mediaOwner) return;
+    try {
+        await dataManager.uploadMedia(file, { ownerType: 'team', ownerId: mediaOwner.ownerId, kind });
+        Utils.showNotification(`Team ${kind} updated`, 'success');
+    } catch (error) {
+        Utils.showNotification(`Error uploading ${kind}: ${error.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+async function saveMediaCaption(id, caption) {
+    try {
+        await dataManager.updateMedia(id, { caption: caption.trim() });
+    } catch (error) {
+        Utils.showNotification('Error saving caption: ' + error.message, 'error');
+        loadMediaList();
+    }
+}
+
+async function setPrimaryMedia(id) {
+    try {
+        await dataManager.updateMedia(id, { isPrimary: true });
+        Utils.showNotification('Primary photo changed', 'success');
+    } catch (error) {
+        Utils.showNotification('Error changing primary photo: ' + error.message, 'error');
+    }
+}
+
+// Swap a photo with its neighbour (direction -1 moves it earlier, 1 later)
+async function moveMedia(id, direction) {
+    const ids = mediaItems.map(item => item.id);
+    const from = ids.indexOf(id);
+    const to = from + direction;
+    if (from === -1 || to < 0 || to >= ids.length) return;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    try {
+        await dataManager.reorderMedia(mediaOwner.ownerType, mediaOwner.ownerId, ids);
+    } catch (error) {
+        Utils.showNotification('Error reordering photos: ' + error.message, 'error');
+        loadMediaList();
+    }
+}
+
+function deleteMediaItem(id) {
+    const media = mediaItems.find(item => item.id === id);
+    if (!media) return;
+    const message = media.isPrimary && mediaItems.length > 1
+        ? 'Delete this photo? The next photo becomes the primary one.'
+        : 'Delete this photo?';
+    Utils.confirm(message, 'Delete Photo')
+        .then(async (confirmed) => {
+            if (!confirmed) return;
+            try {
+                await dataManager.deleteMedia(media);
+                Utils.showNotification('Photo deleted', 'success');
+            } catch (error) {
+                Utils.showNotification('Error deleting photo: ' + error.message, 'error');
+            }
+        });
+}
+
+// Keep the manager current when its owner's library changes here or in another browser
+function handleMediaUpdated({ ownerType, ownerId }) {
+    if (mediaOwner && mediaOwner.ownerType === ownerType && mediaOwner.ownerId === ownerId) {
+        loadMediaList();
+    }
+}
+
+// Trash
+// How long the undo button stays up after a delete
+const UNDO_DURATION_MS = 8000;
+
+async function loadTrashList() {
+    const playersContainer = document.getElementById('trashPlayersList');
+    const teamsContainer = document.getElementById('trashTeamsList');
+
+    let trash;
+    try {
+        trash = await dataManager.getTrash();
+    } catch (error) {
+        playersContainer.innerHTML = `<p class="text-red-500 text-center py-8">Error loading trash: ${Utils.escapeHtml(error.message)}</p>`;
+        teamsContainer.innerHTML = '';
+        return;
+    }
+    document.getElementById('trashSummary').textContent =
+        `Deleted players and teams can be restored for ${trash.retentionDays} days, then they are purged for good`;
+
+    playersContainer.innerHTML = trash.players.length === 0
+        ? '<p class="text-gray-500 text-center py-4">No deleted players.</p>'
+        : renderTrashTable(trash.players.map(player => ({
+            type: 'player',
+            id: player.id,
+            title: `#${player.number} ${player.name}`,
+            detail: `${player.position} · ${player.teamName || 'Unknown team'}${player.teamDeleted ? ' (in the trash)' : ''}`,
+            deletedAt: player.deletedAt,
+            purgeAt: player.purgeAt
+        })));
+
+    teamsContainer.innerHTML = trash.teams.length === 0
+        ? '<p class="text-gray-500 text-center py-4">No deleted teams.</p>'
+        : renderTrashTable(trash.teams.map(team => ({
+            type: 'team',
+            id: team.id,
+            title: team.name,
+            detail: `${team.sport}${team.trashedPlayers > 0 ? ` · ${team.trashedPlayers} deleted player(s) go with it when purged` : ''}`,
+            deletedAt: team.deletedAt,
+            purgeAt: team.purgeAt
+        })));
+
+    feather.replace();
+}
+
+function renderTrashTable(items) {
+    return `
+        <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Purged on</th>
+                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+                ${items.map(item => `
+                    <tr>
+                        <td class="px-6 py-4">
+                            <div class="text-sm font-medium text-gray-900">${Utils.escapeHtml(item.title)}</div>
+                            <div class="text-sm text-gray-500">${Utils.escapeHtml(item.detail)}</div>
+                        </td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${Utils.formatDateTime(item.deletedAt)}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${Utils.formatDate(item.purgeAt)}</td>
+                        <td class="px-6 py-4 whitespace-nowrap text-sm">
+                            <button onclick="restoreFromTrash('${item.type}', '${item.id}')" class="text-blue-600 hover:text-blue-900 mr-3" title="Restore">
+                                <i data-feather="rotate-ccw" class="w-4 h-4"></i>
+                            </button>
+                            <button onclick="purgeFromTrash('${item.type}', '${item.id}')" class="text-red-600 hover:text-red-900" title="Delete forever">
+                                <i data-feather="x-circle" class="w-4 h-4"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Keep the Trash tab current while it is open
+function refreshTrashList() {
+    if (!document.getElementById('trash-tab-content').classList.contains('hidden')) {
+        loadTrashList();
+    }
+}
+
+async function restoreFromTrash(type, id) {
+    try {
+        if (type === 'player') {
+            await dataManager.restorePlayer(id);
+        } else {
+            await dataManager.restoreTeam(id);
+        }
+        Utils.showNotification(`${type === 'player' ? 'Player' : 'Team'} restored`, 'success');
+    } catch (error) {
+        Utils.showNotification('Error restoring: ' + error.message, 'error');
+    }
+}
+
+function purgeFromTrash(type, id) {
+    const message = type === 'player'
+        ? 'Delete this player forever? Their stats and photos are removed and cannot be recovered.'
+        : 'Delete this team forever? Its games and any of its players in the trash are removed and cannot be recovered.';
+    Utils.confirm(message, 'Delete Forever')
+        .then(async (confirmed) => {
+            if (!confirmed) return;
+            try {
+                if (type === 'player') {
+                    await dataManager.purgePlayer(id);
+                } else {
+                    await dataManager.purgeTeam(id);
+                }
+                Utils.showNotification('Deleted permanently', 'success');
+                loadTrashList();
+            } catch (error) {
+                Utils.showNotification('Error deleting: ' + error.message, 'error');
+            }
+        });
+}
+
+// Activity (audit log)
+const AUDIT_ACTION_LABELS = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted',
+    restore: 'restored',
+    purge: 'permanently deleted',
+    import: 'imported',
+    upload: 'uploaded'
+};
+
+const AUDIT_ACTION_CLASSES = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-blue-100 text-blue-800',
+    delete: 'bg-red-100 text-red-800',
+    restore: 'bg-green-100 text-green-800',
+    purge: 'bg-red-100 text-red-800',
+    import: 'bg-purple-100 text-purple-800',
+    upload: 'bg-yellow-100 text-yellow-800'
+};
+
+const AUDIT_ENTITY_LABELS = { player: 'player', team: 'team', game: 'game', config: 'site settings', image: 'image', media: 'photo' };
+
+async function loadActivityList() {
+    const container = document.getElementById('activityList');
+    document.getElementById('auditEntityType').value = auditQuery.entityType;
+    document.getElementById('auditAction').value = auditQuery.action;
+    document.getElementById('auditEntityFilter').classList.toggle('hidden', !auditQuery.entityId);
+    document.getElementById('auditEntityLabel').textContent = auditQuery.entityId ? `History of ${auditEntityLabel}` : '';
+
+    let entries;
+    let pagination;
+    try {
+        ({ entries, pagination } = await dataManager.getAuditLog(auditQuery));
+    } catch (error) {
+        container.innerHTML = `<p class="text-red-500 text-center py-8">Error loading activity: ${Utils.escapeHtml(error.message)}</p>`;
+        renderActivityPager(null);
+        return;
+    }
+    renderActivityPager(pagination);
+
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-8">No changes recorded yet.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <ul class="divide-y divide-gray-200">
+            ${entries.map(entry => `
+                <li class="py-4">
+                    <div class="flex justify-between items-start">
+                        <div class="text-sm text-gray-900">
+                            <span class="font-medium">${Utils.escapeHtml(entry.actor.username || 'Unknown user')}</span>
+                            <span class="px-2 py-0.5 mx-1 rounded-full text-xs font-medium ${AUDIT_ACTION_CLASSES[entry.action] || 'bg-gray-100 text-gray-800'}">
+                                ${AUDIT_ACTION_LABELS[entry.action] || Utils.escapeHtml(entry.action)}
+                            </span>
+                            ${AUDIT_ENTITY_LABELS[entry.entityType] || Utils.escapeHtml(entry.entityType)}
+                            ${entry.entityId && entry.entityType !== 'config'
+                                ? `<button onclick="showEntityHistory('${entry.entityType}', ${JSON.stringify(entry.entityId).replace(/"/g, '&quot;')}, ${JSON.stringify(entry.entityName || entry.entityId).replace(/"/g, '&quot;')})"
+                                       class="font-medium text-blue-600 hover:text-blue-800">${Utils.escapeHtml(entry.entityName || entry.entityId)}</button>`
+                                : ''}
+                        </div>
+                        <div class="text-xs text-gray-500 text-right whitespace-nowrap ml-4">
+                            ${Utils.formatDateTime(entry.createdAt)}
+                            ${entry.ip ? `<div>${Utils.escapeHtml(entry.ip)}</div>` : ''}
+                        </div>
+                    </div>
+                    ${renderAuditChanges(entry)}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// A field-by-field table of what changed; creations and deletions show one side only
+function renderAuditChanges(entry) {
+    const fields = Object.entries(entry.changes || {});
+    if (fields.length === 0) {
+        return entry.action === 'update' ? '<p class="mt-1 text-xs text-gray-500">Saved without changes</p>' : '';
+    }
+    const show = value => value === null || value === ''
+        ? '<em class="text-gray-400">empty</em>'
+        : Utils.escapeHtml(String(value));
+    return `
+        <table class="mt-2 text-xs text-gray-700">
+            ${fields.map(([field, { from, to }]) => `
+                <tr>
+                    <td class="pr-4 py-0.5 font-medium text-gray-500">${Utils.escapeHtml(field)}</td>
+                    <td class="py-0.5">
+                        ${entry.action === 'update' ? `<span class="line-through text-red-700">${show(from)}</span> → ` : ''}
+                        <span class="${to === null ? 'line-through text-red-700' : 'text-green-700'}">${show(to === null ? from : to)}</span>
+                    </td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+function renderActivityPager(pagination) {
+    const pager = document.getElementById('activityPager');
+    if (!pagination || pagination.total === 0) {
+        pager.classList.add('hidden');
+        return;
+    }
+    const first = (pagination.page - 1) * pagination.limit + 1;
+    const last = Math.min(pagination.page * pagination.limit, pagination.total);
+    document.getElementById('activityPagerSummary').textContent = `Showing ${first}–${last} of ${pagination.total} changes`;
+    document.getElementById('activityPagerPage').textContent = `Page ${pagination.page} of ${pagination.totalPages}`;
+    document.getElementById('activityPrevPage').disabled = pagination.page <= 1;
+    document.getElementById('activityNextPage').disabled = !pagination.hasMore;
+    pager.classList.remove('hidden');
+}
+
+function changeActivityPage(delta) {
+    auditQuery.page = Math.max(1, auditQuery.page + delta);
+    loadActivityList();
+}
+
+// Open the Activity tab on one entity's history
+function showEntityHistory(entityType, entityId, label) {
+    auditQuery = { ...auditQuery, page: 1, entityType, entityId, action: '' };
+    auditEntityLabel = label;
+    showTab('activity');
+}
+
+function clearEntityHistory() {
+    auditQuery = { ...auditQuery, page: 1, entityType: '', entityId: '' };
+    loadActivityList();
+}
+
+function handleAuditEntityType(e) {
+    auditQuery = { ...auditQuery, page: 1, entityType: e.target.value, entityId: '' };
+    loadActivityList();
+}
+
+function handleAuditAction(e) {
+    auditQuery = { ...auditQuery, page: 1, action: e.target.value };
+    loadActivityList();
+}
+
+// Season management
+function loadSeasonOptions() {
+    const select = document.getElementById('seasonSelect');
+    const selected = dataManager.getSelectedSeason();
+    select.innerHTML = dataManager.getSeasons().map(season => `
+        <option value="${season.id}" ${selected && selected.id === season.id ? 'selected' : ''}>
+            ${season.name}${season.isCurrent ? ' (current)' : ''}
+        </option>
+    `).join('');
+}
+
+async function handleSeasonSelect(e) {
+    try {
+        await dataManager.selectSeason(e.target.value);
+    } catch (error) {
+        Utils.showNotification('Error loading season: ' + error.message, 'error');
+    }
+}
+
+// Re-render everything that belongs to a season
+function handleSeasonChanged() {
+    closePlayerForm();
+    playerListQuery.page = 1;
+    loadSeasonOptions();
+    updateArchivedSeasonBanner();
+    loadTeamsList();
+    loadPlayersList();
+    loadEventsList();
+    loadGamesList();
+    loadSeasonsList();
+    loadSettings();
+    loadDataStats();
+}
+
+function updateArchivedSeasonBanner() {
+    const banner = document.getElementById('archivedSeasonBanner');
+    const season = dataManager.getSelectedSeason();
+    if (dataManager.isViewingCurrentSeason() || !season) {
+        banner.classList.add('hidden');
+        return;
+    }
+    document.getElementById('archivedSeasonName').textContent = season.name;
+    banner.classList.remove('hidden');
+    feather.replace();
+}
+
+// Rosters of archived seasons are a historical record
+function requireCurrentSeason() {
+    if (dataManager.isViewingCurrentSeason()) return true;
+    Utils.showNotification('Players can only be changed in the current season', 'error');
+    return false;
+}
+
+function loadSeasonsList() {
+    const seasons = dataManager.getSeasons();
+    const container = document.getElementById('seasonsList');
+    const selected = dataManager.getSelectedSeason();
+
+    if (seasons.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">No seasons yet.</p>';
+    } else {
+        container.innerHTML = seasons.map(season => {
+            const dates = [season.startDate, season.endDate].filter(Boolean).map(d => Utils.formatDateTime(d)).join(' – ');
+            const isSelected = selected && selected.id === season.id;
+            return `
+                <div class="flex items-center justify-between p-4 border border-gray-200 rounded-lg ${isSelected ? 'bg-blue-50' : ''}">
+                    <div>
+                        <div class="font-medium text-gray-900">
+                            ${season.name}
+                            ${season.isCurrent ? '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Current</span>' : ''}
+                        </div>
+                        <div class="text-sm text-gray-500">${dates || 'No dates set'} · ${season.playerCount ?? 0} players</div>
+                    </div>
+                    ${isSelected ? '<span class="text-sm text-gray-500">Viewing</span>' : `
+                        <button onclick="dataManager.selectSeason('${season.id}')" class="text-blue-600 hover:text-blue-900 text-sm flex items-center">
+                            <i data-feather="eye" class="w-4 h-4 mr-1"></i> View
+                        </button>
+                    `}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Suggest the year after the current season
+    const current = dataManager.getCurrentSeason();
+    const yearInput = document.getElementById('newSeasonYear');
+    if (current && !yearInput.value) {
+        yearInput.value = current.year + 1;
+    }
+    feather.replace();
+}
+
+async function handleNewSeasonSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const year = parseInt(formData.get('newSeasonYear'));
+    const seasonData = {
+        name: formData.get('newSeasonName') || `${year} Season`,
+        year,
+        startDate: formData.get('newSeasonStart') || null,
+        endDate: formData.get('newSeasonEnd') || null
+    };
+    const current = dataManager.getCurrentSeason();
+    const message = current
+        ? `Archive ${current.name} and start ${seasonData.name}? Every player carries over to the new season.`
+        : `Start ${seasonData.name}?`;
+
+    const confirmed = await Utils.confirm(message, 'Start New Season');
+    if (!confirmed) return;
+
+    try {
+        await dataManager.startNewSeason(seasonData);
+        e.target.reset();
+        Utils.showNotification(`${seasonData.name} started!`, 'success');
+    } catch (error) {
+        Utils.showNotification('Error starting season: ' + error.message, 'error');
+    }
+}
+
+// Data management
+function loadDataStats() {
+    const data = dataManager.data;
+    const container = document.getElementById('dataStats');
+    
+    // Safely get data with fallbacks
+    const playersCount = (data.teams || []).reduce((total, team) => total + (team.playerCount || 0), 0);
+    const teamsCount = data.teams ? data.teams.length : 0;
+    const lastUpdated = data.siteConfig ? data.siteConfig.updated_at : 'Never';
+    
+    container.innerHTML = `
+        <div class="bg-blue-50 p-4 rounded-lg">
             <div class="text-2xl font-bold text-blue-600">${playersCount}</div>
             <div class="text-sm text-blue-800">Players</div>
         </div>
@@ -627,51 +2524,117 @@ function loadDataStats() {
     `;
 }
 
-function exportAllData() {
-    const data = dataManager.exportData();
-    Utils.downloadJSON(JSON.parse(data), 'teamsite-backup.json');
+async function exportAllData() {
+    try {
+        const { blob, filename } = await dataManager.downloadBackup();
+        Utils.downloadBlob(blob, filename);
+    } catch (error) {
+        Utils.showNotification('Error creating backup: ' + error.message, 'error');
+    }
 }
 
 function importData() {
     document.getElementById('importFile').click();
 }
 
-function handleDataImport(e) {
+// Preview a backup with a dry run, then restore it once confirmed
+async function handleDataImport(e) {
     const file = e.target.files[0];
-    if (file) {
-        Utils.readJSONFile(file).then(data => {
-            if (dataManager.importData(JSON.stringify(data))) {
-                Utils.showNotification('Data imported successfully!', 'success');
-                loadAllData();
-            } else {
-                Utils.showNotification('Failed to import data. Please check the file format.', 'error');
-            }
-        }).catch(error => {
-            Utils.showNotification('Error importing data: ' + error.message, 'error');
-        });
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const preview = await dataManager.restoreBackup(file, { dryRun: true });
+        const changes = preview.tables
+            .filter(t => t.current !== t.incoming)
+            .map(t => `${t.table}: ${t.current} → ${t.incoming}`);
+        changes.push(`uploaded files: ${preview.uploads.current} → ${preview.uploads.incoming}`);
+        const confirmed = await Utils.confirm(
+            `Restore the backup from ${Utils.formatDateTime(preview.createdAt)}? This replaces ALL data.<br><br>${changes.join('<br>')}`,
+            'Restore Backup'
+        );
+        if (!confirmed) return;
+
+        await dataManager.restoreBackup(file);
+        Utils.showNotification('Backup restored successfully!', 'success');
+        loadAllData();
+    } catch (error) {
+        Utils.showNotification('Error restoring backup: ' + error.message, 'error');
     }
 }
 
 function resetAllData() {
-    Utils.confirm('Are you sure you want to reset ALL data? This will delete everything and cannot be undone!', 'Reset All Data')
-        .then(confirmed => {
-            if (confirmed) {
-                dataManager.resetToDefaults();
-                Utils.showNotification('All data has been reset to defaults!', 'success');
+    const select = document.getElementById('resetProfile');
+    const label = select.options[select.selectedIndex].text;
+    Utils.confirm(`Are you sure you want to reset ALL data to "${label}"? Teams, players, games and the schedule will be replaced. This cannot be undone!`, 'Reset All Data')
+        .then(async (confirmed) => {
+            if (!confirmed) return;
+            try {
+                const result = await dataManager.resetToDefaults(select.value);
+                Utils.showNotification(`Data reset: ${result.teams} teams, ${result.players} players, ${result.games} games`, 'success');
                 loadAllData();
+            } catch (error) {
+                Utils.showNotification('Error resetting data: ' + error.message, 'error');
             }
         });
 }
 
 // Utility functions
+// The input each schema field is edited in, by form; a field's message goes in the
+// element with the input's id plus "Error"
+const FORM_FIELD_INPUTS = {
+    playerForm: {
+        name: 'playerName',
+        number: 'playerNumber',
+        teamId: 'playerTeam',
+        position: 'playerPosition',
+        secondaryPositions: 'playerSecondaryPositions',
+        image: 'playerImage',
+        bio: 'playerBio'
+    },
+    teamForm: {
+        name: 'teamName',
+        color: 'teamColor',
+        sport: 'teamSport',
+        description: 'teamDescription'
+    },
+    positionForm: {
+        sport: 'positionSport',
+        name: 'positionName',
+        abbreviation: 'positionAbbreviation'
+    },
+    settingsForm: {
+        title: 'siteTitle',
+        description: 'siteDescription',
+        'season.year': 'siteYear',
+        'season.startDate': 'startDate',
+        'season.endDate': 'endDate',
+        'season.allStarWeekend': 'allStarDate'
+    }
+};
+
 function clearFormErrors(formId) {
     const form = document.getElementById(formId);
     form.querySelectorAll('.text-red-500').forEach(error => {
         error.classList.add('hidden');
     });
+    form.querySelectorAll('.border-red-500').forEach(input => {
+        input.classList.remove('border-red-500');
+    });
 }
 
-function showFormErrors(formId, message) {
-    // This is a simplified error display - in a real app you'd show specific field errors
-    Utils.showNotification(message, 'error');
+// Mark each field a validation error names (from the schema check or the server's
+// fields map) with a red border and its message; the caller has already shown the error
+function showFormErrors(formId, error) {
+    const inputs = FORM_FIELD_INPUTS[formId] || {};
+    Object.entries((error && error.fields) || {}).forEach(([field, message]) => {
+        const input = document.getElementById(inputs[field]);
+        if (!input) return;
+        input.classList.add('border-red-500');
+        const holder = document.getElementById(`${inputs[field]}Error`);
+        if (holder) {
+            holder.textContent = message;
+            holder.classList.remove('hidden');
+        }
+    });
 }
@@ -0,0 +1,124 @@
+/**
+ * Canvas charts for TeamSite
+ * Small bar and radar charts for comparing players. Each chart takes axis labels and one
+ * series per player: { name, color, values, labels }, where values are scaled 0 to 1 and
+ * labels are the figures printed beside them.
+ */
+
+class Charts {
+    /**
+     * Size a canvas's drawing buffer to its displayed size on this screen; returns the
+     * context and the size in CSS pixels
+     */
+    static prepare(canvas, height) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 600;
+        canvas.style.height = `${height}px`;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px sans-serif';
+        return { ctx, width, height };
+    }
+
+    /**
+     * Grouped bars: one group per axis, one bar per series
+     */
+    static bar(canvas, { axes, series }, { height = 320 } = {}) {
+        const { ctx, width } = this.prepare(canvas, height);
+        const padding = { top: 24, right: 12, bottom: 40, left: 12 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const baseline = padding.top + plotHeight;
+        const groupWidth = plotWidth / Math.max(axes.length, 1);
+        const barWidth = Math.min(32, (groupWidth * 0.8) / Math.max(series.length, 1));
+
+        // Guide lines at a quarter, half, three quarters and all of the best value
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 1;
+        [0.25, 0.5, 0.75, 1].forEach(level => {
+            const y = baseline - level * plotHeight;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+        });
+
+        axes.forEach((axis, i) => {
+            const groupLeft = padding.left + i * groupWidth + (groupWidth - barWidth * series.length) / 2;
+            series.forEach((s, j) => {
+                const barHeight = Math.max(0, Math.min(1, s.values[i])) * plotHeight;
+                const x = groupLeft + j * barWidth;
+                ctx.fillStyle = s.color;
+                ctx.fillRect(x + 1, baseline - barHeight, barWidth - 2, barHeight);
+                ctx.fillStyle = '#374151';
+                ctx.textAlign = 'center';
+                ctx.font = '10px sans-serif';
+                ctx.fillText(s.labels[i], x + barWidth / 2, baseline - barHeight - 4);
+            });
+            ctx.fillStyle = '#6b7280';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(axis, padding.left + i * groupWidth + groupWidth / 2, baseline + 18, groupWidth - 4);
+        });
+
+        ctx.strokeStyle = '#9ca3af';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, baseline);
+        ctx.lineTo(width - padding.right, baseline);
+        ctx.stroke();
+    }
+
+    /**
+     * A radar (spider) chart: one spoke per axis, one outline per series. Needs three axes.
+     */
+    static radar(canvas, { axes, series }, { height = 360 } = {}) {
+        const { ctx, width } = this.prepare(canvas, height);
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.min(width, height) / 2 - 48;
+        const angle = i => -Math.PI / 2 + (i * 2 * Math.PI) / axes.length;
+        const point = (i, level) => [cx + Math.cos(angle(i)) * radius * level, cy + Math.sin(angle(i)) * radius * level];
+
+        // Rings and spokes
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 1;
+        [0.25, 0.5, 0.75, 1].forEach(level => {
+            ctx.beginPath();
+            axes.forEach((axis, i) => ctx.lineTo(...point(i, level)));
+            ctx.closePath();
+            ctx.stroke();
+        });
+        axes.forEach((axis, i) => {
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(...point(i, 1));
+            ctx.stroke();
+
+            const [x, y] = point(i, 1.15);
+            ctx.fillStyle = '#6b7280';
+            ctx.textAlign = Math.abs(x - cx) < 1 ? 'center' : x < cx ? 'right' : 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(axis, x, y);
+        });
+        ctx.textBaseline = 'alphabetic';
+
+        series.forEach(s => {
+            ctx.beginPath();
+            s.values.forEach((value, i) => ctx.lineTo(...point(i, Math.max(0, Math.min(1, value)))));
+            ctx.closePath();
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = s.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+    }
+}
+
+// Make available globally
+window.Charts = Charts;
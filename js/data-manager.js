@@ -10,12 +10,33 @@ class DataManager {
         this.data = {
             siteConfig: null,
             teams: [],
-            players: []
+            events: [],
+            games: [],
+            standings: [],
+            statDefinitions: [],
+            positions: [],
+            seasons: []
         };
+        // null views the current season; otherwise the id of an archived season
+        this.selectedSeasonId = null;
+        // Rows per request when loading whole lists (the API allows at most 200)
+        this.pageSize = 200;
+        // What the roster views show of each player; bios are fetched when a profile opens.
+        // Players are not cached: each view queries the page or roster it shows
+        this.playerListFields = [
+            'id', 'name', 'number', 'teamId', 'position', 'secondaryPositions', 'image', 'images',
+            'sport', 'gamesPlayed', 'stats', 'version'
+        ];
         this.listeners = new Map();
         this.isLoading = false;
         this.retryCount = 0;
         this.maxRetries = 3;
+        // Identifies this tab's requests so it can skip the echo of its own changes
+        this.clientId = this.generateId('client');
+        this.changeStream = null;
+        this.lastChangeId = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
     }
 
     /**
@@ -48,6 +69,7 @@ class DataManager {
                     name: "Tigers",
                     color: "#f59e0b",
                     logo: null,
+                    sport: "baseball",
                     description: "The mighty Tigers team"
                 }
             ],
@@ -57,13 +79,15 @@ class DataManager {
                     name: "Jason Miller",
                     number: 12,
                     teamId: "tigers",
-                    position: "Pitcher",
+                    position: "P",
+                    secondaryPositions: [],
                     image: "http://static.photos/sport/640x360/1",
+                    sport: "baseball",
+                    gamesPlayed: 12,
                     stats: {
-                        battingAverage: 0.285,
-                        homeRuns: 3,
-                        rbi: 15,
-                        gamesPlayed: 12
+                        batting_average: 0.285,
+                        home_runs: 3,
+                        rbi: 15
                     },
                     bio: "Jason is our star pitcher with a powerful fastball.",
                     createdAt: new Date().toISOString(),
@@ -74,13 +98,15 @@ class DataManager {
                     name: "Mike Johnson",
                     number: 7,
                     teamId: "tigers",
-                    position: "Shortstop",
+                    position: "SS",
+                    secondaryPositions: [],
                     image: "http://static.photos/sport/640x360/2",
+                    sport: "baseball",
+                    gamesPlayed: 12,
                     stats: {
-                        battingAverage: 0.320,
-                        homeRuns: 5,
-                        rbi: 22,
-                        gamesPlayed: 12
+                        batting_average: 0.320,
+                        home_runs: 5,
+                        rbi: 22
                     },
                     bio: "Mike's quick reflexes make him an excellent shortstop.",
                     createdAt: new Date().toISOString(),
@@ -91,13 +117,15 @@ class DataManager {
                     name: "David Wilson", 
                     number: 23,
                     teamId: "tigers",
-                    position: "Outfield",
+                    position: "OF",
+                    secondaryPositions: [],
                     image: "http://static.photos/sport/640x360/3",
+                    sport: "baseball",
+                    gamesPlayed: 12,
                     stats: {
-                        battingAverage: 0.275,
-                        homeRuns: 2,
-                        rbi: 18,
-                        gamesPlayed: 12
+                        batting_average: 0.275,
+                        home_runs: 2,
+                        rbi: 18
                     },
                     bio: "David's speed and agility make him a great outfielder.",
                     createdAt: new Date().toISOString(),
@@ -108,22 +136,34 @@ class DataManager {
                 {
                     id: "event_1",
                     title: "Opening Day",
-                    date: "2024-04-06",
                     type: "game",
+                    startTime: "2024-04-06T10:00",
+                    endTime: null,
+                    location: null,
+                    homeTeamId: "tigers",
+                    awayTeamId: null,
                     description: "Season opener against the Eagles"
                 },
                 {
                     id: "event_2", 
                     title: "Championship Game",
-                    date: "2024-06-15",
                     type: "game",
+                    startTime: "2024-06-15T13:00",
+                    endTime: null,
+                    location: null,
+                    homeTeamId: null,
+                    awayTeamId: null,
                     description: "Championship finals"
                 },
                 {
                     id: "event_3",
                     title: "All-Star Weekend", 
-                    date: "2024-05-18",
-                    type: "event",
+                    type: "tournament",
+                    startTime: "2024-05-18",
+                    endTime: null,
+                    location: null,
+                    homeTeamId: null,
+                    awayTeamId: null,
                     description: "All-Star game and skills competition"
                 }
             ]
@@ -141,9 +181,15 @@ class DataManager {
             await Promise.all([
                 this.loadSiteConfig(),
                 this.loadTeams(),
-                this.loadPlayers()
+                this.loadEvents(),
+                this.loadGames(),
+                this.loadStandings(),
+                this.loadStatDefinitions(),
+                this.loadPositions(),
+                this.loadSeasons()
             ]);
             this.retryCount = 0;
+            this.subscribeToChanges();
         } catch (error) {
             console.error('Error initializing data:', error);
             this.handleApiError(error);
@@ -154,15 +200,17 @@ class DataManager {
 
     /**
      * API utility methods
+     * Pass { raw: true } to get the fetch Response instead of parsed JSON (e.g. for downloads)
      */
     async apiCall(endpoint, options = {}) {
         const url = `${this.apiBaseUrl}${endpoint}`;
+        const { raw, ...fetchOptions } = options;
         const config = {
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
+                ...fetchOptions.headers
             },
-            ...options
+            ...fetchOptions
         };
         // Attach auth token if present
         try {
@@ -172,13 +220,29 @@ class DataManager {
                 config.headers['Authorization'] = `Bearer ${token}`;
             }
         } catch (_) {}
+        config.headers = { ...config.headers, 'X-Client-Id': this.clientId };
 
         try {
             const response = await fetch(url, config);
             
             if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
+                // Surface the server's {error, message, code} body when there is one
+                let body = null;
+                try { body = await response.json(); } catch (_) {}
+                if (response.status === 401) {
+                    // Session expired or was revoked; the next page load will ask for a login
+                    try { sessionStorage.removeItem('teamsite_token'); } catch (_) {}
+                }
+                const apiError = new Error(body?.message || `API Error: ${response.status} ${response.statusText}`);
+                apiError.status = response.status;
+                apiError.code = body?.code;
+                // Validation errors name each bad field: { field: message }
+                apiError.fields = body?.fields;
+                // A 409 CONFLICT carries the server's current copy for merging
+                apiError.current = body?.current;
+                throw apiError;
             }
+            if (raw) return response;
             
             const data = await response.json();
             return data;
@@ -188,6 +252,18 @@ class DataManager {
         }
     }
 
+    /**
+     * Request headers that make a write fail with 409 CONFLICT if the record is no longer
+     * at the given version; no check is asked for when the version is unknown
+     */
+    versionHeaders(version) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (version !== undefined && version !== null) {
+            headers['If-Match'] = `"${version}"`;
+        }
+        return headers;
+    }
+
     /**
      * Handle API errors with retry logic
      */
@@ -220,8 +296,7 @@ class DataManager {
      */
     async loadTeams() {
         try {
-            const response = await this.apiCall('/teams');
-            this.data.teams = response.data || [];
+            this.data.teams = await this.fetchAllPages('/teams');
         } catch (error) {
             console.warn('Failed to load teams, using empty array');
             this.data.teams = [];
@@ -229,34 +304,191 @@ class DataManager {
     }
 
     /**
-     * Load players from API
+     * Load every page of a list endpoint for the selected season
+     */
+    async fetchAllPages(endpoint, params = {}) {
+        const rows = [];
+        let page = 1;
+        let hasMore = true;
+        while (hasMore) {
+            const response = await this.apiCall(`${endpoint}${this.listQuery({ ...params, page, limit: this.pageSize })}`);
+            rows.push(...(response.data || []));
+            hasMore = !!response.pagination?.hasMore;
+            page++;
+        }
+        return rows;
+    }
+
+    /**
+     * One page of players for the selected season.
+     * options: { page, limit, teamId, sport, position, q, sort, order, fields }
+     * Returns { players, pagination: { page, limit, total, totalPages, hasMore } }
+     */
+    async queryPlayers(options = {}) {
+        const response = await this.apiCall(`/players${this.listQuery(options)}`);
+        return {
+            players: (response.data || []).map(p => this.normalizePlayer(p)),
+            pagination: response.pagination
+        };
+    }
+
+    /**
+     * A team's players in the selected season, by number. Numbers run 1-99, so a roster
+     * always fits in one page.
+     */
+    async getTeamRoster(teamId) {
+        const { players } = await this.queryPlayers({
+            teamId,
+            sort: 'number',
+            limit: this.pageSize,
+            fields: this.playerListFields.join(',')
+        });
+        return players;
+    }
+
+    // Ensure adapter mapping exists even if backend already mapped
+    normalizePlayer(p) {
+        return {
+            id: p.id,
+            name: p.name,
+            number: p.number,
+            teamId: p.teamId ?? p.team_id,
+            position: p.position,
+            secondaryPositions: p.secondaryPositions || [],
+            image: p.image ?? p.image_path,
+            images: p.images || null,
+            bio: p.bio,
+            sport: p.sport,
+            gamesPlayed: p.gamesPlayed ?? p.games_played ?? 0,
+            stats: p.stats || {},
+            version: p.version,
+            createdAt: p.createdAt ?? p.created_at,
+            updatedAt: p.updatedAt ?? p.updated_at
+        };
+    }
+
+    /**
+     * Load schedule events from API
+     */
+    async loadEvents() {
+        try {
+            const response = await this.apiCall(`/events${this.seasonQuery()}`);
+            this.data.events = response.data || [];
+        } catch (error) {
+            console.warn('Failed to load events, using empty array');
+            this.data.events = [];
+        }
+    }
+
+    /**
+     * Load game results from API
      */
-    async loadPlayers() {
+    async loadGames() {
         try {
-            const response = await this.apiCall('/players');
-            // Ensure adapter mapping exists even if backend already mapped
-            const rows = response.data || [];
-            this.data.players = rows.map(p => ({
-                id: p.id,
-                name: p.name,
-                number: p.number,
-                teamId: p.teamId ?? p.team_id,
-                position: p.position,
-                image: p.image ?? p.image_path,
-                bio: p.bio,
-                battingAverage: p.battingAverage ?? p.batting_average ?? 0,
-                homeRuns: p.homeRuns ?? p.home_runs ?? 0,
-                rbi: p.rbi ?? 0,
-                gamesPlayed: p.gamesPlayed ?? p.games_played ?? 0,
-                createdAt: p.createdAt ?? p.created_at,
-                updatedAt: p.updatedAt ?? p.updated_at
-            }));
+            const response = await this.apiCall(`/games${this.seasonQuery()}`);
+            this.data.games = response.data || [];
         } catch (error) {
-            console.warn('Failed to load players, using empty array');
-            this.data.players = [];
+            console.warn('Failed to load games, using empty array');
+            this.data.games = [];
         }
     }
 
+    /**
+     * Load the selected season's standings from API
+     */
+    async loadStandings() {
+        try {
+            const response = await this.apiCall(`/standings${this.seasonQuery()}`);
+            this.data.standings = response.data || [];
+        } catch (error) {
+            console.warn('Failed to load standings, using empty array');
+            this.data.standings = [];
+        }
+    }
+
+    /**
+     * Load per-sport stat definitions from API
+     */
+    async loadStatDefinitions() {
+        try {
+            const response = await this.apiCall('/stat-definitions');
+            this.data.statDefinitions = response.data || [];
+        } catch (error) {
+            console.warn('Failed to load stat definitions, using empty array');
+            this.data.statDefinitions = [];
+        }
+    }
+
+    /**
+     * Load the per-sport position catalogue from API
+     */
+    async loadPositions() {
+        try {
+            const response = await this.apiCall('/positions');
+            this.data.positions = response.data || [];
+        } catch (error) {
+            console.warn('Failed to load positions, using empty array');
+            this.data.positions = [];
+        }
+    }
+
+    /**
+     * Load seasons from API, newest first
+     */
+    async loadSeasons() {
+        try {
+            const response = await this.apiCall('/seasons');
+            this.data.seasons = response.data || [];
+        } catch (error) {
+            console.warn('Failed to load seasons, using empty array');
+            this.data.seasons = [];
+        }
+    }
+
+    /**
+     * Query string that scopes season-dependent loads to the selected season
+     */
+    seasonQuery() {
+        return this.selectedSeasonId ? `?season=${encodeURIComponent(this.selectedSeasonId)}` : '';
+    }
+
+    /**
+     * Ranked full-text search: { query, total, players, teams, events }.
+     * options: { types: ['players', ...], limit } (limit is per type)
+     */
+    async search(q, { types = null, limit = 5 } = {}) {
+        const query = new URLSearchParams({ q, limit });
+        if (types) query.set('types', types.join(','));
+        const response = await this.apiCall(`/search?${query}`);
+        return response.data;
+    }
+
+    /**
+     * A page of the audit log, newest first: { entries, pagination }.
+     * params: { page, limit, entityType, entityId, actorId, action, since, until }
+     */
+    async getAuditLog(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, value);
+        });
+        const response = await this.apiCall(`/audit?${query}`);
+        return { entries: response.data || [], pagination: response.pagination };
+    }
+
+    /**
+     * Query string for a list endpoint: the selected season plus any non-empty params
+     */
+    listQuery(params = {}) {
+        const query = new URLSearchParams();
+        if (this.selectedSeasonId) query.set('season', this.selectedSeasonId);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, value);
+        });
+        const text = query.toString();
+        return text ? `?${text}` : '';
+    }
+
     /**
      * Get default site configuration
      */
@@ -314,36 +546,192 @@ class DataManager {
         }
     }
 
+    // ===== LIVE UPDATES =====
+
+    /**
+     * Follow the server's change stream (Server-Sent Events) so changes made in other
+     * browsers reach this page's listeners under the usual event names.
+     * Reconnects with exponential backoff and resumes from the last event seen.
+     */
+    subscribeToChanges() {
+        if (this.changeStream || typeof EventSource === 'undefined') return;
+
+        const query = this.lastChangeId ? `?lastEventId=${encodeURIComponent(this.lastChangeId)}` : '';
+        const stream = new EventSource(`${this.apiBaseUrl}/stream${query}`);
+        this.changeStream = stream;
+
+        [
+            'connected', 'resync', 'siteConfigUpdated', 'playersImported',
+            'playerAdded', 'playerUpdated', 'playerDeleted',
+            'teamAdded', 'teamUpdated', 'teamDeleted', 'mediaUpdated'
+        ].forEach(type => {
+            stream.addEventListener(type, (event) => this.handleChange(type, event));
+        });
+        stream.onerror = () => {
+            // Reconnect ourselves so repeated failures back off (up to 30s, with jitter)
+            stream.close();
+            this.changeStream = null;
+            const delay = Math.min(30000, 1000 * 2 ** this.reconnectAttempts) * (0.5 + Math.random() / 2);
+            this.reconnectAttempts++;
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.subscribeToChanges(), delay);
+        };
+    }
+
+    async handleChange(type, event) {
+        if (event.lastEventId) this.lastChangeId = event.lastEventId;
+        if (type === 'connected') {
+            this.reconnectAttempts = 0;
+            return;
+        }
+
+        const { origin, ...data } = JSON.parse(event.data || '{}');
+        // This tab already updated itself when it made the change
+        if (origin && origin === this.clientId) return;
+
+        try {
+            await this.applyChange(type, data);
+        } catch (error) {
+            console.error(`Failed to apply ${type} from the server:`, error);
+        }
+    }
+
+    /**
+     * Patch the local data with a change from another browser, then notify listeners.
+     * Roster changes only apply to the current season; archived seasons cannot change.
+     */
+    async applyChange(type, data) {
+        if (type === 'resync') {
+            // A reset or restore replaced everything (or too many changes were missed)
+            this.selectedSeasonId = null;
+            await this.initialize();
+            this.notifyListeners('dataRefreshed', this.data);
+            return;
+        }
+        if (type === 'siteConfigUpdated') {
+            this.data.siteConfig = data;
+            await this.loadSeasons();
+            this.notifyListeners(type, this.data.siteConfig);
+            return;
+        }
+        if (type === 'mediaUpdated') {
+            // Galleries are fetched when shown; only the owner's main picture is cached
+            if (this.isViewingCurrentSeason()) await this.refreshMediaOwner(data.ownerType, data.ownerId);
+            this.notifyListeners(type, data);
+            return;
+        }
+        if (!this.isViewingCurrentSeason()) return;
+
+        if (type === 'playersImported') {
+            // Only the teams' player counts are cached
+            await this.loadTeams();
+            this.notifyListeners(type, data);
+        } else if (type === 'playerAdded' || type === 'playerUpdated') {
+            await this.loadTeams();
+            this.notifyListeners(type, this.normalizePlayer(data));
+        } else if (type === 'playerDeleted') {
+            await this.loadTeams();
+            this.notifyListeners(type, data);
+        } else if (type === 'teamAdded' || type === 'teamUpdated') {
+            this.data.teams = [...this.data.teams.filter(t => t.id !== data.id), data]
+                .sort((a, b) => a.name.localeCompare(b.name));
+            this.notifyListeners(type, data);
+        } else if (type === 'teamDeleted') {
+            const team = this.getTeam(data.id) || data;
+            this.data.teams = this.data.teams.filter(t => t.id !== data.id);
+            this.notifyListeners(type, team);
+        }
+    }
+
     // ===== PLAYER OPERATIONS =====
 
     /**
-     * Get all players
+     * Fetch a player as rostered in the selected season, with that season's stats.
+     * Resolves to null when they were not on a roster then.
      */
-    getPlayers() {
-        return [...this.data.players];
+    async getPlayer(id) {
+        return this.fetchPlayer(id, this.listQuery());
     }
 
     /**
-     * Get player by ID
+     * Fetch a player as they are now, e.g. a linked player who was not on the selected
+     * archived season's roster. Resolves to null when there is no such player.
      */
-    getPlayer(id) {
-        return this.data.players.find(player => player.id === id);
+    async fetchPlayer(id, query = '') {
+        try {
+            const response = await this.apiCall(`/players/${encodeURIComponent(id)}${query}`);
+            return this.normalizePlayer(response.data);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
     }
 
     /**
-     * Get players by team
+     * A player's record in each season they were rostered, newest first:
+     * [{ season, teamId, teamName, teamColor, sport, number, position, gamesPlayed, stats }]
      */
-    getPlayersByTeam(teamId) {
-        return this.data.players.filter(player => player.teamId === teamId);
+    async getPlayerSeasons(id) {
+        const response = await this.apiCall(`/players/${encodeURIComponent(id)}/seasons`);
+        return response.data || [];
+    }
+
+    /**
+     * URL of a player's photo in one of the generated sizes (thumb, card or full), as WebP
+     * where the browser can show it. Photos stored before sizes were generated, or linked
+     * from elsewhere, only have the original. Returns null for a player without a photo.
+     */
+    getPlayerImageUrl(player, size = 'full') {
+        return this.imageUrl(player.images, player.image, size);
+    }
+
+    // One size of a picture from its { size: { webp, jpeg } } map, else the stored path
+    imageUrl(images, fallback, size) {
+        const format = this.supportsWebp() ? 'webp' : 'jpeg';
+        const image = (images && images[size] && images[size][format]) || fallback;
+        if (!image) return null;
+        // Uploads are served by the API server
+        return image.startsWith('/uploads/') ? `${this.apiBaseUrl.replace(/\/api$/, '')}${image}` : image;
+    }
+
+    supportsWebp() {
+        if (this.webpSupported === undefined) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            this.webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+        }
+        return this.webpSupported;
+    }
+
+    /**
+     * Upload a player photo. target is { playerId } for an existing player, or
+     * { uploadToken } (from getUploadToken) for one not saved yet, in which case saving the
+     * player with the returned path claims the photo. Resolves to { path, images, ... }.
+     */
+    async uploadPlayerImage(file, target) {
+        const formData = new FormData();
+        Object.entries(target).forEach(([key, value]) => formData.append(key, value));
+        formData.append('image', file);
+        // No Content-Type header: the browser sets the multipart boundary itself
+        const response = await this.apiCall('/upload/image', { method: 'POST', headers: {}, body: formData });
+        return response.data;
+    }
+
+    /**
+     * A pending-upload token for a photo chosen before its player exists: { token, expiresAt }
+     */
+    async getUploadToken() {
+        const response = await this.apiCall('/upload/token', { method: 'POST' });
+        return response.data;
     }
 
     /**
      * Add new player
      */
     async addPlayer(playerData) {
-        const validation = this.validatePlayer(playerData);
+        const validation = await this.checkPlayer(playerData);
         if (!validation.valid) {
-            throw new Error(`Player validation failed: ${validation.errors.join(', ')}`);
+            throw this.validationError(validation);
         }
 
         try {
@@ -353,14 +741,9 @@ class DataManager {
                 number: playerData.number,
                 teamId: playerData.teamId,
                 position: playerData.position,
+                secondaryPositions: playerData.secondaryPositions || [],
                 image: playerData.image || null,
-                bio: playerData.bio || null,
-                stats: {
-                    battingAverage: playerData.battingAverage || 0,
-                    homeRuns: playerData.homeRuns || 0,
-                    rbi: playerData.rbi || 0,
-                    gamesPlayed: playerData.gamesPlayed || 0
-                }
+                bio: playerData.bio || null
             };
             const response = await this.apiCall('/players', {
                 method: 'POST',
@@ -368,7 +751,8 @@ class DataManager {
             });
             
             const player = response.data;
-            this.data.players.push(player);
+            // Teams carry their player counts
+            await this.loadTeams();
             this.notifyListeners('playerAdded', player);
             return player;
         } catch (error) {
@@ -378,17 +762,13 @@ class DataManager {
     }
 
     /**
-     * Update existing player
+     * Update existing player. version is the one the edit started from; a newer one on the
+     * server rejects the update with code CONFLICT.
      */
-    async updatePlayer(id, updates) {
-        const index = this.data.players.findIndex(player => player.id === id);
-        if (index === -1) {
-            throw new Error(`Player with ID ${id} not found`);
-        }
-
-        const validation = this.validatePlayer({...this.data.players[index], ...updates});
+    async updatePlayer(id, updates, { version } = {}) {
+        const validation = await this.checkPlayer({ ...updates, id });
         if (!validation.valid) {
-            throw new Error(`Player validation failed: ${validation.errors.join(', ')}`);
+            throw this.validationError(validation);
         }
 
         try {
@@ -397,22 +777,18 @@ class DataManager {
                 number: updates.number,
                 teamId: updates.teamId,
                 position: updates.position,
+                secondaryPositions: updates.secondaryPositions,
                 image: updates.image,
-                bio: updates.bio,
-                stats: {
-                    battingAverage: updates.battingAverage,
-                    homeRuns: updates.homeRuns,
-                    rbi: updates.rbi,
-                    gamesPlayed: updates.gamesPlayed
-                }
+                bio: updates.bio
             };
             const response = await this.apiCall(`/players/${id}`, {
                 method: 'PUT',
+                headers: this.versionHeaders(version),
                 body: JSON.stringify(payload)
             });
             
             const updatedPlayer = response.data;
-            this.data.players[index] = updatedPlayer;
+            await this.loadTeams();
             this.notifyListeners('playerUpdated', updatedPlayer);
             return updatedPlayer;
         } catch (error) {
@@ -425,18 +801,13 @@ class DataManager {
      * Delete player
      */
     async deletePlayer(id) {
-        const index = this.data.players.findIndex(player => player.id === id);
-        if (index === -1) {
-            throw new Error(`Player with ID ${id} not found`);
-        }
-
         try {
             await this.apiCall(`/players/${id}`, {
                 method: 'DELETE'
             });
             
-            const player = this.data.players[index];
-            this.data.players.splice(index, 1);
+            const player = { id };
+            await this.loadTeams();
             this.notifyListeners('playerDeleted', player);
             return player;
         } catch (error) {
@@ -446,41 +817,37 @@ class DataManager {
     }
 
     /**
-     * Validate player data
+     * Validate player data against its team's current roster (see validatePlayer)
      */
-    validatePlayer(player, existingPlayers = null) {
-        const errors = [];
-        
-        if (!player.name || player.name.trim().length === 0) {
-            errors.push('Name is required');
-        }
-        
-        if (!player.number || player.number < 1 || player.number > 99) {
-            errors.push('Number must be between 1 and 99');
-        }
-        
-        if (!player.teamId) {
-            errors.push('Team is required');
-        } else if (!this.data.teams.find(team => team.id === player.teamId)) {
-            errors.push('Team does not exist');
-        }
-        
-        if (!player.position || player.position.trim().length === 0) {
-            errors.push('Position is required');
-        } else if (player.position.trim().length > 100) {
-            errors.push('Position must be 100 characters or less');
-        }
-        
-        // Check for duplicate numbers (exclude current player if updating)
-        const playersToCheck = existingPlayers || this.data.players;
-        if (player.number && playersToCheck.some(p => p.number === player.number && p.id !== player.id)) {
-            errors.push('Player number already exists');
+    async checkPlayer(player) {
+        const teammates = this.getTeam(player.teamId) ? await this.getTeamRoster(player.teamId) : [];
+        return this.validatePlayer(player, teammates);
+    }
+
+    /**
+     * Validate player data against the shared schema, its team, the team's other numbers
+     * (teammates) and the positions of the team's sport
+     */
+    validatePlayer(player, teammates = []) {
+        const team = this.data.teams.find(t => t.id === player.teamId);
+        const catalogue = team ? { sport: team.sport, positions: this.getPositions(team.sport) } : null;
+        const validation = ValidationUtils.validatePlayer(player, teammates, catalogue);
+        if (player.teamId && !validation.fields.teamId && !team) {
+            validation.fields.teamId = 'Team does not exist';
+            return ValidationUtils.result(validation.fields, validation.warnings);
         }
+        return validation;
+    }
 
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+    /**
+     * An error for a failed validation, carrying the per-field messages the way an API
+     * VALIDATION_ERROR does
+     */
+    validationError(validation) {
+        const error = new Error(validation.errors.join('; '));
+        error.code = 'VALIDATION_ERROR';
+        error.fields = validation.fields;
+        return error;
     }
 
     // ===== TEAM OPERATIONS =====
@@ -494,6 +861,11 @@ class DataManager {
     }
 
     async addTeam(teamData) {
+        const validation = ValidationUtils.validateTeam(teamData, this.data.teams);
+        if (!validation.valid) {
+            throw this.validationError(validation);
+        }
+
         try {
             const response = await this.apiCall('/teams', {
                 method: 'POST',
@@ -510,21 +882,33 @@ class DataManager {
         }
     }
 
-    async updateTeam(id, updates) {
+    // Like updatePlayer, version guards against overwriting someone else's change
+    async updateTeam(id, updates, { version } = {}) {
         const index = this.data.teams.findIndex(team => team.id === id);
         if (index === -1) {
             throw new Error(`Team with ID ${id} not found`);
         }
 
+        const validation = ValidationUtils.validateTeam({...this.data.teams[index], ...updates}, this.data.teams);
+        if (!validation.valid) {
+            throw this.validationError(validation);
+        }
+
         try {
             const response = await this.apiCall(`/teams/${id}`, {
                 method: 'PUT',
+                headers: this.versionHeaders(version ?? this.data.teams[index].version),
                 body: JSON.stringify(updates)
             });
             
+            const previousSport = this.data.teams[index].sport;
             const updatedTeam = response.data;
             this.data.teams[index] = updatedTeam;
             this.notifyListeners('teamUpdated', updatedTeam);
+            if (updatedTeam.sport !== previousSport) {
+                // Players now show the new sport's stats
+                await this.refreshStats();
+            }
             return updatedTeam;
         } catch (error) {
             console.error('Failed to update team:', error);
@@ -534,8 +918,8 @@ class DataManager {
 
     async deleteTeam(id) {
         // Check if team has players
-        const players = this.getPlayersByTeam(id);
-        if (players.length > 0) {
+        const team = this.getTeam(id);
+        if (team && team.playerCount > 0) {
             throw new Error('Cannot delete team with existing players');
         }
 
@@ -559,20 +943,663 @@ class DataManager {
         }
     }
 
+    // ===== TRASH OPERATIONS =====
+
+    /**
+     * Deleted players and teams waiting to be restored or purged:
+     * { retentionDays, players: [...], teams: [...] }
+     */
+    async getTrash() {
+        const response = await this.apiCall('/trash');
+        return response.data;
+    }
+
+    /**
+     * Bring a player back from the trash (also how a delete is undone)
+     */
+    async restorePlayer(id) {
+        const response = await this.apiCall(`/players/${id}/restore`, { method: 'POST' });
+        const player = this.normalizePlayer(response.data);
+        if (this.isViewingCurrentSeason()) await this.loadTeams();
+        this.notifyListeners('playerAdded', player);
+        return player;
+    }
+
+    async restoreTeam(id) {
+        const response = await this.apiCall(`/teams/${id}/restore`, { method: 'POST' });
+        const team = response.data;
+        if (this.isViewingCurrentSeason()) {
+            this.data.teams = [...this.data.teams.filter(t => t.id !== id), team]
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+        this.notifyListeners('teamAdded', team);
+        return team;
+    }
+
+    /**
+     * Permanently delete a player or team that is in the trash
+     */
+    async purgePlayer(id) {
+        await this.apiCall(`/players/${id}/purge`, { method: 'DELETE' });
+    }
+
+    async purgeTeam(id) {
+        await this.apiCall(`/teams/${id}/purge`, { method: 'DELETE' });
+    }
+
+    // ===== MEDIA OPERATIONS =====
+
+    /**
+     * A player's or team's media in display order; kind narrows it to 'photo', 'logo' or 'banner'
+     */
+    async getMedia(ownerType, ownerId, kind = null) {
+        const params = new URLSearchParams({ ownerType, ownerId });
+        if (kind) params.set('kind', kind);
+        const response = await this.apiCall(`/media?${params}`);
+        return response.data || [];
+    }
+
+    /**
+     * URL of one size of a library picture (thumb, card or full for photos; logo; banner)
+     */
+    getMediaUrl(media, size = 'full') {
+        return this.imageUrl(media.images, media.path, size);
+    }
+
+    /**
+     * URL of a team's logo or banner, or null when it has none
+     */
+    getTeamImageUrl(team, kind = 'logo') {
+        return this.imageUrl(null, team[`${kind}Path`]);
+    }
+
+    /**
+     * Upload a picture into a library: { ownerType, ownerId, kind = 'photo', caption }.
+     * A team's new logo or banner replaces the old one.
+     */
+    async uploadMedia(file, { ownerType, ownerId, kind = 'photo', caption = '' }) {
+        const formData = new FormData();
+        formData.append('ownerType', ownerType);
+        formData.append('ownerId', ownerId);
+        formData.append('kind', kind);
+        if (caption) formData.append('caption', caption);
+        formData.append('image', file);
+        // No Content-Type header: the browser sets the multipart boundary itself
+        const response = await this.apiCall('/media', { method: 'POST', headers: {}, body: formData });
+        await this.mediaChanged(ownerType, ownerId);
+        return response.data;
+    }
+
+    /**
+     * Change a caption or make a photo primary: { caption, isPrimary: true }
+     */
+    async updateMedia(id, updates) {
+        const response = await this.apiCall(`/media/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+        await this.mediaChanged(response.data.ownerType, response.data.ownerId);
+        return response.data;
+    }
+
+    /**
+     * Put an owner's photos in the given order (every photo id, first to last)
+     */
+    async reorderMedia(ownerType, ownerId, ids, kind = 'photo') {
+        const response = await this.apiCall('/media/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ownerType, ownerId, kind, ids })
+        });
+        await this.mediaChanged(ownerType, ownerId);
+        return response.data;
+    }
+
+    async deleteMedia(media) {
+        await this.apiCall(`/media/${media.id}`, { method: 'DELETE' });
+        await this.mediaChanged(media.ownerType, media.ownerId);
+    }
+
+    // After this tab changes a library (the server's event skips the tab that caused it)
+    async mediaChanged(ownerType, ownerId) {
+        if (this.isViewingCurrentSeason()) await this.refreshMediaOwner(ownerType, ownerId);
+        this.notifyListeners('mediaUpdated', { ownerType, ownerId });
+    }
+
+    /**
+     * Reload a player or team whose primary photo, logo or banner may have changed
+     */
+    async refreshMediaOwner(ownerType, ownerId) {
+        if (ownerType === 'player') {
+            const response = await this.apiCall(`/players/${ownerId}`);
+            this.notifyListeners('playerUpdated', this.normalizePlayer(response.data));
+        } else {
+            const response = await this.apiCall(`/teams/${ownerId}`);
+            const team = response.data;
+            this.data.teams = [...this.data.teams.filter(t => t.id !== team.id), team]
+                .sort((a, b) => a.name.localeCompare(b.name));
+            this.notifyListeners('teamUpdated', team);
+        }
+    }
+
+    // ===== EVENT OPERATIONS =====
+
+    /**
+     * Get all events, ordered by start time
+     */
+    getEvents() {
+        return [...this.data.events].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+
+    getEvent(id) {
+        return this.data.events.find(event => event.id === id);
+    }
+
+    /**
+     * Get events a team plays in or hosts
+     */
+    getEventsByTeam(teamId) {
+        return this.getEvents().filter(event => event.homeTeamId === teamId || event.awayTeamId === teamId);
+    }
+
+    async addEvent(eventData) {
+        try {
+            const response = await this.apiCall('/events', {
+                method: 'POST',
+                body: JSON.stringify({ seasonId: this.getSelectedSeason()?.id, ...eventData })
+            });
+
+            const event = response.data;
+            this.data.events.push(event);
+            this.notifyListeners('eventAdded', event);
+            return event;
+        } catch (error) {
+            console.error('Failed to add event:', error);
+            throw error;
+        }
+    }
+
+    async updateEvent(id, updates) {
+        const index = this.data.events.findIndex(event => event.id === id);
+        if (index === -1) {
+            throw new Error(`Event with ID ${id} not found`);
+        }
+
+        try {
+            const response = await this.apiCall(`/events/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+
+            const updatedEvent = response.data;
+            this.data.events[index] = updatedEvent;
+            this.notifyListeners('eventUpdated', updatedEvent);
+            return updatedEvent;
+        } catch (error) {
+            console.error('Failed to update event:', error);
+            throw error;
+        }
+    }
+
+    async deleteEvent(id) {
+        const index = this.data.events.findIndex(event => event.id === id);
+        if (index === -1) {
+            throw new Error(`Event with ID ${id} not found`);
+        }
+
+        try {
+            await this.apiCall(`/events/${id}`, {
+                method: 'DELETE'
+            });
+
+            const event = this.data.events[index];
+            this.data.events.splice(index, 1);
+            this.notifyListeners('eventDeleted', event);
+            return event;
+        } catch (error) {
+            console.error('Failed to delete event:', error);
+            throw error;
+        }
+    }
+
+    // ===== GAME OPERATIONS =====
+
+    /**
+     * Get all games, most recent first
+     */
+    getGames() {
+        return [...this.data.games].sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    getGame(id) {
+        return this.data.games.find(game => game.id === id);
+    }
+
+    /**
+     * Fetch a game with its box score (battingLines)
+     */
+    async getGameDetails(id) {
+        const response = await this.apiCall(`/games/${id}`);
+        return response.data;
+    }
+
+    /**
+     * Player stats and standings are computed from games, so after any game change reload
+     * the standings and let views re-query the players they show
+     */
+    async refreshStats() {
+        await this.loadStandings();
+        this.notifyListeners('statsUpdated');
+    }
+
+    /**
+     * Standings of the selected season, optionally for one sport: teams grouped by sport,
+     * best first, each { teamId, rank, played, wins, losses, ties, pct, gamesBack, ... }
+     */
+    getStandings(sport = null) {
+        return this.data.standings.filter(row => !sport || row.sport === sport);
+    }
+
+    /**
+     * A team's standings row, or null when it has none this season
+     */
+    getTeamRecord(teamId) {
+        return this.data.standings.find(row => row.teamId === teamId) || null;
+    }
+
+    /**
+     * Leaderboard for a stat key (or gamesPlayed) in the selected season:
+     * { stat, sport, minGames, qualified, leaders }. options: { sport, teamId, limit, minGames }
+     */
+    async getLeaders(stat, options = {}) {
+        const response = await this.apiCall(`/leaders${this.listQuery({ stat, ...options })}`);
+        return response.data;
+    }
+
+    async addGame(gameData) {
+        try {
+            const response = await this.apiCall('/games', {
+                method: 'POST',
+                body: JSON.stringify({ seasonId: this.getSelectedSeason()?.id, ...gameData })
+            });
+
+            const game = response.data;
+            this.data.games.push(game);
+            this.notifyListeners('gameAdded', game);
+            await this.refreshStats();
+            return game;
+        } catch (error) {
+            console.error('Failed to add game:', error);
+            throw error;
+        }
+    }
+
+    async updateGame(id, updates) {
+        const index = this.data.games.findIndex(game => game.id === id);
+        if (index === -1) {
+            throw new Error(`Game with ID ${id} not found`);
+        }
+
+        try {
+            const response = await this.apiCall(`/games/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+
+            const updatedGame = response.data;
+            this.data.games[index] = updatedGame;
+            this.notifyListeners('gameUpdated', updatedGame);
+            await this.refreshStats();
+            return updatedGame;
+        } catch (error) {
+            console.error('Failed to update game:', error);
+            throw error;
+        }
+    }
+
+    async deleteGame(id) {
+        const index = this.data.games.findIndex(game => game.id === id);
+        if (index === -1) {
+            throw new Error(`Game with ID ${id} not found`);
+        }
+
+        try {
+            await this.apiCall(`/games/${id}`, {
+                method: 'DELETE'
+            });
+
+            const game = this.data.games[index];
+            this.data.games.splice(index, 1);
+            this.notifyListeners('gameDeleted', game);
+            await this.refreshStats();
+            return game;
+        } catch (error) {
+            console.error('Failed to delete game:', error);
+            throw error;
+        }
+    }
+
+    // ===== STAT DEFINITION OPERATIONS =====
+
+    /**
+     * Stat definitions, optionally for one sport, in display order
+     */
+    getStatDefinitions(sport = null) {
+        return this.data.statDefinitions
+            .filter(def => !sport || def.sport === sport)
+            .sort((a, b) => a.sport.localeCompare(b.sport) || a.sortOrder - b.sortOrder);
+    }
+
+    /**
+     * Stats entered per game (everything except formulas)
+     */
+    getRecordedStatDefinitions(sport) {
+        return this.getStatDefinitions(sport).filter(def => def.type !== 'formula');
+    }
+
+    /**
+     * Sports that have at least one stat defined
+     */
+    getSports() {
+        return [...new Set(this.data.statDefinitions.map(def => def.sport))].sort();
+    }
+
+    async addStatDefinition(definitionData) {
+        try {
+            const response = await this.apiCall('/stat-definitions', {
+                method: 'POST',
+                body: JSON.stringify(definitionData)
+            });
+
+            const definition = response.data;
+            this.data.statDefinitions.push(definition);
+            this.notifyListeners('statDefinitionAdded', definition);
+            await this.refreshStats();
+            return definition;
+        } catch (error) {
+            console.error('Failed to add stat definition:', error);
+            throw error;
+        }
+    }
+
+    async updateStatDefinition(id, updates) {
+        const index = this.data.statDefinitions.findIndex(def => def.id === id);
+        if (index === -1) {
+            throw new Error(`Stat definition with ID ${id} not found`);
+        }
+
+        try {
+            const response = await this.apiCall(`/stat-definitions/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+
+            const updatedDefinition = response.data;
+            this.data.statDefinitions[index] = updatedDefinition;
+            this.notifyListeners('statDefinitionUpdated', updatedDefinition);
+            await this.refreshStats();
+            return updatedDefinition;
+        } catch (error) {
+            console.error('Failed to update stat definition:', error);
+            throw error;
+        }
+    }
+
+    async deleteStatDefinition(id) {
+        const index = this.data.statDefinitions.findIndex(def => def.id === id);
+        if (index === -1) {
+            throw new Error(`Stat definition with ID ${id} not found`);
+        }
+
+        try {
+            await this.apiCall(`/stat-definitions/${id}`, {
+                method: 'DELETE'
+            });
+
+            const definition = this.data.statDefinitions[index];
+            this.data.statDefinitions.splice(index, 1);
+            this.notifyListeners('statDefinitionDeleted', definition);
+            await this.refreshStats();
+            return definition;
+        } catch (error) {
+            console.error('Failed to delete stat definition:', error);
+            throw error;
+        }
+    }
+
+    // ===== POSITION OPERATIONS =====
+
+    /**
+     * Positions, optionally for one sport, in display order
+     */
+    getPositions(sport = null) {
+        return this.data.positions
+            .filter(position => !sport || position.sport === sport)
+            .sort((a, b) => a.sport.localeCompare(b.sport) || a.sortOrder - b.sortOrder);
+    }
+
+    /**
+     * The full name of a sport's position, or the stored value when it is not in the catalogue
+     */
+    getPositionName(sport, abbreviation) {
+        const position = this.data.positions.find(p => p.sport === sport && p.abbreviation === abbreviation);
+        return position ? position.name : abbreviation;
+    }
+
+    async addPosition(positionData) {
+        try {
+            const response = await this.apiCall('/positions', {
+                method: 'POST',
+                body: JSON.stringify(positionData)
+            });
+
+            const position = response.data;
+            this.data.positions.push(position);
+            this.notifyListeners('positionsUpdated', this.getPositions(position.sport));
+            return position;
+        } catch (error) {
+            console.error('Failed to add position:', error);
+            throw error;
+        }
+    }
+
+    async updatePosition(id, updates) {
+        const index = this.data.positions.findIndex(position => position.id === id);
+        if (index === -1) {
+            throw new Error(`Position with ID ${id} not found`);
+        }
+
+        try {
+            const response = await this.apiCall(`/positions/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+
+            const updatedPosition = response.data;
+            this.data.positions[index] = updatedPosition;
+            this.notifyListeners('positionsUpdated', this.getPositions(updatedPosition.sport));
+            return updatedPosition;
+        } catch (error) {
+            console.error('Failed to update position:', error);
+            throw error;
+        }
+    }
+
+    async deletePosition(id) {
+        const index = this.data.positions.findIndex(position => position.id === id);
+        if (index === -1) {
+            throw new Error(`Position with ID ${id} not found`);
+        }
+
+        try {
+            await this.apiCall(`/positions/${id}`, {
+                method: 'DELETE'
+            });
+
+            const position = this.data.positions[index];
+            this.data.positions.splice(index, 1);
+            this.notifyListeners('positionsUpdated', this.getPositions(position.sport));
+            return position;
+        } catch (error) {
+            console.error('Failed to delete position:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put a sport's positions in the order of ids (every position of the sport, once)
+     */
+    async reorderPositions(sport, ids) {
+        try {
+            const response = await this.apiCall('/positions/order', {
+                method: 'PUT',
+                body: JSON.stringify({ sport, ids })
+            });
+
+            this.data.positions = [
+                ...this.data.positions.filter(position => position.sport !== sport),
+                ...response.data
+            ];
+            this.notifyListeners('positionsUpdated', response.data);
+            return response.data;
+        } catch (error) {
+            console.error('Failed to reorder positions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A team's shirt numbers: { min, max, taken: [{ number, playerId, name }], available }.
+     * playerId's own number counts as available.
+     */
+    async getAvailableNumbers(teamId, playerId = null) {
+        const query = playerId ? `?playerId=${encodeURIComponent(playerId)}` : '';
+        const response = await this.apiCall(`/teams/${encodeURIComponent(teamId)}/numbers${query}`);
+        return response.data;
+    }
+
+    // ===== SEASON OPERATIONS =====
+
+    getSeasons() {
+        return [...this.data.seasons];
+    }
+
+    getCurrentSeason() {
+        return this.data.seasons.find(season => season.isCurrent) || null;
+    }
+
+    /**
+     * The season being viewed: an archived one or the current season
+     */
+    getSelectedSeason() {
+        if (this.selectedSeasonId) {
+            return this.data.seasons.find(season => season.id === this.selectedSeasonId) || null;
+        }
+        return this.getCurrentSeason();
+    }
+
+    isViewingCurrentSeason() {
+        return !this.selectedSeasonId;
+    }
+
+    /**
+     * Reload everything that belongs to a season
+     */
+    async loadSeasonData() {
+        await Promise.all([
+            this.loadTeams(),
+            this.loadEvents(),
+            this.loadGames(),
+            this.loadStandings()
+        ]);
+    }
+
+    /**
+     * View another season's rosters, schedule, games and stats
+     */
+    async selectSeason(id) {
+        const current = this.getCurrentSeason();
+        this.selectedSeasonId = !id || (current && current.id === id) ? null : id;
+        await this.loadSeasonData();
+        this.notifyListeners('seasonChanged', this.getSelectedSeason());
+    }
+
+    /**
+     * Archive the current season and start a new one with the same rosters
+     */
+    async startNewSeason(seasonData) {
+        try {
+            const response = await this.apiCall('/seasons/rollover', {
+                method: 'POST',
+                body: JSON.stringify(seasonData)
+            });
+
+            const season = response.data;
+            this.selectedSeasonId = null;
+            await Promise.all([this.loadSeasons(), this.loadSiteConfig(), this.loadSeasonData()]);
+            this.notifyListeners('seasonStarted', season);
+            this.notifyListeners('seasonChanged', season);
+            return season;
+        } catch (error) {
+            console.error('Failed to start new season:', error);
+            throw error;
+        }
+    }
+
+    async updateSeason(id, updates) {
+        const index = this.data.seasons.findIndex(season => season.id === id);
+        if (index === -1) {
+            throw new Error(`Season with ID ${id} not found`);
+        }
+
+        try {
+            const response = await this.apiCall(`/seasons/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(updates)
+            });
+
+            const updatedSeason = { ...this.data.seasons[index], ...response.data };
+            this.data.seasons[index] = updatedSeason;
+            if (updatedSeason.isCurrent) {
+                await this.loadSiteConfig();
+            }
+            this.notifyListeners('seasonUpdated', updatedSeason);
+            return updatedSeason;
+        } catch (error) {
+            console.error('Failed to update season:', error);
+            throw error;
+        }
+    }
+
     // ===== SITE CONFIG OPERATIONS =====
 
     getSiteConfig() {
         return {...this.data.siteConfig};
     }
 
-    async updateSiteConfig(updates) {
+    async updateSiteConfig(updates, { version } = {}) {
+        const current = this.data.siteConfig;
+        const validation = ValidationUtils.validateSiteConfig({
+            ...current,
+            ...updates,
+            theme: {...current.theme, ...updates.theme},
+            season: {...current.season, ...updates.season}
+        });
+        if (!validation.valid) {
+            throw this.validationError(validation);
+        }
+
         try {
             const response = await this.apiCall('/config', {
                 method: 'PUT',
+                headers: this.versionHeaders(version ?? this.data.siteConfig.version),
                 body: JSON.stringify(updates)
             });
             
             this.data.siteConfig = response.data;
+            if (updates.season) {
+                // The site season is the current season's year and dates
+                await this.loadSeasons();
+            }
             this.notifyListeners('siteConfigUpdated', this.data.siteConfig);
             return this.data.siteConfig;
         } catch (error) {
@@ -591,28 +1618,96 @@ class DataManager {
         return JSON.stringify(this.data, null, 2);
     }
 
-    importData(jsonData) {
+    /**
+     * Download a server backup archive (database and uploaded images) as a Blob
+     */
+    async downloadBackup() {
+        const response = await this.apiCall('/admin/backup', { raw: true });
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : 'teamsite-backup.json.gz'
+        };
+    }
+
+    /**
+     * Restore a backup archive on the server; with dryRun only the summary of changes is returned.
+     * A real restore replaces everything, so all data is reloaded afterwards.
+     */
+    async restoreBackup(file, { dryRun = false } = {}) {
         try {
-            const imported = JSON.parse(jsonData);
-            if (this.validateDataStructure(imported)) {
-                this.data = imported;
-                this.saveData();
+            const response = await this.apiCall(`/admin/restore${dryRun ? '?dryRun=true' : ''}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/gzip' },
+                body: file
+            });
+            if (!dryRun) {
+                this.selectedSeasonId = null;
+                await this.initialize();
                 this.notifyListeners('dataImported', this.data);
-                return true;
-            } else {
-                throw new Error('Invalid data structure');
             }
+            return response.data;
         } catch (error) {
-            console.error('Error importing data:', error);
+            console.error('Error restoring backup:', error);
             this.notifyListeners('dataImportError', error);
-            return false;
+            throw error;
         }
     }
 
-    resetToDefaults() {
-        this.data = this.getDefaultData();
-        this.saveData();
-        this.notifyListeners('dataReset', this.data);
+    /**
+     * Download 'players' or 'teams' for the selected season as a CSV Blob
+     */
+    async exportCsv(resource) {
+        const response = await this.apiCall(`/${resource}/export${this.seasonQuery()}`, { raw: true });
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : `${resource}.csv`
+        };
+    }
+
+    /**
+     * Import players from CSV text into the current season. mapping is { field: header }
+     * (omit it to match columns by header name). With dryRun the server only validates
+     * and returns the per-row preview; otherwise valid rows are added and the roster reloaded.
+     */
+    async importPlayersCsv(csv, mapping = null, { dryRun = false } = {}) {
+        try {
+            const response = await this.apiCall(`/players/import${dryRun ? '?dryRun=true' : ''}`, {
+                method: 'POST',
+                body: JSON.stringify(mapping ? { csv, mapping } : { csv })
+            });
+            if (!dryRun && response.data.summary.imported > 0) {
+                await this.loadTeams();
+                this.notifyListeners('playersImported', response.data);
+            }
+            return response.data;
+        } catch (error) {
+            console.error('Failed to import players:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Wipe the server's data and reseed it from a profile: 'empty', 'demo' or 'league'
+     * (league accepts { teams, playersPerTeam })
+     */
+    async resetToDefaults(profile = 'demo', options = {}) {
+        try {
+            const response = await this.apiCall('/admin/reset', {
+                method: 'POST',
+                body: JSON.stringify({ profile, ...options })
+            });
+            this.selectedSeasonId = null;
+            await this.initialize();
+            this.notifyListeners('dataReset', this.data);
+            return response.data;
+        } catch (error) {
+            console.error('Failed to reset data:', error);
+            throw error;
+        }
     }
 }
 
@@ -0,0 +1,150 @@
+/**
+ * Data schemas for TeamSite
+ * One declarative description of the fields of players, teams and site settings. The API
+ * checks request bodies against it and the browser checks forms against it before saving,
+ * so both reject the same values with the same per-field messages. Checks that need other
+ * records (duplicate numbers and names, whether a team exists) stay with the callers.
+ */
+
+// Fields by schema. Nested values (site settings) are named by their path, e.g. theme.primary.
+//   type:      string, integer, color (#rgb or #rrggbb), date or list (of strings)
+//   required:  must be present and not blank
+//   minLength, maxLength: for strings, after trimming
+//   min, max:  for integers
+//   maxItems:  for lists
+//   after:     for dates, another date field this one must come after
+const SCHEMAS = {
+    player: {
+        name: { label: 'Player name', type: 'string', required: true, minLength: 2, maxLength: 50 },
+        number: { label: 'Player number', type: 'integer', required: true, min: 1, max: 99 },
+        teamId: { label: 'Team', type: 'string', required: true },
+        position: { label: 'Position', type: 'string', required: true, maxLength: 100 },
+        secondaryPositions: { label: 'Secondary positions', type: 'list', maxItems: 4 },
+        image: { label: 'Image', type: 'string', maxLength: 500 },
+        bio: { label: 'Bio', type: 'string', maxLength: 2000 }
+    },
+    team: {
+        name: { label: 'Team name', type: 'string', required: true, minLength: 2, maxLength: 30 },
+        color: { label: 'Team color', type: 'color' },
+        description: { label: 'Description', type: 'string', maxLength: 1000 },
+        sport: { label: 'Sport', type: 'string', maxLength: 50 }
+    },
+    siteConfig: {
+        title: { label: 'Site title', type: 'string', required: true, maxLength: 100 },
+        description: { label: 'Site description', type: 'string', maxLength: 1000 },
+        'theme.primary': { label: 'Primary color', type: 'color', required: true },
+        'theme.secondary': { label: 'Secondary color', type: 'color', required: true },
+        'theme.accent': { label: 'Accent color', type: 'color', required: true },
+        'season.year': { label: 'Season year', type: 'integer', required: true, min: 2020, max: 2100 },
+        'season.startDate': { label: 'Start date', type: 'date' },
+        'season.endDate': { label: 'End date', type: 'date', after: 'season.startDate' },
+        'season.allStarWeekend': { label: 'All-star weekend', type: 'date' }
+    }
+};
+
+class Schema {
+    /**
+     * Check data against a named schema. Returns { valid, errors }, where errors maps each
+     * bad field to one message. With partial (an update) only the fields present are
+     * checked: a missing or null field keeps its stored value.
+     */
+    static validate(name, data, { partial = false } = {}) {
+        const fields = SCHEMAS[name];
+        if (!fields) {
+            throw new Error(`Unknown schema: ${name}`);
+        }
+
+        const errors = {};
+        Object.entries(fields).forEach(([field, rule]) => {
+            const value = this.getValue(data, field);
+            if (partial && (value === undefined || value === null)) return;
+            const message = this.checkField(rule, value, data, fields);
+            if (message) errors[field] = message;
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+
+    /**
+     * A field's value, following dotted paths into nested objects
+     */
+    static getValue(data, field) {
+        return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+    }
+
+    // The message for one bad value, or null when it is fine
+    static checkField(rule, value, data, fields) {
+        const { label } = rule;
+        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+            return rule.required ? `${label} is required` : null;
+        }
+
+        switch (rule.type) {
+            case 'string': {
+                if (typeof value !== 'string') {
+                    return `${label} must be text`;
+                }
+                const length = value.trim().length;
+                if (rule.minLength && length < rule.minLength) {
+                    return `${label} must be at least ${rule.minLength} characters`;
+                }
+                if (rule.maxLength && length > rule.maxLength) {
+                    return `${label} must be at most ${rule.maxLength} characters`;
+                }
+                return null;
+            }
+            case 'integer': {
+                if (!Number.isInteger(value)) {
+                    return `${label} must be a whole number`;
+                }
+                const hasMin = rule.min !== undefined;
+                const hasMax = rule.max !== undefined;
+                if ((hasMin && value < rule.min) || (hasMax && value > rule.max)) {
+                    if (hasMin && hasMax) return `${label} must be between ${rule.min} and ${rule.max}`;
+                    return hasMin ? `${label} must be at least ${rule.min}` : `${label} must be at most ${rule.max}`;
+                }
+                return null;
+            }
+            case 'color':
+                return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(value)
+                    ? null
+                    : `${label} must be a hex color such as #3b82f6`;
+            case 'list':
+                if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                    return `${label} must be a list`;
+                }
+                return rule.maxItems && value.length > rule.maxItems
+                    ? `${label} can have at most ${rule.maxItems} entries`
+                    : null;
+            case 'date': {
+                if (!this.isDate(value)) {
+                    return `${label} must be a valid date`;
+                }
+                const other = rule.after && this.getValue(data, rule.after);
+                if (other && this.isDate(other) && new Date(value) <= new Date(other)) {
+                    return `${label} must be after the ${fields[rule.after].label.toLowerCase()}`;
+                }
+                return null;
+            }
+            default:
+                throw new Error(`Unknown field type: ${rule.type}`);
+        }
+    }
+
+    static isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+}
+
+Schema.SCHEMAS = SCHEMAS;
+
+// Make available globally in the browser and as a module for the backend
+if (typeof window !== 'undefined') {
+    window.Schema = Schema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Schema;
+}
@@ -29,6 +29,17 @@ class Utils {
         return dateObj.toLocaleDateString('en-US', { ...defaultOptions, ...options });
     }
 
+    /**
+     * Format a date or date-time string for display.
+     * Date-only values are read as local dates and shown without a time.
+     */
+    static formatDateTime(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return this.formatDate(`${value}T00:00`);
+        }
+        return this.formatDate(value, { hour: 'numeric', minute: '2-digit' });
+    }
+
     /**
      * Format date for input fields
      */
@@ -155,9 +166,9 @@ class Utils {
     }
 
     /**
-     * Show notification
+     * Show notification; action ({ label, onClick }) adds a button such as "Undo"
      */
-    static showNotification(message, type = 'info', duration = 3000) {
+    static showNotification(message, type = 'info', duration = 3000, action = null) {
         // Remove existing notifications
         const existing = document.querySelectorAll('.notification');
         existing.forEach(n => n.remove());
@@ -174,6 +185,16 @@ class Utils {
 
         notification.className += ` ${typeClasses[type] || typeClasses.info}`;
         notification.textContent = message;
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'ml-3 font-semibold underline';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
 
         document.body.appendChild(notification);
 
@@ -271,12 +292,21 @@ class Utils {
     }
 
     /**
-     * Set query parameter
+     * Set query parameter; null removes it. With push the change gets its own history
+     * entry, so the browser's back button returns to the previous value.
      */
-    static setQueryParam(name, value) {
+    static setQueryParam(name, value, { push = false } = {}) {
         const url = new URL(window.location);
-        url.searchParams.set(name, value);
-        window.history.replaceState({}, '', url);
+        if (value === null || value === undefined) {
+            url.searchParams.delete(name);
+        } else {
+            url.searchParams.set(name, value);
+        }
+        if (push) {
+            window.history.pushState({}, '', url);
+        } else {
+            window.history.replaceState({}, '', url);
+        }
     }
 
     /**
@@ -299,6 +329,13 @@ class Utils {
      */
     static downloadJSON(data, filename = 'data.json') {
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Download a Blob as a file
+     */
+    static downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -1,208 +1,145 @@
 /**
  * Validation Utilities for TeamSite
- * Centralized validation functions for all data types
+ * Centralized validation functions for all data types. Players, teams and site settings
+ * are checked against the field schemas in schema.js, which the API uses too.
  */
 
+// The shared field schemas: loaded before this file in the browser, required in Node
+const FieldSchema = typeof window === 'undefined' ? require('./schema') : window.Schema;
+
 class ValidationUtils {
     /**
-     * Validate player data
+     * Validate player data against the player schema, its number against the rest of its
+     * team (existingPlayers) and, given its sport's catalogue ({ sport, positions }), its
+     * positions. Returns { valid, errors, fields, warnings }: errors lists the messages and
+     * fields maps each bad field to its message.
      */
-    static validatePlayer(player, existingPlayers = []) {
-        const errors = [];
+    static validatePlayer(player, existingPlayers = [], catalogue = null) {
+        const fields = FieldSchema.validate('player', player).errors;
         const warnings = [];
 
-        // Required fields
-        if (!player.name || player.name.trim().length === 0) {
-            errors.push('Player name is required');
-        } else if (player.name.trim().length < 2) {
-            errors.push('Player name must be at least 2 characters');
-        } else if (player.name.trim().length > 50) {
-            errors.push('Player name must be less than 50 characters');
-        }
-
-        if (!player.number) {
-            errors.push('Player number is required');
-        } else if (!Number.isInteger(player.number) || player.number < 1 || player.number > 99) {
-            errors.push('Player number must be between 1 and 99');
-        }
-
-        if (!player.teamId) {
-            errors.push('Team selection is required');
-        }
-
-        if (!player.position || player.position.trim().length === 0) {
-            errors.push('Player position is required');
-        } else if (player.position.trim().length > 100) {
-            errors.push('Player position must be 100 characters or less');
+        if (catalogue && !fields.position && !fields.secondaryPositions) {
+            Object.assign(fields, this.checkPositions(player, catalogue.positions, catalogue.sport));
         }
 
         // Check for duplicate numbers
-        const duplicateNumber = existingPlayers.find(p => 
+        const duplicateNumber = !fields.number && existingPlayers.find(p => 
             p.number === player.number && p.id !== player.id
         );
         if (duplicateNumber) {
-            errors.push(`Player number ${player.number} is already taken by ${duplicateNumber.name}`);
+            fields.number = `Player number ${player.number} is already taken by ${duplicateNumber.name}`;
         }
 
         // Image validation
-        if (player.image) {
+        if (player.image && !fields.image) {
             if (!this.isValidImageUrl(player.image)) {
                 warnings.push('Image URL may not be valid');
             }
         }
 
-        // Stats validation
-        if (player.stats) {
-            const statsErrors = this.validateStats(player.stats);
-            errors.push(...statsErrors);
-        }
+        return this.result(fields, warnings);
+    }
 
-        return {
-            valid: errors.length === 0,
-            errors,
-            warnings
-        };
+    /**
+     * The catalogue position a value names, by abbreviation or full name ignoring case
+     */
+    static findPosition(positions, value) {
+        const key = String(value || '').trim().toLowerCase();
+        if (!key) return null;
+        return positions.find(p => p.abbreviation.toLowerCase() === key) ||
+            positions.find(p => p.name.toLowerCase() === key) || null;
     }
 
     /**
-     * Validate team data
+     * Check a player's primary and secondary positions against their sport's catalogue.
+     * A sport with no positions listed yet accepts any. Returns a field -> message map,
+     * empty when the positions are fine.
      */
-    static validateTeam(team, existingTeams = []) {
-        const errors = [];
-        const warnings = [];
+    static checkPositions(player, positions, sport) {
+        const fields = {};
+        if (positions.length === 0) return fields;
+
+        const primary = this.findPosition(positions, player.position);
+        if (!primary) {
+            fields.position = `"${player.position}" is not a ${sport} position`;
+        }
+        const secondary = player.secondaryPositions || [];
+        const unknown = secondary.filter(value => !this.findPosition(positions, value));
+        const abbreviations = secondary.map(value => (this.findPosition(positions, value) || {}).abbreviation);
+        if (unknown.length > 0) {
+            fields.secondaryPositions = `Not ${sport} positions: ${unknown.join(', ')}`;
+        } else if (new Set(abbreviations).size !== abbreviations.length ||
+            (primary && abbreviations.includes(primary.abbreviation))) {
+            fields.secondaryPositions = 'Secondary positions must differ from each other and from the primary position';
+        }
+        return fields;
+    }
 
-        if (!team.name || team.name.trim().length === 0) {
-            errors.push('Team name is required');
-        } else if (team.name.trim().length < 2) {
-            errors.push('Team name must be at least 2 characters');
-        } else if (team.name.trim().length > 30) {
-            errors.push('Team name must be less than 30 characters');
-        }
+    /**
+     * Validate team data against the team schema, and its name against the other teams
+     */
+    static validateTeam(team, existingTeams = []) {
+        const fields = FieldSchema.validate('team', team).errors;
 
         // Check for duplicate names
-        const duplicateName = existingTeams.find(t => 
-            t.name.toLowerCase() === team.name.toLowerCase() && t.id !== team.id
+        const duplicateName = !fields.name && existingTeams.find(t => 
+            t.name.toLowerCase() === team.name.trim().toLowerCase() && t.id !== team.id
         );
         if (duplicateName) {
-            errors.push(`Team name "${team.name}" already exists`);
+            fields.name = `Team name "${team.name}" already exists`;
         }
 
-        // Color validation
-        if (team.color && !this.isValidColor(team.color)) {
-            errors.push('Team color must be a valid hex color');
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors,
-            warnings
-        };
+        return this.result(fields);
     }
 
     /**
-     * Validate site configuration
+     * Validate site configuration against the site settings schema
      */
     static validateSiteConfig(config) {
-        const errors = [];
-        const warnings = [];
-
-        if (!config.title || config.title.trim().length === 0) {
-            errors.push('Site title is required');
-        }
-
-        if (config.theme) {
-            const themeErrors = this.validateTheme(config.theme);
-            errors.push(...themeErrors);
-        }
-
-        if (config.season) {
-            const seasonErrors = this.validateSeason(config.season);
-            errors.push(...seasonErrors);
-        }
+        return this.result(FieldSchema.validate('siteConfig', config).errors);
+    }
 
+    // A validation result from a map of field errors
+    static result(fields, warnings = []) {
         return {
-            valid: errors.length === 0,
-            errors,
+            valid: Object.keys(fields).length === 0,
+            errors: Object.values(fields),
+            fields,
             warnings
         };
     }
 
     /**
-     * Validate theme configuration
+     * Validate one player's recorded stats for a game against the sport's stat definitions.
+     * Formula stats are computed, so supplying one is an error like any unknown key.
      */
-    static validateTheme(theme) {
+    static validateStats(stats, definitions = []) {
         const errors = [];
-        const requiredColors = ['primary', 'secondary', 'accent'];
+        const recorded = new Map(definitions
+            .filter(def => def.type !== 'formula')
+            .map(def => [def.key, def]));
 
-        requiredColors.forEach(color => {
-            if (!theme[color]) {
-                errors.push(`${color} color is required`);
-            } else if (!this.isValidColor(theme[color])) {
-                errors.push(`${color} color must be a valid hex color`);
+        Object.keys(stats || {}).forEach(key => {
+            if (!recorded.has(key)) {
+                errors.push(`Unknown stat: ${key}`);
             }
         });
 
-        return errors;
-    }
-
-    /**
-     * Validate season configuration
-     */
-    static validateSeason(season) {
-        const errors = [];
-
-        if (!season.year || !Number.isInteger(season.year) || season.year < 2020) {
-            errors.push('Season year must be 2020 or later');
-        }
-
-        if (season.startDate && !this.isValidDate(season.startDate)) {
-            errors.push('Start date must be a valid date');
-        }
-
-        if (season.endDate && !this.isValidDate(season.endDate)) {
-            errors.push('End date must be a valid date');
-        }
-
-        if (season.startDate && season.endDate) {
-            const start = new Date(season.startDate);
-            const end = new Date(season.endDate);
-            if (start >= end) {
-                errors.push('End date must be after start date');
-            }
-        }
-
-        return errors;
-    }
-
-    /**
-     * Validate player statistics
-     */
-    static validateStats(stats) {
-        const errors = [];
-
-        if (stats.battingAverage !== undefined) {
-            if (stats.battingAverage < 0 || stats.battingAverage > 1) {
-                errors.push('Batting average must be between 0 and 1');
+        recorded.forEach((def, key) => {
+            const value = stats ? stats[key] : undefined;
+            if (value === undefined || value === null) return;
+
+            const label = def.label || key;
+            if (typeof value !== 'number' || !isFinite(value)) {
+                errors.push(`${label} must be a number`);
+            } else if (def.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${label} must be a whole number`);
+            } else if (def.min !== null && def.min !== undefined && value < def.min) {
+                errors.push(`${label} must be at least ${def.min}`);
+            } else if (def.max !== null && def.max !== undefined && value > def.max) {
+                errors.push(`${label} must be at most ${def.max}`);
             }
-        }
-
-        if (stats.homeRuns !== undefined) {
-            if (!Number.isInteger(stats.homeRuns) || stats.homeRuns < 0) {
-                errors.push('Home runs must be a non-negative integer');
-            }
-        }
-
-        if (stats.rbi !== undefined) {
-            if (!Number.isInteger(stats.rbi) || stats.rbi < 0) {
-                errors.push('RBI must be a non-negative integer');
-            }
-        }
-
-        if (stats.gamesPlayed !== undefined) {
-            if (!Number.isInteger(stats.gamesPlayed) || stats.gamesPlayed < 0) {
-                errors.push('Games played must be a non-negative integer');
-            }
-        }
+        });
 
         return errors;
     }
@@ -231,7 +168,7 @@ class ValidationUtils {
      * Validate color hex code
      */
     static isValidColor(color) {
-        return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(color);
+        return !FieldSchema.checkField({ label: 'Color', type: 'color' }, color);
     }
 
     /**
@@ -308,5 +245,10 @@ class ValidationUtils {
     }
 }
 
-// Make available globally
-window.ValidationUtils = ValidationUtils;
+// Make available globally in the browser and as a module for the backend
+if (typeof window !== 'undefined') {
+    window.ValidationUtils = ValidationUtils;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValidationUtils;
+}